@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_CONFIG } from '../../../../lib/config';
+import { createSessionToken, findApiKey, getAdminPrincipal } from '../../../../lib/admin-auth';
+
+/**
+ * POST /api/admin/session
+ * Exchange an admin API key for a signed session cookie (browser admin UI login).
+ * The session carries the scopes of the key used to log in.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const entry = findApiKey(body.apiKey);
+    if (!entry) {
+      return NextResponse.json({ error: 'Invalid API key' }, { status: 401 });
+    }
+
+    const { token, expiresAt } = createSessionToken(entry);
+    const response = NextResponse.json({
+      success: true,
+      admin: { id: entry.id, scopes: entry.scopes },
+      expiresAt: expiresAt.toISOString()
+    });
+    response.cookies.set(ADMIN_CONFIG.SESSION_COOKIE_NAME, token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/',
+      expires: expiresAt
+    });
+    return response;
+  } catch (error) {
+    console.error('Admin login error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * GET /api/admin/session
+ * Return the current admin principal
+ */
+export async function GET(request) {
+  const principal = getAdminPrincipal(request);
+  if (!principal) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+  return NextResponse.json({ admin: principal });
+}
+
+/**
+ * DELETE /api/admin/session
+ * Log out by clearing the session cookie
+ */
+export async function DELETE() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(ADMIN_CONFIG.SESSION_COOKIE_NAME, '', { httpOnly: true, path: '/', maxAge: 0 });
+  return response;
+}
@@ -1,27 +1,16 @@
 import { NextResponse } from 'next/server';
+import { refreshStravaToken } from '../../../../lib/strava';
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a caller's refresh token. The club token used by the API routes is
+ * refreshed automatically by the token manager in lib/strava.js.
+ */
 export async function POST(request) {
   try {
     const { refresh_token } = await request.json();
     
-    const response = await fetch('https://www.strava.com/oauth/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        client_id: process.env.STRAVA_CLIENT_ID,
-        client_secret: process.env.STRAVA_CLIENT_SECRET,
-        refresh_token: refresh_token,
-        grant_type: 'refresh_token'
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Strava OAuth error: ${response.status}`);
-    }
-
-    const tokenData = await response.json();
+    const tokenData = await refreshStravaToken(refresh_token);
     
     return NextResponse.json({
       access_token: tokenData.access_token,
@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { getPackage, priceRegistration, validatePromoCode } from '../../../../lib/catalog';
+import { getPromoCodeRepository } from '../../../../lib/storage';
+
+/**
+ * GET /api/catalog/quote?package=<id>&promo=<code>&donation=<amount>
+ * Price preview for the registration form, computed the same way as POST /api/register.
+ * The price charged is always recomputed at registration time.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const packageId = searchParams.get('package');
+    const promoCode = (searchParams.get('promo') || '').trim();
+
+    if (!getPackage(packageId)) {
+      return NextResponse.json({ error: 'Invalid package type' }, { status: 400 });
+    }
+
+    let promo = null;
+    if (promoCode) {
+      promo = await getPromoCodeRepository().findByCode(promoCode);
+      const result = validatePromoCode(promo, { packageId });
+      if (!result.valid) {
+        return NextResponse.json({ error: result.error, promoCode }, { status: 400 });
+      }
+    }
+
+    const pricing = priceRegistration({
+      packageType: packageId,
+      additionalDonation: parseFloat(searchParams.get('donation')) || 0,
+      promo
+    });
+
+    return NextResponse.json({
+      packageType: pricing.packageId,
+      pricingTier: pricing.pricingTier,
+      baseAmount: pricing.baseAmount,
+      fixedDonation: pricing.fixedDonation,
+      jerseyPrice: pricing.jerseyPrice,
+      packageTotal: pricing.packageTotal,
+      promoCode: pricing.promoCode,
+      discountAmount: pricing.discountAmount,
+      additionalDonation: pricing.additionalDonation,
+      totalAmount: pricing.totalAmount
+    });
+  } catch (error) {
+    console.error('Error computing price quote:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
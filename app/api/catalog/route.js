@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { getPublicCatalog } from '../../../lib/catalog';
+
+/**
+ * GET /api/catalog
+ * Packages and prices of the active event, used by the registration form
+ * Optional query: ?event=<eventId>
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const catalog = getPublicCatalog(searchParams.get('event') || undefined);
+
+    if (!catalog) {
+      return NextResponse.json({ error: 'Event not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(catalog);
+  } catch (error) {
+    console.error('Error loading catalog:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
-import { getClubActivitiesWithFallback, formatDistance, formatTime, filterActivitiesByDateRange, calculatePace, dedupeActivities } from '../../../../lib/strava';
+import { getClubActivityWindow, formatDistance, formatTime, filterActivitiesByDateRange, calculatePace, dedupeActivities, getStravaTokenManager } from '../../../../lib/strava';
 import { getGoogleSheetsClientFromEnv } from '../../../../lib/sheets-client';
 import { STRAVA_CONFIG, CLUB_CONFIG } from '../../../../lib/config';
+import { SPORTS, getActivitySport, getSportDetails, summarizeBySport } from '../../../../lib/sports';
 
 // Spreadsheet ID extracted from the user-provided URL
 const SPREADSHEET_ID = '1g1G-s6FcZ7Tz0qZCeuragWVTFWt1_rU0L-LZ6k-HskE';
@@ -12,6 +13,8 @@ const CRON_SECRET = process.env.CRON_SECRET || '8s7K4f9VqR2xN6mYwZbP0hQ3tL5uE1c'
 
 /**
  * Compute recap metrics from activities array
+ * Totals cover every sport; by_sport splits them, with pace per km for runs and
+ * walks, km/h for rides and pace per 100m for swims.
  */
 function computeRecap(activities) {
   // We'll compute a global recap but mainly rely on per-athlete recap elsewhere.
@@ -28,6 +31,15 @@ function computeRecap(activities) {
     total_moving_time_hms: formatTime(totalMovingTimeSeconds),
     total_elevation_gain: Number(totalElevation.toFixed ? totalElevation.toFixed(2) : totalElevation),
     unique_athletes: uniqueAthletes,
+    by_sport: Object.fromEntries(Object.entries(summarizeBySport(activities)).map(([sport, totals]) => [sport, {
+      label: getSportDetails(sport).label,
+      activities: totals.activities,
+      distance_km: (totals.distance_meters / 1000).toFixed(2),
+      moving_time_hms: formatTime(totals.moving_time_seconds),
+      unique_athletes: totals.unique_athletes,
+      metric: totals.metric ? totals.metric.metric : null,
+      pace_or_speed: totals.metric ? totals.metric.formatted : null
+    }])),
   };
 }
 
@@ -41,20 +53,20 @@ export async function GET(request) {
   // (No date filtering) — compute recap from all activities returned by the Strava API
 
     // Strava token is required — do not fall back to local club.json
-    const stravaToken = process.env.STATIC_BEARER_TOKEN || null;
-    if (!stravaToken) {
-      return NextResponse.json({ ok: false, error: 'Missing STRAVA_ACCESS_TOKEN environment variable; this endpoint requires a valid Strava access token and will not use local club.json fallback.' }, { status: 400 });
+    if (!(await getStravaTokenManager().hasToken())) {
+      return NextResponse.json({ ok: false, error: 'Missing Strava credentials; set STRAVA_REFRESH_TOKEN (with STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET) or STRAVA_ACCESS_TOKEN. This endpoint will not use local club.json fallback.' }, { status: 400 });
     }
 
     const clubId = process.env.STRAVA_CLUB_ID || CLUB_CONFIG.DEFAULT_CLUB_ID;
 
-    // useLocal = false to force API-only behavior
-    const activities = await getClubActivitiesWithFallback(clubId, stravaToken, false);
+    // useLocal = false to force API-only behavior; the shared token manager supplies the token
+    const { activities, coverage } = await getClubActivityWindow(clubId, null, { useLocal: false });
 
     const recap = computeRecap(activities);
 
     // Build deduped activity rows (no aggregation)
-    const runs = activities.filter(a => (a && (a.type === 'Run' || a.sport_type === 'Run')));
+    // The sheet holds runs (trail and virtual runs included); its pace column is min/km
+    const runs = activities.filter(a => a && getActivitySport(a) === SPORTS.RUN);
 
     // Group by athlete and dedupe within athlete
     const rowsToAppend = [];
@@ -307,11 +319,11 @@ export async function GET(request) {
         });
       }
 
-  const responseBody = { ok: true, recap, rows: rowsToAppend, appended_count: newRows.length, skipped_count: skippedCount };
+  const responseBody = { ok: true, recap, coverage, rows: rowsToAppend, appended_count: newRows.length, skipped_count: skippedCount };
   if (doCleanup) responseBody.deleted_count = deletedCount;
   return NextResponse.json(responseBody);
     } catch (sheetErr) {
-      return NextResponse.json({ ok: true, recap, rows: rowsToAppend, warning: `Failed to append to sheet: ${sheetErr.message}` });
+      return NextResponse.json({ ok: true, recap, coverage, rows: rowsToAppend, warning: `Failed to append to sheet: ${sheetErr.message}` });
     }
   } catch (err) {
     return NextResponse.json({ ok: false, error: err.message || String(err) }, { status: 500 });
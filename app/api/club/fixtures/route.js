@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../lib/admin-auth';
+import { CLUB_CONFIG } from '../../../../lib/config';
+import { listFixtureSets, recordClubFixture } from '../../../../lib/club-fixtures';
+import { getStravaTokenManager } from '../../../../lib/strava';
+
+/**
+ * GET /api/club/fixtures
+ * List the recorded fixture sets (requires the manage-strava scope)
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const sets = listFixtureSets();
+    return NextResponse.json({ fixtures_dir: CLUB_CONFIG.FIXTURES_DIR, sets, count: sets.length });
+  } catch (error) {
+    console.error('Error listing club fixtures:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/club/fixtures
+ * Record a club's feed into a fixture set (requires the manage-strava scope). The file
+ * is written to the local disk, so record on a development machine and commit it.
+ *
+ * Body: { "set": "demo", "clubId": "1234567" }, clubId defaults to the configured club
+ */
+export async function POST(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch (e) {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const set = String(body.set || '').trim();
+  const clubId = String(body.clubId || CLUB_CONFIG.DEFAULT_CLUB_ID).trim();
+  if (!set) {
+    return NextResponse.json({ error: 'set is required' }, { status: 400 });
+  }
+
+  try {
+    if (!(await getStravaTokenManager().hasToken())) {
+      return NextResponse.json({ error: 'No Strava token configured' }, { status: 400 });
+    }
+
+    const result = await recordClubFixture(clubId, set);
+    if (!result.success) {
+      return NextResponse.json(result, { status: 502 });
+    }
+    console.log(`Club fixture ${set}/${clubId} recorded by ${auth.principal.id}`);
+    return NextResponse.json(result, { status: 201 });
+  } catch (error) {
+    console.error('Error recording club fixture:', error);
+    return NextResponse.json({ error: error.message }, { status: error.status || 500 });
+  }
+}
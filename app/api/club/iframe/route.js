@@ -1,74 +1,114 @@
 import { NextResponse } from 'next/server';
 import { 
-  getClubActivitiesWithFallback, 
-  getLastWeekRange, 
-  getThisWeekRange, 
   filterActivitiesByDateRange,
   formatDistance,
   formatTime,
-  calculatePace
+  getAthleteKey,
+  getStravaTokenManager
 } from '../../../../lib/strava';
 import { CLUB_CONFIG } from '../../../../lib/config';
+import { getPeriodOptionsFromParams, getRequestedPeriods } from '../../../../lib/periods';
+import { getFixtureReportTime, getFixtureRequest } from '../../../../lib/club-fixtures';
+import {
+  combineClubActivities,
+  combineClubCoverage,
+  getClubReportActivities,
+  getRequestedClubIds,
+  rankClubs
+} from '../../../../lib/club-report';
+import { getRequestedUnits } from '../../../../lib/units';
+import { filterActivitiesBySportTypes, getActivitySport, getRequestedSportTypes, getSportDetails, getSportMetric, summarizeBySport } from '../../../../lib/sports';
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const clubId = searchParams.get('clubId') || CLUB_CONFIG.DEFAULT_CLUB_ID;
+
+    // Periods are counted in the club's timezone; tz and weekStart override DATE_CONFIG.
+    // Without from/to, period or compare this is this week against last week.
+    // A fixture set replays recorded feeds at a fixed time instead of reading live data.
+    // sportTypes limits the report to some sports (run, walk, ride, swim or a Strava sport type),
+    // units shows distances, paces and speeds in metric or imperial units
+    let clubIds;
+    let sportTypes;
+    let units;
+    let fixture;
+    let now;
+    let periodOptions;
+    let requested;
+    try {
+      clubIds = getRequestedClubIds(searchParams);
+      sportTypes = getRequestedSportTypes(searchParams);
+      units = getRequestedUnits(searchParams);
+      fixture = getFixtureRequest(searchParams);
+      now = fixture ? getFixtureReportTime(fixture, clubIds) : new Date();
+      periodOptions = getPeriodOptionsFromParams(searchParams);
+      requested = getRequestedPeriods(searchParams, periodOptions, now);
+    } catch (error) {
+      return new NextResponse(generateErrorHtml(error.message), {
+        status: error.status || 400,
+        headers: { 'Content-Type': 'text/html' }
+      });
+    }
     
-    // Get access token from environment or headers
-    const accessToken = process.env.DEFAULT_ACCESS_TOKEN || 
-                       request.headers.get('authorization')?.replace('Bearer ', '');
+    // The shared token manager supplies (and refreshes) the club token; a caller's
+    // bearer token is only used when no Strava account is configured
+    const hasManagedToken = await getStravaTokenManager().hasToken();
+    const accessToken = hasManagedToken ? null : request.headers.get('authorization')?.replace('Bearer ', '');
     
     // For demo purposes, we'll proceed even without token and use local fallback
     const useLocalFallback = CLUB_CONFIG.USE_LOCAL_FALLBACK;
     
-    // Skip API call entirely if FORCE_LOCAL_DATA is enabled
-    let allActivities;
-    if (CLUB_CONFIG.FORCE_LOCAL_DATA) {
-      console.log('FORCE_LOCAL_DATA enabled, using local data directly...');
-      const { getLocalClubActivities } = await import('../../../../lib/strava');
-      allActivities = await getLocalClubActivities();
-    } else {
-      if (!accessToken && !useLocalFallback) {
+    // Activities are needed back to the start of the earliest period
+    const since = new Date(Math.min(...requested.periods.map(period => period.start.getTime())));
+
+    // One club at a time, as they share the Strava rate limit
+    const clubs = [];
+    for (const clubId of clubIds) {
+      const result = await getClubReportActivities(clubId, {
+        since,
+        accessToken,
+        allowLive: hasManagedToken || Boolean(accessToken) || useLocalFallback,
+        fixture,
+        now
+      });
+      if (!result) {
         const errorHtml = generateErrorHtml('Access token is required');
         return new NextResponse(errorHtml, {
           status: 401,
           headers: { 'Content-Type': 'text/html' }
         });
       }
-
-      // Fetch activities with fallback support
-      allActivities = await getClubActivitiesWithFallback(
-        clubId, 
-        accessToken, 
-        useLocalFallback
-      );
+      clubs.push({ club_id: clubId, ...result, activities: filterActivitiesBySportTypes(result.activities, sportTypes) });
     }
 
-    // Get date ranges
-    const lastWeekRange = getLastWeekRange();
-    const thisWeekRange = getThisWeekRange();
+    // Several clubs are reported as one, counting an activity once even if it is in several feeds
+    const multiClub = clubs.length > 1;
+    const allActivities = multiClub ? combineClubActivities(clubs) : clubs[0].activities;
+    const coverage = multiClub ? combineClubCoverage(clubs) : clubs[0].coverage;
 
-    // Filter activities by date ranges
-    const lastWeekActivities = filterActivitiesByDateRange(
-      allActivities, 
-      lastWeekRange.start, 
-      lastWeekRange.end
-    );
-    
-    const thisWeekActivities = filterActivitiesByDateRange(
-      allActivities, 
-      thisWeekRange.start, 
-      thisWeekRange.end
-    );
+    // Filter activities by date ranges; the compared period is shown first, as last week always was
+    const periods = requested.periods.map(period => ({
+      ...period,
+      activities: filterActivitiesByDateRange(allActivities, period.start, period.end)
+    })).reverse();
+
+    // Clubs side by side within the requested period
+    const clubComparison = multiClub ? clubs.map(club => {
+      const activities = filterActivitiesByDateRange(club.activities, requested.periods[0].start, requested.periods[0].end);
+      return { club_id: club.club_id, coverage: club.coverage, summary: calculateSummary(activities, units), activities };
+    }) : null;
 
     // Generate HTML
     const html = generateClubActivitiesHtml({
-      clubId,
-      lastWeekRange,
-      thisWeekRange,
-      lastWeekActivities,
-      thisWeekActivities
+      clubIds,
+      periods,
+      clubComparison,
+      ranking: clubComparison ? rankClubs(clubComparison) : null,
+      periodType: requested.type,
+      sportTypes,
+      units,
+      coverage,
+      timeZone: periodOptions.timeZone
     });
 
     return new NextResponse(html, {
@@ -87,6 +127,17 @@ export async function GET(request) {
   }
 }
 
+// Query parameters and Strava data (club IDs, activity and athlete names) are shown
+// in the page, so they are escaped before they go into the markup
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function generateErrorHtml(message) {
   return `
 <!DOCTYPE html>
@@ -124,24 +175,63 @@ function generateErrorHtml(message) {
 <body>
     <div class="error-container">
         <div class="error-icon">⚠️</div>
-        <div class="error-message">${message}</div>
+        <div class="error-message">${escapeHtml(message)}</div>
     </div>
 </body>
 </html>`;
 }
 
-function generateClubActivitiesHtml({ clubId, lastWeekRange, thisWeekRange, lastWeekActivities, thisWeekActivities }) {
-  // Calculate summary statistics
-  const calculateSummary = (activities) => ({
+// Calculate summary statistics; units only apply to the sports' pace and speed
+function calculateSummary(activities, units) {
+  return {
     total_activities: activities.length,
     total_distance: activities.reduce((sum, activity) => sum + (activity.distance || 0), 0),
     total_moving_time: activities.reduce((sum, activity) => sum + (activity.moving_time || 0), 0),
     total_elevation_gain: activities.reduce((sum, activity) => sum + (activity.total_elevation_gain || 0), 0),
-    unique_athletes: [...new Set(activities.map(activity => activity.athlete?.id).filter(Boolean))].length
-  });
+    unique_athletes: [...new Set(activities.map(getAthleteKey).filter(Boolean))].length,
+    by_sport: summarizeBySport(activities, units)
+  };
+}
 
-  const lastWeekSummary = calculateSummary(lastWeekActivities);
-  const thisWeekSummary = calculateSummary(thisWeekActivities);
+function generateClubActivitiesHtml({ clubIds, periods, clubComparison, ranking, periodType, sportTypes, units, coverage, timeZone }) {
+  const reportTitles = { week: 'Weekly', month: 'Monthly', year: 'Yearly', custom: 'Custom Period' };
+  const reportTitle = `${reportTitles[periodType]} ${periods.length > 1 ? 'comparison' : 'report'}`;
+
+  // Clubs by distance, with their rank in each metric; the last row is all clubs without duplicates
+  const generateClubRows = () => {
+    const rankOf = (metric, clubId) => ranking[metric].find(entry => entry.club_id === clubId).rank;
+    const combined = calculateSummary(periods[periods.length - 1].activities, units);
+    return ranking.distance.map(({ club_id: clubId }) => {
+      const club = clubComparison.find(entry => entry.club_id === clubId);
+      return `
+      <tr>
+        <td style="font-weight: 500;">#${rankOf('distance', clubId)} ${escapeHtml(clubId)}${club.coverage?.truncated ? ' ⚠️' : ''}</td>
+        <td>${formatDistance(club.summary.total_distance, units)}</td>
+        <td>${club.summary.total_activities} (#${rankOf('activities', clubId)})</td>
+        <td>${club.summary.unique_athletes} (#${rankOf('active_athletes', clubId)})</td>
+        <td>${formatTime(club.summary.total_moving_time)}</td>
+      </tr>`;
+    }).join('') + `
+      <tr style="font-weight: 600;">
+        <td>All clubs (each activity once)</td>
+        <td>${formatDistance(combined.total_distance, units)}</td>
+        <td>${combined.total_activities}</td>
+        <td>${combined.unique_athletes}</td>
+        <td>${formatTime(combined.total_moving_time)}</td>
+      </tr>`;
+  };
+
+  // One row per sport, each with its own pace or speed
+  const generateSportRows = (bySport) => Object.entries(bySport).map(([sport, totals]) => {
+    const details = getSportDetails(sport);
+    return `
+                <tr>
+                    <td>${details.icon} ${details.label}</td>
+                    <td>${totals.activities}</td>
+                    <td>${formatDistance(totals.distance_meters, units)}</td>
+                    <td>${totals.metric ? totals.metric.formatted : '-'}</td>
+                </tr>`;
+  }).join('');
 
   const generateActivityRows = (activities) => {
     if (activities.length === 0) {
@@ -150,12 +240,12 @@ function generateClubActivitiesHtml({ clubId, lastWeekRange, thisWeekRange, last
 
     return activities.map(activity => `
       <tr>
-        <td style="font-weight: 500;">${activity.athlete?.firstname || ''} ${activity.athlete?.lastname || 'Unknown'}</td>
-        <td style="max-width: 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${activity.name || ''}">${activity.name || 'Untitled'}</td>
-        <td>${formatDistance(activity.distance)}</td>
+        <td style="font-weight: 500;">${escapeHtml(activity.athlete?.firstname || '')} ${escapeHtml(activity.athlete?.lastname || 'Unknown')}</td>
+        <td style="max-width: 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeHtml(activity.name || '')}">${escapeHtml(activity.name || 'Untitled')}</td>
+        <td>${formatDistance(activity.distance, units)}</td>
         <td>${formatTime(activity.moving_time)}</td>
-        <td>${calculatePace(activity.distance, activity.moving_time)}</td>
-        <td>${activity.type || 'Unknown'}</td>
+        <td>${getSportMetric(getActivitySport(activity), activity.distance, activity.moving_time, units)?.formatted || '-'}</td>
+        <td>${escapeHtml(activity.type || 'Unknown')}</td>
       </tr>
     `).join('');
   };
@@ -166,7 +256,7 @@ function generateClubActivitiesHtml({ clubId, lastWeekRange, thisWeekRange, last
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Club Activities - Weekly Report</title>
+    <title>Club Activities - ${reportTitles[periodType]} Report</title>
     <style>
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
@@ -286,6 +376,28 @@ function generateClubActivitiesHtml({ clubId, lastWeekRange, thisWeekRange, last
             background: #f8f9fa;
         }
         
+        .sport-breakdown {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 12px;
+            font-size: 13px;
+        }
+        
+        .sport-breakdown td {
+            padding: 4px 0;
+            border-top: 1px solid #f1f5f9;
+        }
+        
+        .coverage-notice {
+            background: #fff8e1;
+            border: 1px solid #ffe082;
+            border-radius: 8px;
+            color: #8d6e00;
+            font-size: 13px;
+            margin-bottom: 20px;
+            padding: 10px 16px;
+        }
+        
         .footer {
             text-align: center;
             color: #666;
@@ -317,76 +429,73 @@ function generateClubActivitiesHtml({ clubId, lastWeekRange, thisWeekRange, last
 <body>
     <div class="header">
         <h1>🏃 Club Activities Report</h1>
-        <p>Weekly comparison • Generated on ${new Date().toLocaleString()}</p>
+        <p>${reportTitle}${sportTypes ? ` • ${escapeHtml(sportTypes.join(', '))}` : ''} • Generated on ${new Date().toLocaleString(undefined, { timeZone })}</p>
     </div>
 
-    <div class="summary-grid">
-        <div class="summary-card">
-            <h3>📅 Last Week (${lastWeekRange.start.toLocaleDateString()} - ${lastWeekRange.end.toLocaleDateString()})</h3>
-            <div class="summary-stats">
-                <div class="stat">
-                    <span class="stat-value">${lastWeekSummary.total_activities}</span>
-                    <div class="stat-label">Activities</div>
-                </div>
-                <div class="stat">
-                    <span class="stat-value">${lastWeekSummary.unique_athletes}</span>
-                    <div class="stat-label">Athletes</div>
-                </div>
-                <div class="stat">
-                    <span class="stat-value">${formatDistance(lastWeekSummary.total_distance)}</span>
-                    <div class="stat-label">Total Distance</div>
-                </div>
-                <div class="stat">
-                    <span class="stat-value">${formatTime(lastWeekSummary.total_moving_time)}</span>
-                    <div class="stat-label">Total Time</div>
-                </div>
-            </div>
-        </div>
+    ${coverage?.truncated ? `
+    <div class="coverage-notice">
+        ⚠️ ${coverage.truncated_clubs
+          ? `Activities of club ${escapeHtml(coverage.truncated_clubs.join(', '))} could not be fetched for the whole period; totals may be incomplete.`
+          : coverage.source === 'store'
+          ? `Activities are tracked since ${new Date(coverage.tracking_since).toLocaleString(undefined, { timeZone })}; earlier activities are not dated, so totals may be incomplete.`
+          : `Only the latest ${coverage.activities_fetched} club activities could be fetched (${escapeHtml(coverage.reason)}); totals may be incomplete.`}
+    </div>` : ''}
+
+    ${clubComparison ? `
+    <div class="activities-section">
+        <h3 class="section-header">🏆 Club Comparison • ${escapeHtml(periods[periods.length - 1].label)}</h3>
+        <table class="activities-table">
+            <thead>
+                <tr>
+                    <th>Club</th>
+                    <th>Distance</th>
+                    <th>Activities</th>
+                    <th>Active Athletes</th>
+                    <th>Time</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${generateClubRows()}
+            </tbody>
+        </table>
+    </div>` : ''}
 
+    <div class="summary-grid">
+        ${periods.map(period => {
+          const summary = calculateSummary(period.activities, units);
+          return `
         <div class="summary-card">
-            <h3>📅 This Week (${thisWeekRange.start.toLocaleDateString()} - ${thisWeekRange.end.toLocaleDateString()})</h3>
+            <h3>📅 ${escapeHtml(period.label)} (${period.start.toLocaleDateString(undefined, { timeZone })} - ${period.end.toLocaleDateString(undefined, { timeZone })})</h3>
             <div class="summary-stats">
                 <div class="stat">
-                    <span class="stat-value">${thisWeekSummary.total_activities}</span>
+                    <span class="stat-value">${summary.total_activities}</span>
                     <div class="stat-label">Activities</div>
                 </div>
                 <div class="stat">
-                    <span class="stat-value">${thisWeekSummary.unique_athletes}</span>
+                    <span class="stat-value">${summary.unique_athletes}</span>
                     <div class="stat-label">Athletes</div>
                 </div>
                 <div class="stat">
-                    <span class="stat-value">${formatDistance(thisWeekSummary.total_distance)}</span>
+                    <span class="stat-value">${formatDistance(summary.total_distance, units)}</span>
                     <div class="stat-label">Total Distance</div>
                 </div>
                 <div class="stat">
-                    <span class="stat-value">${formatTime(thisWeekSummary.total_moving_time)}</span>
+                    <span class="stat-value">${formatTime(summary.total_moving_time)}</span>
                     <div class="stat-label">Total Time</div>
                 </div>
-            </div>
-        </div>
-    </div>
-
-    <div class="activities-section">
-        <h3 class="section-header">Last Week Activities</h3>
-        <table class="activities-table">
-            <thead>
-                <tr>
-                    <th>Athlete</th>
-                    <th>Activity</th>
-                    <th>Distance</th>
-                    <th>Time</th>
-                    <th>Pace</th>
-                    <th>Type</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${generateActivityRows(lastWeekActivities)}
-            </tbody>
-        </table>
+            </div>${Object.keys(summary.by_sport).length > 0 ? `
+            <table class="sport-breakdown">
+                <tbody>
+                    ${generateSportRows(summary.by_sport)}
+                </tbody>
+            </table>` : ''}
+        </div>`;
+        }).join('')}
     </div>
 
+    ${periods.map(period => `
     <div class="activities-section">
-        <h3 class="section-header">This Week Activities</h3>
+        <h3 class="section-header">${escapeHtml(period.label)} Activities</h3>
         <table class="activities-table">
             <thead>
                 <tr>
@@ -394,18 +503,18 @@ function generateClubActivitiesHtml({ clubId, lastWeekRange, thisWeekRange, last
                     <th>Activity</th>
                     <th>Distance</th>
                     <th>Time</th>
-                    <th>Pace</th>
+                    <th>Pace / Speed</th>
                     <th>Type</th>
                 </tr>
             </thead>
             <tbody>
-                ${generateActivityRows(thisWeekActivities)}
+                ${generateActivityRows(period.activities)}
             </tbody>
         </table>
-    </div>
+    </div>`).join('')}
 
     <div class="footer">
-        <p>🏃 Powered by Strava API • Club ID: ${clubId} • Last updated: ${new Date().toLocaleString()}</p>
+        <p>🏃 Powered by Strava API • Club ID${clubIds.length > 1 ? 's' : ''}: ${escapeHtml(clubIds.join(', '))} • Last updated: ${new Date().toLocaleString(undefined, { timeZone })} (${escapeHtml(timeZone)})</p>
     </div>
 </body>
 </html>`;
@@ -1,65 +1,93 @@
 import { NextResponse } from 'next/server';
 import { 
-  getClubActivitiesWithFallback, 
-  getLastWeekRange, 
-  getThisWeekRange, 
   filterActivitiesByDateRange,
   formatDistance,
   formatTime,
-  calculatePace
+  calculatePace,
+  getAthleteKey,
+  getStravaTokenManager
 } from '../../../../lib/strava';
 import { CLUB_CONFIG } from '../../../../lib/config';
+import { getPeriodOptionsFromParams, getRequestedPeriods } from '../../../../lib/periods';
+import { getFixtureReportTime, getFixtureRequest } from '../../../../lib/club-fixtures';
+import {
+  combineClubActivities,
+  combineClubCoverage,
+  getClubReportActivities,
+  getRequestedClubIds,
+  rankClubs
+} from '../../../../lib/club-report';
+import { getRequestedUnits } from '../../../../lib/units';
+import { filterActivitiesBySportTypes, getActivitySport, getRequestedSportTypes, getSportMetric, summarizeBySport } from '../../../../lib/sports';
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const clubId = searchParams.get('clubId') || CLUB_CONFIG.DEFAULT_CLUB_ID;
+
+    // Periods are counted in the club's timezone; tz and weekStart override DATE_CONFIG.
+    // Without from/to, period or compare this is this week against last week.
+    // A fixture set replays recorded feeds at a fixed time instead of reading live data.
+    // sportTypes limits the report to some sports (run, walk, ride, swim or a Strava sport type),
+    // units shows distances, paces and speeds in metric or imperial units
+    let clubIds;
+    let sportTypes;
+    let units;
+    let fixture;
+    let now;
+    let periodOptions;
+    let requested;
+    try {
+      clubIds = getRequestedClubIds(searchParams);
+      sportTypes = getRequestedSportTypes(searchParams);
+      units = getRequestedUnits(searchParams);
+      fixture = getFixtureRequest(searchParams);
+      now = fixture ? getFixtureReportTime(fixture, clubIds) : new Date();
+      periodOptions = getPeriodOptionsFromParams(searchParams);
+      requested = getRequestedPeriods(searchParams, periodOptions, now);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: error.status || 400 });
+    }
     
-    // Get access token from environment or headers
-    const accessToken = process.env.DEFAULT_ACCESS_TOKEN || 
-                       request.headers.get('authorization')?.replace('Bearer ', '');
+    // The shared token manager supplies (and refreshes) the club token; a caller's
+    // bearer token is only used when no Strava account is configured
+    const hasManagedToken = await getStravaTokenManager().hasToken();
+    const accessToken = hasManagedToken ? null : request.headers.get('authorization')?.replace('Bearer ', '');
     
     // For demo purposes, we'll proceed even without token and use local fallback
     const useLocalFallback = CLUB_CONFIG.USE_LOCAL_FALLBACK;
     
-    // Skip API call entirely if FORCE_LOCAL_DATA is enabled
-    let allActivities;
-    if (CLUB_CONFIG.FORCE_LOCAL_DATA) {
-      console.log('FORCE_LOCAL_DATA enabled, using local data directly...');
-      const { getLocalClubActivities } = await import('../../../../lib/strava');
-      allActivities = await getLocalClubActivities();
-    } else {
-      if (!accessToken && !useLocalFallback) {
+    // Activities are needed back to the start of the earliest period
+    const since = new Date(Math.min(...requested.periods.map(period => period.start.getTime())));
+
+    // One club at a time, as they share the Strava rate limit
+    const clubs = [];
+    for (const clubId of clubIds) {
+      const result = await getClubReportActivities(clubId, {
+        since,
+        accessToken,
+        allowLive: hasManagedToken || Boolean(accessToken) || useLocalFallback,
+        fixture,
+        now
+      });
+      if (!result) {
         return NextResponse.json(
           { error: 'Access token is required' },
           { status: 401 }
         );
       }
-
-      // Fetch activities with fallback support
-      allActivities = await getClubActivitiesWithFallback(
-        clubId, 
-        accessToken, 
-        useLocalFallback
-      );
+      clubs.push({ club_id: clubId, ...result, activities: filterActivitiesBySportTypes(result.activities, sportTypes) });
     }
 
-    // Get date ranges
-    const lastWeekRange = getLastWeekRange();
-    const thisWeekRange = getThisWeekRange();
+    // Several clubs are reported as one, counting an activity once even if it is in several feeds
+    const multiClub = clubs.length > 1;
+    const allActivities = multiClub ? combineClubActivities(clubs) : clubs[0].activities;
 
     // Filter activities by date ranges
-    const lastWeekActivities = filterActivitiesByDateRange(
-      allActivities, 
-      lastWeekRange.start, 
-      lastWeekRange.end
-    );
-    
-    const thisWeekActivities = filterActivitiesByDateRange(
-      allActivities, 
-      thisWeekRange.start, 
-      thisWeekRange.end
-    );
+    const periodActivities = requested.periods.map(period => filterActivitiesByDateRange(
+      allActivities,
+      period.start,
+      period.end
+    ));
 
     // Format activities for better presentation
     const formatActivity = (activity) => ({
@@ -72,7 +100,7 @@ export async function GET(request) {
       },
       distance: {
         meters: activity.distance,
-        formatted: formatDistance(activity.distance)
+        formatted: formatDistance(activity.distance, units)
       },
       moving_time: {
         seconds: activity.moving_time,
@@ -82,56 +110,99 @@ export async function GET(request) {
         seconds: activity.elapsed_time,
         formatted: formatTime(activity.elapsed_time)
       },
-      pace: calculatePace(activity.distance, activity.moving_time),
+      pace: calculatePace(activity.distance, activity.moving_time, units),
+      sport: getActivitySport(activity),
+      // Pace per km for runs and walks, km/h for rides, pace per 100m for swims
+      sport_metric: getSportMetric(getActivitySport(activity), activity.distance, activity.moving_time, units),
       total_elevation_gain: activity.total_elevation_gain,
       type: activity.type,
       sport_type: activity.sport_type,
       start_date: activity.start_date,
       start_date_local: activity.start_date_local,
-      workout_type: activity.workout_type
+      workout_type: activity.workout_type,
+      // With several clubs: the clubs this activity was posted in
+      club_ids: activity.club_ids
     });
 
-    const formattedLastWeek = lastWeekActivities.map(formatActivity);
-    const formattedThisWeek = thisWeekActivities.map(formatActivity);
-
     // Calculate summary statistics
     const calculateSummary = (activities) => ({
       total_activities: activities.length,
       total_distance: {
         meters: activities.reduce((sum, activity) => sum + (activity.distance || 0), 0),
-        formatted: formatDistance(activities.reduce((sum, activity) => sum + (activity.distance || 0), 0))
+        formatted: formatDistance(activities.reduce((sum, activity) => sum + (activity.distance || 0), 0), units)
       },
       total_moving_time: {
         seconds: activities.reduce((sum, activity) => sum + (activity.moving_time || 0), 0),
         formatted: formatTime(activities.reduce((sum, activity) => sum + (activity.moving_time || 0), 0))
       },
       total_elevation_gain: activities.reduce((sum, activity) => sum + (activity.total_elevation_gain || 0), 0),
-      unique_athletes: [...new Set(activities.map(activity => activity.athlete?.id).filter(Boolean))].length
+      unique_athletes: [...new Set(activities.map(getAthleteKey).filter(Boolean))].length,
+      by_sport: summarizeBySport(activities, units)
     });
 
+    const summaries = periodActivities.map(calculateSummary);
+    const byPeriod = (value) => Object.fromEntries(requested.periods.map((period, index) => [period.key, value(period, index)]));
+
+    // The requested period against the compared one; positive means the requested period is ahead
+    const [current, compared] = summaries;
+    const comparison = compared ? {
+      type: requested.compare,
+      period: requested.periods[0].key,
+      compared_with: requested.periods[1].key,
+      change: {
+        total_activities: current.total_activities - compared.total_activities,
+        total_distance_meters: current.total_distance.meters - compared.total_distance.meters,
+        total_moving_time_seconds: current.total_moving_time.seconds - compared.total_moving_time.seconds,
+        total_elevation_gain: current.total_elevation_gain - compared.total_elevation_gain,
+        unique_athletes: current.unique_athletes - compared.unique_athletes
+      }
+    } : null;
+
     const response = {
-      club_id: clubId,
+      ...(multiClub ? { club_ids: clubIds } : { club_id: clubIds[0] }),
       generated_at: new Date().toISOString(),
+      // The replayed fixture set and the time the periods were computed at
+      fixture: fixture ? { set: fixture.set, dates: fixture.dates, now: now.toISOString() } : undefined,
+      period: requested.type,
+      // Requested sports, null for every sport
+      sport_types: sportTypes,
+      // Units of the formatted values; meters and seconds are never converted
+      units,
+      // Whether the fetched feed reaches back to the start of the earliest period
+      coverage: multiClub ? combineClubCoverage(clubs) : clubs[0].coverage,
       date_ranges: {
-        last_week: {
-          start: lastWeekRange.start.toISOString(),
-          end: lastWeekRange.end.toISOString()
-        },
-        this_week: {
-          start: thisWeekRange.start.toISOString(),
-          end: thisWeekRange.end.toISOString()
-        }
-      },
-      summary: {
-        last_week: calculateSummary(lastWeekActivities),
-        this_week: calculateSummary(thisWeekActivities)
+        timezone: periodOptions.timeZone,
+        week_start_day: periodOptions.weekStartDay,
+        ...byPeriod(period => ({
+          label: period.label,
+          start: period.start.toISOString(),
+          end: period.end.toISOString()
+        }))
       },
-      activities: {
-        last_week: formattedLastWeek,
-        this_week: formattedThisWeek
-      }
+      summary: byPeriod((period, index) => summaries[index]),
+      activities: byPeriod((period, index) => periodActivities[index].map(formatActivity)),
+      comparison
     };
 
+    if (multiClub) {
+      const clubPeriodActivities = clubs.map(club => requested.periods.map(period => filterActivitiesByDateRange(
+        club.activities,
+        period.start,
+        period.end
+      )));
+
+      response.clubs = clubs.map((club, clubIndex) => ({
+        club_id: club.club_id,
+        coverage: club.coverage,
+        summary: byPeriod((period, index) => calculateSummary(clubPeriodActivities[clubIndex][index]))
+      }));
+      // Clubs ranked within the requested period
+      response.ranking = rankClubs(clubs.map((club, clubIndex) => ({
+        club_id: club.club_id,
+        activities: clubPeriodActivities[clubIndex][0]
+      })));
+    }
+
     return NextResponse.json(response);
 
   } catch (error) {
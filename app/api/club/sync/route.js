@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { CLUB_CONFIG } from '../../../../lib/config';
+import { syncClubActivities } from '../../../../lib/club-activity-store';
+import { getStravaTokenManager } from '../../../../lib/strava';
+
+// Protect this endpoint with a cron secret header (same header as /api/club/cron)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+/**
+ * GET /api/club/sync
+ * Cron job: store club activities not seen before. Activities are dated by the
+ * first sync that sees them, so run it often (every 15 minutes or so).
+ *
+ * Headers: x-cron-secret
+ * Query parameters:
+ * - clubId: club to sync (default CLUB_CONFIG.DEFAULT_CLUB_ID)
+ */
+export async function GET(request) {
+  const secret = request.headers.get('x-cron-secret');
+  if (!CRON_SECRET) {
+    console.warn('CRON_SECRET is not configured, rejecting club sync request');
+  }
+  if (!secret || !CRON_SECRET || secret !== CRON_SECRET) {
+    return NextResponse.json({ ok: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const clubId = new URL(request.url).searchParams.get('clubId') || CLUB_CONFIG.DEFAULT_CLUB_ID;
+
+    if (!(await getStravaTokenManager().hasToken())) {
+      return NextResponse.json({ ok: false, error: 'No Strava token configured' }, { status: 400 });
+    }
+
+    const result = await syncClubActivities(clubId);
+    if (!result.success) {
+      return NextResponse.json({ ok: false, ...result }, { status: 502 });
+    }
+    return NextResponse.json({ ok: true, ...result });
+  } catch (error) {
+    console.error('Club sync error:', error);
+    return NextResponse.json({ ok: false, error: error.message }, { status: 500 });
+  }
+}
@@ -1,21 +1,8 @@
 import { NextResponse } from 'next/server';
-import { google } from 'googleapis';
-
-const SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID || 'YOUR_SPREADSHEET_ID';
-const SUBMISSIONS_SHEET_NAME = process.env.GOOGLE_SUBMISSIONS_SHEET_NAME || 'WRP_run_submissions';
-const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-
-async function getGoogleSheetsClient() {
-  try {
-    const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY || '{}');
-    const auth = new google.auth.GoogleAuth({ credentials, scopes: SCOPES });
-    const authClient = await auth.getClient();
-    return google.sheets({ version: 'v4', auth: authClient });
-  } catch (err) {
-    console.error('Error creating Sheets client:', err);
-    throw err;
-  }
-}
+import { getSubmissionRepository } from '../../../../lib/storage';
+import { SUBMISSION_CONFIG } from '../../../../lib/config';
+import { isActiveSubmission } from '../../../../lib/submissions';
+import { convertDistance, formatPace, getPaceSeconds, getRequestedUnits, getUnitLabels } from '../../../../lib/units';
 
 function parseDurationToSeconds(hms) {
   if (!hms) return 0;
@@ -38,56 +25,65 @@ function formatSecondsToHms(total) {
 }
 
 export async function GET(request) {
+  const url = new URL(request.url);
+
+  // Distances and paces in km or miles; totals are summed in meters and seconds
+  let units;
+  try {
+    units = getRequestedUnits(url.searchParams);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: error.status || 400 });
+  }
+
   try {
-    const sheets = await getGoogleSheetsClient();
-    const range = `${SUBMISSIONS_SHEET_NAME}!A2:N1000`;
-    const res = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range });
-    const rows = res.data.values || [];
+    const submissions = (await getSubmissionRepository().list()).filter(isActiveSubmission);
 
-    // Columns: A=Date Submit, B=Nama Lengkap, C=Email, D=Handphone, E=Link Strava, F=Jarak, G=Durasi, H=Foto, I=Activity Name, J=Location, K=Activity Date, L=Pace, M=Authenticated, N=Auth Valid
     const users = {};
 
-    for (const row of rows) {
-      const name = (row[1] || '').trim();
-      const email = (row[2] || '').trim().toLowerCase();
-      const distance = parseFloat(row[5]) || 0;
-      const duration = row[6] || '';
-      const pace = row[11] || ''; // Column L (0-indexed as 11)
+    for (const submission of submissions) {
+      const name = String(submission.name || '').trim();
+      const email = submission.email.trim().toLowerCase();
+      const distance = submission.distanceMeters;
+      const seconds = submission.durationSeconds;
 
       // Remove verified check since there's no Verified column
       if (!name || !email) continue;
 
       const key = `${name}::${email}`;
-      if (!users[key]) users[key] = { name, email, totalDistance: 0, totalSeconds: 0, submissions: 0, paces: [] };
+      if (!users[key]) users[key] = { name, email, totalMeters: 0, totalSeconds: 0, submissions: 0, paces: [] };
 
-      if (users[key].submissions < 4) {
-        users[key].totalDistance += distance;
-        users[key].totalSeconds += parseDurationToSeconds(duration);
+      if (users[key].submissions < SUBMISSION_CONFIG.MAX_PER_EMAIL) {
+        users[key].totalMeters += distance;
+        users[key].totalSeconds += seconds;
         users[key].submissions += 1;
+        // Paces from distance and duration, so submissions scraped from a page in miles compare too
+        const pace = getPaceSeconds(distance, seconds);
         if (pace) users[key].paces.push(pace);
       }
     }
 
     const leaderboard = Object.values(users).map(u => {
       // Calculate average pace if available
-      const avgPace = u.paces.length > 0 ? u.paces[Math.floor(u.paces.length / 2)] : ''; // Use median pace
+      const paces = [...u.paces].sort((a, b) => a - b);
+      const medianPace = paces.length > 0 ? paces[Math.floor(paces.length / 2)] : null; // Use median pace
       return {
         name: u.name,
         email: u.email,
         submissions: u.submissions,
-        totalDistance: Number(u.totalDistance.toFixed(2)),
+        totalDistance: convertDistance(u.totalMeters, units),
+        totalDistanceMeters: u.totalMeters,
         totalDuration: formatSecondsToHms(u.totalSeconds),
-        avgPace: avgPace
+        // One kilometer (or mile) at the median pace
+        avgPace: medianPace ? formatPace(1000, medianPace, units) : ''
       };
     });
 
     // sort by totalDistance desc then totalSeconds asc
     leaderboard.sort((a, b) => {
-      if (b.totalDistance !== a.totalDistance) return b.totalDistance - a.totalDistance;
+      if (b.totalDistanceMeters !== a.totalDistanceMeters) return b.totalDistanceMeters - a.totalDistanceMeters;
       return parseDurationToSeconds(a.totalDuration) - parseDurationToSeconds(b.totalDuration);
     });
 
-    const url = new URL(request.url);
     const wantIframe = url.searchParams.get('view') === 'iframe' || request.headers.get('accept')?.includes('text/html');
 
     if (wantIframe) {
@@ -141,7 +137,7 @@ export async function GET(request) {
               <div class="table-wrap">
                 <table>
                   <thead>
-                    <tr><th>#</th><th>Nama</th><th>Subm</th><th>Jarak (km)</th><th>Durasi</th><th>Pace</th></tr>
+                    <tr><th>#</th><th>Nama</th><th>Subm</th><th>Jarak (${getUnitLabels(units).distance})</th><th>Durasi</th><th>Pace</th></tr>
                   </thead>
                   <tbody>
                     ${rowsHtml}
@@ -154,7 +150,7 @@ export async function GET(request) {
       return new NextResponse(html, { status: 200, headers: { 'Content-Type': 'text/html' } });
     }
 
-    return NextResponse.json({ total: leaderboard.length, leaderboard });
+    return NextResponse.json({ total: leaderboard.length, units, leaderboard });
   } catch (error) {
     console.error('Leaderboard error:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
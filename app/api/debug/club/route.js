@@ -1,11 +1,14 @@
 import { NextResponse } from 'next/server';
 import { 
-  getClubActivitiesWithFallback, 
+  getClubActivityWindow, 
   getLastWeekRange, 
   getThisWeekRange, 
-  filterActivitiesByDateRange
+  filterActivitiesByDateRange,
+  getStravaRateLimiter,
+  getStravaTokenManager
 } from '../../../../lib/strava';
 import { CLUB_CONFIG } from '../../../../lib/config';
+import { getPeriodOptionsFromParams } from '../../../../lib/periods';
 
 export async function GET(request) {
   try {
@@ -13,34 +16,39 @@ export async function GET(request) {
     
     const { searchParams } = new URL(request.url);
     const clubId = searchParams.get('clubId') || CLUB_CONFIG.DEFAULT_CLUB_ID;
+    const periodOptions = getPeriodOptionsFromParams(searchParams);
     
     console.log('Config:', {
       clubId,
       FORCE_LOCAL_DATA: CLUB_CONFIG.FORCE_LOCAL_DATA,
       USE_LOCAL_FALLBACK: CLUB_CONFIG.USE_LOCAL_FALLBACK,
+      periodOptions,
     });
     
-    // Get access token from environment or headers
-    const accessToken = process.env.DEFAULT_ACCESS_TOKEN || 
-                       request.headers.get('authorization')?.replace('Bearer ', '');
+    // The shared token manager supplies the club token; fall back to the caller's bearer token
+    const tokenManager = getStravaTokenManager();
+    const hasManagedToken = await tokenManager.hasToken();
+    const accessToken = hasManagedToken ? null : request.headers.get('authorization')?.replace('Bearer ', '');
+    const tokenStatus = await tokenManager.getStatus();
     
-    console.log('Access token exists:', !!accessToken);
-    console.log('Token first 10 chars:', accessToken?.substring(0, 10) + '...');
+    console.log('Access token exists:', hasManagedToken || !!accessToken);
+    console.log('Token status:', tokenStatus);
     
+    // Get date ranges
+    const lastWeekRange = getLastWeekRange(periodOptions);
+    const thisWeekRange = getThisWeekRange(periodOptions);
+
     // Skip API call entirely if FORCE_LOCAL_DATA is enabled
-    let allActivities;
     if (CLUB_CONFIG.FORCE_LOCAL_DATA) {
       console.log('FORCE_LOCAL_DATA enabled, using local data directly...');
-      const { getLocalClubActivities } = await import('../../../../lib/strava');
-      allActivities = await getLocalClubActivities();
     } else {
       console.log('Fetching from Strava API...');
-      allActivities = await getClubActivitiesWithFallback(
-        clubId, 
-        accessToken, 
-        CLUB_CONFIG.USE_LOCAL_FALLBACK
-      );
     }
+    const { activities: allActivities, coverage } = await getClubActivityWindow(clubId, accessToken, {
+      since: lastWeekRange.start,
+      useLocal: CLUB_CONFIG.USE_LOCAL_FALLBACK,
+      forceLocal: CLUB_CONFIG.FORCE_LOCAL_DATA
+    });
 
     console.log('Total activities fetched:', allActivities.length);
     console.log('First activity sample:', allActivities[0] ? {
@@ -51,9 +59,6 @@ export async function GET(request) {
       start_date: allActivities[0].start_date
     } : 'No activities');
 
-    // Get date ranges
-    const lastWeekRange = getLastWeekRange();
-    const thisWeekRange = getThisWeekRange();
     
     console.log('Date ranges:', {
       lastWeek: {
@@ -90,13 +95,19 @@ export async function GET(request) {
           clubId,
           FORCE_LOCAL_DATA: CLUB_CONFIG.FORCE_LOCAL_DATA,
           USE_LOCAL_FALLBACK: CLUB_CONFIG.USE_LOCAL_FALLBACK,
-          has_access_token: !!accessToken
+          has_access_token: hasManagedToken || !!accessToken,
+          strava_token: tokenStatus,
+          // Usage after this request's own Strava calls
+          strava_rate_limit: getStravaRateLimiter().getStatus()
         },
         data_summary: {
           total_activities: allActivities.length,
+          coverage,
           last_week_activities: lastWeekActivities.length,
           this_week_activities: thisWeekActivities.length,
           date_ranges: {
+            timezone: periodOptions.timeZone,
+            weekStartDay: periodOptions.weekStartDay,
             lastWeek: {
               start: lastWeekRange.start.toISOString(),
               end: lastWeekRange.end.toISOString()
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { processOutbox } from '../../../../lib/notifications';
+
+// Protect this endpoint with a cron secret header (same header as /api/club/cron)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+/**
+ * GET /api/notifications/outbox
+ * Cron job: retry notifications whose delivery failed and whose next attempt is due.
+ *
+ * Headers: x-cron-secret
+ * Query parameters:
+ * - limit: maximum notifications to retry (default 50)
+ */
+export async function GET(request) {
+  const secret = request.headers.get('x-cron-secret');
+  if (!secret || !CRON_SECRET || secret !== CRON_SECRET) {
+    return NextResponse.json({ ok: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const limit = parseInt(new URL(request.url).searchParams.get('limit'), 10) || 50;
+    const summary = await processOutbox({ limit });
+    console.log('Notification outbox summary:', summary);
+    return NextResponse.json({ ok: true, summary });
+  } catch (error) {
+    console.error('Notification outbox error:', error);
+    return NextResponse.json({ ok: false, error: error.message }, { status: 500 });
+  }
+}
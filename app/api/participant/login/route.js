@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { requestParticipantLogin } from '../../../../lib/participant-auth';
+
+// Same answer whether or not the email is registered, so registrations cannot be probed
+const LOGIN_SENT_MESSAGE = 'Jika email terdaftar, kode masuk dan tautan login telah dikirim ke email tersebut';
+
+/**
+ * POST /api/participant/login
+ * Send a one-time login code and magic link to a participant's registered email
+ *
+ * Body: { "email": "<registered email>" }
+ */
+export async function POST(request) {
+  try {
+    const { email } = await request.json().catch(() => ({}));
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(String(email).trim())) {
+      return NextResponse.json(
+        { error: 'Invalid email format' },
+        { status: 400 }
+      );
+    }
+
+    const result = await requestParticipantLogin(email);
+    if (!result.sent) {
+      console.log('Participant login not sent:', result.reason);
+    }
+
+    return NextResponse.json({ success: true, message: LOGIN_SENT_MESSAGE });
+  } catch (error) {
+    console.error('Participant login request error:', error);
+    return NextResponse.json(
+      { error: 'Login code could not be sent, please try again later' },
+      { status: 503 }
+    );
+  }
+}
@@ -0,0 +1,242 @@
+import { NextResponse } from 'next/server';
+import {
+  getRegistrationAuditRepository,
+  getRegistrationRepository,
+  getSubmissionRepository
+} from '../../../../lib/storage';
+import { PARTICIPANT_CONFIG } from '../../../../lib/config';
+import { getEvent, getPackage } from '../../../../lib/catalog';
+import { authorizeParticipant } from '../../../../lib/participant-auth';
+
+const GENDERS = ['Laki-laki', 'Perempuan'];
+const ADDRESS_PARTS = ['street', 'rtRw', 'district', 'city', 'province', 'postcode'];
+const REQUIRED_ADDRESS_PARTS = ['street', 'city', 'province'];
+
+/**
+ * Whether participants may still edit their registration
+ * @returns {Object} - { open, cutoff }
+ */
+function getEditWindow() {
+  const cutoff = PARTICIPANT_CONFIG.EDIT_CUTOFF ? new Date(PARTICIPANT_CONFIG.EDIT_CUTOFF) : null;
+  if (cutoff && isNaN(cutoff.getTime())) {
+    console.warn('Invalid PARTICIPANT_EDIT_CUTOFF, editing is closed:', PARTICIPANT_CONFIG.EDIT_CUTOFF);
+    return { open: false, cutoff: null };
+  }
+  return { open: !cutoff || cutoff > new Date(), cutoff: cutoff ? cutoff.toISOString() : null };
+}
+
+/**
+ * Fields a participant may edit for their package
+ * @param {Object} pkg - Catalog package
+ * @returns {Array<string>}
+ */
+function getEditableFields(pkg) {
+  return pkg?.requiresJersey ? ['jerseySize', 'gender', 'fullAddress'] : ['fullAddress'];
+}
+
+/**
+ * Validate an edit and list the changed fields
+ * @param {Object} registration - Stored registration
+ * @param {Object} body - Requested changes
+ * @returns {Object} - { error } or { patch, changes }
+ */
+function buildEdit(registration, body) {
+  const pkg = getPackage(registration.packageType);
+  const editable = getEditableFields(pkg);
+
+  const unknownFields = Object.keys(body).filter(field => !editable.includes(field));
+  if (unknownFields.length > 0) {
+    return { error: `These fields cannot be edited: ${unknownFields.join(', ')}` };
+  }
+
+  const patch = {};
+  const changes = [];
+
+  if ('jerseySize' in body) {
+    const jerseySizes = getEvent()?.jerseySizes || [];
+    if (!jerseySizes.includes(body.jerseySize)) {
+      return { error: `Jersey size must be one of: ${jerseySizes.join(', ')}` };
+    }
+    if (body.jerseySize !== registration.jerseySize) {
+      patch.jerseySize = body.jerseySize;
+      changes.push({ field: 'jerseySize', oldValue: registration.jerseySize, newValue: body.jerseySize });
+    }
+  }
+
+  if ('gender' in body) {
+    if (!GENDERS.includes(body.gender)) {
+      return { error: `Gender must be one of: ${GENDERS.join(', ')}` };
+    }
+    if (body.gender !== registration.gender) {
+      patch.gender = body.gender;
+      changes.push({ field: 'gender', oldValue: registration.gender, newValue: body.gender });
+    }
+  }
+
+  if ('fullAddress' in body) {
+    const address = body.fullAddress;
+    if (!address || typeof address !== 'object' ||
+      REQUIRED_ADDRESS_PARTS.some(part => !String(address[part] || '').trim())) {
+      return { error: 'Address street, city and province are required' };
+    }
+
+    const fullAddress = Object.fromEntries(ADDRESS_PARTS.map(part => [part, String(address[part] || '').trim()]));
+    for (const part of ADDRESS_PARTS) {
+      if (fullAddress[part] !== (registration.fullAddress?.[part] || '')) {
+        changes.push({ field: `fullAddress.${part}`, oldValue: registration.fullAddress?.[part], newValue: fullAddress[part] });
+      }
+    }
+    if (registration.simpleAddress) {
+      // The full address replaces a simple address, so the complete address is rebuilt from it
+      changes.push({ field: 'simpleAddress', oldValue: registration.simpleAddress, newValue: '' });
+    }
+    if (changes.some(change => change.field.startsWith('fullAddress.') || change.field === 'simpleAddress')) {
+      patch.fullAddress = fullAddress;
+      patch.simpleAddress = '';
+    }
+  }
+
+  return { patch, changes };
+}
+
+/**
+ * Participant view of a registration
+ * @param {Object} registration
+ * @param {number} submissionsCount
+ * @returns {Object}
+ */
+function toParticipantView(registration, submissionsCount) {
+  const pkg = getPackage(registration.packageType);
+  const editWindow = getEditWindow();
+
+  return {
+    id: registration.id,
+    name: registration.name,
+    email: registration.email,
+    phone: registration.phone,
+    stravaName: registration.stravaName,
+    registrationDate: registration.registrationDate,
+    package: {
+      id: registration.packageType,
+      name: pkg?.name || registration.packageType,
+      requiresJersey: Boolean(pkg?.requiresJersey)
+    },
+    jerseySize: registration.jerseySize,
+    gender: registration.gender,
+    simpleAddress: registration.simpleAddress,
+    fullAddress: registration.fullAddress,
+    status: registration.status,
+    paymentStatus: registration.paymentStatus,
+    totalAmount: registration.totalAmount,
+    paymentLink: registration.paymentStatus === 'paid' ? null : registration.paymentLink,
+    submissionsCount,
+    strava: {
+      connected: Boolean(registration.stravaAthleteId),
+      athleteId: registration.stravaAthleteId || null,
+      connectedAt: registration.stravaConnectedAt || null
+    },
+    edit: {
+      open: editWindow.open,
+      cutoff: editWindow.cutoff,
+      fields: getEditableFields(pkg)
+    }
+  };
+}
+
+async function countSubmissions(email) {
+  try {
+    return (await getSubmissionRepository().listByEmail(email)).length;
+  } catch (error) {
+    console.warn('Could not count submissions:', error.message);
+    return null;
+  }
+}
+
+/**
+ * GET /api/participant/registration
+ * The signed-in participant's registration: package, payment status and submissions count
+ */
+export async function GET(request) {
+  const auth = authorizeParticipant(request);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const registration = await getRegistrationRepository().findById(auth.participant.registrationId);
+    if (!registration) {
+      return NextResponse.json({ error: 'Registration not found' }, { status: 404 });
+    }
+
+    const submissionsCount = await countSubmissions(registration.email);
+    return NextResponse.json({ registration: toParticipantView(registration, submissionsCount) });
+  } catch (error) {
+    console.error('Error fetching participant registration:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/participant/registration
+ * Edit jerseySize, gender (jersey packages only) and fullAddress until PARTICIPANT_EDIT_CUTOFF.
+ * Every changed field is written to the Registration_Audit log.
+ *
+ * Body: { "jerseySize": "M", "gender": "Perempuan", "fullAddress": { street, rtRw, district, city, province, postcode } }
+ */
+export async function PATCH(request) {
+  const auth = authorizeParticipant(request);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const editWindow = getEditWindow();
+    if (!editWindow.open) {
+      return NextResponse.json(
+        { error: 'Perubahan data pendaftaran sudah ditutup', cutoff: editWindow.cutoff },
+        { status: 403 }
+      );
+    }
+
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return NextResponse.json({ error: 'Invalid request body' }, { status: 400 });
+    }
+
+    const repository = getRegistrationRepository();
+    const registration = await repository.findById(auth.participant.registrationId);
+    if (!registration) {
+      return NextResponse.json({ error: 'Registration not found' }, { status: 404 });
+    }
+
+    const edit = buildEdit(registration, body);
+    if (edit.error) {
+      return NextResponse.json({ error: edit.error }, { status: 400 });
+    }
+
+    let updated = registration;
+    if (edit.changes.length > 0) {
+      updated = await repository.update(registration.id, edit.patch);
+      console.log(`Participant updated registration ${registration.id}:`, edit.changes.map(change => change.field));
+
+      try {
+        await getRegistrationAuditRepository().logChanges(registration.id, edit.changes, {
+          actor: `participant:${auth.participant.email}`,
+          source: 'participant-portal'
+        });
+      } catch (auditError) {
+        // Keep the full change in the server log so the audit trail can be restored
+        console.error('Failed to write registration audit log:', auditError.message, {
+          registrationId: registration.id,
+          changes: edit.changes
+        });
+      }
+    }
+
+    const submissionsCount = await countSubmissions(updated.email);
+    return NextResponse.json({
+      success: true,
+      changed: edit.changes.map(change => change.field),
+      registration: toParticipantView(updated, submissionsCount)
+    });
+  } catch (error) {
+    console.error('Error updating participant registration:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { PARTICIPANT_CONFIG } from '../../../../lib/config';
+import {
+  authorizeParticipant,
+  createParticipantSessionToken,
+  verifyLoginCode,
+  verifyMagicLinkToken
+} from '../../../../lib/participant-auth';
+
+/**
+ * Build the session response and set the session cookie
+ * @param {Object} registration
+ * @param {NextResponse} [response] - Response to attach the cookie to (defaults to JSON with the token)
+ * @returns {NextResponse}
+ */
+function startSession(registration, response = null) {
+  const { token, expiresAt } = createParticipantSessionToken(registration);
+  const sessionResponse = response || NextResponse.json({
+    success: true,
+    registrationId: registration.id,
+    token,
+    expiresAt: expiresAt.toISOString()
+  });
+  sessionResponse.cookies.set(PARTICIPANT_CONFIG.SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // Magic links are opened from the email client
+    path: '/',
+    expires: expiresAt
+  });
+  return sessionResponse;
+}
+
+/**
+ * POST /api/participant/session
+ * Sign in with a login code or magic link token
+ *
+ * Body: { "email": "...", "code": "123456" } or { "token": "<magic link token>" }
+ * Returns a session token (usable as Bearer token) and sets the session cookie.
+ */
+export async function POST(request) {
+  try {
+    const { email, code, token } = await request.json().catch(() => ({}));
+
+    let registration = null;
+    if (token) {
+      registration = await verifyMagicLinkToken(token);
+    } else if (email && code) {
+      registration = await verifyLoginCode(email, code);
+    } else {
+      return NextResponse.json(
+        { error: 'email and code, or token, are required' },
+        { status: 400 }
+      );
+    }
+
+    if (!registration) {
+      return NextResponse.json(
+        { error: 'Kode atau tautan login tidak valid atau sudah kedaluwarsa' },
+        { status: 401 }
+      );
+    }
+
+    console.log(`Participant session started for registration ${registration.id}`);
+    return startSession(registration);
+  } catch (error) {
+    console.error('Participant sign-in error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * GET /api/participant/session
+ * With ?token=: magic link sign-in. Redirects to PARTICIPANT_PORTAL_URL when configured.
+ * Without a token: return the current participant session.
+ */
+export async function GET(request) {
+  const token = new URL(request.url).searchParams.get('token');
+
+  if (!token) {
+    const auth = authorizeParticipant(request);
+    if (!auth.authorized) return auth.response;
+    return NextResponse.json({ participant: auth.participant });
+  }
+
+  try {
+    const registration = await verifyMagicLinkToken(token);
+    if (!registration) {
+      return NextResponse.json(
+        { error: 'Kode atau tautan login tidak valid atau sudah kedaluwarsa' },
+        { status: 401 }
+      );
+    }
+
+    console.log(`Participant session started from magic link for registration ${registration.id}`);
+    if (PARTICIPANT_CONFIG.PORTAL_URL) {
+      return startSession(registration, NextResponse.redirect(PARTICIPANT_CONFIG.PORTAL_URL));
+    }
+    return startSession(registration);
+  } catch (error) {
+    console.error('Participant magic link error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/participant/session
+ * Log out by clearing the session cookie
+ */
+export async function DELETE() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(PARTICIPANT_CONFIG.SESSION_COOKIE_NAME, '', { httpOnly: true, path: '/', maxAge: 0 });
+  return response;
+}
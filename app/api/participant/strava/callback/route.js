@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { PARTICIPANT_CONFIG } from '../../../../../lib/config';
+import { connectParticipantStrava, verifyStravaConnectState } from '../../../../../lib/participant-strava';
+
+/**
+ * Answer the participant's browser: back to the portal when PARTICIPANT_PORTAL_URL is set, JSON otherwise
+ * @param {Object} result - { success, status?, error?, athleteId?, athleteName? }
+ * @returns {NextResponse}
+ */
+function respond(result) {
+  if (PARTICIPANT_CONFIG.PORTAL_URL) {
+    const url = new URL(PARTICIPANT_CONFIG.PORTAL_URL);
+    url.searchParams.set('strava', result.success ? 'connected' : 'error');
+    if (!result.success) url.searchParams.set('reason', result.error);
+    return NextResponse.redirect(url.toString());
+  }
+
+  if (!result.success) {
+    return NextResponse.json({ error: result.error }, { status: result.status });
+  }
+  return NextResponse.json({
+    success: true,
+    connected: true,
+    athleteId: result.athleteId,
+    athleteName: result.athleteName
+  });
+}
+
+/**
+ * GET /api/participant/strava/callback
+ * OAuth redirect target (STRAVA_REDIRECT_URI). Strava adds ?code&scope&state, or ?error=access_denied.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  const registrationId = verifyStravaConnectState(searchParams.get('state'));
+  if (!registrationId) {
+    return respond({ success: false, status: 400, error: 'Tautan koneksi Strava tidak valid atau sudah kedaluwarsa, silakan ulangi' });
+  }
+
+  if (searchParams.get('error') || !searchParams.get('code')) {
+    console.log(`Strava authorization declined for registration ${registrationId}:`, searchParams.get('error'));
+    return respond({ success: false, status: 400, error: 'Strava authorization was cancelled' });
+  }
+
+  try {
+    const result = await connectParticipantStrava(registrationId, {
+      code: searchParams.get('code'),
+      scope: searchParams.get('scope')
+    });
+    return respond(result);
+  } catch (error) {
+    console.error('Strava connect error:', error);
+    return respond({ success: false, status: 502, error: 'Could not connect your Strava account, please try again' });
+  }
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { getRegistrationRepository } from '../../../../../lib/storage';
+import { authorizeParticipant } from '../../../../../lib/participant-auth';
+import {
+  createStravaConnectUrl,
+  disconnectParticipantStrava,
+  isStravaConnectConfigured
+} from '../../../../../lib/participant-strava';
+
+function notConfigured() {
+  return NextResponse.json({ error: 'Strava connection is not available' }, { status: 503 });
+}
+
+/**
+ * GET /api/participant/strava/connect
+ * Start "Connect with Strava": redirects the signed-in participant to Strava's authorization page.
+ * Strava sends them back to STRAVA_REDIRECT_URI (/api/participant/strava/callback).
+ */
+export async function GET(request) {
+  const auth = authorizeParticipant(request);
+  if (!auth.authorized) return auth.response;
+  if (!isStravaConnectConfigured()) return notConfigured();
+
+  return NextResponse.redirect(createStravaConnectUrl(auth.participant.registrationId));
+}
+
+/**
+ * POST /api/participant/strava/connect
+ * Same as GET, but returns the authorization URL for clients using a Bearer session token
+ */
+export async function POST(request) {
+  const auth = authorizeParticipant(request);
+  if (!auth.authorized) return auth.response;
+  if (!isStravaConnectConfigured()) return notConfigured();
+
+  return NextResponse.json({ authorizeUrl: createStravaConnectUrl(auth.participant.registrationId) });
+}
+
+/**
+ * DELETE /api/participant/strava/connect
+ * Disconnect Strava: revoke our access and remove the athlete and tokens from the registration.
+ * Later submissions fall back to the public activity page.
+ */
+export async function DELETE(request) {
+  const auth = authorizeParticipant(request);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const registration = await getRegistrationRepository().findById(auth.participant.registrationId);
+    if (!registration) {
+      return NextResponse.json({ error: 'Registration not found' }, { status: 404 });
+    }
+    if (!registration.stravaAthleteId) {
+      return NextResponse.json({ success: true, connected: false });
+    }
+
+    await disconnectParticipantStrava(registration);
+    console.log(`Registration ${registration.id} disconnected Strava athlete ${registration.stravaAthleteId}`);
+    return NextResponse.json({ success: true, connected: false });
+  } catch (error) {
+    console.error('Strava disconnect error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
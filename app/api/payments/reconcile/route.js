@@ -0,0 +1,279 @@
+import { NextResponse } from 'next/server';
+import { getPaymentAttemptRepository, getRegistrationRepository, getTransactionRepository } from '../../../../lib/storage';
+import { EVENT_STATUSES, getEventTtlSeconds, getIdempotencyStore } from '../../../../lib/idempotency';
+import { PAYMENT_CONFIG } from '../../../../lib/config';
+import {
+  DISPLAY_STATUS_MAP,
+  PAYMENT_STATUS_MAP,
+  applyBusinessLogic,
+  generateEventId,
+  getMidtransPaymentLinkOrderIds,
+  getMidtransTransactionStatus,
+  processPaymentNotification
+} from '../../../../lib/payments';
+import { releasePromoCode } from '../../../../lib/promo-redemptions';
+
+// Protect this endpoint with a cron secret header (same header as /api/club/cron)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// Registrations in these payment statuses may still change at Midtrans
+const NON_FINAL_PAYMENT_STATUSES = ['', 'unpaid', 'pending', 'unknown'];
+
+// Payment statuses with no Midtrans transaction yet; they expire with their payment link
+const UNPAID_PAYMENT_STATUSES = ['', 'unpaid', 'unknown'];
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Parse a Midtrans timestamp ("2025-01-01 10:00:00", Asia/Jakarta time)
+ * @param {string} value
+ * @returns {string} ISO timestamp
+ */
+function parseMidtransTime(value) {
+  if (!value) return new Date(0).toISOString();
+  const date = new Date(`${String(value).replace(' ', 'T')}+07:00`);
+  return isNaN(date.getTime()) ? new Date(0).toISOString() : date.toISOString();
+}
+
+/**
+ * Order IDs that may hold transactions for a registration: the stored order ID, the
+ * orders of earlier payment attempts, any longer order IDs (payment link
+ * transactions) seen in the transaction history, and the transactions Midtrans
+ * lists on each order's payment link, for payments whose webhook never arrived
+ * @param {Object} registration
+ * @param {Array<string>} knownOrderIds
+ * @param {Array<Object>} attempts - Payment attempts of the registration
+ * @returns {Promise<Array<string>>}
+ */
+async function getCandidateOrderIds(registration, knownOrderIds, attempts) {
+  const orderIds = [...new Set([registration.midtransOrderId, ...attempts.map(attempt => attempt.orderId)])];
+
+  const linkOrderIds = [];
+  for (const orderId of orderIds) {
+    try {
+      linkOrderIds.push(...await getMidtransPaymentLinkOrderIds(orderId));
+    } catch (error) {
+      console.warn(`Could not read the payment link of order ${orderId}:`, error.message);
+    }
+  }
+
+  return [...new Set([
+    ...orderIds,
+    ...knownOrderIds.filter(id => orderIds.some(orderId => id.startsWith(orderId))),
+    ...linkOrderIds
+  ])];
+}
+
+/**
+ * When the registration's latest payment link expires
+ * @param {Object} registration
+ * @param {Array<Object>} attempts - Payment attempts of the registration
+ * @returns {Date}
+ */
+function getLinkExpiresAt(registration, attempts) {
+  const latest = attempts[attempts.length - 1];
+  const createdAt = new Date(latest ? latest.createdAt : registration.registrationDate);
+  return new Date(createdAt.getTime() + PAYMENT_CONFIG.LINK_EXPIRY_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Mark an unpaid registration whose payment link expired unused as expired, giving
+ * back its promo code. Midtrans sends no notification for a link that was never
+ * opened, so nothing else would take it out of the reconcile run.
+ * @param {Object} registration
+ * @returns {Promise<void>}
+ */
+async function expireRegistration(registration) {
+  await getRegistrationRepository().update(registration.id, {
+    paymentStatus: 'expired',
+    status: DISPLAY_STATUS_MAP.expired || 'pending'
+  });
+  if (registration.promoCode) {
+    await releasePromoCode(registration).catch(error => {
+      console.error(`Failed to release promo code ${registration.promoCode} of registration ${registration.id}:`, error.message);
+    });
+  }
+}
+
+/**
+ * Apply a Midtrans status response through the webhook pipeline, claiming it in the
+ * idempotency store first so a late webhook for the same event is not processed twice
+ * @param {Object} statusResponse - Midtrans status API response
+ * @returns {Promise<Object>} - { processed, result?, reason? }
+ */
+async function applyStatus(statusResponse) {
+  const store = getIdempotencyStore();
+  const eventId = generateEventId(statusResponse);
+  const options = { ttlSeconds: getEventTtlSeconds(), payload: statusResponse };
+
+  let claim = await store.claim(eventId, options);
+  if (!claim.claimed && claim.record?.status === EVENT_STATUSES.FAILED) {
+    // The webhook saw this event but failed to apply it; take it over
+    await store.release(eventId);
+    claim = await store.claim(eventId, options);
+  }
+  if (!claim.claimed) {
+    return { processed: false, eventId, reason: `Event already ${claim.record?.status || 'claimed'}` };
+  }
+
+  const result = await processPaymentNotification(statusResponse, eventId, { source: 'reconcile' });
+  await store.finish(eventId, result.success ? EVENT_STATUSES.COMPLETED : EVENT_STATUSES.FAILED, result);
+  return { processed: true, eventId, result };
+}
+
+/**
+ * Compare one registration with Midtrans and fix it when they disagree
+ * @param {Object} registration
+ * @param {Object} history - { knownOrderIds, attempts } from the transaction and payment attempt history
+ * @param {boolean} dryRun - Only report discrepancies
+ * @returns {Promise<Object>} - Outcome for the report
+ */
+async function reconcileRegistration(registration, { knownOrderIds, attempts: paymentAttempts }, dryRun) {
+  const registrationAttempts = paymentAttempts
+    .filter(attempt => attempt.registrationId === registration.id)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const attempts = [];
+  for (const orderId of await getCandidateOrderIds(registration, knownOrderIds, registrationAttempts)) {
+    const status = await getMidtransTransactionStatus(orderId);
+    if (status) {
+      attempts.push({
+        orderId: status.order_id || orderId,
+        status: PAYMENT_STATUS_MAP[status.transaction_status] || 'unknown',
+        timestamp: parseMidtransTime(status.settlement_time || status.transaction_time),
+        notification: status
+      });
+    }
+  }
+
+  if (attempts.length === 0) {
+    const linkExpiresAt = getLinkExpiresAt(registration, registrationAttempts);
+    const linkExpired = linkExpiresAt.getTime() <= Date.now(); // false when the dates are missing
+    if (!UNPAID_PAYMENT_STATUSES.includes(registration.paymentStatus || '') || !linkExpired) {
+      return { outcome: 'not_found' };
+    }
+
+    const discrepancy = {
+      registrationId: registration.id,
+      email: registration.email,
+      orderId: registration.midtransOrderId,
+      storedPaymentStatus: registration.paymentStatus,
+      midtransTransactionStatus: null,
+      expectedPaymentStatus: 'expired',
+      reasoning: `Payment link expired unused at ${linkExpiresAt.toISOString()}`
+    };
+    if (!dryRun) {
+      await expireRegistration(registration);
+    }
+    return { outcome: dryRun ? 'discrepancy' : 'expired', discrepancy };
+  }
+
+  const decision = applyBusinessLogic(attempts);
+  if (decision.status === registration.paymentStatus) {
+    return { outcome: 'unchanged' };
+  }
+
+  const latest = decision.latestAttempt;
+  const discrepancy = {
+    registrationId: registration.id,
+    email: registration.email,
+    orderId: latest.orderId,
+    storedPaymentStatus: registration.paymentStatus,
+    midtransTransactionStatus: latest.notification.transaction_status,
+    expectedPaymentStatus: decision.status,
+    reasoning: decision.reasoning
+  };
+
+  if (dryRun) {
+    return { outcome: 'discrepancy', discrepancy };
+  }
+
+  const applied = await applyStatus(latest.notification);
+  if (!applied.processed) {
+    return { outcome: 'skipped', discrepancy: { ...discrepancy, eventId: applied.eventId, reason: applied.reason } };
+  }
+  return {
+    outcome: applied.result.success ? 'fixed' : 'failed',
+    discrepancy: { ...discrepancy, eventId: applied.eventId, error: applied.result.error }
+  };
+}
+
+/**
+ * GET /api/payments/reconcile
+ * Cron job: find registrations whose payment is not final, ask Midtrans for the
+ * transaction status and apply any change through the webhook pipeline.
+ *
+ * Headers: x-cron-secret
+ * Query parameters:
+ * - dryRun=1: report discrepancies without fixing them
+ * - limit: maximum registrations to check (default 50)
+ */
+export async function GET(request) {
+  const secret = request.headers.get('x-cron-secret');
+  if (!CRON_SECRET) {
+    console.warn('CRON_SECRET is not configured, rejecting reconcile request');
+  }
+  if (!secret || !CRON_SECRET || secret !== CRON_SECRET) {
+    return NextResponse.json({ ok: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const dryRun = url.searchParams.get('dryRun') === '1';
+    const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT;
+
+    // Newest first, so a run that hits the limit checks the registrations most likely to change
+    const registrations = (await getRegistrationRepository().list())
+      .filter(reg => reg.midtransOrderId && NON_FINAL_PAYMENT_STATUSES.includes(reg.paymentStatus || ''))
+      .sort((a, b) => new Date(b.registrationDate || 0) - new Date(a.registrationDate || 0))
+      .slice(0, limit);
+
+    let knownOrderIds = [];
+    try {
+      knownOrderIds = [...new Set((await getTransactionRepository().list()).map(entry => entry.orderId).filter(Boolean))];
+    } catch (error) {
+      console.warn('Could not read transaction history, checking stored order IDs only:', error.message);
+    }
+
+    let paymentAttempts = [];
+    try {
+      paymentAttempts = await getPaymentAttemptRepository().list();
+    } catch (error) {
+      console.warn('Could not read payment attempts, checking stored order IDs only:', error.message);
+    }
+
+    console.log(`Reconciling ${registrations.length} registrations with Midtrans${dryRun ? ' (dry run)' : ''}`);
+
+    const summary = { checked: 0, unchanged: 0, notFound: 0, discrepancies: 0, fixed: 0, expired: 0, skipped: 0, failed: 0, errors: 0 };
+    const discrepancies = [];
+    const errors = [];
+
+    // One registration at a time to stay well within Midtrans API rate limits
+    for (const registration of registrations) {
+      summary.checked++;
+      try {
+        const { outcome, discrepancy } = await reconcileRegistration(registration, { knownOrderIds, attempts: paymentAttempts }, dryRun);
+        if (outcome === 'unchanged') summary.unchanged++;
+        if (outcome === 'not_found') summary.notFound++;
+        if (discrepancy) {
+          summary.discrepancies++;
+          if (outcome === 'fixed') summary.fixed++;
+          if (outcome === 'expired') summary.expired++;
+          if (outcome === 'skipped') summary.skipped++;
+          if (outcome === 'failed') summary.failed++;
+          discrepancies.push({ outcome, ...discrepancy });
+        }
+      } catch (error) {
+        console.error(`Reconcile failed for registration ${registration.id}:`, error.message);
+        summary.errors++;
+        errors.push({ registrationId: registration.id, orderId: registration.midtransOrderId, error: error.message });
+      }
+    }
+
+    console.log('Reconcile summary:', summary);
+    return NextResponse.json({ ok: true, dryRun, summary, discrepancies, errors });
+  } catch (error) {
+    console.error('Reconcile error:', error);
+    return NextResponse.json({ ok: false, error: error.message }, { status: 500 });
+  }
+}
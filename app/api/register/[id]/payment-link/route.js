@@ -0,0 +1,227 @@
+import { NextResponse } from 'next/server';
+import { getPaymentAttemptRepository, getRegistrationRepository } from '../../../../../lib/storage';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../../lib/admin-auth';
+import { PAYMENT_CONFIG } from '../../../../../lib/config';
+import { createMidtransPaymentLink, priceStoredRegistration, recordPaymentAttempt } from '../../../../../lib/payments';
+import { NOTIFICATION_EVENTS, notify } from '../../../../../lib/notifications';
+import { ensurePromoReservation, releasePromoCode } from '../../../../../lib/promo-redemptions';
+
+// Payment statuses after which the participant may pay again with a new order
+const RETRYABLE_PAYMENT_STATUSES = ['expired', 'failed', 'cancelled'];
+
+// Payment statuses with no Midtrans transaction yet; retryable once the payment link has expired
+const UNPAID_PAYMENT_STATUSES = ['', 'unpaid', 'unknown'];
+
+/**
+ * Check whether a registration may get a new payment link
+ * @param {Object} registration
+ * @param {Date} linkExpiresAt - When the current payment link expires
+ * @returns {Object} - { allowed: true } or { allowed: false, error, status, reuseLink? }
+ */
+function checkRetryAllowed(registration, linkExpiresAt) {
+  const paymentStatus = registration.paymentStatus || '';
+
+  if (RETRYABLE_PAYMENT_STATUSES.includes(paymentStatus)) {
+    return { allowed: true };
+  }
+  if (UNPAID_PAYMENT_STATUSES.includes(paymentStatus)) {
+    // A payment link that was never opened expires without any Midtrans notification
+    if (!registration.paymentLink || !registration.midtransOrderId || linkExpiresAt <= new Date()) {
+      return { allowed: true };
+    }
+    return { allowed: false, reuseLink: true };
+  }
+  if (paymentStatus === 'pending') {
+    return {
+      allowed: false,
+      status: 409,
+      error: 'A payment is still being processed for this registration, please complete or wait for it to expire'
+    };
+  }
+  return {
+    allowed: false,
+    status: 409,
+    error: `Registration payment is ${paymentStatus} and cannot be retried`
+  };
+}
+
+/**
+ * Per-registration rate limit on new payment links, counted from the stored attempt history
+ * @param {Array<Object>} attempts - Payment attempts of the registration
+ * @returns {Object} - { limited: false } or { limited: true, retryAfterSeconds }
+ */
+function checkRateLimit(attempts) {
+  const now = Date.now();
+  const latest = attempts[attempts.length - 1];
+
+  if (latest) {
+    const cooldownEndsAt = new Date(latest.createdAt).getTime() + PAYMENT_CONFIG.RETRY_COOLDOWN_SECONDS * 1000;
+    if (cooldownEndsAt > now) {
+      return { limited: true, retryAfterSeconds: Math.ceil((cooldownEndsAt - now) / 1000) };
+    }
+  }
+
+  const windowMs = PAYMENT_CONFIG.RETRY_WINDOW_MINUTES * 60 * 1000;
+  const recentRetries = attempts.filter(attempt =>
+    attempt.source === 'retry' && new Date(attempt.createdAt).getTime() > now - windowMs
+  );
+  if (recentRetries.length >= PAYMENT_CONFIG.RETRY_MAX_PER_WINDOW) {
+    const oldestInWindow = new Date(recentRetries[0].createdAt).getTime();
+    return { limited: true, retryAfterSeconds: Math.ceil((oldestInWindow + windowMs - now) / 1000) };
+  }
+
+  return { limited: false };
+}
+
+/**
+ * POST /api/register/{id}/payment-link
+ * Issue a new Midtrans payment link (with a fresh order ID) for a registration
+ * whose payment expired, failed or was cancelled, or whose link expired unused.
+ *
+ * Body: { "email": "<registered email>" }
+ * Admins with the manage-payments scope may call it without the email.
+ * Earlier orders stay in the payment attempt history, so a late notification
+ * for any of them is still applied to this registration.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    const admin = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_PAYMENTS);
+    const registration = await getRegistrationRepository().findById(id);
+
+    // Unknown IDs and mismatching emails get the same answer, so registrations cannot be probed
+    const emailMatches = registration && body.email &&
+      String(body.email).trim().toLowerCase() === String(registration.email || '').toLowerCase();
+    if (!registration || (!admin.authorized && !emailMatches)) {
+      return NextResponse.json(
+        { error: 'Registration not found' },
+        { status: 404 }
+      );
+    }
+
+    let attempts = [];
+    try {
+      attempts = await getPaymentAttemptRepository().listByRegistration(registration.id);
+    } catch (error) {
+      console.warn('Could not read payment attempts for registration', registration.id, error.message);
+    }
+
+    const linkCreatedAt = attempts.length > 0
+      ? new Date(attempts[attempts.length - 1].createdAt)
+      : new Date(registration.registrationDate);
+    const linkExpiresAt = new Date(linkCreatedAt.getTime() + PAYMENT_CONFIG.LINK_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    const retry = checkRetryAllowed(registration, linkExpiresAt);
+    if (retry.reuseLink) {
+      console.log(`Payment link of registration ${registration.id} is still valid, returning it`);
+      return NextResponse.json({
+        success: true,
+        reused: true,
+        registrationId: registration.id,
+        paymentLink: registration.paymentLink,
+        orderId: registration.midtransOrderId,
+        totalAmount: registration.totalAmount,
+        expiresAt: linkExpiresAt.toISOString()
+      });
+    }
+    if (!retry.allowed) {
+      return NextResponse.json(
+        { error: retry.error, paymentStatus: registration.paymentStatus },
+        { status: retry.status }
+      );
+    }
+
+    const rateLimit = checkRateLimit(attempts);
+    if (rateLimit.limited) {
+      console.log(`Payment link retry rate limited for registration ${registration.id}`);
+      return NextResponse.json(
+        { error: 'Too many payment link requests, please try again later', retryAfterSeconds: rateLimit.retryAfterSeconds },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfterSeconds) } }
+      );
+    }
+
+    const pricing = priceStoredRegistration(registration);
+    if (!pricing || pricing.totalAmount !== registration.totalAmount) {
+      console.error('Stored registration no longer matches the catalog:', {
+        registrationId: registration.id,
+        packageType: registration.packageType,
+        storedTotal: registration.totalAmount,
+        catalogTotal: pricing?.totalAmount
+      });
+      return NextResponse.json(
+        { error: 'Registration price could not be confirmed, please contact the committee' },
+        { status: 409 }
+      );
+    }
+
+    // The promo reservation was given back when the earlier payment lapsed
+    try {
+      await ensurePromoReservation(registration);
+    } catch (error) {
+      console.log(`Promo code of registration ${registration.id} could not be reserved again -`, error.message);
+      return NextResponse.json(
+        { error: error.status ? error.message : 'Promo code could not be verified, please try again' },
+        { status: error.status || 503 }
+      );
+    }
+
+    console.log(`Creating payment link retry for registration ${registration.id}${admin.authorized ? ` (admin ${admin.principal.id})` : ''}`);
+    const paymentResult = await createMidtransPaymentLink(registration, pricing);
+    if (!paymentResult.orderId) {
+      // The static fallback link cannot be matched to this registration, so do not hand it out
+      await releasePromoCode(registration).catch(() => {});
+      return NextResponse.json(
+        { error: 'Payment link could not be created, please try again later' },
+        { status: 502 }
+      );
+    }
+
+    await recordPaymentAttempt(registration, {
+      orderId: paymentResult.orderId,
+      paymentLink: paymentResult.paymentUrl,
+      grossAmount: pricing.totalAmount,
+      source: 'retry'
+    });
+
+    await getRegistrationRepository().update(registration.id, {
+      paymentLink: paymentResult.paymentUrl,
+      midtransOrderId: paymentResult.orderId,
+      paymentStatus: 'unpaid',
+      status: 'pending'
+    });
+
+    const expiresAt = new Date(Date.now() + PAYMENT_CONFIG.LINK_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+    await notify(NOTIFICATION_EVENTS.PAYMENT_LINK, {
+      to: registration.email,
+      locale: registration.locale,
+      data: {
+        name: registration.name,
+        registrationId: registration.id,
+        totalAmount: pricing.totalAmount,
+        paymentLink: paymentResult.paymentUrl,
+        expiresAt
+      }
+    });
+
+    return NextResponse.json({
+      success: true,
+      reused: false,
+      registrationId: registration.id,
+      paymentLink: paymentResult.paymentUrl,
+      orderId: paymentResult.orderId,
+      totalAmount: pricing.totalAmount,
+      previousPaymentStatus: registration.paymentStatus,
+      attempts: attempts.length + 1,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Payment link retry error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,312 +1,19 @@
 import { NextResponse } from 'next/server';
-import { google } from 'googleapis';
-
-// Google Sheets API configuration
-const SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID || 'YOUR_SPREADSHEET_ID';
-const SHEET_NAME = process.env.GOOGLE_SHEET_NAME || 'WRP_Registrations';
-const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-
-// Midtrans configuration
-const MIDTRANS_SERVER_KEY = process.env.MIDTRANS_SERVER_KEY;
-const MIDTRANS_API_URL = process.env.MIDTRANS_API_URL || 'https://api.sandbox.midtrans.com';
+import { getPromoCodeRepository, getRegistrationRepository } from '../../../lib/storage';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../lib/admin-auth';
+import { getPackage, priceRegistration, validatePromoCode } from '../../../lib/catalog';
+import { createMidtransPaymentLink, recordPaymentAttempt } from '../../../lib/payments';
+import { NOTIFICATION_EVENTS, SUPPORTED_LOCALES, notify } from '../../../lib/notifications';
+import { releasePromoCode, reservePromoCode } from '../../../lib/promo-redemptions';
 
 /**
- * Creates a dynamic payment link using Midtrans API
- *      totalAmount: parseFloat(row[13]) || 120000,
-      donationDate: row[14] || '',
-      paymentLink: row[15] || '',
-      midtransOrderId: row[16] || ''ram {Object} registrationData - Registration data
- * @param {number} totalAmount - Total amount including donation
- * @returns {Promise<Object>} - Object containing payment link URL and order ID
- */
-async function createMidtransPaymentLink(registrationData, totalAmount = 180000) {
-  // Validate and sanitize inputs
-  if (!totalAmount || isNaN(totalAmount) || totalAmount <= 0) {
-    console.error('Invalid totalAmount provided:', totalAmount);
-    totalAmount = 180000; // Default fallback
-  }
-
-  if (!MIDTRANS_SERVER_KEY) {
-    console.warn('Midtrans server key not configured, using static payment link');
-    return {
-      paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.midtrans.com/payment-links/ydsf-run',
-      orderId: null
-    };
-  }
-
-  try {
-    console.log('Creating Midtrans payment link for:', {
-      name: registrationData.name,
-      email: registrationData.email,
-      totalAmount: totalAmount,
-      totalAmountType: typeof totalAmount
-    });
-
-    const orderIdSuffix = Date.now().toString();
-    const paymentLinkId = `wrp-${registrationData.id}-${orderIdSuffix}`;
-    const orderId = `WRP-${registrationData.id}-${orderIdSuffix}`;
-    
-    // Split name into first and last name
-    const nameParts = registrationData.name.trim().split(' ');
-    const firstName = nameParts[0] || 'Customer';
-    // If only single name provided, duplicate it for last name to comply with Midtrans API
-    const lastName = nameParts.slice(1).join(' ') || firstName;
-
-    // Validate required fields for Midtrans
-    if (!registrationData.email || !registrationData.phone || !registrationData.name) {
-      console.error('Missing required fields for Midtrans payment link');
-      return {
-        paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.midtrans.com/payment-links/ydsf-run',
-        orderId: null
-      };
-    }
-
-    // Ensure phone number is in correct format
-    let phoneNumber = registrationData.phone.replace(/\D/g, ''); // Remove non-digits
-    if (phoneNumber.startsWith('0')) {
-      phoneNumber = '62' + phoneNumber.substring(1); // Convert to international format
-    } else if (!phoneNumber.startsWith('62')) {
-      phoneNumber = '62' + phoneNumber;
-    }
-
-    // Calculate package amounts
-    const packageType = registrationData.packageType || 'basic';
-    let baseAmount = 0;
-    let fixedDonation = 0;
-    let jerseyPrice = 0;
-    
-    if (packageType === 'basic') {
-      baseAmount = 80000;
-      fixedDonation = 20000;
-      jerseyPrice = 0;
-    } else if (packageType === 'basic-jersey') {
-      baseAmount = 80000;
-      fixedDonation = 20000;
-      jerseyPrice = 150000;
-    } else if (packageType === 'jersey-only') {
-      baseAmount = 0;
-      fixedDonation = 0;
-      jerseyPrice = 150000;
-    }
-    
-    const additionalDonation = registrationData.additionalDonation || 0;
-    
-    // Calculate the actual total amount including additional donation
-    const actualTotalAmount = baseAmount + fixedDonation + jerseyPrice + additionalDonation;
-    const packageTotal = baseAmount + fixedDonation + jerseyPrice;
-    
-    // Use the actual calculated total, but ensure it's at least the package minimum
-    const validTotalAmount = Math.max(actualTotalAmount, packageTotal);
-    
-    console.log('Payment data validation:', {
-      packageType: packageType,
-      baseAmount: baseAmount,
-      fixedDonation: fixedDonation,
-      jerseyPrice: jerseyPrice,
-      packageTotal: packageTotal,
-      additionalDonation: additionalDonation,
-      actualTotalAmount: actualTotalAmount,
-      originalTotalAmountParam: totalAmount,
-      finalValidTotalAmount: validTotalAmount,
-      registrationId: registrationData.id,
-      paymentLinkId: paymentLinkId,
-      orderId: orderId
-    });
-
-    // Build item_details array first
-    const itemDetails = [];
-    
-    // Add base amount if applicable
-    if (baseAmount > 0) {
-      itemDetails.push({
-        id: "wrp-base-amount",
-        name: `WRP - Biaya Tetap Paket ${packageType.charAt(0).toUpperCase() + packageType.slice(1)}`,
-        price: baseAmount,
-        quantity: 1
-      });
-    }
-    
-    // Add fixed donation if applicable
-    if (fixedDonation > 0) {
-      itemDetails.push({
-        id: "wrp-fixed-donation",
-        name: "Donasi Tetap untuk Palestina",
-        price: fixedDonation,
-        quantity: 1
-      });
-    }
-    
-    // Add jersey price if applicable
-    if (jerseyPrice > 0) {
-      itemDetails.push({
-        id: "wrp-jersey",
-        name: "Jersey WRP",
-        price: jerseyPrice,
-        quantity: 1
-      });
-    }
-
-    // Add additional donation item if there's any additional donation
-    if (additionalDonation > 0) {
-      itemDetails.push({
-        id: "wrp-additional-donation",
-        name: "Donasi Tambahan untuk Palestina", 
-        price: additionalDonation,
-        quantity: 1
-      });
-    }
-
-    // Calculate gross_amount as exact sum of all item_details
-    const calculatedGrossAmount = itemDetails.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-
-    console.log('Payment calculation verification:', {
-      baseAmount: baseAmount,
-      fixedDonation: fixedDonation,
-      jerseyPrice: jerseyPrice,
-      additionalDonation: additionalDonation,
-      calculatedTotalFromItems: calculatedGrossAmount,
-      shouldMatchCalculatedTotal: actualTotalAmount,
-      originalValidTotalAmount: validTotalAmount,
-      itemDetails: itemDetails
-    });
-
-    // Midtrans Payment Links API format
-    const paymentData = {
-      transaction_details: {
-        order_id: orderId,
-        gross_amount: calculatedGrossAmount
-      },
-      credit_card: {
-        secure: true
-      },
-      customer_details: {
-        first_name: firstName,
-        last_name: lastName,
-        email: registrationData.email,
-        phone: phoneNumber
-      },
-      item_details: itemDetails,
-      callbacks: {
-        finish: process.env.PAYMENT_SUCCESS_URL || `${process.env.NEXT_PUBLIC_BASE_URL || 'https://registrasi.werunpalestina.id'}/success`,
-        error: process.env.PAYMENT_ERROR_URL || 'https://werunpalestina.framer.website/register?error=payment_failed',
-        pending: process.env.PAYMENT_PENDING_URL || 'https://werunpalestina.framer.website/register?status=pending'
-      },
-      expiry: {
-        duration: 24,
-        unit: "hours"
-      },
-      page_expiry: {
-        duration: 10,
-        unit: "minutes"
-      }
-    };
-
-    // Final validation before sending to Midtrans
-    if (!paymentData.transaction_details?.gross_amount || !paymentData.transaction_details?.order_id) {
-      console.error('Critical payment data missing:', {
-        gross_amount: paymentData.transaction_details?.gross_amount,
-        order_id: paymentData.transaction_details?.order_id,
-        transaction_details: paymentData.transaction_details
-      });
-      throw new Error('Critical payment data is missing');
-    }
-
-    // Verify gross_amount matches item_details total
-    const itemDetailsTotal = paymentData.item_details.reduce((total, item) => total + (item.price * item.quantity), 0);
-    if (paymentData.transaction_details.gross_amount !== itemDetailsTotal) {
-      console.error('Amount mismatch detected:', {
-        gross_amount: paymentData.transaction_details.gross_amount,
-        item_details_total: itemDetailsTotal,
-        difference: paymentData.transaction_details.gross_amount - itemDetailsTotal
-      });
-      // Fix the gross_amount to match item_details
-      paymentData.transaction_details.gross_amount = itemDetailsTotal;
-    }
-
-    // Create auth header
-    const authString = Buffer.from(`${MIDTRANS_SERVER_KEY}:`).toString('base64');
-    
-    // Use Midtrans Payment Links API
-    console.log('Sending request to Midtrans Payment Links API:', {
-      url: `${MIDTRANS_API_URL}/v1/payment-links`,
-      gross_amount: paymentData.transaction_details.gross_amount,
-      item_details_breakdown: paymentData.item_details.map(item => ({
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-        total: item.price * item.quantity
-      })),
-      item_details_sum: paymentData.item_details.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-    });
-    
-    const response = await fetch(`${MIDTRANS_API_URL}/v1/payment-links`, {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Authorization': `Basic ${authString}`
-      },
-      body: JSON.stringify(paymentData),
-      signal: AbortSignal.timeout(30000) // 30 second timeout
-    });
-
-    const result = await response.json();
-    
-    console.log('Midtrans API response:', {
-      status: response.status,
-      statusText: response.statusText,
-      result: result
-    });
-
-    if (response.ok && result.payment_url) {
-      console.log('Midtrans payment link created successfully:', result.payment_url);
-      return {
-        paymentUrl: result.payment_url,
-        orderId: orderId
-      };
-    } else {
-      console.error('Failed to create Midtrans payment link:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: result
-      });
-      
-      // Fallback to static link
-      return {
-        paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.sandbox.midtrans.com/payment-links/ydsf-run',
-        orderId: null
-      };
-    }
-
-  } catch (error) {
-    console.error('Error creating Midtrans payment link:', error);
-    
-    // Final fallback - just use static payment link
-    console.log('Using static payment link as final fallback');
-    return {
-      paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.sandbox.midtrans.com/payment-links/ydsf-run',
-      orderId: null
-    };
-  }
-}
-
-/**
- * Checks if an email already exists in Google Sheets
+ * Checks if an email already exists in the registrations store
  * @param {string} email - Email to check
  * @returns {Promise<boolean>} - True if email exists, false otherwise
  */
 async function checkDuplicateEmail(email) {
   try {
-    const sheets = await getGoogleSheetsClient();
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${SHEET_NAME}!D:D`, // Column D contains emails (unchanged)
-    });
-
-    const existingEmails = response.data.values ? response.data.values.flat().map(e => e.toLowerCase()) : [];
-    return existingEmails.includes(email.toLowerCase());
+    return await getRegistrationRepository().emailExists(email);
   } catch (error) {
     console.error('Error checking duplicate email:', error);
     return false; // If check fails, allow registration to proceed
@@ -314,274 +21,63 @@ async function checkDuplicateEmail(email) {
 }
 
 /**
- * Gets an authenticated Google Sheets client
- * @returns {Promise<Object>} - Authenticated Google Sheets client
+ * Looks up a promo code and checks it can be redeemed for a package
+ * @param {string} code - Promo code entered by the user
+ * @param {string} packageId - Selected package
+ * @returns {Promise<Object>} - { valid, promo } or { valid: false, error, status }
  */
-async function getGoogleSheetsClient() {
-    try {
-        // If using credentials from environment variables (recommended)
-        const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY || '{}');
-        
-        const auth = new google.auth.GoogleAuth({
-            credentials,
-            scopes: SCOPES,
-        });
-        
-        const authClient = await auth.getClient();
-        const sheets = google.sheets({ version: 'v4', auth: authClient });
-        return sheets;
-    } catch (error) {
-        console.error('Error creating Google Sheets client:', error.message);
-        throw new Error(`Failed to create Google Sheets client: ${error.message}`);
-    }
+async function resolvePromoCode(code, packageId) {
+  try {
+    const promo = await getPromoCodeRepository().findByCode(code);
+    const result = validatePromoCode(promo, { packageId });
+    return result.valid ? { valid: true, promo } : { ...result, status: 400 };
+  } catch (error) {
+    console.error('Error looking up promo code:', error);
+    return { valid: false, error: 'Promo code could not be verified, please try again', status: 503 };
+  }
 }
 
 /**
- * Stores registration data in Google Sheets
+ * Stores registration data in the registrations store
  * @param {Object} registrationData - Registration object to store
- * @returns {Promise<Object>} - Google Sheets API response
+ * @returns {Promise<Object>} - Storage result
  */
-async function storeRegistrationInGoogleSheets(registrationData) {
+async function storeRegistration(registrationData) {
     if (!registrationData) {
-        console.warn('No registration data to store in Google Sheets');
+        console.warn('No registration data to store');
         return { success: false, message: 'No registration data provided' };
     }
 
     try {
-        console.log('Storing registration in Google Sheets:', registrationData);
-        
-        // Prepare the data for Google Sheets format
-        const columnOrder = [
-            'timestamp',
-            'id',
-            'name',
-            'email',
-            'phone',
-            'stravaName',
-            'packageType',
-            'jerseySize',
-            'gender',
-            'completeAddress',
-            'simpleAddress',
-            'fullAddressStreet',
-            'fullAddressRtRw',
-            'fullAddressDistrict',
-            'fullAddressCity',
-            'fullAddressProvince',
-            'fullAddressPostcode',
-            'baseAmount',
-            'fixedDonation',
-            'jerseyPrice',
-            'additionalDonation',
-            'registrationDate',
-            'status',
-            'paymentStatus',
-            'totalAmount',
-            'donationDate',
-            'paymentLink',
-            'midtransOrderId'
-        ];
-
-        // Convert registration object to array based on column order
-        const dataToAppend = [columnOrder.map(key => {
-            if(key === 'timestamp') {
-                return new Date().toISOString(); // Add current timestamp
-            }
-            if(key === 'completeAddress') {
-                // Combine address fields into a single complete address
-                if (registrationData.simpleAddress) {
-                    return registrationData.simpleAddress;
-                } else if (registrationData.fullAddress) {
-                    const addressParts = [
-                        registrationData.fullAddress.street,
-                        registrationData.fullAddress.rtRw,
-                        registrationData.fullAddress.district,
-                        registrationData.fullAddress.city,
-                        registrationData.fullAddress.province,
-                        registrationData.fullAddress.postcode
-                    ].filter(part => part && part.trim() !== '');
-                    return addressParts.join(', ');
-                }
-                return '';
-            }
-            if(key === 'totalAmount') {
-                const packageType = registrationData.packageType || 'basic';
-                let baseAmount = 0;
-                let fixedDonation = 0;
-                let jerseyPrice = 0;
-                
-                //Discount 10% Original Rp. 80000
-                if (packageType === 'basic') {
-                  baseAmount = 80000;
-                  fixedDonation = 20000;
-                  jerseyPrice = 0;
-                } else if (packageType === 'basic-jersey') {
-                  baseAmount = 80000;
-                  fixedDonation = 20000;
-                  jerseyPrice = 150000;
-                } else if (packageType === 'jersey-only') {
-                  baseAmount = 0;
-                  fixedDonation = 0;
-                  jerseyPrice = 150000;
-                }
-                
-                const additionalDonation = registrationData.additionalDonation || 0;
-                return baseAmount + fixedDonation + jerseyPrice + additionalDonation;
-            }
-            if(key === 'baseAmount') {
-                const packageType = registrationData.packageType || 'basic';
-                if (packageType === 'basic' || packageType === 'basic-jersey') {
-                  return 80000;
-                } 
-                else {
-                  return 0;
-                }
-            }
-            if(key === 'fixedDonation') {
-                const packageType = registrationData.packageType || 'basic';
-                if (packageType === 'basic' || packageType === 'basic-jersey') {
-                  return 20000;
-                } else {
-                  return 0;
-                }
-            }
-            if(key === 'jerseyPrice') {
-                const packageType = registrationData.packageType || 'basic';
-                if (packageType === 'basic-jersey' || packageType === 'jersey-only') {
-                  return 150000;
-                } 
-                else {
-                  return 0;
-                }
-            }
-            if (key === 'fullAddressStreet') {
-                return registrationData.fullAddress?.street || '';
-            }
-            if (key === 'fullAddressRtRw') {
-                return registrationData.fullAddress?.rtRw || '';
-            }
-            if (key === 'fullAddressDistrict') {
-                return registrationData.fullAddress?.district || '';
-            }
-            if (key === 'fullAddressCity') {
-                return registrationData.fullAddress?.city || '';
-            }
-            if (key === 'fullAddressProvince') {
-                return registrationData.fullAddress?.province || '';
-            }
-            if (key === 'fullAddressPostcode') {
-                return registrationData.fullAddress?.postcode || '';
-            }
-            return registrationData[key] !== undefined ? registrationData[key] : '';
-        })];
-
-        // Get the Google Sheets client
-        const sheets = await getGoogleSheetsClient();
-        
-        // Check if sheet exists and create headers if needed
-        try {
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: SPREADSHEET_ID,
-                range: `${SHEET_NAME}!A1:AB1`,
-            });
-
-            // If sheet is empty, add headers
-            if (!response.data.values || response.data.values.length === 0) {
-                console.log('Adding headers to sheet');
-                const headers = [
-                    'Timestamp',
-                    'Registration ID', 
-                    'Name',
-                    'Email',
-                    'Phone',
-                    'Strava Name',
-                    'Package Type',
-                    'Jersey Size',
-                    'Gender',
-                    'Complete Address',
-                    'Simple Address',
-                    'Full Address Street',
-                    'Full Address RT/RW',
-                    'Full Address District',
-                    'Full Address City',
-                    'Full Address Province',
-                    'Full Address Postcode',
-                    'Base Amount',
-                    'Fixed Donation',
-                    'Jersey Price',
-                    'Additional Donation',
-                    'Registration Date',
-                    'Status',
-                    'Payment Status',
-                    'Total Amount', 
-                    'Donation Date',
-                    'Payment Link',
-                    'Midtrans Order ID'
-                ];
-
-                await sheets.spreadsheets.values.update({
-                    spreadsheetId: SPREADSHEET_ID,
-                    range: `${SHEET_NAME}!A1:AB1`,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: {
-                        values: [headers],
-                    },
-                });
-            }
-        } catch (headerError) {
-            console.log('Sheet might not exist or header check failed, continuing with data append');
-        }
+        console.log('Storing registration:', registrationData);
+        const repository = getRegistrationRepository();
 
         // Check for duplicate registration ID
         try {
-            const idRange = `${SHEET_NAME}!B:B`; // Column B contains registration IDs
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: SPREADSHEET_ID,
-                range: idRange,
-            });
-
-            const existingIds = response.data.values ? response.data.values.flat() : [];
-            if (existingIds.includes(registrationData.id)) {
-                console.log(`Registration ID ${registrationData.id} already exists in sheet`);
-                return { 
-                    success: false, 
-                    message: 'Registration ID already exists in Google Sheets' 
+            if (await repository.findById(registrationData.id)) {
+                console.log(`Registration ID ${registrationData.id} already exists`);
+                return {
+                    success: false,
+                    message: 'Registration ID already exists'
                 };
             }
         } catch (checkError) {
             console.log('Could not check for duplicates, proceeding with append');
         }
 
-        // Debug: Log the data being appended
-        console.log('Data being appended to Google Sheets:');
-        console.log('Column order:', columnOrder);
-        console.log('Data values:', dataToAppend[0]);
-        console.log('MidtransOrderId will be stored in column AB (index 27):', dataToAppend[0][27]);
-
-        // Append the registration data
-        const appendRange = `${SHEET_NAME}!A2`; // Start appending from row 2, keep row 1 as headers
-        const result = await sheets.spreadsheets.values.append({
-            spreadsheetId: SPREADSHEET_ID,
-            range: appendRange,
-            valueInputOption: 'USER_ENTERED',
-            insertDataOption: 'INSERT_ROWS',
-            resource: {
-                values: dataToAppend,
-            },
-        });
+        await repository.create(registrationData);
 
-        console.log('Google Sheets storage successful:', result.data);
-        return { 
-            success: true, 
-            message: 'Registration successfully stored in Google Sheets',
-            response: result.data 
+        console.log('Registration storage successful');
+        return {
+            success: true,
+            message: 'Registration successfully stored'
         };
     } catch (error) {
-        console.error('Error storing registration in Google Sheets:', error.message);
+        console.error('Error storing registration:', error.message);
         console.error('Error details:', error.response?.data || error);
-        return { 
-            success: false, 
-            message: 'Failed to store registration in Google Sheets',
+        return {
+            success: false,
+            message: 'Failed to store registration',
             error: error.message
         };
     }
@@ -598,7 +94,7 @@ export async function POST(request) {
     const body = await request.json();
     console.log('Request body received:', body);
     
-    const { name, email, phone, stravaName, packageType, donationAmount, jerseySize, gender, simpleAddress, fullAddress } = body;
+    const { name, email, phone, stravaName, packageType, donationAmount, jerseySize, gender, simpleAddress, fullAddress, promoCode, locale } = body;
 
     // Validate required fields
     if (!name || !email || !phone || !stravaName || !packageType) {
@@ -609,8 +105,17 @@ export async function POST(request) {
       );
     }
 
+    const selectedPackage = getPackage(packageType);
+    if (!selectedPackage) {
+      console.log('Validation failed: unknown package type', packageType);
+      return NextResponse.json(
+        { error: 'Invalid package type' },
+        { status: 400 }
+      );
+    }
+
     // Validate jersey size for packages that require it
-    if ((packageType === 'basic-jersey' || packageType === 'jersey-only') && !jerseySize) {
+    if (selectedPackage.requiresJersey && !jerseySize) {
       console.log('Validation failed: jersey size required for selected package');
       return NextResponse.json(
         { error: 'Jersey size is required for selected package' },
@@ -619,7 +124,7 @@ export async function POST(request) {
     }
 
     // Validate gender for packages that require it
-    if ((packageType === 'basic-jersey' || packageType === 'jersey-only') && !gender) {
+    if (selectedPackage.requiresJersey && !gender) {
       console.log('Validation failed: gender required for selected package');
       return NextResponse.json(
         { error: 'Gender is required for selected package' },
@@ -648,29 +153,36 @@ export async function POST(request) {
 
     console.log('Validation passed, creating registration object...');
 
-    // Calculate package amounts
-    const packageTypeValue = packageType || 'basic';
-    let baseAmount = 0;
-    let fixedDonation = 0;
-    let jerseyPrice = 0;
-    
-    if (packageTypeValue === 'basic') {
-      baseAmount = 80000;
-      fixedDonation = 20000;
-      jerseyPrice = 0;
-    } else if (packageTypeValue === 'basic-jersey') {
-      baseAmount = 80000;
-      fixedDonation = 20000;
-      jerseyPrice = 150000;
-    } else if (packageTypeValue === 'jersey-only') {
-      baseAmount = 0;
-      fixedDonation = 0;
-      jerseyPrice = 150000;
+    // Validate promo code if one was entered
+    let promo = null;
+    if (promoCode && String(promoCode).trim()) {
+      const promoResult = await resolvePromoCode(promoCode, selectedPackage.id);
+      if (!promoResult.valid) {
+        console.log('Validation failed: promo code rejected -', promoResult.error);
+        return NextResponse.json(
+          { error: promoResult.error },
+          { status: promoResult.status }
+        );
+      }
+      promo = promoResult.promo;
+    }
+
+    // Price the registration from the catalog (price tier and promo discount applied server-side)
+    const pricing = priceRegistration({
+      packageType: selectedPackage.id,
+      additionalDonation: parseFloat(donationAmount) || 0,
+      promo
+    });
+    const packageTypeValue = pricing.packageId;
+    const { baseAmount, fixedDonation, jerseyPrice, packageTotal, discountAmount, additionalDonation, totalAmount } = pricing;
+
+    if (totalAmount <= 0) {
+      console.log('Validation failed: discounted total is not payable');
+      return NextResponse.json(
+        { error: 'Total payment must be greater than zero' },
+        { status: 400 }
+      );
     }
-    
-    const additionalDonation = parseFloat(donationAmount) || 0;
-    const packageTotal = baseAmount + fixedDonation + jerseyPrice; // This is the package price
-    const totalAmount = packageTotal + additionalDonation;
     
     console.log('Registration details:', {
       name: name.trim(),
@@ -680,6 +192,9 @@ export async function POST(request) {
       fixedDonation: fixedDonation,
       jerseyPrice: jerseyPrice,
       packageTotal: packageTotal,
+      pricingTier: pricing.pricingTier,
+      promoCode: pricing.promoCode,
+      discountAmount: discountAmount,
       additionalDonation: additionalDonation,
       totalAmount: totalAmount
     });
@@ -707,20 +222,25 @@ export async function POST(request) {
       fixedDonation: fixedDonation,
       jerseyPrice: jerseyPrice,
       additionalDonation: additionalDonation,
+      totalAmount: totalAmount,
       registrationDate: new Date().toISOString(),
       status: 'pending',
       paymentStatus: 'unpaid',
       donationDate: new Date().toISOString(),
       paymentLink: null,
-      midtransOrderId: null
+      midtransOrderId: null,
+      pricingTier: pricing.pricingTier,
+      promoCode: pricing.promoCode,
+      discountAmount: discountAmount,
+      locale: SUPPORTED_LOCALES.includes(locale) ? locale : ''
     };
 
-    // Check for duplicate email in Google Sheets
-    console.log('Checking for duplicate email in Google Sheets...');
+    // Check for duplicate email
+    console.log('Checking for duplicate email...');
     try {
       const isDuplicate = await checkDuplicateEmail(registration.email);
       if (isDuplicate) {
-        console.log('Duplicate email found in Google Sheets, returning error');
+        console.log('Duplicate email found, returning error');
         return NextResponse.json(
           { error: 'Email anda telah terdaftar, silahkan cek kotak masuk email anda untuk konfirmasi pembayaran' },
           { status: 409 }
@@ -731,29 +251,61 @@ export async function POST(request) {
       // Continue with registration if duplicate check fails
     }
 
+    // Hold one redemption of the promo code until the payment settles or lapses
+    if (promo && registration.promoCode) {
+      try {
+        await reservePromoCode(promo, registration.id);
+      } catch (error) {
+        console.log('Promo code reservation failed -', error.message);
+        return NextResponse.json(
+          { error: error.status ? error.message : 'Promo code could not be verified, please try again' },
+          { status: error.status || 503 }
+        );
+      }
+    }
+
     console.log('New registration saved:', registration);
 
     // Create dynamic Midtrans payment link with user details including donation
     console.log('Creating Midtrans payment link...');
-    const paymentResult = await createMidtransPaymentLink(registration, totalAmount);
+    const paymentResult = await createMidtransPaymentLink(registration, pricing);
     console.log('Midtrans payment result:', paymentResult);
     
     // Update registration with payment link and order ID
     registration.paymentLink = paymentResult.paymentUrl;
     registration.midtransOrderId = paymentResult.orderId;
 
-    // Store registration in Google Sheets with complete payment info
-    console.log('Storing registration in Google Sheets...');
+    // Store registration with complete payment info
+    console.log('Storing registration...');
     try {
-      const sheetsResult = await storeRegistrationInGoogleSheets(registration);
-      if (sheetsResult.success) {
-        console.log('Google Sheet updated successfully');
+      const storeResult = await storeRegistration(registration);
+      if (storeResult.success) {
+        console.log('Registration stored successfully');
+        await recordPaymentAttempt(registration, {
+          orderId: registration.midtransOrderId,
+          paymentLink: registration.paymentLink,
+          grossAmount: totalAmount,
+          source: 'registration'
+        });
+        await notify(NOTIFICATION_EVENTS.REGISTRATION_RECEIVED, {
+          to: registration.email,
+          locale: registration.locale,
+          data: {
+            name: registration.name,
+            registrationId: registration.id,
+            packageName: pricing.packageName,
+            totalAmount: totalAmount,
+            paymentLink: registration.paymentLink
+          }
+        });
       } else {
-        console.warn('Google Sheets storage issue:', sheetsResult.message);
+        console.warn('Registration storage issue:', storeResult.message);
+        await releasePromoCode(registration).catch(() => {});
       }
-    } catch (googleError) {
-      console.error('Failed to update Google Sheet:', googleError);
-      // Don't fail the registration if Google Sheet update fails
+    } catch (storageError) {
+      console.error('Failed to store registration:', storageError);
+      // Don't fail the registration if storage fails
+      await releasePromoCode(registration).catch(() => {});
     }
 
     console.log('Registration process completed successfully, returning response...');
@@ -766,6 +318,9 @@ export async function POST(request) {
       baseAmount: baseAmount,
       fixedDonation: fixedDonation,
       jerseyPrice: jerseyPrice,
+      pricingTier: pricing.pricingTier,
+      promoCode: pricing.promoCode,
+      discountAmount: discountAmount,
       additionalDonation: additionalDonation,
       totalAmount: totalAmount,
       data: {
@@ -776,6 +331,8 @@ export async function POST(request) {
         baseAmount: baseAmount,
         fixedDonation: fixedDonation,
         jerseyPrice: jerseyPrice,
+        promoCode: pricing.promoCode,
+        discountAmount: discountAmount,
         additionalDonation: additionalDonation,
         totalAmount: totalAmount,
         paymentInstructions: additionalDonation > 0 
@@ -795,55 +352,17 @@ export async function POST(request) {
 
 /**
  * GET /api/register
- * Get all registrations from Google Sheets (admin only)
+ * Get all registrations (requires the read-registrations scope)
  */
 export async function GET(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.READ_REGISTRATIONS);
+  if (!auth.authorized) return auth.response;
+
   try {
-    console.log('Fetching registrations from Google Sheets...');
-    
-    // Get registrations from Google Sheets
-    const sheets = await getGoogleSheetsClient();
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${SHEET_NAME}!A2:AB1000`, // Skip header row, get up to 1000 rows (now up to column AB for complete address and midtrans order ID)
-    });
+    console.log('Fetching registrations for admin:', auth.principal.id);
 
-    const rows = response.data.values || [];
-    console.log(`Found ${rows.length} registrations in Google Sheets`);
-
-    // Convert rows back to registration objects
-    const registrations = rows.map(row => ({
-      timestamp: row[0] || '',
-      id: row[1] || '',
-      name: row[2] || '',
-      email: row[3] || '',
-      phone: row[4] || '',
-      stravaName: row[5] || '',
-      packageType: row[6] || 'basic',
-      jerseySize: row[7] || '',
-      gender: row[8] || '',
-      completeAddress: row[9] || '',
-      simpleAddress: row[10] || '',
-      fullAddress: {
-        street: row[11] || '',
-        rtRw: row[12] || '',
-        district: row[13] || '',
-        city: row[14] || '',
-        province: row[15] || '',
-        postcode: row[16] || ''
-      },
-      baseAmount: parseFloat(row[17]) || 0,
-      fixedDonation: parseFloat(row[18]) || 0,
-      jerseyPrice: parseFloat(row[19]) || 0,
-      additionalDonation: parseFloat(row[20]) || 0,
-      registrationDate: row[21] || '',
-      status: row[22] || 'pending',
-      paymentStatus: row[23] || 'unpaid',
-      totalAmount: parseFloat(row[24]) || 100000,
-      donationDate: row[25] || null,
-      paymentLink: row[26] || '',
-      midtransOrderId: row[27] || ''
-    })).filter(reg => reg.id); // Filter out empty rows
+    const registrations = await getRegistrationRepository().list();
+    console.log(`Found ${registrations.length} registrations`);
 
     // Return summary without sensitive data
     const summary = registrations.map(reg => ({
@@ -854,7 +373,9 @@ export async function GET(request) {
       status: reg.status,
       paymentStatus: reg.paymentStatus,
       donationAmount: reg.donationAmount,
-      totalAmount: reg.totalAmount
+      totalAmount: reg.totalAmount,
+      promoCode: reg.promoCode,
+      discountAmount: reg.discountAmount
     }));
 
     return NextResponse.json({
@@ -870,7 +391,7 @@ export async function GET(request) {
     });
 
   } catch (error) {
-    console.error('Error fetching registrations from Google Sheets:', error);
+    console.error('Error fetching registrations:', error);
     return NextResponse.json(
       { error: 'Internal server error' },
       { status: 500 }
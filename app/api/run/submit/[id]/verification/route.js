@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../../../lib/admin-auth';
+import { getRegistrationRepository, getSubmissionRepository } from '../../../../../../lib/storage';
+import { VERIFICATION_STATUSES } from '../../../../../../lib/submissions';
+import { NOTIFICATION_EVENTS, notify } from '../../../../../../lib/notifications';
+
+// Outcomes an admin can give a submission, and the email each one sends
+const VERIFICATION_EVENTS = {
+  [VERIFICATION_STATUSES.VERIFIED]: NOTIFICATION_EVENTS.SUBMISSION_VERIFIED,
+  [VERIFICATION_STATUSES.REJECTED]: NOTIFICATION_EVENTS.SUBMISSION_REJECTED
+};
+
+/**
+ * POST /api/run/submit/{id}/verification
+ * Verify or reject a run submission (requires the manage-submissions scope)
+ *
+ * Body: { "status": "verified" | "rejected", "reason": "<shown to the participant>" }
+ * The participant is emailed the outcome. Setting the status a submission already
+ * has changes nothing and sends no email.
+ */
+export async function POST(request, { params }) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_SUBMISSIONS);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    const status = String(body.status || '').trim().toLowerCase();
+    const reason = String(body.reason || '').trim();
+
+    if (!VERIFICATION_EVENTS[status]) {
+      return NextResponse.json(
+        { error: `status must be one of: ${Object.keys(VERIFICATION_EVENTS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (status === VERIFICATION_STATUSES.REJECTED && !reason) {
+      return NextResponse.json({ error: 'A reason is required to reject a submission' }, { status: 400 });
+    }
+
+    const repository = getSubmissionRepository();
+    const submission = await repository.findById(id);
+    if (!submission) {
+      return NextResponse.json({ error: 'Submission not found' }, { status: 404 });
+    }
+    if (submission.verificationStatus === VERIFICATION_STATUSES.WITHDRAWN) {
+      return NextResponse.json({ error: 'Submission was withdrawn and cannot be verified' }, { status: 409 });
+    }
+    if (submission.verificationStatus === status) {
+      return NextResponse.json({ success: true, changed: false, submissionId: submission.id, verificationStatus: status });
+    }
+
+    const updated = await repository.update(submission.id, {
+      verificationStatus: status,
+      notes: reason || submission.notes || ''
+    });
+    console.log(`Submission ${submission.id} ${status} by admin ${auth.principal.id}`);
+
+    const registration = await getRegistrationRepository().findByEmail(submission.email).catch(() => null);
+    await notify(VERIFICATION_EVENTS[status], {
+      to: submission.email,
+      locale: registration?.locale,
+      data: {
+        name: submission.name,
+        submissionId: submission.id,
+        distance: submission.distance,
+        duration: submission.duration,
+        stravaActivity: submission.stravaActivity,
+        reason
+      }
+    });
+
+    return NextResponse.json({ success: true, changed: true, submissionId: updated.id, verificationStatus: status });
+  } catch (error) {
+    console.error('Error verifying submission:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,14 +1,16 @@
 import { NextResponse } from 'next/server';
 import { google } from 'googleapis';
 import { Readable } from 'stream';
+import { getRegistrationRepository, getSubmissionRepository } from '../../../../lib/storage';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../lib/admin-auth';
+import { NOTIFICATION_EVENTS, notify } from '../../../../lib/notifications';
+import { verifyParticipantActivity } from '../../../../lib/participant-strava';
+import { EXTRACTION_CONFIG, SUBMISSION_CONFIG } from '../../../../lib/config';
+import { checkDuplicateSubmission, isSubmissionLimitReached } from '../../../../lib/submissions';
+import { calculatePace } from '../../../../lib/strava';
+import { canonicalizeStravaUrl } from '../../../../lib/strava-urls';
+import { METERS_PER_KILOMETER, convertDistance, getRequestedUnits, parseDistance, parsePace } from '../../../../lib/units';
 
-// Google Sheets API configuration
-const SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID || 'YOUR_SPREADSHEET_ID';
-// Use the requested sheet name for run submissions
-const SUBMISSIONS_SHEET_NAME = process.env.GOOGLE_SUBMISSIONS_SHEET_NAME || 'WRP_run_submissions';
-const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-// Name of the registrations sheet that contains registered emails (column D)
-const REGISTRATIONS_SHEET_NAME = process.env.GOOGLE_REGISTRATIONS_SHEET_NAME || 'WRP_Registrations';
 // Optional: folder ID to place uploaded proof images
 const DRIVE_UPLOAD_FOLDER_ID = process.env.GOOGLE_DRIVE_UPLOAD_FOLDER_ID || '1H7UPcajAMqSdHqSPpEUmBtSIOwTWuBjY';
 // Optional: Shared Drive (Team Drive) ID to use when uploading via service accounts.
@@ -23,26 +25,22 @@ const OAUTH_REFRESH_TOKEN = process.env.OAUTH_REFRESH_TOKEN || process.env.GOOGL
 const OAUTH_REDIRECT_URI = process.env.OAUTH_REDIRECT_URI || 'https://developers.google.com/oauthplayground';
 
 /**
- * Gets an authenticated Google Sheets client
- * @returns {Promise<Object>} - Authenticated Google Sheets client
+ * Headers of the internal scrape request; the secret lets it use every extraction strategy
+ * @returns {Object}
  */
-async function getGoogleSheetsClient() {
-  try {
-    // If using credentials from environment variables (recommended)
-    const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY || '{}');
-    
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: SCOPES,
-    });
-    
-    const authClient = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: authClient });
-    return sheets;
-  } catch (error) {
-    console.error('Error creating Google Sheets client:', error.message);
-    throw new Error(`Failed to create Google Sheets client: ${error.message}`);
-  }
+function getScrapeHeaders() {
+  const headers = { 'User-Agent': 'vrun-server/1.0', Accept: 'application/json' };
+  if (EXTRACTION_CONFIG.INTERNAL_SECRET) headers['x-extraction-secret'] = EXTRACTION_CONFIG.INTERNAL_SECRET;
+  return headers;
+}
+
+/**
+ * Whether a scrape read distance and moving time certainly enough to be stored
+ * @param {Object} scrapeJson - Response of /api/data/strava/scrape
+ * @returns {boolean}
+ */
+function isConfidentScrape(scrapeJson) {
+  return (Number(scrapeJson?.confidence?.overall) || 0) >= EXTRACTION_CONFIG.MIN_CONFIDENCE;
 }
 
 /**
@@ -78,73 +76,15 @@ function sanitizeForFilename(value) {
 
 
 /**
- * Checks if an email already exists in submissions
- * @param {string} email - Email to check
- * @returns {Promise<boolean>} - True if email exists, false otherwise
- */
-/**
- * Checks duplicate submissions and counts submissions per email.
- * Returns an object { isStravaDuplicate: boolean, emailCount: number }
- */
-async function checkDuplicateSubmission(email, stravaActivity) {
-  try {
-    const sheets = await getGoogleSheetsClient();
-    // Read columns C (Email) through E (Strava Activity)
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${SUBMISSIONS_SHEET_NAME}!C:E`,
-    });
-
-    const rows = response.data.values || [];
-    let emailCount = 0;
-    let stravaSubmittedByDifferentEmail = false;
-    const emailLower = email.toLowerCase();
-
-    for (let i = 0; i < rows.length; i++) {
-      const rowEmail = rows[i][0]?.toLowerCase();
-      const rowStravaActivity = rows[i][2];
-
-      if (rowEmail === emailLower) {
-        emailCount++;
-      }
-
-      // Treat any identical Strava activity as a duplicate regardless of submitting email
-      if (rowStravaActivity && String(rowStravaActivity).trim() === String(stravaActivity).trim()) {
-        stravaSubmittedByDifferentEmail = true;
-        break; // no need to keep scanning
-      }
-    }
-
-    return { isStravaDuplicate: stravaSubmittedByDifferentEmail, emailCount };
-  } catch (error) {
-    console.error('Error checking duplicate submission:', error);
-    return { isStravaDuplicate: false, emailCount: 0 }; // If check fails, allow submission to proceed
-  }
-}
-
-/**
- * Checks whether the submitted email exists in the registrations sheet (column D)
+ * Checks whether the submitted email belongs to a registration
  * @param {string} email
  * @returns {Promise<boolean>} true if registered
  */
 async function checkEmailRegistered(email) {
   try {
-    const sheets = await getGoogleSheetsClient();
-    // Read column D (4th column) from registrations sheet
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${REGISTRATIONS_SHEET_NAME}!D2:D1000`,
-    });
-
-    const rows = response.data.values || [];
-    const emailLower = String(email || '').toLowerCase();
-    for (let i = 0; i < rows.length; i++) {
-      const rowEmail = String(rows[i][0] || '').toLowerCase();
-      if (rowEmail && rowEmail === emailLower) return true;
-    }
-    return false;
+    return await getRegistrationRepository().emailExists(email);
   } catch (err) {
-    console.error('Error checking registrations sheet for email:', err);
+    console.error('Error checking registrations for email:', err);
     // If we can't check registrations, be conservative and reject to avoid abuse
     return false;
   }
@@ -181,163 +121,37 @@ async function getServiceAccountEmail() {
 }
 
 /**
- * Stores submission data in Google Sheets
+ * Stores submission data in the submissions store
  * @param {Object} submissionData - Submission object to store
- * @returns {Promise<Object>} - Google Sheets API response
+ * @returns {Promise<Object>} - Storage result
  */
-async function storeSubmissionInGoogleSheets(submissionData) {
+async function storeSubmission(submissionData) {
   if (!submissionData) {
-    console.warn('No submission data to store in Google Sheets');
+    console.warn('No submission data to store');
     return { success: false, message: 'No submission data provided' };
   }
 
   try {
-    console.log('Storing submission in Google Sheets:', submissionData);
-    
-    // Prepare the data for Google Sheets format
-    // Columns: Date Submit, Nama Lengkap, Email, Handphone, Link Aktivitas Strava, Jarak (km), Durasi (HH:MM:SS), Foto,
-    // Activity Name, Location, Activity Date, Pace, Authenticated, Auth Valid
-    const columnOrder = [
-      'timestamp', // Date Submit
-      'name',
-      'email',
-      'phone',
-      'stravaActivity',
-      'distance',
-      'duration',
-      'proofFileName',
-      'activity_name',
-      'location',
-      'activity_date',
-      'pace',
-      'authenticated',
-      'auth_valid'
-    ];
-
-    // Convert submission object to array based on column order
-    const dataToAppend = [columnOrder.map(key => {
-      if (key === 'timestamp') {
-        return new Date().toISOString(); // Add current timestamp
-      }
-      return submissionData[key] !== undefined ? submissionData[key] : '';
-    })];
-
-    // Get the Google Sheets client
-    const sheets = await getGoogleSheetsClient();
-    
-    // Check if sheet exists and create headers if needed
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${SUBMISSIONS_SHEET_NAME}!A1:H1`,
-      });
-
-      // If sheet is empty, add headers
-      if (!response.data.values || response.data.values.length === 0) {
-        console.log('Adding headers to submissions sheet (WRP_run_submissions)');
-        const headers = [
-          'Date Submit',
-          'Nama Lengkap',
-          'Email',
-          'Handphone',
-          'Link Aktivitas Strava',
-          'Jarak (km)',
-          'Durasi (HH:MM:SS)',
-          'Foto',
-          'Activity Name',
-          'Location',
-          'Activity Date',
-          'Pace',
-          'Authenticated',
-          'Auth Valid'
-        ];
-
-        await sheets.spreadsheets.values.update({
-          spreadsheetId: SPREADSHEET_ID,
-          range: `${SUBMISSIONS_SHEET_NAME}!A1:H1`,
-          valueInputOption: 'USER_ENTERED',
-          resource: {
-            values: [headers],
-          },
-        });
-      }
-    } catch (headerError) {
-      console.log('Sheet might not exist or header check failed, continuing with data append');
-    }
-
-  // Append the submission data
-  const appendRange = `${SUBMISSIONS_SHEET_NAME}!A2`; // Start appending from row 2, keep row 1 as headers
-    const result = await sheets.spreadsheets.values.append({
-      spreadsheetId: SPREADSHEET_ID,
-      range: appendRange,
-      valueInputOption: 'USER_ENTERED',
-      insertDataOption: 'INSERT_ROWS',
-      resource: {
-        values: dataToAppend,
-      },
-    });
+    console.log('Storing submission:', submissionData);
+    const stored = await getSubmissionRepository().create(submissionData);
 
-    console.log('Google Sheets submission storage successful:', result.data);
+    console.log('Submission storage successful');
     return {
       success: true,
-      message: 'Submission successfully stored in Google Sheets',
-      response: result.data
+      message: 'Submission successfully stored',
+      submission: stored
     };
   } catch (error) {
-    console.error('Error storing submission in Google Sheets:', error.message);
+    console.error('Error storing submission:', error.message);
     console.error('Error details:', error.response?.data || error);
     return {
       success: false,
-      message: 'Failed to store submission in Google Sheets',
+      message: 'Failed to store submission',
       error: error.message
     };
   }
 }
 
-/**
- * Resolves Strava short links to full activity URLs
- * @param {string} url - The URL to resolve (could be short link or direct URL)
- * @returns {Promise<string>} - The resolved full activity URL
- */
-async function resolveStravaUrl(url) {
-  if (!url) return null;
-
-  // If it's already a direct activity URL, just ensure it has /overview
-  if (url.includes('strava.com/activities/')) {
-    return url.endsWith('/overview') ? url : `${url}/overview`;
-  }
-
-  // If it's a short link, resolve it
-  if (url.includes('strava.app.link')) {
-    try {
-      console.log('Resolving short link in submit endpoint:', url);
-      const response = await fetch(url, {
-        redirect: 'follow',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      });
-      const resolvedUrl = response.url;
-      console.log('Resolved to:', resolvedUrl);
-
-      // Extract activity ID and create overview URL
-      const activityIdMatch = resolvedUrl.match(/\/activities\/([0-9]+)/);
-      if (activityIdMatch) {
-        return `https://www.strava.com/activities/${activityIdMatch[1]}/overview`;
-      }
-    } catch (e) {
-      console.error('Failed to resolve short link:', e.message);
-      throw new Error('Failed to resolve Strava short link');
-    }
-  }
-
-  // For any other URL format, return as-is but add /overview if it's a direct activity URL
-  if (url.includes('strava.com/activities/') && !url.endsWith('/overview')) {
-    return `${url}/overview`;
-  }
-
-  return url;
-}
 export async function POST(request) {
   try {
     console.log('=== POST /api/run/submit - Starting submission process ===');
@@ -353,21 +167,8 @@ export async function POST(request) {
     let duration = formData.get('duration');
     const proofFile = formData.get('proof');
 
-    // Resolve Strava URL (handle short links and ensure proper format)
-    let stravaActivity;
-    try {
-      stravaActivity = await resolveStravaUrl(rawStravaActivity);
-      console.log('Resolved Strava URL:', stravaActivity);
-    } catch (e) {
-      console.error('Error resolving Strava URL:', e);
-      return NextResponse.json(
-        { error: 'Invalid Strava activity URL or failed to resolve short link' },
-        { status: 400 }
-      );
-    }
-
     // Validate required fields (distance/duration will be filled from Strava scrape)
-    if (!name || !email || !phone || !stravaActivity || !proofFile) {
+    if (!name || !email || !phone || !rawStravaActivity || !proofFile) {
       console.log('Validation failed: missing required fields');
       return NextResponse.json(
         { error: 'Required fields missing: name, email, phone, stravaActivity, and proof file are required' },
@@ -375,15 +176,28 @@ export async function POST(request) {
       );
     }
 
+    // Any link to the activity (share links, tracking parameters, subpages) becomes its canonical URL
+    let stravaActivity;
+    let stravaActivityId;
+    try {
+      ({ url: stravaActivity, activityId: stravaActivityId } = await canonicalizeStravaUrl(rawStravaActivity));
+      console.log('Canonical Strava URL:', stravaActivity);
+    } catch (e) {
+      console.error('Error resolving Strava URL:', e);
+      return NextResponse.json({ error: e.message }, { status: e.status || 400 });
+    }
+
     // Helper: parse distance string like "1.51 km" or "0.94 mi" into numeric kilometers
     const parseDistanceString = (s) => {
-      if (!s) return null
-      const m = String(s).match(/([0-9]+(?:\.[0-9]+)?)\s*(km|mi)/i)
-      if (!m) return null
-      let val = parseFloat(m[1])
-      const unit = m[2].toLowerCase()
-      if (unit === 'mi') val = val * 1.60934
-      return Number(val.toFixed(3))
+      const meters = parseDistance(s)
+      if (!meters) return null
+      return Number((meters / METERS_PER_KILOMETER).toFixed(3))
+    }
+
+    // Helper: scraped pace like "5:30 /km" or "8:51 /mi" as min:sec per km, the unit submissions are stored in
+    const normalizePaceString = (p) => {
+      const secondsPerKm = parsePace(p)
+      return secondsPerKm ? calculatePace(METERS_PER_KILOMETER, secondsPerKm) : null
     }
 
     // Helper: normalize moving_time like "19:24" (mm:ss) or "1:19:24" to HH:MM:SS
@@ -409,121 +223,145 @@ export async function POST(request) {
       return null
     }
 
-    // Call internal scraper to get authoritative extracted values for the provided Strava activity
-    try {
-  // Use the actual request origin to build an absolute URL for internal fetch.
-  const origin = new URL(request.url).origin
-  const scrapeUrl = `${origin}/api/data/strava/scrape?url=${encodeURIComponent(stravaActivity)}`
-  console.log("GET URL", scrapeUrl)
-  console.log('Using origin for scrape:', origin)
-
-      const scrapeHeaders = {
-        'User-Agent': 'vrun-server/1.0',
-        Accept: 'application/json',
+    // Participants who connected Strava: read the activity with their own token
+    const registration = await getRegistrationRepository().findByEmail(email).catch(() => null);
+    let stravaVerification = null;
+    if (registration && registration.stravaAthleteId) {
+      try {
+        stravaVerification = await verifyParticipantActivity(registration, stravaActivity);
+      } catch (stravaErr) {
+        console.error('Error while reading Strava activity:', stravaErr);
+        return NextResponse.json({ error: 'Failed to read Strava activity', detail: String(stravaErr.message || stravaErr) }, { status: 502 });
       }
-      // forward optional Strava session cookies if included in the form (for authenticated pages)
-      const formCookieToken = formData.get('strava_remember_token')
-      const formCookieId = formData.get('strava_remember_id')
-      if (formCookieToken && formCookieId) {
-        scrapeHeaders['x-strava-remember-token'] = formCookieToken
-        scrapeHeaders['x-strava-remember-id'] = formCookieId
+      if (!stravaVerification.verified) {
+        console.log('Strava activity verification failed:', stravaVerification.error);
+        return NextResponse.json(
+          { error: stravaVerification.error, reconnect: stravaVerification.reconnect || false },
+          { status: stravaVerification.status }
+        );
       }
+      distance = stravaVerification.distance
+      duration = stravaVerification.duration
+      formData.set('__scraped_meta', JSON.stringify(stravaVerification.meta))
+    }
 
-      console.log('Fetching Strava scrape:', scrapeUrl)
-      const scrapeResp = await fetch(scrapeUrl, { headers: scrapeHeaders })
-      if (!scrapeResp.ok) {
-        const txt = await scrapeResp.text().catch(() => '')
-        console.error('Strava scrape failed:', scrapeResp.status, txt)
-        return NextResponse.json({ error: 'Failed to scrape Strava activity', status: scrapeResp.status, detail: txt }, { status: 502 })
-      }
+    // Everyone else: call internal scraper to get authoritative extracted values for the provided Strava activity
+    if (!stravaVerification) {
+      try {
+        // Use the actual request origin to build an absolute URL for internal fetch.
+        const origin = new URL(request.url).origin
+        const scrapeUrl = `${origin}/api/data/strava/scrape?url=${encodeURIComponent(stravaActivity)}`
+        console.log("GET URL", scrapeUrl)
+        console.log('Using origin for scrape:', origin)
+
+        const scrapeHeaders = getScrapeHeaders()
+        // forward optional Strava session cookies if included in the form (for authenticated pages)
+        const formCookieToken = formData.get('strava_remember_token')
+        const formCookieId = formData.get('strava_remember_id')
+        if (formCookieToken && formCookieId) {
+          scrapeHeaders['x-strava-remember-token'] = formCookieToken
+          scrapeHeaders['x-strava-remember-id'] = formCookieId
+        }
 
-      const scrapeJson = await scrapeResp.json()
-      const extracted = scrapeJson.extracted || null
-      if (!extracted) {
-        console.error('Strava scrape returned no extracted object', scrapeJson)
-        return NextResponse.json({ error: 'Strava scrape did not return extracted data', detail: scrapeJson }, { status: 502 })
-      }
+        console.log('Fetching Strava scrape:', scrapeUrl)
+        const scrapeResp = await fetch(scrapeUrl, { headers: scrapeHeaders })
+        if (!scrapeResp.ok) {
+          const txt = await scrapeResp.text().catch(() => '')
+          console.error('Strava scrape failed:', scrapeResp.status, txt)
+          return NextResponse.json({ error: 'Failed to scrape Strava activity', status: scrapeResp.status, detail: txt }, { status: 502 })
+        }
 
-      // Use extracted values to fill distance and duration if missing or override to authoritative values
-      const scrapedDistance = parseDistanceString(extracted.distance)
-      const scrapedDuration = normalizeDuration(extracted.moving_time)
-
-      if (!scrapedDistance || !scrapedDuration) {
-        console.error('Scrape did not produce distance or duration', { extracted })
-        // Try a second scrape attempt using request headers (in case cookies were sent as headers)
-        try {
-          const headerCookies = request.headers.get('cookie') || ''
-          const altHeaders = { 'User-Agent': 'vrun-server/1.0', Accept: 'application/json' }
-          if (headerCookies) altHeaders.Cookie = headerCookies
-          // also forward potential x-strava-remember-* headers
-          const hToken = request.headers.get('x-strava-remember-token')
-          const hId = request.headers.get('x-strava-remember-id')
-          if (hToken && hId) {
-            altHeaders['x-strava-remember-token'] = hToken
-            altHeaders['x-strava-remember-id'] = hId
-          }
-          // also forward cookies submitted as form fields (some clients post cookies in the form)
-          const formToken = formData.get('strava_remember_token')
-          const formId = formData.get('strava_remember_id')
-          if (formToken && formId) {
-            altHeaders['x-strava-remember-token'] = formToken
-            altHeaders['x-strava-remember-id'] = formId
-          }
-          console.log('Retrying scrape with forwarded headers')
-          const retryResp = await fetch(scrapeUrl, { headers: altHeaders })
-          if (retryResp.ok) {
-            const retryJson = await retryResp.json().catch(() => null)
-            const retryExtracted = retryJson?.extracted || null
-            const retryDist = parseDistanceString(retryExtracted?.distance)
-            const retryDur = normalizeDuration(retryExtracted?.moving_time)
-            if (retryDist && retryDur) {
-              console.log('Retry scrape succeeded with forwarded headers')
-              distance = retryDist
-              duration = retryDur
-              // attach scraped meta from retry
-              const scrapedMeta2 = {
-                activity_name: retryExtracted.activity_name || null,
-                location: retryExtracted.location || null,
-                date: retryExtracted.date || null,
-                description: retryExtracted.description || null,
-                pace: retryExtracted.pace || null,
-                authenticated: retryExtracted.authenticated || false,
-                auth_valid: retryExtracted.auth_valid || false,
+        let scrapeJson = await scrapeResp.json()
+        let extracted = scrapeJson.extracted || null
+        if (!extracted) {
+          console.error('Strava scrape returned no extracted object', scrapeJson)
+          return NextResponse.json({ error: 'Strava scrape did not return extracted data', detail: scrapeJson }, { status: 502 })
+        }
+
+        // Use extracted values to fill distance and duration if missing or override to authoritative values
+        let scrapedDistance = parseDistanceString(extracted.distance)
+        let scrapedDuration = normalizeDuration(extracted.moving_time)
+
+        if (!scrapedDistance || !scrapedDuration) {
+          console.error('Scrape did not produce distance or duration', { extracted })
+          // Try a second scrape attempt using request headers (in case cookies were sent as headers)
+          try {
+            const headerCookies = request.headers.get('cookie') || ''
+            const altHeaders = getScrapeHeaders()
+            if (headerCookies) altHeaders.Cookie = headerCookies
+            // also forward potential x-strava-remember-* headers
+            const hToken = request.headers.get('x-strava-remember-token')
+            const hId = request.headers.get('x-strava-remember-id')
+            if (hToken && hId) {
+              altHeaders['x-strava-remember-token'] = hToken
+              altHeaders['x-strava-remember-id'] = hId
+            }
+            // also forward cookies submitted as form fields (some clients post cookies in the form)
+            const formToken = formData.get('strava_remember_token')
+            const formId = formData.get('strava_remember_id')
+            if (formToken && formId) {
+              altHeaders['x-strava-remember-token'] = formToken
+              altHeaders['x-strava-remember-id'] = formId
+            }
+            console.log('Retrying scrape with forwarded headers')
+            const retryResp = await fetch(scrapeUrl, { headers: altHeaders })
+            if (retryResp.ok) {
+              const retryJson = await retryResp.json().catch(() => null)
+              const retryExtracted = retryJson?.extracted || null
+              const retryDist = parseDistanceString(retryExtracted?.distance)
+              const retryDur = normalizeDuration(retryExtracted?.moving_time)
+              if (retryDist && retryDur) {
+                console.log('Retry scrape succeeded with forwarded headers')
+                // the retry's values and confidence are the ones checked and stored below
+                scrapeJson = retryJson
+                extracted = retryExtracted
+                scrapedDistance = retryDist
+                scrapedDuration = retryDur
               }
-              formData.set('__scraped_meta', JSON.stringify(scrapedMeta2))
             }
+          } catch (retryErr) {
+            console.warn('Retry scrape failed:', String(retryErr))
           }
-        } catch (retryErr) {
-          console.warn('Retry scrape failed:', String(retryErr))
         }
-      }
-      // after retry attempt, re-evaluate
-      if (!distance || !duration) {
-        return NextResponse.json({ error: 'Could not extract required distance or duration from Strava activity', scraped: extracted, issues: scrapeJson.issues || [] }, { status: 400 })
-      }
+        // after retry attempt, re-evaluate
+        if (!scrapedDistance || !scrapedDuration) {
+          return NextResponse.json({ error: 'Could not extract required distance or duration from Strava activity', scraped: extracted, issues: scrapeJson.issues || [] }, { status: 400 })
+        }
 
-      // override incoming form values to ensure authoritative data
-      // distance will be stored as numeric kilometers
-      distance = scrapedDistance
-      duration = scrapedDuration
-
-      // attach scraped metadata to notes so it's stored with the submission
-      const scrapedMeta = {
-        activity_name: extracted.activity_name || null,
-        location: extracted.location || null,
-        date: extracted.date || null,
-        description: extracted.description || null,
-  pace: extracted.pace || null,
-        authenticated: extracted.authenticated || false,
-        auth_valid: extracted.auth_valid || false,
-      }
+        // Values the extraction is unsure of are not stored as the participant's run
+        if (!isConfidentScrape(scrapeJson)) {
+          console.log('Scrape confidence too low:', scrapeJson.confidence)
+          return NextResponse.json({
+            error: 'Distance and moving time could not be read reliably from the Strava activity; make the activity public or connect Strava and submit again',
+            confidence: scrapeJson.confidence || null,
+            minConfidence: EXTRACTION_CONFIG.MIN_CONFIDENCE,
+            issues: scrapeJson.issues || []
+          }, { status: 422 })
+        }
 
-      // append to notes (existing variable 'submission' isn't created yet — we'll attach later)
-      // we'll serialize scrapedMeta into notes later when constructing submission
-      formData.set('__scraped_meta', JSON.stringify(scrapedMeta))
-    } catch (scrapeErr) {
-      console.error('Error while scraping Strava activity:', scrapeErr)
-      return NextResponse.json({ error: 'Internal error while scraping Strava', detail: String(scrapeErr) }, { status: 500 })
+        // override incoming form values to ensure authoritative data
+        // distance will be stored as numeric kilometers
+        distance = scrapedDistance
+        duration = scrapedDuration
+
+        // attach scraped metadata to notes so it's stored with the submission
+        const scrapedMeta = {
+          activity_name: extracted.activity_name || null,
+          location: extracted.location || null,
+          date: extracted.date || null,
+          description: extracted.description || null,
+          pace: normalizePaceString(extracted.pace),
+          authenticated: extracted.authenticated || false,
+          auth_valid: extracted.auth_valid || false,
+        }
+
+        // append to notes (existing variable 'submission' isn't created yet — we'll attach later)
+        // we'll serialize scrapedMeta into notes later when constructing submission
+        formData.set('__scraped_meta', JSON.stringify(scrapedMeta))
+      } catch (scrapeErr) {
+        console.error('Error while scraping Strava activity:', scrapeErr)
+        return NextResponse.json({ error: 'Internal error while scraping Strava', detail: String(scrapeErr) }, { status: 500 })
+      }
     }
 
     // Validate email format
@@ -589,8 +427,8 @@ export async function POST(request) {
         );
       }
 
-      console.log('Checking for duplicate submission in Google Sheets...');
-      const { isStravaDuplicate, emailCount } = await checkDuplicateSubmission(email, stravaActivity);
+      console.log('Checking for duplicate submission...');
+      const { isStravaDuplicate, emailCount } = await checkDuplicateSubmission(email, stravaActivity, stravaActivityId);
       if (isStravaDuplicate) {
         console.log('Duplicate Strava activity submission detected, returning error for', stravaActivity);
         return NextResponse.json(
@@ -599,11 +437,11 @@ export async function POST(request) {
         );
       }
 
-      // Allow up to 4 submissions per email. If already 4 or more existing, reject the new submission.
-      if (emailCount >= 4) {
+      // Allow up to SUBMISSION_CONFIG.MAX_PER_EMAIL submissions per email; reject any beyond that.
+      if (isSubmissionLimitReached(emailCount)) {
         console.log(`Email ${email} has already submitted ${emailCount} times; rejecting additional submissions`);
         return NextResponse.json(
-          { error: 'Submission limit exceeded: each email may submit up to 4 times' },
+          { error: `Submission limit exceeded: each email may submit up to ${SUBMISSION_CONFIG.MAX_PER_EMAIL} times` },
           { status: 429 }
         );
       }
@@ -621,15 +459,16 @@ export async function POST(request) {
       // ignore parse errors
     }
 
-    // Create submission data
+    // Create submission data; the repository fills Jarak (km) and Durasi (HH:MM:SS) from meters and seconds
+    const [hours, minutes, seconds] = duration.trim().split(':').map(Number);
     const submission = {
       id: Date.now().toString(),
       name: name.trim(),
       email: email.trim().toLowerCase(),
       phone: phone.trim(),
       stravaActivity: stravaActivity.trim(),
-      distance: distanceNum,
-      duration: duration.trim(),
+      distanceMeters: Math.round(distanceNum * METERS_PER_KILOMETER),
+      durationSeconds: hours * 3600 + minutes * 60 + seconds,
       submissionDate: new Date().toISOString(),
       status: 'submitted',
       verificationStatus: 'pending',
@@ -641,8 +480,17 @@ export async function POST(request) {
       pace: scrapedMeta?.pace || null,
       authenticated: scrapedMeta?.authenticated || false,
       auth_valid: scrapedMeta?.auth_valid || false,
+      verificationMethod: stravaVerification ? 'strava_api' : 'scrape',
+      stravaActivityId,
+      stravaAthleteId: stravaVerification?.athleteId || '',
     };
 
+    // Activities read with the athlete's own token are verified, unless entered manually on Strava
+    if (stravaVerification && !stravaVerification.manual) {
+      submission.verificationStatus = 'verified';
+      submission.notes = 'Verified through the Strava API';
+    }
+
     console.log('New submission created:', submission);
 
     // Upload proof image to Google Drive and get a public URL. If upload fails (including OAuth fallback),
@@ -786,9 +634,9 @@ export async function POST(request) {
             }
           }
 
-          // If we reach here and uploadSucceeded is still false, return a 503 and DO NOT store to Sheets
+          // If we reach here and uploadSucceeded is still false, return a 503 and DO NOT store the submission
           if (!uploadSucceeded) {
-            console.warn('Drive upload could not be completed; aborting and not storing submission to Google Sheets.');
+            console.warn('Drive upload could not be completed; aborting and not storing submission.');
             return NextResponse.json(
               {
                 error: 'Drive upload blocked by service account storage/quota policy',
@@ -843,39 +691,57 @@ export async function POST(request) {
       // Otherwise continue; submission.proofFileName may be set by OAuth fallback above
     }
 
-    // Store submission in Google Sheets
-    console.log('Storing submission in Google Sheets...');
+    // Store submission
+    console.log('Storing submission...');
+    let stored;
     try {
-      const sheetsResult = await storeSubmissionInGoogleSheets(submission);
-      if (!sheetsResult.success) {
-        console.error('Failed to store submission in Google Sheets:', sheetsResult.message);
+      const storeResult = await storeSubmission(submission);
+      if (!storeResult.success) {
+        console.error('Failed to store submission:', storeResult.message);
         return NextResponse.json(
           { error: 'Failed to store submission data' },
           { status: 500 }
         );
       }
-      console.log('Google Sheet updated successfully');
-    } catch (googleError) {
-      console.error('Failed to update Google Sheet:', googleError);
+      stored = storeResult.submission;
+      console.log('Submission stored successfully');
+    } catch (storageError) {
+      console.error('Failed to store submission:', storageError);
       return NextResponse.json(
         { error: 'Failed to store submission data' },
         { status: 500 }
       );
     }
 
+    const verified = submission.verificationStatus === 'verified';
+    await notify(verified ? NOTIFICATION_EVENTS.SUBMISSION_VERIFIED : NOTIFICATION_EVENTS.SUBMISSION_RECEIVED, {
+      to: submission.email,
+      locale: registration?.locale,
+      data: {
+        name: submission.name,
+        submissionId: submission.id,
+        distance: stored.distance,
+        duration: stored.duration,
+        stravaActivity: submission.stravaActivity
+      }
+    });
+
     console.log('Submission process completed successfully, returning response...');
     return NextResponse.json({
       success: true,
       message: 'Submission successful',
       submissionId: submission.id,
-      distance: submission.distance,
-      duration: submission.duration,
+      distance: stored.distance,
+      duration: stored.duration,
+      distanceMeters: stored.distanceMeters,
+      durationSeconds: stored.durationSeconds,
       data: {
         name: submission.name,
         email: submission.email,
         submissionDate: submission.submissionDate,
         status: submission.status,
-        verificationStatus: submission.verificationStatus
+        verificationStatus: submission.verificationStatus,
+        verificationMethod: submission.verificationMethod
       }
     });
 
@@ -890,11 +756,22 @@ export async function POST(request) {
 
 /**
  * GET /api/run/submit
- * Get all submissions from Google Sheets (admin only)
+ * Get all submissions (requires the read-submissions scope)
+ * Query: units=metric|imperial for the distances (default UNITS_CONFIG.DEFAULT)
  */
 export async function GET(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.READ_SUBMISSIONS);
+  if (!auth.authorized) return auth.response;
+
+  let units;
   try {
-    console.log('Fetching submissions from Google Sheets...');
+    units = getRequestedUnits(new URL(request.url).searchParams);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: error.status || 400 });
+  }
+
+  try {
+    console.log('Fetching submissions for admin:', auth.principal.id);
     // If caller asks for whoami, return service account email and drive client id to help troubleshooting
     try {
       const reqUrl = new URL(request.url);
@@ -906,46 +783,34 @@ export async function GET(request) {
       // ignore whoami parsing errors
     }
     
-    // Get submissions from Google Sheets
-    const sheets = await getGoogleSheetsClient();
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${SUBMISSIONS_SHEET_NAME}!A2:H1000`, // Skip header row, get up to 1000 rows for A:H
-    });
-
-    const rows = response.data.values || [];
-    console.log(`Found ${rows.length} submissions in Google Sheets`);
-
-    // Convert rows back to submission objects
-    const submissions = rows.map(row => ({
-      timestamp: row[0] || '',
-      name: row[1] || '',
-      email: row[2] || '',
-      phone: row[3] || '',
-      stravaActivity: row[4] || '',
-      distance: parseFloat(row[5]) || 0,
-      duration: row[6] || '',
-      proofFileName: row[7] || ''
-    })).filter(row => row.timestamp); // Filter out empty rows by timestamp
+    const submissions = await getSubmissionRepository().list();
+    console.log(`Found ${submissions.length} submissions`);
 
     // Return summary without sensitive data
     const summary = submissions.map(sub => ({
+      id: sub.id,
       timestamp: sub.timestamp,
       name: sub.name,
-      distance: sub.distance,
-      duration: sub.duration
+      distance: convertDistance(sub.distanceMeters, units),
+      distanceMeters: sub.distanceMeters,
+      duration: sub.duration,
+      durationSeconds: sub.durationSeconds,
+      verificationStatus: sub.verificationStatus
     }));
 
+    const totalMeters = submissions.reduce((sum, s) => sum + (s.distanceMeters || 0), 0);
     return NextResponse.json({
       submissions: summary,
       total: submissions.length,
+      units,
       stats: {
-        totalDistance: submissions.reduce((sum, s) => sum + (s.distance || 0), 0)
+        totalDistance: convertDistance(totalMeters, units),
+        totalDistanceMeters: totalMeters
       }
     });
 
   } catch (error) {
-    console.error('Error fetching submissions from Google Sheets:', error);
+    console.error('Error fetching submissions:', error);
     return NextResponse.json(
       { error: 'Internal server error' },
       { status: 500 }
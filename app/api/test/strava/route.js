@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
+import { fetchStrava, getStravaRateLimiter, getStravaTokenManager } from '../../../../lib/strava';
 
 export async function GET(request) {
   try {
-    const accessToken = process.env.DEFAULT_ACCESS_TOKEN;
+    const accessToken = await getStravaTokenManager().getAccessToken();
     const clubId = process.env.STRAVA_CLUB_ID || '897025';
     
     console.log('Testing Strava API with:');
@@ -11,12 +12,7 @@ export async function GET(request) {
     
     // Test 1: Get athlete info (simpler endpoint)
     console.log('Testing athlete endpoint...');
-    const athleteResponse = await fetch('https://www.strava.com/api/v3/athlete', {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const athleteResponse = await fetchStrava('https://www.strava.com/api/v3/athlete');
     
     console.log('Athlete endpoint status:', athleteResponse.status);
     
@@ -26,15 +22,7 @@ export async function GET(request) {
       
       // Test 2: Get club activities
       console.log('Testing club activities endpoint...');
-      const clubResponse = await fetch(
-        `https://www.strava.com/api/v3/clubs/${clubId}/activities?per_page=10`,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const clubResponse = await fetchStrava(`https://www.strava.com/api/v3/clubs/${clubId}/activities?per_page=10`);
       
       console.log('Club activities status:', clubResponse.status);
       
@@ -57,6 +45,7 @@ export async function GET(request) {
               athlete: activities[0].athlete
             } : null
           },
+          rate_limit: getStravaRateLimiter().getStatus(),
           message: 'Both Strava API endpoints are working!'
         });
       } else {
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { getIdempotencyStore } from '../../../../lib/idempotency';
+
+// Protect this endpoint with a cron secret header (same header as /api/club/cron)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+/**
+ * GET /api/webhooks/cleanup
+ * Cron job: delete webhook events past their TTL from the idempotency store.
+ *
+ * Headers: x-cron-secret
+ */
+export async function GET(request) {
+  const secret = request.headers.get('x-cron-secret');
+  if (!secret || !CRON_SECRET || secret !== CRON_SECRET) {
+    return NextResponse.json({ ok: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const store = getIdempotencyStore();
+    const removed = await store.cleanup();
+    console.log(`Removed ${removed} expired webhook events from the ${store.store} store`);
+    return NextResponse.json({ ok: true, store: store.store, removed });
+  } catch (error) {
+    console.error('Idempotency cleanup error:', error);
+    return NextResponse.json({ ok: false, error: error.message }, { status: 500 });
+  }
+}
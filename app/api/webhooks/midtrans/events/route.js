@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../../lib/admin-auth';
+import { getIdempotencyStore, isExpired } from '../../../../../lib/idempotency';
+import { STRAVA_EVENT_PREFIX, isStravaEventId } from '../../../../../lib/strava-webhook';
+import { POST as handleMidtransNotification } from '../route';
+
+/**
+ * GET /api/webhooks/midtrans/events
+ * Inspect processed webhook events (requires the manage-payments scope)
+ * Strava events share the store; they are listed at /api/webhooks/strava/events.
+ *
+ * Query parameters:
+ * - eventId: return a single event, including its stored notification
+ * - status: processing | completed | failed
+ * - includeExpired: 'true' to include events past their TTL
+ * - limit: maximum number of events (default 100)
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_PAYMENTS);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const store = getIdempotencyStore();
+    const eventId = searchParams.get('eventId');
+
+    if (eventId) {
+      const record = isStravaEventId(eventId) ? null : await store.get(eventId);
+      if (!record) {
+        return NextResponse.json({ error: 'Event not found' }, { status: 404 });
+      }
+      return NextResponse.json({ store: store.store, event: { ...record, expired: isExpired(record) } });
+    }
+
+    const events = await store.list({
+      status: searchParams.get('status') || undefined,
+      excludePrefix: STRAVA_EVENT_PREFIX,
+      includeExpired: searchParams.get('includeExpired') === 'true',
+      limit: parseInt(searchParams.get('limit'), 10) || 100
+    });
+
+    return NextResponse.json({
+      store: store.store,
+      total: events.length,
+      // Listings leave out the notification payloads; fetch a single event to see it
+      events: events.map(({ payload, ...event }) => ({ ...event, expired: isExpired(event) }))
+    });
+  } catch (error) {
+    console.error('Error listing webhook events:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/webhooks/midtrans/events
+ * Replay a processed event (requires the manage-payments scope)
+ *
+ * Body: { "eventId": "<event id>" }
+ * The event is released from the idempotency store and its stored notification is
+ * sent through the webhook handler again, including signature verification.
+ */
+export async function POST(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_PAYMENTS);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const { eventId } = await request.json().catch(() => ({}));
+    if (!eventId) {
+      return NextResponse.json({ error: 'eventId is required' }, { status: 400 });
+    }
+    if (isStravaEventId(eventId)) {
+      return NextResponse.json({ error: 'Not a Midtrans event; replay Strava events at /api/webhooks/strava/events' }, { status: 400 });
+    }
+
+    const store = getIdempotencyStore();
+    const record = await store.get(eventId);
+    if (!record) {
+      return NextResponse.json({ error: 'Event not found' }, { status: 404 });
+    }
+    if (!record.payload || typeof record.payload !== 'object') {
+      return NextResponse.json({ error: 'Event has no stored notification to replay' }, { status: 409 });
+    }
+
+    console.log(`Replaying webhook event ${eventId} for admin ${auth.principal.id}`);
+    await store.release(eventId);
+
+    const replayResponse = await handleMidtransNotification(new Request(request.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(record.payload)
+    }));
+    const replayResult = await replayResponse.json();
+
+    return NextResponse.json({
+      success: replayResponse.ok && replayResult.success !== false,
+      eventId,
+      previousStatus: record.status,
+      replay: replayResult
+    }, { status: replayResponse.ok ? 200 : replayResponse.status });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
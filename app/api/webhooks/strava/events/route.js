@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../../lib/admin-auth';
+import { getIdempotencyStore, isExpired } from '../../../../../lib/idempotency';
+import { STRAVA_EVENT_PREFIX, isStravaEventId, replayStravaEvent } from '../../../../../lib/strava-webhook';
+
+/**
+ * GET /api/webhooks/strava/events
+ * Inspect processed Strava events (requires the manage-strava scope)
+ *
+ * Query parameters:
+ * - eventId: return a single event, including its stored payload
+ * - status: processing | completed | failed
+ * - includeExpired: 'true' to include events past their TTL
+ * - limit: maximum number of events (default 100)
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const store = getIdempotencyStore();
+    const eventId = searchParams.get('eventId');
+
+    if (eventId) {
+      const record = isStravaEventId(eventId) ? await store.get(eventId) : null;
+      if (!record) {
+        return NextResponse.json({ error: 'Event not found' }, { status: 404 });
+      }
+      return NextResponse.json({ store: store.store, event: { ...record, expired: isExpired(record) } });
+    }
+
+    const events = await store.list({
+      status: searchParams.get('status') || undefined,
+      prefix: STRAVA_EVENT_PREFIX,
+      includeExpired: searchParams.get('includeExpired') === 'true',
+      limit: parseInt(searchParams.get('limit'), 10) || 100
+    });
+
+    return NextResponse.json({
+      store: store.store,
+      total: events.length,
+      events: events.map(({ payload, ...event }) => ({ ...event, expired: isExpired(event) }))
+    });
+  } catch (error) {
+    console.error('Error listing Strava events:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/webhooks/strava/events
+ * Process a stored Strava event again (requires the manage-strava scope)
+ *
+ * Body: { "eventId": "strava_..." }
+ * Unlike the webhook itself, the replay waits for processing and returns its result.
+ */
+export async function POST(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const { eventId } = await request.json().catch(() => ({}));
+    if (!eventId) {
+      return NextResponse.json({ error: 'eventId is required' }, { status: 400 });
+    }
+    if (!isStravaEventId(eventId)) {
+      return NextResponse.json({ error: 'Not a Strava event; replay Midtrans events at /api/webhooks/midtrans/events' }, { status: 400 });
+    }
+
+    const record = await getIdempotencyStore().get(eventId);
+    if (!record) {
+      return NextResponse.json({ error: 'Event not found' }, { status: 404 });
+    }
+    if (!record.payload || typeof record.payload !== 'object') {
+      return NextResponse.json({ error: 'Event has no stored payload to replay' }, { status: 409 });
+    }
+
+    console.log(`Replaying Strava event ${eventId} for admin ${auth.principal.id}`);
+    const replay = await replayStravaEvent(record);
+    if (!replay.replayed) {
+      return NextResponse.json({ error: replay.reason }, { status: 409 });
+    }
+
+    return NextResponse.json({
+      success: replay.result.success !== false,
+      eventId,
+      previousStatus: record.status,
+      replay: replay.result
+    });
+  } catch (error) {
+    console.error('Error replaying Strava event:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { retryFailedStravaEvents } from '../../../../../lib/strava-webhook';
+
+// Protect this endpoint with a cron secret header (same header as /api/club/cron)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+/**
+ * GET /api/webhooks/strava/retry
+ * Cron job: process failed Strava events again, e.g. after Strava rate limited us.
+ *
+ * Headers: x-cron-secret
+ * Query: limit - maximum events to retry (default 20)
+ */
+export async function GET(request) {
+  const secret = request.headers.get('x-cron-secret');
+  if (!secret || !CRON_SECRET || secret !== CRON_SECRET) {
+    return NextResponse.json({ ok: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const limit = parseInt(new URL(request.url).searchParams.get('limit'), 10) || 20;
+    const summary = await retryFailedStravaEvents({ limit });
+    console.log('Strava event retry:', summary);
+    return NextResponse.json({ ok: true, ...summary });
+  } catch (error) {
+    console.error('Strava event retry error:', error);
+    return NextResponse.json({ ok: false, error: error.message }, { status: 500 });
+  }
+}
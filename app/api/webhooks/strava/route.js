@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import { STRAVA_CONFIG } from '../../../../lib/config';
+import { getEventTtlSeconds, getIdempotencyStore } from '../../../../lib/idempotency';
+import { getStravaRateLimiter } from '../../../../lib/strava';
+import { generateStravaEventId, runStravaEvent } from '../../../../lib/strava-webhook';
+
+/**
+ * Validate a Strava event body
+ * @param {Object} event
+ * @returns {Array<string>} Errors
+ */
+function validateEvent(event) {
+  const errors = [];
+  ['object_type', 'object_id', 'aspect_type', 'owner_id', 'subscription_id', 'event_time'].forEach(field => {
+    if (event[field] === undefined || event[field] === null || event[field] === '') {
+      errors.push(`Missing required field: ${field}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * GET /api/webhooks/strava
+ * Subscription handshake: Strava calls the callback URL with hub.mode=subscribe,
+ * hub.verify_token and hub.challenge, and expects the challenge echoed back within 2 seconds.
+ * Without hub parameters this is a health check.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const mode = searchParams.get('hub.mode');
+
+  if (!mode) {
+    return NextResponse.json({
+      status: 'Strava webhook endpoint is running',
+      timestamp: new Date().toISOString(),
+      verify_token_configured: Boolean(STRAVA_CONFIG.WEBHOOK_VERIFY_TOKEN),
+      strava_rate_limit: getStravaRateLimiter().getStatus()
+    });
+  }
+
+  const verifyToken = searchParams.get('hub.verify_token');
+  const challenge = searchParams.get('hub.challenge');
+  if (mode !== 'subscribe' || !challenge || !STRAVA_CONFIG.WEBHOOK_VERIFY_TOKEN || verifyToken !== STRAVA_CONFIG.WEBHOOK_VERIFY_TOKEN) {
+    console.warn('Strava webhook handshake rejected:', { mode, hasChallenge: Boolean(challenge) });
+    return NextResponse.json({ error: 'Verification failed' }, { status: 403 });
+  }
+
+  console.log('Strava webhook handshake verified');
+  return NextResponse.json({ 'hub.challenge': challenge });
+}
+
+/**
+ * POST /api/webhooks/strava
+ * Activity and athlete events of the push subscription
+ *
+ * Strava expects a 200 within 2 seconds and retries otherwise, so the event is
+ * claimed in the idempotency store and processed after responding. An event that
+ * fails is processed again by the GET /api/webhooks/strava/retry cron job.
+ */
+export async function POST(request) {
+  let event;
+  try {
+    event = await request.json();
+  } catch (error) {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const errors = validateEvent(event);
+  if (errors.length > 0) {
+    console.error('Strava event validation failed:', errors);
+    return NextResponse.json({ error: 'Invalid event payload', details: errors }, { status: 400 });
+  }
+
+  // Strava events are not signed; at least refuse events of a subscription that isn't ours
+  if (STRAVA_CONFIG.WEBHOOK_SUBSCRIPTION_ID && String(event.subscription_id) !== STRAVA_CONFIG.WEBHOOK_SUBSCRIPTION_ID) {
+    console.warn('Strava event for unknown subscription:', event.subscription_id);
+    return NextResponse.json({ error: 'Unknown subscription' }, { status: 403 });
+  }
+
+  const eventId = generateStravaEventId(event);
+  console.log('Strava event received:', eventId);
+
+  let claim;
+  try {
+    claim = await getIdempotencyStore().claim(eventId, {
+      ttlSeconds: getEventTtlSeconds(),
+      payload: event
+    });
+  } catch (error) {
+    // Without the store duplicates cannot be detected, so let Strava retry later
+    console.error('Idempotency store unavailable:', error.message);
+    return NextResponse.json({ error: 'Idempotency store unavailable' }, { status: 503 });
+  }
+
+  if (!claim.claimed) {
+    console.log('Duplicate Strava event, skipping processing:', eventId);
+    return NextResponse.json({ success: true, eventId, eventStatus: claim.record?.status, duplicate: true });
+  }
+
+  // Fire and forget - don't wait for completion
+  runStravaEvent(eventId, event).catch(error => {
+    console.error('Asynchronous Strava event processing failed:', error);
+  });
+
+  return NextResponse.json({ success: true, eventId });
+}
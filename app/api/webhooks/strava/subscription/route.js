@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { ADMIN_SCOPES, authorizeAdmin } from '../../../../../lib/admin-auth';
+import { STRAVA_CONFIG } from '../../../../../lib/config';
+import { createPushSubscription, deletePushSubscription, listPushSubscriptions } from '../../../../../lib/strava';
+
+function stravaError(error) {
+  console.error('Strava push subscription error:', error.message);
+  return NextResponse.json(
+    { error: error.message, details: error.details || undefined },
+    { status: error.status && error.status < 500 ? error.status : 502 }
+  );
+}
+
+/**
+ * GET /api/webhooks/strava/subscription
+ * List the app's push subscriptions (requires the manage-strava scope)
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    const subscriptions = await listPushSubscriptions();
+    return NextResponse.json({ subscriptions, count: subscriptions.length });
+  } catch (error) {
+    return stravaError(error);
+  }
+}
+
+/**
+ * POST /api/webhooks/strava/subscription
+ * Create the push subscription. Strava allows one per app and verifies the callback
+ * (GET /api/webhooks/strava) before answering.
+ *
+ * Body (optional): { "callbackUrl": "https://.../api/webhooks/strava" }, default STRAVA_WEBHOOK_CALLBACK_URL
+ */
+export async function POST(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch (e) {
+    // The body is optional
+  }
+
+  const callbackUrl = body.callbackUrl || STRAVA_CONFIG.WEBHOOK_CALLBACK_URL;
+  if (!callbackUrl) {
+    return NextResponse.json({ error: 'callbackUrl or STRAVA_WEBHOOK_CALLBACK_URL is required' }, { status: 400 });
+  }
+  if (!STRAVA_CONFIG.WEBHOOK_VERIFY_TOKEN) {
+    return NextResponse.json({ error: 'STRAVA_WEBHOOK_VERIFY_TOKEN is not configured' }, { status: 503 });
+  }
+
+  try {
+    const subscription = await createPushSubscription(callbackUrl, STRAVA_CONFIG.WEBHOOK_VERIFY_TOKEN);
+    console.log(`Strava push subscription ${subscription?.id} created by ${auth.principal.id} for ${callbackUrl}`);
+    return NextResponse.json({ success: true, subscription, callbackUrl }, { status: 201 });
+  } catch (error) {
+    return stravaError(error);
+  }
+}
+
+/**
+ * DELETE /api/webhooks/strava/subscription?id=<subscription id>
+ * Delete a push subscription; without an id, the app's only subscription
+ */
+export async function DELETE(request) {
+  const auth = authorizeAdmin(request, ADMIN_SCOPES.MANAGE_STRAVA);
+  if (!auth.authorized) return auth.response;
+
+  try {
+    let subscriptionId = new URL(request.url).searchParams.get('id');
+    if (!subscriptionId) {
+      const subscriptions = await listPushSubscriptions();
+      if (subscriptions.length === 0) {
+        return NextResponse.json({ error: 'No push subscription to delete' }, { status: 404 });
+      }
+      subscriptionId = subscriptions[0].id;
+    }
+
+    await deletePushSubscription(subscriptionId);
+    console.log(`Strava push subscription ${subscriptionId} deleted by ${auth.principal.id}`);
+    return NextResponse.json({ success: true, deleted: String(subscriptionId) });
+  } catch (error) {
+    return stravaError(error);
+  }
+}
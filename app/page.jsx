@@ -12,6 +12,7 @@ export default function RegisterPage() {
     stravaName: '',
     packageType: 'basic',
     donationAmount: '',
+    promoCode: '',
     jerseySize: '',
     gender: '',
     simpleAddress: '',
@@ -32,8 +33,31 @@ export default function RegisterPage() {
   const [redirectCountdown, setRedirectCountdown] = useState(null);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [showFullAddress, setShowFullAddress] = useState(false);
+  const [catalog, setCatalog] = useState(null);
+  const [promoQuote, setPromoQuote] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [isCheckingPromo, setIsCheckingPromo] = useState(false);
   const dropdownRef = useRef(null);
 
+  // Load packages and prices from the catalog
+  useEffect(() => {
+    fetch('/api/catalog')
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(data => {
+        setCatalog(data);
+        if (!data.packages.some(pkg => pkg.id === formData.packageType)) {
+          setFormData(prev => ({ ...prev, packageType: data.defaultPackageId }));
+        }
+      })
+      .catch(error => console.error('Failed to load catalog:', error));
+  }, []);
+
+  const packages = catalog?.packages || [];
+  const findPackage = (type) => packages.find(pkg => pkg.id === type);
+  const selectedPackage = findPackage(formData.packageType);
+  const requiresJersey = Boolean(selectedPackage?.requiresJersey);
+  const formatRupiah = (amount) => (amount || 0).toLocaleString('id-ID');
+
   // Close dropdown when clicking outside
   useEffect(() => {
     function handleClickOutside(event) {
@@ -50,6 +74,11 @@ export default function RegisterPage() {
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
+    if (name === 'promoCode') {
+      // Discount has to be checked again for the new code
+      setPromoQuote(null);
+      setPromoError('');
+    }
     if (name.startsWith('fullAddress.')) {
       const addressField = name.split('.')[1];
       setFormData(prev => ({
@@ -68,37 +97,57 @@ export default function RegisterPage() {
   };
 
   const handlePackageSelect = (packageType) => {
+    const pkg = findPackage(packageType);
     setFormData(prev => ({
       ...prev,
       packageType: packageType,
-      // Reset jersey size if switching to basic package
-      jerseySize: packageType === 'basic' ? '' : prev.jerseySize,
-      // Reset gender if switching to basic package (gender only needed for jersey packages)
-      gender: packageType === 'basic' ? '' : prev.gender
+      // Reset jersey size if switching to a package without jersey
+      jerseySize: pkg?.requiresJersey ? prev.jerseySize : '',
+      // Reset gender if switching to a package without jersey (gender only needed for jersey packages)
+      gender: pkg?.requiresJersey ? prev.gender : ''
     }));
+    // Promo codes can be limited to packages, so the discount has to be checked again
+    setPromoQuote(null);
+    setPromoError('');
     setIsDropdownOpen(false);
   };
 
+  // Check a promo code against the server-side price for the selected package
+  const handleApplyPromo = async () => {
+    const code = formData.promoCode.trim();
+    if (!code) return;
+
+    setIsCheckingPromo(true);
+    setPromoError('');
+    try {
+      const params = new URLSearchParams({ package: formData.packageType, promo: code });
+      const response = await fetch(`/api/catalog/quote?${params}`);
+      const result = await response.json();
+      if (response.ok) {
+        setPromoQuote(result);
+      } else {
+        setPromoQuote(null);
+        setPromoError(result.error || 'Kode promo tidak valid');
+      }
+    } catch (error) {
+      setPromoQuote(null);
+      setPromoError('Gagal memeriksa kode promo. Silakan coba lagi.');
+      console.error('Promo check error:', error);
+    } finally {
+      setIsCheckingPromo(false);
+    }
+  };
+
   const getPackageOption = (type) => {
-    if (type === 'basic') {
-      return {
-        value: 'basic',
-        label: '💫 Basic - Rp. 100.000',
-        description: 'Paket dasar tanpa jersey'
-      };
-    } else if (type === 'basic-jersey') {
-      return {
-        value: 'basic-jersey',
-        label: '🌟 Basic + Jersey - Rp. 250.000',
-        description: 'Paket dasar dengan jersey'
-      };
-    } else {
-      return {
-        value: 'jersey-only',
-        label: '👕 Jersey Only - Rp. 150.000',
-        description: 'Hanya jersey'
-      };
+    const pkg = findPackage(type);
+    if (!pkg) {
+      return { value: type, label: 'Memuat paket...', description: '' };
     }
+    return {
+      value: pkg.id,
+      label: `${pkg.icon} ${pkg.name} - Rp. ${formatRupiah(pkg.total)}`,
+      description: pkg.description
+    };
   };
 
   const handleSubmit = async (e) => {
@@ -121,13 +170,15 @@ export default function RegisterPage() {
       if (response.ok) {
         setSubmitStatus('success');
         setPaymentData(result);
+        setPromoQuote(null);
         setFormData({ 
           name: '', 
           email: '', 
           phone: '', 
           stravaName: '', 
-          packageType: 'basic',
+          packageType: catalog?.defaultPackageId || 'basic',
           donationAmount: '',
+          promoCode: '',
           jerseySize: '',
           gender: '',
           simpleAddress: '',
@@ -162,34 +213,17 @@ export default function RegisterPage() {
   };
 
   // Calculate package details
-  const getPackageDetails = () => {
-    if (formData.packageType === 'basic') {
-      return {
-        baseAmount: 100000,
-        fixedDonation: 0,
-        total: 100000,
-        name: 'Basic'
-      };
-    } else if (formData.packageType === 'basic-jersey') {
-      return {
-        baseAmount: 250000,
-        fixedDonation: 0,
-        total: 250000,
-        name: 'Basic + Jersey'
-      };
-    } else {
-      return {
-        baseAmount: 150000,
-        fixedDonation: 0,
-        total: 150000,
-        name: 'Jersey Only'
-      };
-    }
-  };
+  const getPackageDetails = () => ({
+    baseAmount: selectedPackage?.baseAmount || 0,
+    fixedDonation: selectedPackage?.fixedDonation || 0,
+    total: selectedPackage?.total || 0,
+    name: selectedPackage?.name || ''
+  });
 
   const packageDetails = getPackageDetails();
   const additionalDonation = parseInt(formData.donationAmount) || 0;
-  const totalAmount = packageDetails.total + additionalDonation;
+  const discountAmount = promoQuote?.discountAmount || 0;
+  const totalAmount = packageDetails.total - discountAmount + additionalDonation;
 
   return (
     <div className="min-h-screen bg-white">
@@ -291,21 +325,35 @@ export default function RegisterPage() {
                       ID Pendaftaran: <span className="font-mono">{paymentData?.registrationId}</span>
                     </div>
                     <div className="mb-2">
-                      Paket: <span className="font-semibold">{paymentData?.packageType || 'Starter'}</span>
-                    </div>
-                    <div className="mb-2">
-                      Biaya Tetap: <span className="font-semibold">Rp {(paymentData?.baseAmount || 80000).toLocaleString('id-ID')}</span>
-                    </div>
-                    <div className="mb-2">
-                      Donasi Tetap: <span className="font-semibold">Rp {(paymentData?.fixedDonation || 20000).toLocaleString('id-ID')}</span>
+                      Paket: <span className="font-semibold">{findPackage(paymentData?.packageType)?.name || paymentData?.packageType}</span>
                     </div>
+                    {paymentData?.baseAmount > 0 && (
+                      <div className="mb-2">
+                        Biaya Tetap: <span className="font-semibold">Rp {formatRupiah(paymentData.baseAmount)}</span>
+                      </div>
+                    )}
+                    {paymentData?.fixedDonation > 0 && (
+                      <div className="mb-2">
+                        Donasi Tetap: <span className="font-semibold">Rp {formatRupiah(paymentData.fixedDonation)}</span>
+                      </div>
+                    )}
+                    {paymentData?.jerseyPrice > 0 && (
+                      <div className="mb-2">
+                        Jersey: <span className="font-semibold">Rp {formatRupiah(paymentData.jerseyPrice)}</span>
+                      </div>
+                    )}
+                    {paymentData?.discountAmount > 0 && (
+                      <div className="mb-2">
+                        Diskon ({paymentData.promoCode}): <span className="font-semibold">- Rp {formatRupiah(paymentData.discountAmount)}</span>
+                      </div>
+                    )}
                     {paymentData?.additionalDonation > 0 && (
                       <div className="mb-2">
                         Donasi Tambahan: <span className="font-semibold">Rp {(paymentData?.additionalDonation || 0).toLocaleString('id-ID')}</span>
                       </div>
                     )}
                     <div className="mb-3">
-                      <span className="font-bold">Total: Rp {(paymentData?.totalAmount || 100000).toLocaleString('id-ID')}</span>
+                      <span className="font-bold">Total: Rp {formatRupiah(paymentData?.totalAmount)}</span>
                     </div>
                     <div className="mb-3">
                       {paymentData?.data?.paymentInstructions}
@@ -333,7 +381,7 @@ export default function RegisterPage() {
                           }}
                           className="w-full bg-green-600 text-white py-2 px-4 rounded-lg text-sm font-medium hover:bg-green-700 transition-colors"
                         >
-                          Bayar Sekarang - Rp {(paymentData?.totalAmount || 100000).toLocaleString('id-ID')}
+                          Bayar Sekarang - Rp {formatRupiah(paymentData?.totalAmount)}
                         </button>
                         {redirectCountdown !== null && (
                           <div className="text-center text-xs text-green-600 mt-2">
@@ -379,83 +427,33 @@ export default function RegisterPage() {
                       {/* Custom Dropdown Options */}
                       {isDropdownOpen && (
                         <div className="absolute z-10 w-full mt-2 bg-white border-2 border-gray-200 rounded-2xl shadow-lg overflow-hidden">
-                          {/* Basic Option */}
-                          <button
-                            type="button"
-                            onClick={() => handlePackageSelect('basic')}
-                            className={`w-full px-4 sm:px-6 py-3 sm:py-4 text-left hover:bg-gray-50 transition-colors duration-200 border-b border-gray-100 last:border-b-0 ${
-                              formData.packageType === 'basic' ? 'bg-green-50 border-green-200' : ''
-                            }`}
-                          >
-                            <div className="flex items-center space-x-3">
-                              <span className="text-2xl">💫</span>
-                              <div className="flex-1">
-                                <div className="font-semibold text-gray-900 text-base sm:text-lg">
-                                  Basic - Rp. 100.000
-                                </div>
-                                <div className="text-sm text-gray-600">
-                                  Paket dasar tanpa jersey
-                                </div>
-                              </div>
-                              {formData.packageType === 'basic' && (
-                                <svg className="w-5 h-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
-                                  <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
-                                </svg>
-                              )}
-                            </div>
-                          </button>
-
-                          {/* Basic + Jersey Option */}
-                          <button
-                            type="button"
-                            onClick={() => handlePackageSelect('basic-jersey')}
-                            className={`w-full px-4 sm:px-6 py-3 sm:py-4 text-left hover:bg-gray-50 transition-colors duration-200 border-b border-gray-100 last:border-b-0 ${
-                              formData.packageType === 'basic-jersey' ? 'bg-green-50 border-green-200' : ''
-                            }`}
-                          >
-                            <div className="flex items-center space-x-3">
-                              <span className="text-2xl">🌟</span>
-                              <div className="flex-1">
-                                <div className="font-semibold text-gray-900 text-base sm:text-lg">
-                                  Basic + Jersey - Rp. 250.000
-                                </div>
-                                <div className="text-sm text-gray-600">
-                                  Paket dasar dengan jersey
+                          {packages.map((pkg) => (
+                            <button
+                              key={pkg.id}
+                              type="button"
+                              onClick={() => handlePackageSelect(pkg.id)}
+                              className={`w-full px-4 sm:px-6 py-3 sm:py-4 text-left hover:bg-gray-50 transition-colors duration-200 border-b border-gray-100 last:border-b-0 ${
+                                formData.packageType === pkg.id ? 'bg-green-50 border-green-200' : ''
+                              }`}
+                            >
+                              <div className="flex items-center space-x-3">
+                                <span className="text-2xl">{pkg.icon}</span>
+                                <div className="flex-1">
+                                  <div className="font-semibold text-gray-900 text-base sm:text-lg">
+                                    {pkg.name} - Rp. {formatRupiah(pkg.total)}
+                                  </div>
+                                  <div className="text-sm text-gray-600">
+                                    {pkg.description}
+                                  </div>
                                 </div>
+                                {formData.packageType === pkg.id && (
+                                  <svg className="w-5 h-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
+                                    <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+                                  </svg>
+                                )}
                               </div>
-                              {formData.packageType === 'basic-jersey' && (
-                                <svg className="w-5 h-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
-                                  <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
-                                </svg>
-                              )}
-                            </div>
-                          </button>
-
-                          {/* Jersey Only Option */}
-                          <button
-                            type="button"
-                            onClick={() => handlePackageSelect('jersey-only')}
-                            className={`w-full px-4 sm:px-6 py-3 sm:py-4 text-left hover:bg-gray-50 transition-colors duration-200 ${
-                              formData.packageType === 'jersey-only' ? 'bg-green-50 border-green-200' : ''
-                            }`}
-                          >
-                            <div className="flex items-center space-x-3">
-                              <span className="text-2xl">👕</span>
-                              <div className="flex-1">
-                                <div className="font-semibold text-gray-900 text-base sm:text-lg">
-                                  Jersey Only - Rp. 150.000
-                                </div>
-                                <div className="text-sm text-gray-600">
-                                  Hanya jersey
-                                </div>
-                              </div>
-                              {formData.packageType === 'jersey-only' && (
-                                <svg className="w-5 h-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
-                                  <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
-                                </svg>
-                              )}
-                            </div>
-                          </button>
+                            </button>
+                          ))}
                         </div>
                       )}
 
@@ -632,8 +630,39 @@ export default function RegisterPage() {
                     </p>
                   </div>
 
+                  <div className="space-y-2">
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        name="promoCode"
+                        placeholder="Kode Promo (Opsional)"
+                        value={formData.promoCode}
+                        onChange={handleInputChange}
+                        className="flex-1 min-w-0 px-4 sm:px-6 lg:px-8 py-1 sm:py-2 lg:py-4 text-base sm:text-lg lg:text-xl border-2 border-gray-200 rounded-full focus:ring-2 focus:ring-green-500 focus:border-green-500 outline-none transition-all duration-200 text-gray-900 placeholder-gray-500 uppercase"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleApplyPromo}
+                        disabled={!formData.promoCode.trim() || isCheckingPromo}
+                        className="px-4 sm:px-6 border-2 border-green-600 text-green-700 rounded-full text-sm sm:text-base font-medium hover:bg-green-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isCheckingPromo ? 'Memeriksa...' : 'Gunakan'}
+                      </button>
+                    </div>
+                    {promoQuote?.discountAmount > 0 && (
+                      <p className="text-xs text-green-600 px-4">
+                        Diskon Rp {formatRupiah(promoQuote.discountAmount)} diterapkan. Total: Rp {formatRupiah(totalAmount)}
+                      </p>
+                    )}
+                    {promoError && (
+                      <p className="text-xs text-red-600 px-4">
+                        {promoError}
+                      </p>
+                    )}
+                  </div>
+
                   {/* Gender Field - Only show for packages with jersey */}
-                  {(formData.packageType === 'basic-jersey' || formData.packageType === 'jersey-only') && (
+                  {requiresJersey && (
                     <div className="space-y-2">
                       <label className="block text-sm font-medium text-gray-700 px-4">
                         Jenis Kelamin
@@ -695,13 +724,13 @@ export default function RegisterPage() {
                   )}
 
                   {/* Jersey Size Field - Only show for packages with jersey */}
-                  {(formData.packageType === 'basic-jersey' || formData.packageType === 'jersey-only') && (
+                  {requiresJersey && (
                     <div className="space-y-2">
                       <label className="block text-sm font-medium text-gray-700 px-4">
                         Ukuran Jersey
                       </label>
                       <div className="grid grid-cols-3 sm:grid-cols-4 lg:grid-cols-7 gap-2 px-4">
-                        {['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'].map((size) => (
+                        {(catalog?.event?.jerseySizes || []).map((size) => (
                           <label
                             key={size}
                             className={`relative flex items-center justify-center p-3 border-2 rounded-lg cursor-pointer transition-all duration-200 hover:border-green-400 ${
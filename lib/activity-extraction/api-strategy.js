@@ -0,0 +1,49 @@
+/**
+ * Official API strategy: GET /activities/{id}
+ *
+ * Strava only returns activities the token's athlete may see, so this works for
+ * the caller's own token or the club account's activities; other activities
+ * fail with 404 and the next strategy takes over.
+ */
+
+import { getActivityById, getStravaTokenManager } from '../strava';
+
+const API_CONFIDENCE = 1;
+
+export function createApiStrategy() {
+  return {
+    name: 'api',
+
+    /**
+     * @param {Object} context - { accessToken }
+     * @returns {Promise<string|null>} Why the strategy can't run, or null
+     */
+    async unavailableReason({ accessToken }) {
+      if (accessToken || await getStravaTokenManager().hasToken()) return null;
+      return 'no Strava token';
+    },
+
+    async extract({ activityId, accessToken }) {
+      const activity = await getActivityById(activityId, accessToken);
+      const fields = {
+        activity_name: activity.name || null,
+        description: activity.description || null,
+        location: [activity.location_city, activity.location_state, activity.location_country].filter(Boolean).join(', ') || null,
+        date: activity.start_date_local || activity.start_date || null,
+        distance_meters: Number(activity.distance) || null,
+        moving_time_seconds: Number(activity.moving_time) || null,
+        pace_seconds_per_km: activity.distance && activity.moving_time
+          ? Math.round(activity.moving_time / (activity.distance / 1000))
+          : null
+      };
+
+      const present = Object.keys(fields).filter(field => fields[field] !== null);
+      return {
+        fields: Object.fromEntries(present.map(field => [field, fields[field]])),
+        confidence: Object.fromEntries(present.map(field => [field, API_CONFIDENCE]))
+      };
+    }
+  };
+}
+
+export default createApiStrategy;
@@ -0,0 +1,85 @@
+/**
+ * Headless-browser strategy: render the activity page with puppeteer
+ *
+ * Slow and memory hungry, so it runs last and only when the earlier strategies
+ * left distance or moving time uncertain. puppeteer is loaded on first use, so
+ * deployments without a Chrome binary only lose this strategy. At most
+ * maxConcurrent browsers run at once in an instance; extractions beyond that
+ * skip the strategy rather than queue for it.
+ */
+
+import { parseActivityPage } from './page-parser';
+import { PAGE_HEADERS } from './html-strategy';
+
+// Browsers running in this instance
+let runningBrowsers = 0;
+
+// Cookies from a "name=value; name=value" header, for the browser's cookie jar
+function parseCookieHeader(cookieHeader) {
+  return String(cookieHeader || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => {
+      const index = part.indexOf('=');
+      return { name: part.slice(0, index), value: part.slice(index + 1), domain: '.strava.com', path: '/' };
+    });
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Page load and render budget
+ * @param {number} [options.maxConcurrent] - Browsers allowed to run at once
+ */
+export function createBrowserStrategy({ timeoutMs, maxConcurrent = 1 }) {
+  return {
+    name: 'browser',
+
+    async unavailableReason() {
+      if (runningBrowsers >= maxConcurrent) return `all ${maxConcurrent} browsers are busy`;
+      try {
+        await import('puppeteer');
+        return null;
+      } catch (error) {
+        return 'puppeteer is not installed';
+      }
+    },
+
+    async extract({ url, cookieHeader }) {
+      // Checked again here: another extraction may have taken the last slot since unavailableReason
+      if (runningBrowsers >= maxConcurrent) {
+        const error = new Error(`all ${maxConcurrent} browsers are busy`);
+        error.status = 503;
+        throw error;
+      }
+      runningBrowsers++;
+
+      let browser;
+      try {
+        const { default: puppeteer } = await import('puppeteer');
+        browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-dev-shm-usage'] });
+        const page = await browser.newPage();
+        await page.setUserAgent(PAGE_HEADERS['User-Agent']);
+        await page.setExtraHTTPHeaders({ 'Accept-Language': PAGE_HEADERS['Accept-Language'] });
+        const cookies = parseCookieHeader(cookieHeader);
+        if (cookies.length > 0) await page.setCookie(...cookies);
+
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: timeoutMs });
+        if (response && !response.ok()) {
+          const error = new Error(`page load failed with status ${response.status()}`);
+          error.status = response.status();
+          throw error;
+        }
+        // The stats are rendered by JavaScript; a page without them is parsed as it is
+        await page.waitForSelector('ul.inline-stats', { timeout: Math.min(timeoutMs, 5000) }).catch(() => {});
+
+        return parseActivityPage(await page.content());
+      } finally {
+        if (browser) await browser.close().catch(() => {});
+        runningBrowsers--;
+      }
+    }
+  };
+}
+
+export default createBrowserStrategy;
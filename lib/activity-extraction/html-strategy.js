@@ -0,0 +1,56 @@
+/**
+ * Static HTML strategy: fetch the activity page and parse it as served
+ *
+ * Only public activities (or the page Strava serves for the session cookies)
+ * have stats in the served HTML; pages rendered by JavaScript come back without
+ * them and leave the fields to the browser strategy.
+ */
+
+import { parseActivityPage } from './page-parser';
+
+export const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'DNT': '1',
+  'Connection': 'keep-alive',
+  'Upgrade-Insecure-Requests': '1',
+  'Sec-Fetch-Dest': 'document',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-Site': 'none',
+  'Sec-Fetch-User': '?1',
+  'Cache-Control': 'max-age=0',
+};
+
+export function createHtmlStrategy() {
+  return {
+    name: 'html',
+
+    async unavailableReason() {
+      return null;
+    },
+
+    async extract({ url, cookieHeader }) {
+      const response = await fetch(url, {
+        headers: {
+          ...PAGE_HEADERS,
+          ...(cookieHeader ? { Cookie: cookieHeader, Referer: 'https://www.strava.com/' } : {}),
+        },
+        signal: AbortSignal.timeout(15000) // 15 second timeout
+      });
+
+      if (!response.ok) {
+        const error = new Error(response.status === 403
+          ? 'access forbidden - Strava may require authentication or cookies may be expired'
+          : `fetch failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return parseActivityPage(await response.text());
+    }
+  };
+}
+
+export default createHtmlStrategy;
@@ -0,0 +1,193 @@
+/**
+ * Strava activity extraction entry point
+ *
+ * Strategies are tried in order until distance and moving time are certain
+ * enough; every field keeps the value of the strategy most confident about it.
+ *
+ * Every strategy implements:
+ * - name
+ * - unavailableReason(context) -> Promise<string|null>  why it can't run here, or null
+ * - extract(context)           -> Promise<{ fields, confidence, raw?, ldjson?, diagnostics? }>
+ *                                 confidence is 0-1 per field; throws when the activity can't be read
+ *
+ * The context is { activityId, url, cookieHeader, accessToken }. Strategies are
+ * selected by EXTRACTION_CONFIG.STRATEGIES ('api', 'html', 'browser').
+ */
+
+import { EXTRACTION_CONFIG } from '../config';
+import { createApiStrategy } from './api-strategy';
+import { createHtmlStrategy } from './html-strategy';
+import { createBrowserStrategy } from './browser-strategy';
+
+export { parseActivityPage, parseDurationText } from './page-parser';
+
+export const EXTRACTION_STRATEGIES = {
+  API: 'api',
+  HTML: 'html',
+  BROWSER: 'browser'
+};
+
+// Fields a submission can't do without
+export const REQUIRED_FIELDS = ['distance_meters', 'moving_time_seconds'];
+
+export const EXTRACTED_FIELDS = [
+  'activity_name',
+  'description',
+  'location',
+  'date',
+  ...REQUIRED_FIELDS,
+  'pace_seconds_per_km'
+];
+
+export const STRATEGY_STATUSES = {
+  OK: 'ok',
+  FAILED: 'failed',
+  // Not available here, or not needed because earlier strategies were certain enough
+  SKIPPED: 'skipped'
+};
+
+function createStrategy(name) {
+  switch (name) {
+    case EXTRACTION_STRATEGIES.API:
+      return createApiStrategy();
+    case EXTRACTION_STRATEGIES.HTML:
+      return createHtmlStrategy();
+    case EXTRACTION_STRATEGIES.BROWSER:
+      return createBrowserStrategy({
+        timeoutMs: EXTRACTION_CONFIG.BROWSER_TIMEOUT_MS,
+        maxConcurrent: EXTRACTION_CONFIG.BROWSER_MAX_CONCURRENT
+      });
+    default:
+      throw new Error(`Unknown extraction strategy: ${name}`);
+  }
+}
+
+function createExtractionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Strategies a request asks for: the strategies query parameter (comma separated), a
+ * subset of EXTRACTION_CONFIG.STRATEGIES in the configured order. Untrusted callers
+ * can't choose: they get the configured strategies that are in EXTRACTION_CONFIG.PUBLIC_STRATEGIES,
+ * so they can't spend the club account's API budget or launch browsers.
+ * @param {URLSearchParams} searchParams
+ * @param {Object} [options]
+ * @param {boolean} [options.trusted] - Admin or internal caller
+ * @returns {Array<string>} Throws an Error with status 400 for strategies that are not configured,
+ *   403 when an untrusted caller chooses strategies
+ */
+export function getRequestedStrategies(searchParams, { trusted = true } = {}) {
+  const requested = (searchParams.get('strategies') || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (!trusted) {
+    if (requested.length > 0) {
+      throw createExtractionError('Choosing strategies requires admin credentials', 403);
+    }
+    return EXTRACTION_CONFIG.STRATEGIES.filter(name => EXTRACTION_CONFIG.PUBLIC_STRATEGIES.includes(name));
+  }
+  if (requested.length === 0) return EXTRACTION_CONFIG.STRATEGIES;
+
+  const unknown = requested.filter(name => !EXTRACTION_CONFIG.STRATEGIES.includes(name));
+  if (unknown.length > 0) {
+    throw createExtractionError(`Invalid strategies: ${unknown.join(', ')} (configured: ${EXTRACTION_CONFIG.STRATEGIES.join(', ')})`, 400);
+  }
+  return EXTRACTION_CONFIG.STRATEGIES.filter(name => requested.includes(name));
+}
+
+/**
+ * Confidence of an extraction: that of its least certain required field
+ * @param {Object} confidence - 0-1 per field
+ * @returns {number}
+ */
+export function getOverallConfidence(confidence) {
+  return Math.min(...REQUIRED_FIELDS.map(field => confidence[field] || 0));
+}
+
+/**
+ * Read a Strava activity with the configured strategies
+ * @param {Object} context
+ * @param {string} context.activityId
+ * @param {string} context.url - Activity page URL
+ * @param {string} [context.cookieHeader] - Strava session cookies for the page strategies
+ * @param {string} [context.accessToken] - Caller's token for the api strategy, default the club account's
+ * @param {Object} [options]
+ * @param {Array<string>} [options.strategies] - Default EXTRACTION_CONFIG.STRATEGIES
+ * @param {number} [options.minConfidence] - Default EXTRACTION_CONFIG.MIN_CONFIDENCE
+ * @returns {Promise<Object>} { fields, confidence, sources, overall_confidence, strategies, page }:
+ *   sources names the strategy of each field, strategies is [{ name, status, confidence, reason, error }]
+ *   in the order tried, page is the last parsed page ({ raw, ldjson, diagnostics }) or null
+ */
+export async function extractActivity(context, { strategies = EXTRACTION_CONFIG.STRATEGIES, minConfidence = EXTRACTION_CONFIG.MIN_CONFIDENCE } = {}) {
+  const fields = {};
+  const confidence = {};
+  const sources = {};
+  const report = [];
+  let page = null;
+
+  for (const name of strategies) {
+    if (getOverallConfidence(confidence) >= minConfidence) {
+      report.push({ name, status: STRATEGY_STATUSES.SKIPPED, reason: 'not needed' });
+      continue;
+    }
+
+    let strategy;
+    try {
+      strategy = createStrategy(name);
+      const reason = await strategy.unavailableReason(context);
+      if (reason) {
+        report.push({ name, status: STRATEGY_STATUSES.SKIPPED, reason });
+        continue;
+      }
+    } catch (error) {
+      report.push({ name, status: STRATEGY_STATUSES.FAILED, error: error.message });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await strategy.extract(context);
+      for (const field of EXTRACTED_FIELDS) {
+        const score = result.confidence[field] || 0;
+        if (result.fields[field] === undefined || result.fields[field] === null) continue;
+        // Ties go to the earlier strategy
+        if (score > (confidence[field] || 0)) {
+          fields[field] = result.fields[field];
+          confidence[field] = score;
+          sources[field] = name;
+        }
+      }
+      if (result.diagnostics) page = { raw: result.raw, ldjson: result.ldjson, diagnostics: result.diagnostics };
+      report.push({
+        name,
+        status: STRATEGY_STATUSES.OK,
+        confidence: getOverallConfidence(result.confidence),
+        fields: Object.keys(result.fields),
+        duration_ms: Date.now() - startedAt
+      });
+    } catch (error) {
+      console.warn(`Extraction strategy ${name} failed for activity ${context.activityId}:`, error.message);
+      report.push({ name, status: STRATEGY_STATUSES.FAILED, error: error.message, http_status: error.status, duration_ms: Date.now() - startedAt });
+    }
+  }
+
+  return {
+    fields,
+    confidence,
+    sources,
+    overall_confidence: getOverallConfidence(confidence),
+    strategies: report,
+    page
+  };
+}
+
+export default {
+  EXTRACTION_STRATEGIES,
+  REQUIRED_FIELDS,
+  EXTRACTED_FIELDS,
+  STRATEGY_STATUSES,
+  getRequestedStrategies,
+  getOverallConfidence,
+  extractActivity
+};
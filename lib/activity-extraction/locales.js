@@ -0,0 +1,164 @@
+/**
+ * Strava page languages: stat labels, month names and number formats
+ *
+ * Strava renders activity pages in the viewer's language. Labels are matched
+ * against every language, the page's own first, so a page is read the same way
+ * whatever language the session cookies (or the browser) asked for.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+// Stat labels by field
+const LABELS = {
+  en: {
+    distance: ['distance'],
+    moving_time: ['moving time'],
+    elapsed_time: ['elapsed time', 'duration', 'time'],
+    pace: ['pace']
+  },
+  id: {
+    distance: ['jarak'],
+    moving_time: ['waktu bergerak'],
+    elapsed_time: ['waktu berlalu', 'waktu tempuh', 'durasi', 'waktu'],
+    pace: ['kecepatan', 'laju', 'pace']
+  },
+  de: {
+    distance: ['distanz', 'entfernung', 'strecke'],
+    moving_time: ['bewegungszeit'],
+    elapsed_time: ['verstrichene zeit', 'gesamtzeit', 'dauer', 'zeit'],
+    pace: ['pace', 'tempo']
+  },
+  es: {
+    distance: ['distancia'],
+    moving_time: ['tiempo en movimiento'],
+    elapsed_time: ['tiempo transcurrido', 'duración', 'tiempo'],
+    pace: ['ritmo']
+  },
+  fr: {
+    distance: ['distance'],
+    moving_time: ['temps de déplacement', 'temps en mouvement'],
+    elapsed_time: ['temps écoulé', 'durée', 'temps'],
+    pace: ['allure']
+  },
+  pt: {
+    distance: ['distância'],
+    moving_time: ['tempo em movimento'],
+    elapsed_time: ['tempo decorrido', 'duração', 'tempo'],
+    pace: ['ritmo']
+  }
+};
+
+const MONTHS = {
+  en: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+  id: ['januari', 'februari', 'maret', 'april', 'mei', 'juni', 'juli', 'agustus', 'september', 'oktober', 'november', 'desember'],
+  de: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+  es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  fr: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+  pt: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro']
+};
+
+// Languages that write 5,02 km; English writes 5.02 km and 1,500 m
+const DECIMAL_COMMA_LOCALES = ['id', 'de', 'es', 'fr', 'pt'];
+
+export const SUPPORTED_PAGE_LOCALES = Object.keys(LABELS);
+
+/**
+ * Language of a page from its lang attribute, e.g. "id-ID" -> "id"
+ * @param {string} lang
+ * @returns {string} One of SUPPORTED_PAGE_LOCALES, DEFAULT_LOCALE for others
+ */
+export function resolvePageLocale(lang) {
+  const locale = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_PAGE_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Whether a language writes decimals with a comma
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export function usesDecimalComma(locale) {
+  return DECIMAL_COMMA_LOCALES.includes(locale);
+}
+
+function localesFirst(locale) {
+  return [locale, ...SUPPORTED_PAGE_LOCALES.filter(other => other !== locale)];
+}
+
+/**
+ * Field a stat label stands for, in any supported language
+ * @param {string} label
+ * @param {string} [locale] - The page's language, tried first
+ * @returns {string|null} 'distance', 'moving_time', 'elapsed_time', 'pace' or null
+ */
+export function matchStatLabel(label, locale = DEFAULT_LOCALE) {
+  const text = String(label || '').trim().toLowerCase();
+  if (!text) return null;
+
+  // Within a language the catch-all time words come last: "Tempo" is a pace in German
+  // but the time in Portuguese
+  for (const candidate of localesFirst(locale)) {
+    for (const field of ['distance', 'moving_time', 'pace', 'elapsed_time']) {
+      if (LABELS[candidate][field].some(word => text.includes(word))) return field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a date as Strava shows it in <time>, e.g. "6:30 AM on Tuesday, October 1, 2024"
+ * or "06.30 pada Selasa, 1 Oktober 2024"
+ * @param {string} text
+ * @param {string} [locale] - The page's language, tried first for month names
+ * @returns {string|null} ISO date ("2024-10-01") or local date and time ("2024-10-01T06:30:00");
+ *   Strava shows the activity's local time without a timezone
+ */
+export function parseLocalizedDate(text, locale = DEFAULT_LOCALE) {
+  const value = String(text || '').trim().toLowerCase();
+  const year = value.match(/\b((?:19|20)\d{2})\b/);
+  if (!year) return null;
+
+  let month = -1;
+  let monthMatch = null;
+  for (const candidate of localesFirst(locale)) {
+    for (const [index, name] of MONTHS[candidate].entries()) {
+      // Full names and abbreviations such as "Okt" or "Oct.", but not "martes" for "marzo"
+      const words = value.matchAll(new RegExp(`(?:^|[^\\p{L}])(${name.slice(0, 3)}\\p{L}*)`, 'gu'));
+      monthMatch = [...words].find(match => name.startsWith(match[1])) || null;
+      if (monthMatch) {
+        month = index;
+        break;
+      }
+    }
+    if (month >= 0) break;
+  }
+  if (month < 0) return null;
+
+  // The day is next to the month: "1 Oktober" or "October 1"
+  const monthStart = monthMatch.index + monthMatch[0].indexOf(monthMatch[1]);
+  const before = value.slice(0, monthStart).match(/(\d{1,2})\.?\s*(?:de\s+)?$/);
+  const after = value.slice(monthStart + monthMatch[1].length).match(/^\.?\s*(?:de\s+)?(\d{1,2})(?!\d)/);
+  const day = Number((before || after || [])[1]);
+  if (!day || day > 31) return null;
+
+  const date = `${year[1]}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  // Time of day: "6:30 AM", "18:30" or "06.30"
+  const time = value.match(/\b(\d{1,2})[:.](\d{2})(?!\d)\s*(am|pm|a\.m\.|p\.m\.)?/);
+  if (!time) return date;
+  let hours = Number(time[1]);
+  const meridiem = (time[3] || '').replace(/\./g, '');
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23) return date;
+  return `${date}T${String(hours).padStart(2, '0')}:${time[2]}:00`;
+}
+
+export default {
+  DEFAULT_LOCALE,
+  SUPPORTED_PAGE_LOCALES,
+  resolvePageLocale,
+  usesDecimalComma,
+  matchStatLabel,
+  parseLocalizedDate
+};
@@ -0,0 +1,206 @@
+/**
+ * Strava activity page parser, shared by the static HTML and browser strategies
+ *
+ * Fields are read from the most specific place first: the labelled stats list,
+ * then ld+json and meta tags, then patterns over the stats text and finally the
+ * whole page. The less specific the place, the lower the field's confidence.
+ * Labels, decimal commas and dates are read in the page's language (see ./locales).
+ */
+
+import { load } from 'cheerio';
+import { parseDistance, parsePace } from '../units';
+import { matchStatLabel, parseLocalizedDate, resolvePageLocale, usesDecimalComma } from './locales';
+
+export const PAGE_CONFIDENCE = {
+  // Labelled stats and the activity header
+  LABELLED: 0.9,
+  // ld+json metadata
+  STRUCTURED: 0.7,
+  // Patterns over the stats list, and og/meta tags
+  STATS_TEXT: 0.6,
+  // Patterns over the whole page
+  PAGE_TEXT: 0.3
+};
+
+const PACE_PATTERNS = [
+  /(\d{1,2}:\d{2})\s*(?:\/\s?|per\s)?(km|mi)?/i,
+  /(\d{1,2})'\s?(\d{2})(?:"?)\s*(?:\/\s?|per\s)?(km|mi)?/i
+];
+
+const TIME_PATTERNS = [
+  /(\d{1,2}:\d{2}:\d{2})/, // HH:MM:SS
+  /(\d{1,2}:\d{2})/, // MM:SS
+  /(\d+)\s*[hj]\s*(\d+)\s*m/, // Xh Ym, or Xj Ym in Indonesian
+  /(\d+)\s*m\s*(\d+)\s*s/ // Xm Ys
+];
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read a duration as shown on Strava: "1:02:03", "28:00", "1h 2m", "1j 2m" or "28m 5s"
+ * @param {string} text
+ * @returns {number|null} Seconds
+ */
+export function parseDurationText(text) {
+  const value = cleanText(text);
+  if (!value) return null;
+
+  const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    return clock[3] !== undefined
+      ? Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3])
+      : Number(clock[1]) * 60 + Number(clock[2]);
+  }
+
+  const verbose = value.match(/^(?:(\d+)\s*[hj])?\s*(?:(\d+)\s*m)?\s*(?:(\d+)\s*s)?$/i);
+  if (verbose && (verbose[1] || verbose[2] || verbose[3])) {
+    return Number(verbose[1] || 0) * 3600 + Number(verbose[2] || 0) * 60 + Number(verbose[3] || 0);
+  }
+  return null;
+}
+
+function matchPace(text) {
+  for (const re of PACE_PATTERNS) {
+    const m = text.match(re);
+    if (!m) continue;
+    // The last group is the unit, so a pace per mile keeps its unit
+    const unit = (m[m.length - 1] || 'km').toLowerCase();
+    return m.length === 4 ? `${m[1]}:${m[2]} /${unit}` : `${m[1]} /${unit}`;
+  }
+  return null;
+}
+
+function matchTime(text) {
+  for (const re of TIME_PATTERNS) {
+    const m = text.match(re);
+    if (!m) continue;
+    if (re === TIME_PATTERNS[2]) return `${m[1]}h ${m[2]}m`;
+    if (re === TIME_PATTERNS[3]) return `${m[1]}m ${m[2]}s`;
+    return m[1];
+  }
+  return null;
+}
+
+// The activity's start as an ISO timestamp: the datetime attribute when the page has
+// one, else the shown text in the page's language
+function readActivityDate(timeEl, locale) {
+  const datetime = (timeEl.attr('datetime') || '').trim();
+  if (datetime && !isNaN(Date.parse(datetime))) return { value: datetime, score: PAGE_CONFIDENCE.LABELLED };
+
+  const text = cleanText(timeEl.text());
+  const parsed = parseLocalizedDate(text, locale);
+  if (parsed) return { value: parsed, score: PAGE_CONFIDENCE.LABELLED };
+  // Kept as shown, below the ld+json startDate
+  return { value: text, score: PAGE_CONFIDENCE.STATS_TEXT };
+}
+
+/**
+ * Parse an activity page
+ * @param {string} html
+ * @returns {Object} { fields, confidence, raw, ldjson, diagnostics }: fields are activity_name,
+ *   description, location, date, distance_meters, moving_time_seconds and pace_seconds_per_km;
+ *   confidence is 0-1 per field found
+ */
+export function parseActivityPage(html) {
+  const $ = load(html);
+  const locale = resolvePageLocale($('html').attr('lang'));
+  const decimalComma = usesDecimalComma(locale);
+  const fields = {};
+  const confidence = {};
+  const set = (field, value, score) => {
+    if (value === null || value === undefined || value === '') return;
+    if (fields[field] !== undefined && confidence[field] >= score) return;
+    fields[field] = value;
+    confidence[field] = score;
+  };
+
+  const detailsEl = $('div.details');
+  const detailsText = cleanText(detailsEl.text());
+  set('activity_name', detailsEl.find('h1.activity-name, h1.text-title1.activity-name, h1.text-title1').first().text().trim(), PAGE_CONFIDENCE.LABELLED);
+  set('description', cleanText(detailsEl.find('.activity-description-js .content').text()), PAGE_CONFIDENCE.LABELLED);
+  set('location', detailsEl.find('span.location').text().trim(), PAGE_CONFIDENCE.LABELLED);
+  const date = readActivityDate(detailsEl.find('time').first(), locale);
+  set('date', date.value, date.score);
+
+  // Stats list items, each a value with a label
+  const foundLabels = [];
+  const statsItems = $('ul.inline-stats.section li');
+  statsItems.each((i, li) => {
+    const label = $(li).find('.label').text().trim().toLowerCase();
+    const strong = $(li).find('strong').first().text().trim();
+    foundLabels.push(`${label}: ${strong}`);
+
+    switch (matchStatLabel(label, locale)) {
+      case 'distance':
+        set('distance_meters', parseDistance(strong, { decimalComma }), PAGE_CONFIDENCE.LABELLED);
+        break;
+      case 'moving_time':
+        set('moving_time_seconds', parseDurationText(strong), PAGE_CONFIDENCE.LABELLED);
+        break;
+      // Elapsed time or duration, when the page has no moving time
+      case 'elapsed_time':
+        set('moving_time_seconds', parseDurationText(strong), PAGE_CONFIDENCE.STATS_TEXT);
+        break;
+      case 'pace':
+        set('pace_seconds_per_km', parsePace(strong), PAGE_CONFIDENCE.LABELLED);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Unlabelled stats: patterns over each item, then over the whole list
+  const activityText = cleanText($('ul.inline-stats.section').text());
+  statsItems.each((i, li) => {
+    const text = cleanText($(li).text());
+    set('pace_seconds_per_km', parsePace(matchPace(text)), PAGE_CONFIDENCE.STATS_TEXT);
+    set('moving_time_seconds', parseDurationText(matchTime(text)), PAGE_CONFIDENCE.STATS_TEXT);
+  });
+  set('distance_meters', parseDistance(activityText.match(/([0-9][0-9.,]*)\s*(km|mi)\b/i)?.[0], { decimalComma }), PAGE_CONFIDENCE.STATS_TEXT);
+
+  // ld+json and meta tags
+  let ldjson = null;
+  $('script[type="application/ld+json"]').each((i, s) => {
+    try {
+      const parsed = JSON.parse($(s).html());
+      if (!ldjson) ldjson = parsed;
+    } catch (e) {
+      // ignore parse errors
+    }
+  });
+  if (ldjson) {
+    set('activity_name', ldjson.name, PAGE_CONFIDENCE.STRUCTURED);
+    set('description', ldjson.description, PAGE_CONFIDENCE.STRUCTURED);
+    set('date', ldjson.startDate, PAGE_CONFIDENCE.STRUCTURED);
+    set('location', typeof (ldjson.location || ldjson.address) === 'string' ? (ldjson.location || ldjson.address) : null, PAGE_CONFIDENCE.STRUCTURED);
+  }
+  set('activity_name', $('meta[property="og:title"]').attr('content') || $('meta[name="twitter:title"]').attr('content'), PAGE_CONFIDENCE.STATS_TEXT);
+  set('description', $('meta[property="og:description"]').attr('content') || $('meta[name="description"]').attr('content'), PAGE_CONFIDENCE.STATS_TEXT);
+
+  // Last resort: the whole page
+  const pageText = cleanText(`${detailsEl.text()} ${$('body').text()}`);
+  set('pace_seconds_per_km', parsePace(matchPace(pageText)), PAGE_CONFIDENCE.PAGE_TEXT);
+  set('moving_time_seconds', parseDurationText(matchTime(pageText)), PAGE_CONFIDENCE.PAGE_TEXT);
+
+  return {
+    fields,
+    confidence,
+    raw: { detailsText, activityText },
+    ldjson,
+    diagnostics: {
+      detailsFound: detailsEl.length > 0,
+      statsFound: $('ul.inline-stats.section').length > 0,
+      bodyLength: html.length,
+      locale,
+      foundLabels
+    }
+  };
+}
+
+export default {
+  PAGE_CONFIDENCE,
+  parseDurationText,
+  parseActivityPage
+};
@@ -0,0 +1,173 @@
+/**
+ * Admin authentication for listing and management endpoints
+ *
+ * Two credentials are accepted:
+ * - API keys (x-api-key header or Authorization: Bearer), each granted a set of scopes
+ * - A signed session cookie issued by POST /api/admin/session for the browser admin UI
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { ADMIN_CONFIG } from './config';
+
+export const ADMIN_SCOPES = {
+  READ_REGISTRATIONS: 'read-registrations',
+  READ_SUBMISSIONS: 'read-submissions',
+  MANAGE_SUBMISSIONS: 'manage-submissions',
+  MANAGE_PAYMENTS: 'manage-payments',
+  MANAGE_STRAVA: 'manage-strava',
+};
+
+const WILDCARD_SCOPE = '*';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse the configured API keys
+ * @returns {Array<{id: string, keyHash: string, scopes: string[]}>}
+ */
+function loadApiKeys() {
+  let entries;
+  try {
+    entries = JSON.parse(ADMIN_CONFIG.API_KEYS || '[]');
+  } catch (error) {
+    console.error('Invalid JSON in ADMIN_API_KEYS, no API keys will be accepted');
+    return [];
+  }
+  if (!Array.isArray(entries)) return [];
+
+  return entries
+    .filter(entry => entry && (entry.key || entry.keyHash))
+    .map((entry, i) => ({
+      id: entry.id || `key-${i + 1}`,
+      keyHash: entry.keyHash ? String(entry.keyHash).toLowerCase() : sha256(entry.key),
+      scopes: Array.isArray(entry.scopes) ? entry.scopes : [],
+    }));
+}
+
+/**
+ * Find the API key entry matching a presented key
+ * @param {string} presentedKey
+ * @returns {Object|null}
+ */
+export function findApiKey(presentedKey) {
+  if (!presentedKey) return null;
+  const presentedHash = sha256(presentedKey);
+  return loadApiKeys().find(entry => safeEqual(entry.keyHash, presentedHash)) || null;
+}
+
+function getPresentedApiKey(request) {
+  const headerKey = request.headers.get('x-api-key');
+  if (headerKey) return headerKey.trim();
+  const authorization = request.headers.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function getCookie(request, name) {
+  const header = request.headers.get('cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', ADMIN_CONFIG.SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed session token
+ * @param {Object} principal - { id, scopes }
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export function createSessionToken(principal) {
+  if (!ADMIN_CONFIG.SESSION_SECRET) {
+    throw new Error('ADMIN_SESSION_SECRET is not configured');
+  }
+  const expiresAt = new Date(Date.now() + ADMIN_CONFIG.SESSION_TTL_SECONDS * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: principal.id,
+    scopes: principal.scopes,
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a session token and return its principal
+ * @param {string} token
+ * @returns {Object|null} - { id, scopes, type: 'session' } or null when invalid/expired
+ */
+export function verifySessionToken(token) {
+  if (!token || !ADMIN_CONFIG.SESSION_SECRET) return null;
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.exp || data.exp * 1000 < Date.now()) return null;
+    return { id: data.sub, scopes: Array.isArray(data.scopes) ? data.scopes : [], type: 'session' };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the admin principal for a request from its API key or session cookie
+ * @param {Request} request
+ * @returns {Object|null}
+ */
+export function getAdminPrincipal(request) {
+  const apiKey = getPresentedApiKey(request);
+  if (apiKey) {
+    const entry = findApiKey(apiKey);
+    return entry ? { id: entry.id, scopes: entry.scopes, type: 'api-key' } : null;
+  }
+  return verifySessionToken(getCookie(request, ADMIN_CONFIG.SESSION_COOKIE_NAME));
+}
+
+export function hasScope(principal, scope) {
+  if (!principal) return false;
+  return principal.scopes.includes(WILDCARD_SCOPE) || principal.scopes.includes(scope);
+}
+
+/**
+ * Authorize an admin request for a scope
+ *
+ * Usage in a route:
+ *   const auth = authorizeAdmin(request, ADMIN_SCOPES.READ_REGISTRATIONS);
+ *   if (!auth.authorized) return auth.response;
+ *
+ * @param {Request} request
+ * @param {string} scope - Required scope
+ * @returns {{authorized: boolean, principal?: Object, response?: NextResponse}}
+ */
+export function authorizeAdmin(request, scope) {
+  const principal = getAdminPrincipal(request);
+  if (!principal) {
+    return {
+      authorized: false,
+      response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    };
+  }
+  if (!hasScope(principal, scope)) {
+    console.warn(`Admin ${principal.id} lacks scope ${scope}`);
+    return {
+      authorized: false,
+      response: NextResponse.json({ error: 'Forbidden', requiredScope: scope }, { status: 403 })
+    };
+  }
+  return { authorized: true, principal };
+}
+
+export default { ADMIN_SCOPES, authorizeAdmin, getAdminPrincipal, createSessionToken, verifySessionToken, findApiKey, hasScope };
@@ -0,0 +1,243 @@
+/**
+ * Event and package catalog
+ *
+ * Events, packages, line items and prices are defined in catalog.json at the
+ * project root. The register API, the Midtrans item_details builder, the payment
+ * webhook and the registration form (via GET /api/catalog) all price from here.
+ *
+ * Prices can change over time through an event's priceTiers (e.g. early bird),
+ * and promo codes (stored in the Promo_Codes table) discount the package total.
+ */
+
+import catalogData from '../catalog.json';
+
+// Registration columns that line item prices are recorded in
+export const AMOUNT_FIELDS = ['baseAmount', 'fixedDonation', 'jerseyPrice'];
+
+/**
+ * Get the full catalog
+ * @returns {Object}
+ */
+export function getCatalog() {
+  return catalogData;
+}
+
+/**
+ * Get an event by id (defaults to the active event, overridable with CATALOG_EVENT_ID)
+ * @param {string} [eventId]
+ * @returns {Object|null}
+ */
+export function getEvent(eventId) {
+  const id = eventId || process.env.CATALOG_EVENT_ID || catalogData.activeEventId;
+  return catalogData.events.find(event => event.id === id) || null;
+}
+
+/**
+ * Get a package of an event
+ * @param {string} packageId
+ * @param {string} [eventId]
+ * @returns {Object|null}
+ */
+export function getPackage(packageId, eventId) {
+  const event = getEvent(eventId);
+  if (!event) return null;
+  return event.packages.find(pkg => pkg.id === packageId) || null;
+}
+
+function isWithinWindow(from, until, now) {
+  const time = now.getTime();
+  if (from && time < new Date(from).getTime()) return false;
+  if (until && time > new Date(until).getTime()) return false;
+  return true;
+}
+
+/**
+ * Get the price tier in effect for an event
+ * Tiers override line item prices: { id, name, startsAt, endsAt, lineItemPrices: { <lineItemKey>: price } }
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {Object|null} The first tier whose window contains now, or null for regular prices
+ */
+export function getActivePriceTier(event, now = new Date()) {
+  return (event?.priceTiers || []).find(tier => isWithinWindow(tier.startsAt, tier.endsAt, now)) || null;
+}
+
+/**
+ * Check whether a promo code can be redeemed for a package
+ * @param {Object|null} promo - Promo code from PromoCodeRepository
+ * @param {Object} params
+ * @param {string} params.packageId
+ * @param {Date} [params.now]
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validatePromoCode(promo, { packageId, now = new Date() } = {}) {
+  if (!promo || !promo.active) {
+    return { valid: false, error: 'Promo code not found' };
+  }
+  if (!['percent', 'fixed'].includes(promo.discountType) || promo.discountValue <= 0) {
+    return { valid: false, error: 'Promo code is misconfigured' };
+  }
+  if (!isWithinWindow(promo.validFrom, promo.validUntil, now)) {
+    return { valid: false, error: 'Promo code is not valid at this time' };
+  }
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    return { valid: false, error: 'Promo code has been fully redeemed' };
+  }
+  if (promo.packages.length > 0 && !promo.packages.includes(packageId)) {
+    return { valid: false, error: 'Promo code does not apply to the selected package' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Discount a promo code gives on an amount, rounded to whole rupiah and capped at the amount
+ * @param {Object} promo
+ * @param {number} amount
+ * @returns {number}
+ */
+export function calculateDiscount(promo, amount) {
+  if (!promo) return 0;
+  const discount = promo.discountType === 'percent'
+    ? Math.round(amount * Math.min(promo.discountValue, 100) / 100)
+    : Math.round(promo.discountValue);
+  return Math.min(Math.max(discount, 0), amount);
+}
+
+/**
+ * Price a registration from the catalog
+ * @param {Object} params
+ * @param {string} params.packageType - Package id
+ * @param {number} [params.additionalDonation] - Optional extra donation
+ * @param {Object} [params.promo] - Validated promo code; discounts the package total, not donations
+ * @param {Date} [params.now] - Pricing time, selects the price tier
+ * @param {string} [params.eventId]
+ * @returns {Object|null} Pricing breakdown, or null for an unknown package
+ */
+export function priceRegistration({ packageType, additionalDonation = 0, promo = null, now = new Date(), eventId } = {}) {
+  const event = getEvent(eventId);
+  const pkg = getPackage(packageType || event?.defaultPackageId, eventId);
+  if (!event || !pkg) return null;
+
+  const tier = getActivePriceTier(event, now);
+  const items = pkg.lineItems.map(key => {
+    const item = event.lineItems[key];
+    if (!item) {
+      throw new Error(`Package ${pkg.id} references unknown line item: ${key}`);
+    }
+    const tierPrice = tier?.lineItemPrices?.[key];
+    return {
+      id: item.id,
+      name: item.name.replace('{package}', pkg.name),
+      price: tierPrice !== undefined ? tierPrice : item.price,
+      quantity: item.quantity || 1,
+      field: item.field || null
+    };
+  });
+
+  const amounts = Object.fromEntries(AMOUNT_FIELDS.map(field => [field, 0]));
+  for (const item of items) {
+    if (item.field) amounts[item.field] += item.price * item.quantity;
+  }
+
+  const packageTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const discountAmount = calculateDiscount(promo, packageTotal);
+  const donation = Math.max(0, Number(additionalDonation) || 0);
+
+  return {
+    eventId: event.id,
+    packageId: pkg.id,
+    packageName: pkg.name,
+    currency: event.currency,
+    pricingTier: tier ? tier.id : '',
+    items,
+    ...amounts,
+    packageTotal,
+    promoCode: promo && discountAmount > 0 ? promo.code : '',
+    discountAmount,
+    additionalDonation: donation,
+    totalAmount: packageTotal - discountAmount + donation
+  };
+}
+
+/**
+ * Build Midtrans item_details from a pricing breakdown.
+ * A promo discount becomes a negative line, so the sum of the returned items
+ * always equals pricing.totalAmount.
+ * @param {Object} pricing - Result of priceRegistration()
+ * @returns {Array<{id: string, name: string, price: number, quantity: number}>}
+ */
+export function buildItemDetails(pricing) {
+  const event = getEvent(pricing.eventId);
+  const itemDetails = pricing.items
+    .filter(item => item.price > 0)
+    .map(({ id, name, price, quantity }) => ({ id, name, price, quantity }));
+
+  if (pricing.discountAmount > 0) {
+    itemDetails.push({
+      id: `promo-${pricing.promoCode}`.toLowerCase(),
+      name: `Diskon ${pricing.promoCode}`,
+      price: -pricing.discountAmount,
+      quantity: 1
+    });
+  }
+
+  if (pricing.additionalDonation > 0) {
+    itemDetails.push({
+      id: event.additionalDonation.id,
+      name: event.additionalDonation.name,
+      price: pricing.additionalDonation,
+      quantity: 1
+    });
+  }
+
+  return itemDetails;
+}
+
+/**
+ * Catalog data safe to expose to the frontend
+ * @param {string} [eventId]
+ * @returns {Object|null}
+ */
+export function getPublicCatalog(eventId) {
+  const event = getEvent(eventId);
+  if (!event) return null;
+  const tier = getActivePriceTier(event);
+
+  return {
+    event: {
+      id: event.id,
+      name: event.name,
+      currency: event.currency,
+      jerseySizes: event.jerseySizes || []
+    },
+    defaultPackageId: event.defaultPackageId,
+    priceTier: tier ? { id: tier.id, name: tier.name, endsAt: tier.endsAt || null } : null,
+    packages: event.packages.map(pkg => {
+      const pricing = priceRegistration({ packageType: pkg.id, eventId: event.id });
+      return {
+        id: pkg.id,
+        name: pkg.name,
+        icon: pkg.icon || '',
+        description: pkg.description || '',
+        requiresJersey: Boolean(pkg.requiresJersey),
+        items: pricing.items.map(({ id, name, price, quantity }) => ({ id, name, price, quantity })),
+        baseAmount: pricing.baseAmount,
+        fixedDonation: pricing.fixedDonation,
+        jerseyPrice: pricing.jerseyPrice,
+        total: pricing.packageTotal
+      };
+    })
+  };
+}
+
+export default {
+  getCatalog,
+  getEvent,
+  getPackage,
+  getActivePriceTier,
+  validatePromoCode,
+  calculateDiscount,
+  priceRegistration,
+  buildItemDetails,
+  getPublicCatalog
+};
@@ -0,0 +1,143 @@
+/**
+ * Persistent club activity store
+ *
+ * Strava's club feed returns activities without IDs or dates, newest first. The
+ * sync job keeps every activity it sees, keyed by getActivityFingerprint(), and
+ * records when it first saw it. That timestamp is the activity's effective date,
+ * so weekly numbers no longer depend on what the feed happens to return today.
+ *
+ * The first sync of a club stores the feed as it is as a baseline: those
+ * activities happened at some unknown time before tracking started and carry no
+ * date. Every later sync only appends activities it has not seen before.
+ */
+
+import { getClubActivityRepository } from './storage';
+import {
+  calculatePace,
+  dedupeActivities,
+  getActivityFingerprint,
+  getClubActivityWindow
+} from './strava';
+
+/**
+ * Fetch the newest club activities and store the ones not seen before
+ * @param {string} clubId
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Default: the shared token manager
+ * @returns {Promise<Object>} { success, club_id, baseline, fetched, added, coverage } or { success: false, error, coverage }
+ */
+export async function syncClubActivities(clubId, { accessToken = null } = {}) {
+  const repository = getClubActivityRepository();
+  const stored = await repository.listByClub(clubId);
+  const known = new Set(stored.map(activity => activity.fingerprint));
+  const baseline = stored.length === 0;
+
+  // Page back until a page holds activities stored by an earlier run
+  const { activities, coverage } = await getClubActivityWindow(clubId, accessToken, {
+    useLocal: false,
+    normalize: false,
+    isCaughtUp: baseline ? null : page => page.some(activity => known.has(getActivityFingerprint(activity)))
+  });
+
+  if (coverage.pages_fetched === 0) {
+    return { success: false, club_id: clubId, error: `Could not read the club feed (${coverage.reason})`, coverage };
+  }
+
+  const seenAt = new Date().toISOString();
+  const added = dedupeActivities(activities)
+    .filter(activity => !known.has(getActivityFingerprint(activity)))
+    .map(activity => ({
+      fingerprint: getActivityFingerprint(activity),
+      clubId: String(clubId),
+      athleteFirstname: activity.athlete?.firstname || '',
+      athleteLastname: activity.athlete?.lastname || '',
+      name: activity.name || '',
+      distance: Number(activity.distance) || 0,
+      movingTime: Number(activity.moving_time) || 0,
+      elapsedTime: Number(activity.elapsed_time) || 0,
+      totalElevationGain: Number(activity.total_elevation_gain) || 0,
+      type: activity.type || '',
+      sportType: activity.sport_type || '',
+      workoutType: activity.workout_type ?? '',
+      startDate: activity.start_date || '',
+      firstSeenAt: seenAt,
+      baseline
+    }));
+
+  // Oldest first, so the table reads in the order activities were posted
+  await repository.appendMany(added.reverse());
+  console.log(`Club ${clubId} sync: ${activities.length} fetched, ${added.length} new${baseline ? ' (baseline)' : ''}`);
+
+  if (coverage.truncated && !baseline) {
+    console.warn(`Club ${clubId} sync did not reach stored activities (${coverage.reason}); activities posted in between may be missing`);
+  }
+
+  return { success: true, club_id: clubId, baseline, fetched: activities.length, added: added.length, coverage };
+}
+
+/**
+ * Turn a stored row into the activity shape the club routes use
+ * @param {Object} stored
+ * @returns {Object}
+ */
+function toActivity(stored) {
+  // Baseline rows predate tracking: no date, so they fall outside every window
+  const effectiveDate = stored.startDate || (stored.baseline ? null : stored.firstSeenAt);
+  return {
+    id: stored.fingerprint,
+    name: stored.name || 'Untitled Activity',
+    athlete: {
+      id: `${stored.athleteFirstname} ${stored.athleteLastname}`.trim(),
+      firstname: stored.athleteFirstname,
+      lastname: stored.athleteLastname || 'Unknown'
+    },
+    distance: stored.distance,
+    moving_time: stored.movingTime,
+    elapsed_time: stored.elapsedTime || stored.movingTime,
+    total_elevation_gain: stored.totalElevationGain,
+    pace: calculatePace(stored.distance, stored.elapsedTime || stored.movingTime),
+    type: stored.type || stored.sportType || 'Unknown',
+    sport_type: stored.sportType || stored.type || 'Unknown',
+    workout_type: stored.workoutType === '' ? null : stored.workoutType,
+    start_date: effectiveDate,
+    start_date_local: effectiveDate,
+    first_seen_at: stored.firstSeenAt,
+    resource_state: 2
+  };
+}
+
+/**
+ * Read a club's activities from the store
+ * @param {string} clubId
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Start of the oldest window the caller needs
+ * @returns {Promise<Object|null>} { activities, coverage }, or null when the club was never synced
+ */
+export async function getStoredClubActivityWindow(clubId, { since = null } = {}) {
+  const stored = await getClubActivityRepository().listByClub(clubId);
+  if (stored.length === 0) return null;
+
+  // Activities are dated from the first sync on; earlier windows are incomplete
+  const trackingSince = stored.reduce((min, activity) => (activity.firstSeenAt < min ? activity.firstSeenAt : min), stored[0].firstSeenAt);
+  const lastSeenAt = stored.reduce((max, activity) => (activity.firstSeenAt > max ? activity.firstSeenAt : max), stored[0].firstSeenAt);
+  const complete = !since || new Date(trackingSince) <= since;
+
+  return {
+    activities: stored.map(toActivity),
+    coverage: {
+      source: 'store',
+      window_start: since ? since.toISOString() : null,
+      complete,
+      truncated: !complete,
+      reason: complete ? 'store' : 'tracking_started_after_window_start',
+      tracking_since: trackingSince,
+      last_new_activity_at: lastSeenAt,
+      activities_stored: stored.length
+    }
+  };
+}
+
+export default {
+  syncClubActivities,
+  getStoredClubActivityWindow
+};
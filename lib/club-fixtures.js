@@ -0,0 +1,214 @@
+/**
+ * Recorded club feeds for reproducible reports
+ *
+ * A fixture set is a directory under CLUB_CONFIG.FIXTURES_DIR with one recorded
+ * feed per club. Recording keeps Strava's raw feed items, each with the date it
+ * is known to have happened: the club activity store's first-seen time when the
+ * store has it. Replaying either keeps those dates or shifts them so the
+ * recording time becomes "now"; with a fixed now the club reports come out the
+ * same on every run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CLUB_CONFIG } from './config';
+import { getClubActivityRepository } from './storage';
+import { getActivityFingerprint, getClubActivityWindow, replayClubFixture } from './strava';
+
+export const FIXTURE_DATE_MODES = {
+  // Dates as recorded
+  CAPTURED: 'captured',
+  // Moved by the time between the recording and now
+  SHIFTED: 'shifted'
+};
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function createFixtureError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Path of a club's recorded feed in a fixture set
+ * @param {string} set
+ * @param {string} clubId
+ * @returns {string} Throws an Error with status 400 for names that are not plain file names
+ */
+export function getFixturePath(set, clubId) {
+  if (!NAME_PATTERN.test(String(set || '')) || !NAME_PATTERN.test(String(clubId || ''))) {
+    throw createFixtureError('Fixture set and club ID may only contain letters, digits, - and _', 400);
+  }
+  return path.resolve(process.cwd(), CLUB_CONFIG.FIXTURES_DIR, set, `${clubId}.json`);
+}
+
+/**
+ * Fixture replay a report asks for: the fixture, fixtureDates and fixtureNow query
+ * parameters, or CLUB_CONFIG.FIXTURE_SET for every request
+ * @param {URLSearchParams} searchParams
+ * @returns {Object|null} { set, dates, now } or null for live data; throws an Error with
+ *   status 403 when fixture requests are disabled and 400 for invalid values
+ */
+export function getFixtureRequest(searchParams) {
+  const requestedSet = searchParams.get('fixture');
+  if (requestedSet && !CLUB_CONFIG.FIXTURE_REQUESTS_ENABLED) {
+    throw createFixtureError('Fixture requests are disabled (CLUB_FIXTURE_REQUESTS)', 403);
+  }
+
+  const set = requestedSet || CLUB_CONFIG.FIXTURE_SET;
+  if (!set) return null;
+  if (!NAME_PATTERN.test(set)) {
+    throw createFixtureError(`Invalid fixture set: ${set}`, 400);
+  }
+
+  const dates = searchParams.get('fixtureDates') || FIXTURE_DATE_MODES.SHIFTED;
+  if (!Object.values(FIXTURE_DATE_MODES).includes(dates)) {
+    throw createFixtureError(`Invalid fixtureDates: ${dates} (expected ${Object.values(FIXTURE_DATE_MODES).join(', ')})`, 400);
+  }
+
+  const nowValue = searchParams.get('fixtureNow') || CLUB_CONFIG.FIXTURE_NOW;
+  const now = nowValue ? new Date(nowValue) : null;
+  if (now && isNaN(now.getTime())) {
+    throw createFixtureError(`Invalid fixtureNow: ${nowValue} (expected an ISO timestamp)`, 400);
+  }
+
+  return { set, dates, now };
+}
+
+/**
+ * Read a club's recorded feed
+ * @param {string} set
+ * @param {string} clubId
+ * @returns {Object|Array} Parsed fixture; throws an Error with status 404 when the club has none
+ */
+function readFixture(set, clubId) {
+  const fixturePath = getFixturePath(set, clubId);
+  if (!fs.existsSync(fixturePath)) {
+    throw createFixtureError(`Fixture set ${set} has no recording for club ${clubId}`, 404);
+  }
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+/**
+ * The time a fixture report is computed at: fixtureNow when given; with captured dates
+ * the latest recording time of the clubs, so periods match the recorded data
+ * @param {Object} fixture - From getFixtureRequest
+ * @param {Array<string>} clubIds
+ * @returns {Date} Throws an Error with status 404 when a club has no recording in the set
+ */
+export function getFixtureReportTime(fixture, clubIds) {
+  const recordedAt = clubIds
+    .map(clubId => readFixture(fixture.set, clubId).recorded_at)
+    .filter(Boolean)
+    .map(value => new Date(value).getTime());
+
+  if (fixture.now) return fixture.now;
+  if (fixture.dates !== FIXTURE_DATE_MODES.CAPTURED || recordedAt.length === 0) return new Date();
+  return new Date(Math.max(...recordedAt));
+}
+
+/**
+ * Replay a club's recorded feed
+ * @param {string} clubId
+ * @param {Object} fixture - From getFixtureRequest
+ * @param {Date} now - From getFixtureReportTime
+ * @returns {Object} { activities, coverage }
+ */
+export function getClubFixtureWindow(clubId, fixture, now) {
+  const recorded = readFixture(fixture.set, clubId);
+  const activities = replayClubFixture(recorded, { dates: fixture.dates, now });
+
+  return {
+    activities,
+    coverage: {
+      source: 'fixture',
+      complete: true,
+      truncated: false,
+      reason: 'fixture',
+      fixture_set: fixture.set,
+      fixture_dates: fixture.dates,
+      recorded_at: recorded.recorded_at || null,
+      activities_fetched: activities.length
+    }
+  };
+}
+
+/**
+ * Record a club's feed into a fixture set, replacing an earlier recording
+ * @param {string} clubId
+ * @param {string} set
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Default: the shared token manager
+ * @returns {Promise<Object>} { success, set, club_id, recorded_at, activities, dated, coverage } or { success: false, error, coverage }
+ */
+export async function recordClubFixture(clubId, set, { accessToken = null } = {}) {
+  const fixturePath = getFixturePath(set, clubId);
+
+  const { activities, coverage } = await getClubActivityWindow(clubId, accessToken, { useLocal: false, normalize: false });
+  if (coverage.pages_fetched === 0) {
+    return { success: false, error: `Could not read the club feed (${coverage.reason})`, coverage };
+  }
+
+  // Dates the club activity store knows; baseline rows predate tracking and have none
+  const stored = await getClubActivityRepository().listByClub(clubId);
+  const firstSeen = new Map(stored.filter(activity => !activity.baseline).map(activity => [activity.fingerprint, activity.firstSeenAt]));
+
+  const recordedAt = new Date().toISOString();
+  const recorded = activities.map(activity => ({
+    ...activity,
+    captured_date: activity.start_date || firstSeen.get(getActivityFingerprint(activity)) || null
+  }));
+
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify({
+    club_id: String(clubId),
+    recorded_at: recordedAt,
+    coverage,
+    activities: recorded
+  }, null, 2));
+
+  const dated = recorded.filter(activity => activity.captured_date).length;
+  console.log(`Recorded ${recorded.length} activities of club ${clubId} into fixture set ${set} (${dated} dated)`);
+  return { success: true, set, club_id: String(clubId), recorded_at: recordedAt, activities: recorded.length, dated, coverage };
+}
+
+/**
+ * Fixture sets on disk and the clubs recorded in each
+ * @returns {Array<Object>} [{ set, clubs: [{ club_id, recorded_at, activities }] }]
+ */
+export function listFixtureSets() {
+  const root = path.resolve(process.cwd(), CLUB_CONFIG.FIXTURES_DIR);
+  if (!fs.existsSync(root)) return [];
+
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+    .map(entry => ({
+      set: entry.name,
+      clubs: fs.readdirSync(path.join(root, entry.name))
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          const clubId = file.replace(/\.json$/, '');
+          try {
+            const recorded = readFixture(entry.name, clubId);
+            return {
+              club_id: clubId,
+              recorded_at: recorded.recorded_at || null,
+              activities: (Array.isArray(recorded) ? recorded : recorded.activities || []).length
+            };
+          } catch (error) {
+            return { club_id: clubId, error: error.message };
+          }
+        })
+    }));
+}
+
+export default {
+  FIXTURE_DATE_MODES,
+  getFixturePath,
+  getFixtureRequest,
+  getFixtureReportTime,
+  getClubFixtureWindow,
+  recordClubFixture,
+  listFixtureSets
+};
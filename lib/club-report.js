@@ -0,0 +1,136 @@
+/**
+ * Club activity reports across one or more clubs
+ *
+ * Each club is read from the activity store once it was synced, otherwise from
+ * the club feed, or from a fixture set when the request asks for one. Clubs are
+ * combined without counting an activity twice: an athlete in several city
+ * chapters shows up in each chapter's feed.
+ */
+
+import { CLUB_CONFIG } from './config';
+import { getStoredClubActivityWindow } from './club-activity-store';
+import { getClubFixtureWindow } from './club-fixtures';
+import { getActivityFingerprint, getAthleteKey, getClubActivityWindow } from './strava';
+
+export const CLUB_RANKING_METRICS = {
+  DISTANCE: 'distance',
+  ACTIVITIES: 'activities',
+  ACTIVE_ATHLETES: 'active_athletes'
+};
+
+/**
+ * Clubs a report asks for: clubIds (comma separated) or clubId, default CLUB_CONFIG.DEFAULT_CLUB_ID
+ * @param {URLSearchParams} searchParams
+ * @returns {Array<string>} Throws an Error with status 400 when too many clubs are requested
+ */
+export function getRequestedClubIds(searchParams) {
+  const values = [...searchParams.getAll('clubIds'), ...searchParams.getAll('clubId')];
+  const clubIds = [...new Set(values.flatMap(value => value.split(',')).map(id => id.trim()).filter(Boolean))];
+
+  if (clubIds.length > CLUB_CONFIG.MAX_CLUBS_PER_REPORT) {
+    const error = new Error(`At most ${CLUB_CONFIG.MAX_CLUBS_PER_REPORT} clubs can be compared at once`);
+    error.status = 400;
+    throw error;
+  }
+  return clubIds.length > 0 ? clubIds : [CLUB_CONFIG.DEFAULT_CLUB_ID];
+}
+
+/**
+ * Activities of a club back to a date, from the store or with fallback support from the feed
+ * @param {string} clubId
+ * @param {Object} options
+ * @param {Date} options.since - Start of the earliest period of the report
+ * @param {string} [options.accessToken] - Caller's token when no Strava account is configured
+ * @param {boolean} [options.allowLive] - Whether the feed may be read for clubs not in the store
+ * @param {Object} [options.fixture] - Replay a recorded feed instead, from getFixtureRequest
+ * @param {Date} [options.now] - Report time of the fixture replay, from getFixtureReportTime
+ * @returns {Promise<Object|null>} { activities, coverage }, or null when the club can't be read without a token
+ */
+export async function getClubReportActivities(clubId, { since, accessToken = null, allowLive = true, fixture = null, now = null }) {
+  if (fixture) {
+    return getClubFixtureWindow(clubId, fixture, now || new Date());
+  }
+
+  // Synced clubs are read from the activity store, dated by /api/club/sync
+  const stored = CLUB_CONFIG.FORCE_LOCAL_DATA ? null : await getStoredClubActivityWindow(clubId, { since });
+  if (stored) return stored;
+
+  // FORCE_LOCAL_DATA skips the API call entirely, so no token is needed
+  if (!allowLive && !CLUB_CONFIG.FORCE_LOCAL_DATA) return null;
+
+  // Page back until the earliest period is covered
+  return await getClubActivityWindow(clubId, accessToken, {
+    since,
+    useLocal: CLUB_CONFIG.USE_LOCAL_FALLBACK,
+    forceLocal: CLUB_CONFIG.FORCE_LOCAL_DATA
+  });
+}
+
+/**
+ * Activities of several clubs as one list, each activity once
+ * @param {Array<Object>} clubs - [{ club_id, activities }]
+ * @returns {Array<Object>} Activities with club_ids: the clubs whose feed holds them
+ */
+export function combineClubActivities(clubs) {
+  const combined = new Map();
+  for (const club of clubs) {
+    for (const activity of club.activities) {
+      const fingerprint = getActivityFingerprint(activity);
+      if (combined.has(fingerprint)) {
+        combined.get(fingerprint).club_ids.push(club.club_id);
+      } else {
+        combined.set(fingerprint, { ...activity, club_ids: [club.club_id] });
+      }
+    }
+  }
+  return [...combined.values()];
+}
+
+/**
+ * Coverage of several clubs: complete only when every club's window is covered
+ * @param {Array<Object>} clubs - [{ club_id, coverage }]
+ * @returns {Object}
+ */
+export function combineClubCoverage(clubs) {
+  const truncated = clubs.filter(club => club.coverage?.truncated).map(club => club.club_id);
+  return {
+    complete: clubs.every(club => club.coverage?.complete),
+    truncated: truncated.length > 0,
+    truncated_clubs: truncated
+  };
+}
+
+/**
+ * Rank clubs by total distance, number of activities and active athletes
+ * Clubs with equal values share a rank (1, 1, 3).
+ * @param {Array<Object>} clubs - [{ club_id, activities }], activities of one period
+ * @returns {Object} { distance, activities, active_athletes }: [{ rank, club_id, value }], best first
+ */
+export function rankClubs(clubs) {
+  const values = clubs.map(club => ({
+    club_id: club.club_id,
+    [CLUB_RANKING_METRICS.DISTANCE]: club.activities.reduce((sum, activity) => sum + (Number(activity.distance) || 0), 0),
+    [CLUB_RANKING_METRICS.ACTIVITIES]: club.activities.length,
+    [CLUB_RANKING_METRICS.ACTIVE_ATHLETES]: new Set(club.activities.map(getAthleteKey).filter(Boolean)).size
+  }));
+
+  const ranking = {};
+  for (const metric of Object.values(CLUB_RANKING_METRICS)) {
+    const sorted = [...values].sort((a, b) => b[metric] - a[metric]);
+    ranking[metric] = sorted.map(club => ({
+      rank: sorted.findIndex(other => other[metric] === club[metric]) + 1,
+      club_id: club.club_id,
+      value: club[metric]
+    }));
+  }
+  return ranking;
+}
+
+export default {
+  CLUB_RANKING_METRICS,
+  getRequestedClubIds,
+  getClubReportActivities,
+  combineClubActivities,
+  combineClubCoverage,
+  rankClubs
+};
@@ -0,0 +1,147 @@
+/**
+ * Local file idempotency store
+ *
+ * Keeps all records in one JSON file. Every read-modify-write runs under an
+ * exclusive lock file, so concurrent requests in the same or other processes
+ * on this machine cannot overwrite each other's claims. Not suitable for
+ * serverless deployments, where the file does not survive between invocations.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createClaimRecord, isExpired, selectRecords } from './record';
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000; // A lock older than this was left behind by a crashed process
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createFileIdempotencyStore({ filePath, ttlSeconds: defaultTtlSeconds }) {
+  const file = path.resolve(process.cwd(), filePath);
+  const lockFile = `${file}.lock`;
+
+  async function acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (true) {
+      try {
+        const handle = await fs.promises.open(lockFile, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        try {
+          const stat = await fs.promises.stat(lockFile);
+          if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+            console.warn('Removing stale idempotency lock file:', lockFile);
+            await fs.promises.unlink(lockFile).catch(() => {});
+            continue;
+          }
+        } catch (statError) {
+          if (statError.code === 'ENOENT') continue; // Released between open and stat
+          throw statError;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for idempotency lock ${lockFile}`);
+        }
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  async function releaseLock() {
+    await fs.promises.unlink(lockFile).catch(() => {});
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return {};
+    const events = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    // Files written before the store existed map event IDs to a processed timestamp
+    for (const [eventId, value] of Object.entries(events)) {
+      if (typeof value === 'string') {
+        events[eventId] = {
+          ...createClaimRecord(eventId, { ttlSeconds: defaultTtlSeconds, now: new Date(value) }),
+          status: 'completed'
+        };
+      }
+    }
+    return events;
+  }
+
+  function save(events) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(events, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  async function withLock(fn) {
+    await acquireLock();
+    try {
+      return fn();
+    } finally {
+      await releaseLock();
+    }
+  }
+
+  return {
+    store: 'file',
+
+    async claim(eventId, { ttlSeconds, payload }) {
+      return withLock(() => {
+        const events = load();
+        const existing = events[eventId];
+        if (existing && !isExpired(existing)) {
+          return { claimed: false, record: existing };
+        }
+        const record = createClaimRecord(eventId, { ttlSeconds, payload });
+        events[eventId] = record;
+        save(events);
+        return { claimed: true, record };
+      });
+    },
+
+    async finish(eventId, status, result = null) {
+      return withLock(() => {
+        const events = load();
+        if (!events[eventId]) return null;
+        events[eventId] = { ...events[eventId], status, result, updatedAt: new Date().toISOString() };
+        save(events);
+        return events[eventId];
+      });
+    },
+
+    async get(eventId) {
+      return load()[eventId] || null;
+    },
+
+    async list(options) {
+      return selectRecords(Object.values(load()), options);
+    },
+
+    async release(eventId) {
+      return withLock(() => {
+        const events = load();
+        if (!events[eventId]) return false;
+        delete events[eventId];
+        save(events);
+        return true;
+      });
+    },
+
+    async cleanup() {
+      return withLock(() => {
+        const events = load();
+        const expired = Object.keys(events).filter(eventId => isExpired(events[eventId]));
+        expired.forEach(eventId => delete events[eventId]);
+        if (expired.length > 0) save(events);
+        return expired.length;
+      });
+    }
+  };
+}
+
+export default { createFileIdempotencyStore };
@@ -0,0 +1,62 @@
+/**
+ * Webhook idempotency store entry point
+ *
+ * Every store implements the same interface:
+ * - claim(eventId, { ttlSeconds, payload }) -> { claimed, record }  atomic check-and-set
+ * - finish(eventId, status, result)          -> record | null         mark completed / failed
+ * - get(eventId)                             -> record | null
+ * - list(options)                            -> record[]              filtered by { includeExpired, status, prefix, excludePrefix, limit }
+ * - release(eventId)                         -> boolean               forget an event so it can be processed again
+ * - cleanup()                                -> number                remove expired records
+ *
+ * The store is selected by IDEMPOTENCY_CONFIG.STORE ('file', 'sqlite' or 'sheets').
+ */
+
+import { IDEMPOTENCY_CONFIG, STORAGE_CONFIG } from '../config';
+import { createFileIdempotencyStore } from './file-store';
+import { createSqliteIdempotencyStore } from './sqlite-store';
+import { createSheetsIdempotencyStore } from './sheets-store';
+
+export { EVENT_STATUSES, isExpired } from './record';
+
+let store = null;
+
+/**
+ * Default time-to-live of a processed event
+ * @returns {number} Seconds
+ */
+export function getEventTtlSeconds() {
+  return IDEMPOTENCY_CONFIG.EVENT_TTL_HOURS * 60 * 60;
+}
+
+/**
+ * Get the configured idempotency store (created once per process)
+ * @returns {Object}
+ */
+export function getIdempotencyStore() {
+  if (store) return store;
+
+  switch (IDEMPOTENCY_CONFIG.STORE) {
+    case 'file':
+      store = createFileIdempotencyStore({
+        filePath: IDEMPOTENCY_CONFIG.FILE_PATH,
+        ttlSeconds: getEventTtlSeconds()
+      });
+      break;
+    case 'sqlite':
+      store = createSqliteIdempotencyStore({ databasePath: IDEMPOTENCY_CONFIG.SQLITE_PATH });
+      break;
+    case 'sheets':
+      store = createSheetsIdempotencyStore({
+        spreadsheetId: STORAGE_CONFIG.SPREADSHEET_ID,
+        sheetName: IDEMPOTENCY_CONFIG.SHEET_NAME
+      });
+      break;
+    default:
+      throw new Error(`Unknown idempotency store: ${IDEMPOTENCY_CONFIG.STORE}`);
+  }
+
+  return store;
+}
+
+export { createFileIdempotencyStore, createSqliteIdempotencyStore, createSheetsIdempotencyStore };
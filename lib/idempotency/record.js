@@ -0,0 +1,74 @@
+/**
+ * Processed event records shared by every idempotency store
+ *
+ * A record is claimed ('processing') before a webhook event is handled and
+ * finished ('completed' / 'failed') afterwards. Until it expires, a record
+ * blocks the same event from being claimed again.
+ */
+
+export const EVENT_STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+/**
+ * Build a freshly claimed record
+ * @param {string} eventId
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - Time until the claim expires
+ * @param {Object} [options.payload] - Original event payload, kept for replays
+ * @param {Date} [options.now]
+ * @returns {Object}
+ */
+export function createClaimRecord(eventId, { ttlSeconds, payload = null, now = new Date() }) {
+  return {
+    eventId,
+    status: EVENT_STATUSES.PROCESSING,
+    claimedAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+    payload,
+    result: null,
+  };
+}
+
+/**
+ * @param {Object} record
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isExpired(record, now = new Date()) {
+  return !record || !record.expiresAt || new Date(record.expiresAt).getTime() <= now.getTime();
+}
+
+/**
+ * Filter and order records for listing (newest claim first)
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExpired]
+ * @param {string} [options.status]
+ * @param {string} [options.prefix] - Only events whose ID starts with it
+ * @param {string} [options.excludePrefix] - Leave out events whose ID starts with it
+ * @param {number} [options.limit]
+ * @returns {Array<Object>}
+ */
+export function selectRecords(records, { includeExpired = false, status, prefix, excludePrefix, limit } = {}) {
+  const now = new Date();
+  const selected = records
+    .filter(record => includeExpired || !isExpired(record, now))
+    .filter(record => !status || record.status === status)
+    .filter(record => !prefix || String(record.eventId).startsWith(prefix))
+    .filter(record => !excludePrefix || !String(record.eventId).startsWith(excludePrefix))
+    .sort((a, b) => new Date(b.claimedAt) - new Date(a.claimedAt));
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+export function parseJson(value) {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
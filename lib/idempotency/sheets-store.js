@@ -0,0 +1,143 @@
+/**
+ * Google Sheets idempotency store
+ *
+ * Sheets has no transactions, so a claim is append-then-read: every claimant
+ * appends its own row and then re-reads the sheet. Appends are serialized by
+ * Sheets, so all claimants agree that the earliest live row for an event wins;
+ * losers expire their row immediately. Survives serverless invocations.
+ */
+
+import crypto from 'crypto';
+import { createSheetsAdapter } from '../storage/sheets-adapter';
+import { createClaimRecord, isExpired, parseJson, selectRecords } from './record';
+
+function createTable(sheetName) {
+  return {
+    name: 'webhook_events',
+    sheetName,
+    columns: [
+      { key: 'eventId', header: 'Event ID' },
+      { key: 'status', header: 'Status' },
+      { key: 'claimedAt', header: 'Claimed At' },
+      { key: 'updatedAt', header: 'Updated At' },
+      { key: 'expiresAt', header: 'Expires At' },
+      { key: 'claimToken', header: 'Claim Token' },
+      { key: 'payload', header: 'Payload' },
+      { key: 'result', header: 'Result' },
+    ],
+  };
+}
+
+function fromRecord(record) {
+  return {
+    eventId: record.eventId,
+    status: record.status,
+    claimedAt: record.claimedAt,
+    updatedAt: record.updatedAt,
+    expiresAt: record.expiresAt,
+    claimToken: record.claimToken,
+    payload: parseJson(record.payload),
+    result: parseJson(record.result),
+  };
+}
+
+function publicRecord(record) {
+  if (!record) return null;
+  const { claimToken, ...rest } = record;
+  return rest;
+}
+
+export function createSheetsIdempotencyStore({ spreadsheetId, sheetName, adapter = null }) {
+  const storage = adapter || createSheetsAdapter({ spreadsheetId });
+  const table = createTable(sheetName);
+
+  async function entries() {
+    const rows = await storage.readAll(table);
+    return rows
+      .map(({ ref, record }) => ({ ref, record: fromRecord(record) }))
+      .filter(entry => entry.record.eventId);
+  }
+
+  // Live rows of an event, earliest appended first
+  async function liveEntries(eventId) {
+    const now = new Date();
+    return (await entries())
+      .filter(entry => entry.record.eventId === eventId && !isExpired(entry.record, now))
+      .sort((a, b) => a.ref - b.ref);
+  }
+
+  async function expireEntry(entry) {
+    const now = new Date().toISOString();
+    await storage.update(table, entry.ref, { expiresAt: now, updatedAt: now });
+  }
+
+  return {
+    store: 'sheets',
+
+    async claim(eventId, { ttlSeconds, payload }) {
+      const existing = await liveEntries(eventId);
+      if (existing.length > 0) {
+        return { claimed: false, record: publicRecord(existing[0].record) };
+      }
+
+      const claimToken = crypto.randomUUID();
+      const record = createClaimRecord(eventId, { ttlSeconds, payload });
+      await storage.append(table, {
+        ...record,
+        claimToken,
+        payload: JSON.stringify(payload ?? null),
+        result: ''
+      });
+
+      const [winner, ...losers] = await liveEntries(eventId);
+      const ours = losers.find(entry => entry.record.claimToken === claimToken);
+      if (winner && winner.record.claimToken !== claimToken) {
+        if (ours) await expireEntry(ours);
+        return { claimed: false, record: publicRecord(winner.record) };
+      }
+      return { claimed: true, record };
+    },
+
+    async finish(eventId, status, result = null) {
+      const [entry] = await liveEntries(eventId);
+      if (!entry) return null;
+      const patch = { status, result: JSON.stringify(result ?? null), updatedAt: new Date().toISOString() };
+      await storage.update(table, entry.ref, patch);
+      return publicRecord({ ...entry.record, ...patch, result });
+    },
+
+    async get(eventId) {
+      const matches = (await entries()).filter(entry => entry.record.eventId === eventId);
+      const live = matches.filter(entry => !isExpired(entry.record));
+      const entry = live[0] || matches[matches.length - 1];
+      return entry ? publicRecord(entry.record) : null;
+    },
+
+    async list(options) {
+      return selectRecords((await entries()).map(entry => publicRecord(entry.record)), options);
+    },
+
+    async release(eventId) {
+      const live = await liveEntries(eventId);
+      for (const entry of live) {
+        await expireEntry(entry);
+      }
+      return live.length > 0;
+    },
+
+    /**
+     * Delete expired rows, and rows blanked by earlier versions of this store, in one
+     * request. Deleting moves the rows below up, so run it from a cron job rather than
+     * next to webhook traffic.
+     */
+    async cleanup() {
+      const now = new Date();
+      const rows = await storage.readAll(table);
+      const expired = rows.filter(({ record }) => !record.eventId || isExpired(record, now));
+      await storage.deleteRows(table, expired.map(({ ref }) => ref));
+      return expired.length;
+    }
+  };
+}
+
+export default { createSheetsIdempotencyStore };
@@ -0,0 +1,132 @@
+/**
+ * SQLite idempotency store
+ *
+ * Uses the built-in node:sqlite module, so it needs Node.js 22.13 or later (Node.js 20
+ * has no node:sqlite; use the sheets or file store there). A claim is a single
+ * INSERT ... ON CONFLICT DO UPDATE that only overwrites an expired record, so
+ * check-and-set is atomic across processes sharing the database file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EVENT_STATUSES, createClaimRecord, parseJson, selectRecords } from './record';
+
+const MIN_NODE_VERSION = '22.13';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS processed_events (
+    event_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    claimed_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    payload TEXT,
+    result TEXT
+  );
+  CREATE INDEX IF NOT EXISTS processed_events_expires_at ON processed_events (expires_at);
+`;
+
+function rowToRecord(row) {
+  if (!row) return null;
+  return {
+    eventId: row.event_id,
+    status: row.status,
+    claimedAt: row.claimed_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+    payload: parseJson(row.payload),
+    result: parseJson(row.result),
+  };
+}
+
+export function createSqliteIdempotencyStore({ databasePath }) {
+  let db = null;
+
+  async function getDb() {
+    if (db) return db;
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = await import('node:sqlite'));
+    } catch (error) {
+      throw new Error(`IDEMPOTENCY_STORE=sqlite needs Node.js ${MIN_NODE_VERSION} or later (node:sqlite), this is ${process.version}; use the sheets or file store instead`);
+    }
+    const file = path.resolve(process.cwd(), databasePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    db = new DatabaseSync(file);
+    db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+    db.exec(SCHEMA);
+    return db;
+  }
+
+  async function get(eventId) {
+    const database = await getDb();
+    return rowToRecord(database.prepare('SELECT * FROM processed_events WHERE event_id = ?').get(eventId));
+  }
+
+  return {
+    store: 'sqlite',
+
+    async claim(eventId, { ttlSeconds, payload }) {
+      const database = await getDb();
+      const record = createClaimRecord(eventId, { ttlSeconds, payload });
+
+      // ISO timestamps compare correctly as strings
+      const { changes } = database.prepare(`
+        INSERT INTO processed_events (event_id, status, claimed_at, updated_at, expires_at, payload, result)
+        VALUES (?, ?, ?, ?, ?, ?, NULL)
+        ON CONFLICT (event_id) DO UPDATE SET
+          status = excluded.status,
+          claimed_at = excluded.claimed_at,
+          updated_at = excluded.updated_at,
+          expires_at = excluded.expires_at,
+          payload = excluded.payload,
+          result = NULL
+        WHERE processed_events.expires_at <= ?
+      `).run(
+        eventId,
+        EVENT_STATUSES.PROCESSING,
+        record.claimedAt,
+        record.updatedAt,
+        record.expiresAt,
+        JSON.stringify(payload ?? null),
+        record.claimedAt
+      );
+
+      if (changes > 0) {
+        return { claimed: true, record };
+      }
+      return { claimed: false, record: await get(eventId) };
+    },
+
+    async finish(eventId, status, result = null) {
+      const database = await getDb();
+      const { changes } = database.prepare(
+        'UPDATE processed_events SET status = ?, result = ?, updated_at = ? WHERE event_id = ?'
+      ).run(status, JSON.stringify(result ?? null), new Date().toISOString(), eventId);
+      return changes > 0 ? get(eventId) : null;
+    },
+
+    get,
+
+    async list(options) {
+      const database = await getDb();
+      const rows = database.prepare('SELECT * FROM processed_events').all();
+      return selectRecords(rows.map(rowToRecord), options);
+    },
+
+    async release(eventId) {
+      const database = await getDb();
+      const { changes } = database.prepare('DELETE FROM processed_events WHERE event_id = ?').run(eventId);
+      return changes > 0;
+    },
+
+    async cleanup() {
+      const database = await getDb();
+      const { changes } = database.prepare('DELETE FROM processed_events WHERE expires_at <= ?').run(new Date().toISOString());
+      return Number(changes);
+    }
+  };
+}
+
+export default { createSqliteIdempotencyStore };
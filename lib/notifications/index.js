@@ -0,0 +1,183 @@
+/**
+ * Participant notification service
+ *
+ * notify() renders a template and writes one outbox entry per enabled channel,
+ * then tries to deliver each entry right away. Entries that fail stay in the
+ * outbox and are retried by processOutbox() with exponential backoff.
+ *
+ * Every channel implements:
+ * - send(message) -> Promise<Object>   throws when delivery failed
+ *
+ * Channels are selected by NOTIFICATION_CONFIG.CHANNELS ('smtp', 'webhook', 'n8n', 'mailbox').
+ */
+
+import crypto from 'crypto';
+import { NOTIFICATION_CONFIG } from '../config';
+import { getNotificationOutboxRepository } from '../storage';
+import { NOTIFICATION_EVENTS, SUPPORTED_LOCALES, renderTemplate } from './templates';
+import { createSmtpChannel } from './smtp-channel';
+import { createWebhookChannel, createN8nChannel } from './webhook-channel';
+import { createMailboxChannel } from './mailbox-channel';
+
+export { NOTIFICATION_EVENTS, SUPPORTED_LOCALES, renderTemplate };
+
+// An entry being delivered right after notify() is not due for the outbox job until then
+const IMMEDIATE_DELIVERY_GRACE_SECONDS = 5 * 60;
+
+let channels = null;
+
+function createChannel(name) {
+  switch (name) {
+    case 'smtp':
+      return createSmtpChannel({
+        url: NOTIFICATION_CONFIG.SMTP_URL,
+        host: NOTIFICATION_CONFIG.SMTP_HOST,
+        port: NOTIFICATION_CONFIG.SMTP_PORT,
+        secure: NOTIFICATION_CONFIG.SMTP_SECURE,
+        user: NOTIFICATION_CONFIG.SMTP_USER,
+        pass: NOTIFICATION_CONFIG.SMTP_PASS,
+        from: NOTIFICATION_CONFIG.FROM
+      });
+    case 'webhook':
+      return createWebhookChannel({ url: NOTIFICATION_CONFIG.WEBHOOK_URL, secret: NOTIFICATION_CONFIG.WEBHOOK_SECRET });
+    case 'n8n':
+      return createN8nChannel({ url: NOTIFICATION_CONFIG.N8N_WEBHOOK_URL });
+    case 'mailbox':
+      return createMailboxChannel({ dir: NOTIFICATION_CONFIG.MAILBOX_DIR, from: NOTIFICATION_CONFIG.FROM });
+    default:
+      throw new Error(`Unknown notification channel: ${name}`);
+  }
+}
+
+/**
+ * Get the configured channels keyed by name (created once per process)
+ * @returns {Object}
+ */
+export function getNotificationChannels() {
+  if (channels) return channels;
+
+  channels = {};
+  const names = String(NOTIFICATION_CONFIG.CHANNELS || '').split(',').map(name => name.trim()).filter(Boolean);
+  for (const name of names) {
+    try {
+      channels[name] = createChannel(name);
+    } catch (error) {
+      console.error(`Notification channel ${name} is not available:`, error.message);
+    }
+  }
+  return channels;
+}
+
+function resolveLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : NOTIFICATION_CONFIG.DEFAULT_LOCALE;
+}
+
+function getRetryDelaySeconds(attempts) {
+  return NOTIFICATION_CONFIG.RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Deliver one outbox entry and record the outcome
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} The updated entry
+ */
+async function deliver(entry) {
+  const repository = getNotificationOutboxRepository();
+  const channel = getNotificationChannels()[entry.channel];
+  const attempts = entry.attempts + 1;
+
+  try {
+    if (!channel) {
+      throw new Error(`Notification channel ${entry.channel} is not configured`);
+    }
+    await channel.send({
+      id: entry.id,
+      event: entry.event,
+      to: entry.recipient,
+      locale: entry.locale,
+      subject: entry.subject,
+      text: entry.body,
+      data: entry.data
+    });
+    console.log(`Notification ${entry.id} (${entry.event}) sent via ${entry.channel}`);
+    return await repository.update(entry.id, { status: 'sent', attempts, sentAt: new Date().toISOString(), lastError: '' });
+  } catch (error) {
+    const givenUp = attempts >= NOTIFICATION_CONFIG.MAX_ATTEMPTS;
+    console.warn(`Notification ${entry.id} via ${entry.channel} failed (attempt ${attempts}${givenUp ? ', giving up' : ''}):`, error.message);
+    return await repository.update(entry.id, {
+      status: givenUp ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + getRetryDelaySeconds(attempts) * 1000).toISOString()
+    });
+  }
+}
+
+/**
+ * Send a participant notification on every enabled channel
+ * Never throws: notifications must not break the flow that triggered them.
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} params
+ * @param {string} params.to - Recipient email
+ * @param {string} [params.locale] - 'id' or 'en' (defaults to NOTIFICATION_DEFAULT_LOCALE)
+ * @param {Object} params.data - Template data
+ * @returns {Promise<Array<Object>>} The outbox entries
+ */
+export async function notify(event, { to, locale, data = {} }) {
+  try {
+    const channelNames = Object.keys(getNotificationChannels());
+    if (channelNames.length === 0) {
+      console.log(`No notification channel configured, skipping ${event}`);
+      return [];
+    }
+
+    const messageLocale = resolveLocale(locale);
+    const { subject, text } = renderTemplate(event, messageLocale, data);
+    const repository = getNotificationOutboxRepository();
+
+    const entries = [];
+    for (const channel of channelNames) {
+      entries.push(await repository.create({
+        id: crypto.randomUUID(),
+        event,
+        channel,
+        recipient: to || '',
+        locale: messageLocale,
+        subject,
+        body: text,
+        data,
+        status: 'pending',
+        nextAttemptAt: new Date(Date.now() + IMMEDIATE_DELIVERY_GRACE_SECONDS * 1000).toISOString()
+      }));
+    }
+
+    const delivered = [];
+    for (const entry of entries) {
+      delivered.push(await deliver(entry));
+    }
+    return delivered;
+  } catch (error) {
+    console.error(`Failed to queue ${event} notification:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Retry due outbox entries
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} - { processed, sent, failed, pending }
+ */
+export async function processOutbox({ limit = 50 } = {}) {
+  const due = await getNotificationOutboxRepository().listDue(new Date(), limit);
+  const summary = { processed: 0, sent: 0, failed: 0, pending: 0 };
+
+  // One at a time, so a slow SMTP server is not hit by a burst of retries
+  for (const entry of due) {
+    const updated = await deliver(entry);
+    summary.processed++;
+    summary[updated.status === 'sent' ? 'sent' : updated.status === 'failed' ? 'failed' : 'pending']++;
+  }
+  return summary;
+}
+
+export default { NOTIFICATION_EVENTS, notify, processOutbox, getNotificationChannels };
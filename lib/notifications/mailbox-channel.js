@@ -0,0 +1,42 @@
+/**
+ * Dev mailbox channel
+ *
+ * Writes every message to a local directory instead of sending it: an .eml file
+ * that opens in any mail client, and a .json file with the data for tests.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function createMailboxChannel({ dir, from }) {
+  const baseDir = path.resolve(process.cwd(), dir);
+
+  return {
+    channel: 'mailbox',
+
+    async send(message) {
+      fs.mkdirSync(baseDir, { recursive: true });
+      const date = new Date();
+      const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${message.event}-${message.id}`;
+
+      const eml = [
+        `From: ${from}`,
+        `To: ${message.to || ''}`,
+        `Subject: ${message.subject}`,
+        `Date: ${date.toUTCString()}`,
+        `X-Notification-ID: ${message.id}`,
+        `X-Notification-Event: ${message.event}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+      ].join('\r\n');
+
+      fs.writeFileSync(path.join(baseDir, `${fileName}.eml`), eml);
+      fs.writeFileSync(path.join(baseDir, `${fileName}.json`), JSON.stringify(message, null, 2));
+      return { file: `${fileName}.eml` };
+    }
+  };
+}
+
+export default { createMailboxChannel };
@@ -0,0 +1,44 @@
+/**
+ * SMTP email channel (nodemailer)
+ */
+
+import nodemailer from 'nodemailer';
+
+export function createSmtpChannel({ url, host, port, secure, user, pass, from }) {
+  if (!url && !host) {
+    throw new Error('SMTP channel needs SMTP_URL or SMTP_HOST');
+  }
+
+  let transport = null;
+  function getTransport() {
+    if (!transport) {
+      transport = nodemailer.createTransport(url || {
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+      });
+    }
+    return transport;
+  }
+
+  return {
+    channel: 'smtp',
+
+    async send(message) {
+      if (!message.to) {
+        throw new Error('Email notification has no recipient');
+      }
+      const info = await getTransport().sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        headers: { 'X-Notification-ID': message.id },
+      });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+export default { createSmtpChannel };
@@ -0,0 +1,257 @@
+/**
+ * Participant notification templates (Indonesian and English)
+ *
+ * Each template renders { subject, text } from the event data. Amounts and
+ * dates are formatted for the template's locale.
+ */
+
+export const NOTIFICATION_EVENTS = {
+  REGISTRATION_RECEIVED: 'registration_received',
+  PAYMENT_LINK: 'payment_link',
+  PAYMENT_SUCCESS: 'payment_success',
+  PAYMENT_EXPIRED: 'payment_expired',
+  SUBMISSION_RECEIVED: 'submission_received',
+  SUBMISSION_VERIFIED: 'submission_verified',
+  SUBMISSION_REJECTED: 'submission_rejected',
+};
+
+export const SUPPORTED_LOCALES = ['id', 'en'];
+
+const NUMBER_LOCALES = { id: 'id-ID', en: 'en-US' };
+
+function formatAmount(amount, locale) {
+  return `Rp ${(Number(amount) || 0).toLocaleString(NUMBER_LOCALES[locale])}`;
+}
+
+function formatDate(value, locale) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return '';
+  return date.toLocaleString(NUMBER_LOCALES[locale], { timeZone: 'Asia/Jakarta', dateStyle: 'long', timeStyle: 'short' }) + ' WIB';
+}
+
+function lines(...parts) {
+  return parts.filter(part => part !== null && part !== undefined && part !== false).join('\n');
+}
+
+const TEMPLATES = {
+  [NOTIFICATION_EVENTS.REGISTRATION_RECEIVED]: {
+    id: d => ({
+      subject: 'Pendaftaran We Run Palestina diterima',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Terima kasih telah mendaftar We Run Palestina. Nomor pendaftaran anda: ${d.registrationId}.`,
+        `Paket: ${d.packageName}`,
+        `Total pembayaran: ${formatAmount(d.totalAmount, 'id')}`,
+        '',
+        d.paymentLink && `Silakan selesaikan pembayaran melalui tautan berikut dalam 24 jam:\n${d.paymentLink}`,
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'We Run Palestina registration received',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `Thank you for registering for We Run Palestina. Your registration number is ${d.registrationId}.`,
+        `Package: ${d.packageName}`,
+        `Total payment: ${formatAmount(d.totalAmount, 'en')}`,
+        '',
+        d.paymentLink && `Please complete your payment within 24 hours using this link:\n${d.paymentLink}`,
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+
+  [NOTIFICATION_EVENTS.PAYMENT_LINK]: {
+    id: d => ({
+      subject: 'Tautan pembayaran baru We Run Palestina',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Berikut tautan pembayaran baru untuk pendaftaran ${d.registrationId} sebesar ${formatAmount(d.totalAmount, 'id')}:`,
+        d.paymentLink,
+        '',
+        d.expiresAt && `Tautan berlaku sampai ${formatDate(d.expiresAt, 'id')}.`,
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'Your new We Run Palestina payment link',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `Here is a new payment link for registration ${d.registrationId} (${formatAmount(d.totalAmount, 'en')}):`,
+        d.paymentLink,
+        '',
+        d.expiresAt && `The link is valid until ${formatDate(d.expiresAt, 'en')}.`,
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+
+  [NOTIFICATION_EVENTS.PAYMENT_SUCCESS]: {
+    id: d => ({
+      subject: 'Pembayaran We Run Palestina berhasil',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Pembayaran anda sebesar ${formatAmount(d.amount, 'id')} untuk pendaftaran ${d.registrationId} telah kami terima.`,
+        `Nomor pesanan: ${d.orderId}`,
+        '',
+        'Anda sudah terdaftar sebagai peserta. Jangan lupa kirimkan aktivitas lari anda melalui halaman submit.',
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'We Run Palestina payment successful',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `We have received your payment of ${formatAmount(d.amount, 'en')} for registration ${d.registrationId}.`,
+        `Order number: ${d.orderId}`,
+        '',
+        'You are now a registered participant. Remember to submit your runs on the submission page.',
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+
+  [NOTIFICATION_EVENTS.PAYMENT_EXPIRED]: {
+    id: d => ({
+      subject: 'Pembayaran We Run Palestina kedaluwarsa',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Batas waktu pembayaran untuk pendaftaran ${d.registrationId} telah habis.`,
+        'Anda dapat meminta tautan pembayaran baru melalui portal peserta tanpa perlu mendaftar ulang.',
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'We Run Palestina payment expired',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `The payment window for registration ${d.registrationId} has expired.`,
+        'You can request a new payment link from the participant portal without registering again.',
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+
+  [NOTIFICATION_EVENTS.SUBMISSION_RECEIVED]: {
+    id: d => ({
+      subject: 'Aktivitas lari anda telah diterima',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Aktivitas lari anda sejauh ${d.distance} km (${d.duration}) telah kami terima dan sedang menunggu verifikasi.`,
+        d.stravaActivity && `Aktivitas: ${d.stravaActivity}`,
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'Your run has been received',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `We have received your run of ${d.distance} km (${d.duration}). It is waiting for verification.`,
+        d.stravaActivity && `Activity: ${d.stravaActivity}`,
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+
+  [NOTIFICATION_EVENTS.SUBMISSION_VERIFIED]: {
+    id: d => ({
+      subject: 'Aktivitas lari anda telah diverifikasi',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Aktivitas lari anda sejauh ${d.distance} km telah diverifikasi dan dihitung. Terima kasih telah berlari untuk Palestina!`,
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'Your run has been verified',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `Your run of ${d.distance} km has been verified and counted. Thank you for running for Palestine!`,
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+
+  [NOTIFICATION_EVENTS.SUBMISSION_REJECTED]: {
+    id: d => ({
+      subject: 'Aktivitas lari anda tidak dapat diverifikasi',
+      text: lines(
+        `Halo ${d.name},`,
+        '',
+        `Mohon maaf, aktivitas lari anda sejauh ${d.distance} km tidak dapat diverifikasi.`,
+        d.reason && `Alasan: ${d.reason}`,
+        'Silakan kirim ulang aktivitas anda dengan bukti yang sesuai.',
+        '',
+        'Salam,',
+        'Panitia We Run Palestina'
+      )
+    }),
+    en: d => ({
+      subject: 'Your run could not be verified',
+      text: lines(
+        `Hi ${d.name},`,
+        '',
+        `Sorry, your run of ${d.distance} km could not be verified.`,
+        d.reason && `Reason: ${d.reason}`,
+        'Please submit your run again with valid proof.',
+        '',
+        'Regards,',
+        'We Run Palestina committee'
+      )
+    })
+  },
+};
+
+/**
+ * Render a notification
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {string} locale - 'id' or 'en'
+ * @param {Object} data - Event data
+ * @returns {{subject: string, text: string}}
+ */
+export function renderTemplate(event, locale, data = {}) {
+  const templates = TEMPLATES[event];
+  if (!templates) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+  const template = templates[locale] || templates.id;
+  return template(data);
+}
+
+export default { NOTIFICATION_EVENTS, SUPPORTED_LOCALES, renderTemplate };
@@ -0,0 +1,76 @@
+/**
+ * Webhook channels: a generic JSON webhook and the n8n notification flow
+ */
+
+import crypto from 'crypto';
+
+async function postJson(url, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(typeof headers === 'function' ? headers(body) : headers) },
+    body,
+    signal: AbortSignal.timeout(10000) // 10 second timeout
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`Webhook responded ${response.status} ${text}`.trim());
+  }
+  return { status: response.status };
+}
+
+function toPayload(message) {
+  return {
+    id: message.id,
+    event: message.event,
+    locale: message.locale,
+    recipient: message.to,
+    subject: message.subject,
+    text: message.text,
+    data: message.data,
+  };
+}
+
+/**
+ * Generic webhook. With a secret, the body is signed in the X-Signature header
+ * as "sha256=<hex HMAC-SHA256 of the raw body>".
+ */
+export function createWebhookChannel({ url, secret }) {
+  if (!url) {
+    throw new Error('Webhook channel needs NOTIFICATION_WEBHOOK_URL');
+  }
+
+  return {
+    channel: 'webhook',
+
+    async send(message) {
+      return await postJson(url, { ...toPayload(message), timestamp: new Date().toISOString() }, body => (
+        secret ? { 'X-Signature': `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}` } : {}
+      ));
+    }
+  };
+}
+
+/**
+ * n8n flow, same envelope as the other n8n events (event + timestamp)
+ */
+export function createN8nChannel({ url }) {
+  if (!url) {
+    throw new Error('n8n channel needs N8N_NOTIFICATION_WEBHOOK_URL');
+  }
+
+  return {
+    channel: 'n8n',
+
+    async send(message) {
+      return await postJson(url, {
+        event: 'participant_notification',
+        timestamp: new Date().toISOString(),
+        notification: toPayload(message)
+      }, { 'User-Agent': 'WRP-notification-Webhook/1.0' });
+    }
+  };
+}
+
+export default { createWebhookChannel, createN8nChannel };
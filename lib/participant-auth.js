@@ -0,0 +1,231 @@
+/**
+ * Participant authentication for the self-service portal
+ *
+ * A participant asks for a login with their registered email. They receive a
+ * one-time 6-digit code and a magic link (delivered by an n8n flow), and
+ * exchange either of them for a signed session (cookie or Bearer token).
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { PARTICIPANT_CONFIG } from './config';
+import { getParticipantLoginRepository, getRegistrationRepository } from './storage';
+
+const BASE_URL = process.env.NEXT_PUBLIC_BASE_URL || 'https://registrasi.werunpalestina.id';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', PARTICIPANT_CONFIG.SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function isUsable(login, now = new Date()) {
+  return login && !login.usedAt && new Date(login.expiresAt) > now &&
+    login.failedAttempts < PARTICIPANT_CONFIG.LOGIN_CODE_MAX_ATTEMPTS;
+}
+
+/**
+ * Send the login code and magic link to the participant through the n8n email flow
+ * Without a webhook URL outside production, the code is logged for local development.
+ * @param {Object} registration
+ * @param {Object} login - { code, magicLink, expiresAt }
+ */
+async function deliverLogin(registration, { code, magicLink, expiresAt }) {
+  if (!PARTICIPANT_CONFIG.LOGIN_WEBHOOK_URL) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('N8N_PARTICIPANT_WEBHOOK_URL is not configured');
+    }
+    console.log(`[dev] Login code for ${registration.email}: ${code} (${magicLink})`);
+    return;
+  }
+
+  const response = await fetch(PARTICIPANT_CONFIG.LOGIN_WEBHOOK_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'WRP-participant-login-Webhook/1.0'
+    },
+    body: JSON.stringify({
+      event: 'participant_login_requested',
+      timestamp: new Date().toISOString(),
+      participant: {
+        registration_id: registration.id,
+        name: registration.name,
+        email: registration.email
+      },
+      login: {
+        code,
+        magic_link: magicLink,
+        expires_at: expiresAt
+      }
+    }),
+    signal: AbortSignal.timeout(10000) // 10 second timeout
+  });
+
+  if (!response.ok) {
+    throw new Error(`Participant login webhook failed: ${response.status}`);
+  }
+}
+
+/**
+ * Issue a one-time login code and magic link for the registration of an email
+ * @param {string} email - Email entered by the participant
+ * @returns {Promise<Object>} - { sent: true } or { sent: false, reason: 'not_found' | 'rate_limited' }
+ */
+export async function requestParticipantLogin(email) {
+  const registration = await getRegistrationRepository().findByEmail(String(email || '').trim());
+  if (!registration) {
+    return { sent: false, reason: 'not_found' };
+  }
+
+  const repository = getParticipantLoginRepository();
+  const recent = await repository.listSince(registration.id, new Date(Date.now() - 60 * 60 * 1000));
+  if (recent.length >= PARTICIPANT_CONFIG.LOGIN_REQUESTS_PER_HOUR) {
+    console.warn(`Participant login rate limited for registration ${registration.id}`);
+    return { sent: false, reason: 'rate_limited' };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const token = crypto.randomBytes(32).toString('base64url');
+  const loginId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + PARTICIPANT_CONFIG.LOGIN_CODE_TTL_MINUTES * 60 * 1000).toISOString();
+
+  await repository.create({
+    loginId,
+    registrationId: registration.id,
+    email: registration.email,
+    codeHash: sha256(`${loginId}:${code}`),
+    tokenHash: sha256(token),
+    expiresAt
+  });
+
+  const magicLink = `${BASE_URL}/api/participant/session?token=${encodeURIComponent(token)}`;
+  await deliverLogin(registration, { code, magicLink, expiresAt });
+
+  console.log(`Participant login issued for registration ${registration.id}`);
+  return { sent: true };
+}
+
+/**
+ * Verify a login code against the latest login issued for an email
+ * A wrong code counts as a failed attempt; a used, expired or exhausted login is rejected.
+ * @param {string} email
+ * @param {string} code
+ * @returns {Promise<Object|null>} The registration, or null when the code is not valid
+ */
+export async function verifyLoginCode(email, code) {
+  const repository = getParticipantLoginRepository();
+  const login = await repository.findLatestByEmail(String(email || '').trim());
+  if (!isUsable(login)) return null;
+
+  if (!safeEqual(login.codeHash, sha256(`${login.loginId}:${String(code || '').trim()}`))) {
+    await repository.update(login.loginId, { failedAttempts: login.failedAttempts + 1 });
+    return null;
+  }
+
+  await repository.update(login.loginId, { usedAt: new Date().toISOString() });
+  return await getRegistrationRepository().findById(login.registrationId);
+}
+
+/**
+ * Verify a magic link token
+ * @param {string} token
+ * @returns {Promise<Object|null>} The registration, or null when the token is not valid
+ */
+export async function verifyMagicLinkToken(token) {
+  if (!token) return null;
+  const repository = getParticipantLoginRepository();
+  const login = await repository.findByTokenHash(sha256(token));
+  if (!isUsable(login)) return null;
+
+  await repository.update(login.loginId, { usedAt: new Date().toISOString() });
+  return await getRegistrationRepository().findById(login.registrationId);
+}
+
+/**
+ * Create a signed participant session token
+ * @param {Object} registration
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export function createParticipantSessionToken(registration) {
+  if (!PARTICIPANT_CONFIG.SESSION_SECRET) {
+    throw new Error('PARTICIPANT_SESSION_SECRET is not configured');
+  }
+  const expiresAt = new Date(Date.now() + PARTICIPANT_CONFIG.SESSION_TTL_SECONDS * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: registration.id,
+    email: registration.email,
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a participant session token
+ * @param {string} token
+ * @returns {Object|null} - { registrationId, email } or null when invalid/expired
+ */
+export function verifyParticipantSessionToken(token) {
+  if (!token || !PARTICIPANT_CONFIG.SESSION_SECRET) return null;
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.exp || data.exp * 1000 < Date.now()) return null;
+    return { registrationId: String(data.sub), email: data.email };
+  } catch (e) {
+    return null;
+  }
+}
+
+function getPresentedToken(request) {
+  const authorization = request.headers.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+
+  const header = request.headers.get('cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === PARTICIPANT_CONFIG.SESSION_COOKIE_NAME) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Authorize a participant portal request
+ *
+ * Usage in a route:
+ *   const auth = authorizeParticipant(request);
+ *   if (!auth.authorized) return auth.response;
+ *
+ * @param {Request} request
+ * @returns {{authorized: boolean, participant?: Object, response?: NextResponse}}
+ */
+export function authorizeParticipant(request) {
+  const participant = verifyParticipantSessionToken(getPresentedToken(request));
+  if (!participant) {
+    return {
+      authorized: false,
+      response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    };
+  }
+  return { authorized: true, participant };
+}
+
+export default {
+  requestParticipantLogin,
+  verifyLoginCode,
+  verifyMagicLinkToken,
+  createParticipantSessionToken,
+  verifyParticipantSessionToken,
+  authorizeParticipant
+};
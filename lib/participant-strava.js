@@ -0,0 +1,255 @@
+/**
+ * "Connect with Strava" for participants
+ *
+ * A signed-in participant authorizes our Strava app. Their athlete ID is stored on
+ * the registration and their token pair in the Strava_Tokens table, under the key
+ * 'registration:<id>', so the registrations sheet never holds credentials. Their run
+ * submissions are read from /activities/{id} with their own token instead of being scraped.
+ */
+
+import crypto from 'crypto';
+import { PARTICIPANT_CONFIG, STRAVA_CONFIG } from './config';
+import { getRegistrationRepository, getStravaTokenRepository } from './storage';
+import {
+  StravaTokenManager,
+  calculatePace,
+  deauthorizeStrava,
+  exchangeStravaAuthorizationCode,
+  formatTime,
+  getActivityById
+} from './strava';
+
+// Either scope lets us read the athlete's activities, including followers-only ones
+const ACTIVITY_SCOPES = ['activity:read', 'activity:read_all'];
+
+const CLEARED_CONNECTION = {
+  stravaAthleteId: '',
+  stravaConnectedAt: ''
+};
+
+// Key of a participant's token pair in the Strava_Tokens table
+function getTokenKey(registrationId) {
+  return `registration:${registrationId}`;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', PARTICIPANT_CONFIG.SESSION_SECRET).update(`strava-connect.${payload}`).digest('base64url');
+}
+
+/**
+ * Whether the Strava app is configured for participant connections
+ * @returns {boolean}
+ */
+export function isStravaConnectConfigured() {
+  return Boolean(STRAVA_CONFIG.CLIENT_ID && STRAVA_CONFIG.CLIENT_SECRET && STRAVA_CONFIG.REDIRECT_URI && PARTICIPANT_CONFIG.SESSION_SECRET);
+}
+
+/**
+ * Build the Strava authorization URL for a registration
+ * The state parameter is signed and short-lived, so the callback knows which
+ * registration to connect without a session cookie.
+ * @param {string} registrationId
+ * @returns {string}
+ */
+export function createStravaConnectUrl(registrationId) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(registrationId),
+    exp: Math.floor(Date.now() / 1000) + STRAVA_CONFIG.CONNECT_STATE_TTL_SECONDS,
+    nonce: crypto.randomBytes(8).toString('hex')
+  })).toString('base64url');
+
+  const params = new URLSearchParams({
+    client_id: STRAVA_CONFIG.CLIENT_ID,
+    redirect_uri: STRAVA_CONFIG.REDIRECT_URI,
+    response_type: 'code',
+    approval_prompt: 'auto',
+    scope: STRAVA_CONFIG.PARTICIPANT_SCOPE,
+    state: `${payload}.${sign(payload)}`
+  });
+  return `${STRAVA_CONFIG.AUTHORIZE_URL}?${params}`;
+}
+
+/**
+ * Verify the state returned to the OAuth callback
+ * @param {string} state
+ * @returns {string|null} The registration ID, or null when invalid or expired
+ */
+export function verifyStravaConnectState(state) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const presented = Buffer.from(signature);
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.exp || data.exp * 1000 < Date.now()) return null;
+    return String(data.sub);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Token manager for a connected participant; refreshed tokens are written back to Strava_Tokens
+ * @param {Object} registration
+ * @returns {StravaTokenManager}
+ */
+export function getParticipantTokenManager(registration) {
+  const key = getTokenKey(registration.id);
+  return new StravaTokenManager({
+    store: {
+      load: () => getStravaTokenRepository().find(key),
+      save: tokens => getStravaTokenRepository().save(key, tokens)
+    }
+  });
+}
+
+/**
+ * Complete the OAuth redirect: exchange the code and store the athlete on the registration
+ * @param {string} registrationId
+ * @param {Object} params - { code, scope } from the callback query
+ * @returns {Promise<Object>} - { success: true, athleteId, athleteName } or { success: false, status, error }
+ */
+export async function connectParticipantStrava(registrationId, { code, scope }) {
+  const grantedScopes = String(scope || '').split(',');
+  if (!ACTIVITY_SCOPES.some(s => grantedScopes.includes(s))) {
+    return { success: false, status: 400, error: 'Access to your Strava activities is required to verify submissions' };
+  }
+
+  const repository = getRegistrationRepository();
+  const registration = await repository.findById(registrationId);
+  if (!registration) {
+    return { success: false, status: 404, error: 'Registration not found' };
+  }
+
+  const tokenData = await exchangeStravaAuthorizationCode(code);
+  const athleteId = tokenData.athlete?.id ? String(tokenData.athlete.id) : '';
+  if (!athleteId || !tokenData.refresh_token) {
+    return { success: false, status: 502, error: 'Strava did not return the athlete for this authorization' };
+  }
+
+  // One Strava account verifies the runs of one participant only
+  const connected = await repository.findByStravaAthleteId(athleteId);
+  if (connected && connected.id !== registration.id) {
+    console.warn(`Strava athlete ${athleteId} is already connected to registration ${connected.id}`);
+    return { success: false, status: 409, error: 'This Strava account is already connected to another registration' };
+  }
+
+  await getStravaTokenRepository().save(getTokenKey(registration.id), {
+    athleteId,
+    accessToken: tokenData.access_token,
+    refreshToken: tokenData.refresh_token,
+    expiresAt: tokenData.expires_at,
+    scope
+  });
+  await repository.update(registration.id, {
+    stravaAthleteId: athleteId,
+    stravaConnectedAt: new Date().toISOString()
+  });
+  console.log(`Registration ${registration.id} connected Strava athlete ${athleteId}`);
+
+  return {
+    success: true,
+    athleteId,
+    athleteName: `${tokenData.athlete.firstname || ''} ${tokenData.athlete.lastname || ''}`.trim()
+  };
+}
+
+/**
+ * Revoke our access on Strava and remove the athlete from the registration and its tokens
+ * @param {Object} registration
+ */
+export async function disconnectParticipantStrava(registration) {
+  try {
+    await deauthorizeStrava(await getParticipantTokenManager(registration).getAccessToken());
+  } catch (error) {
+    // The athlete may have revoked access on Strava already
+    console.warn(`Could not deauthorize Strava for registration ${registration.id}:`, error.message);
+  }
+  await clearParticipantStrava(registration);
+}
+
+/**
+ * Remove the athlete from the registration and its tokens without calling Strava,
+ * e.g. after the athlete revoked our access on Strava
+ * @param {Object} registration
+ */
+export async function clearParticipantStrava(registration) {
+  await getStravaTokenRepository().remove(getTokenKey(registration.id));
+  await getRegistrationRepository().update(registration.id, CLEARED_CONNECTION);
+}
+
+/**
+ * Read a submitted activity with the participant's own token and check that it is theirs
+ * @param {Object} registration - Registration with a connected Strava athlete
+ * @param {string} activityUrl - Strava activity URL
+ * @returns {Promise<Object>} - { verified: true, activityId, distance, duration, distanceMeters, durationSeconds, sportType, startDate, manual, meta }
+ *   or { verified: false, status, error }
+ */
+export async function verifyParticipantActivity(registration, activityUrl) {
+  const match = String(activityUrl || '').match(/\/activities\/(\d+)/);
+  if (!match) {
+    return { verified: false, status: 400, error: 'Invalid Strava activity URL format' };
+  }
+  const activityId = match[1];
+
+  let activity;
+  try {
+    activity = await getActivityById(activityId, getParticipantTokenManager(registration));
+  } catch (error) {
+    if (error.status === 404) {
+      return { verified: false, status: 404, error: 'Strava activity not found or not visible to your connected Strava account' };
+    }
+    if (error.rateLimited) {
+      return { verified: false, status: 503, error: 'Strava is busy, please try again in a few minutes', rateLimited: true, retryAfter: error.retryAfter };
+    }
+    if (error.status === 400 || error.status === 401) {
+      // The refresh token was revoked, e.g. the athlete removed our app on Strava
+      return { verified: false, status: 409, error: 'Your Strava connection has expired, please connect Strava again', reconnect: true };
+    }
+    throw error;
+  }
+
+  if (String(activity.athlete?.id) !== registration.stravaAthleteId) {
+    console.warn(`Activity ${activityId} belongs to athlete ${activity.athlete?.id}, not ${registration.stravaAthleteId}`);
+    return { verified: false, status: 403, error: 'This Strava activity belongs to another athlete' };
+  }
+
+  const distanceMeters = Number(activity.distance) || 0;
+  const movingTime = Number(activity.moving_time) || 0;
+  return {
+    verified: true,
+    activityId,
+    athleteId: registration.stravaAthleteId,
+    distance: Number((distanceMeters / 1000).toFixed(3)),
+    duration: formatTime(movingTime),
+    distanceMeters: Math.round(distanceMeters),
+    durationSeconds: movingTime,
+    sportType: activity.sport_type || activity.type || null,
+    startDate: activity.start_date || null,
+    // Manual entries carry typed values rather than a recorded track
+    manual: Boolean(activity.manual),
+    meta: {
+      activity_name: activity.name || null,
+      location: [activity.location_city, activity.location_state, activity.location_country].filter(Boolean).join(', ') || null,
+      date: activity.start_date_local || activity.start_date || null,
+      description: activity.description || null,
+      pace: calculatePace(distanceMeters, movingTime),
+      authenticated: true,
+      auth_valid: true
+    }
+  };
+}
+
+export default {
+  isStravaConnectConfigured,
+  createStravaConnectUrl,
+  verifyStravaConnectState,
+  getParticipantTokenManager,
+  connectParticipantStrava,
+  disconnectParticipantStrava,
+  clearParticipantStrava,
+  verifyParticipantActivity
+};
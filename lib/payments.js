@@ -0,0 +1,1156 @@
+/**
+ * Midtrans payment processing
+ *
+ * The pipeline that applies a Midtrans transaction (from a webhook notification
+ * or a status API response) to its registration: status mapping, business logic
+ * for multiple attempts, storage update, Transaction_History logging and n8n
+ * notifications. Shared by /api/webhooks/midtrans and /api/payments/reconcile.
+ *
+ * Also creates Midtrans payment links for /api/register and the payment retry
+ * endpoint, and keeps the per-registration history of payment attempts.
+ */
+
+import { getPaymentAttemptRepository, getRegistrationRepository, getTransactionRepository } from './storage';
+import { buildItemDetails, getEvent, priceRegistration } from './catalog';
+import { PAYMENT_CONFIG } from './config';
+import { NOTIFICATION_EVENTS, notify } from './notifications';
+import { redeemPromoCode, releasePromoCode } from './promo-redemptions';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Midtrans configuration
+const MIDTRANS_SERVER_KEY = process.env.MIDTRANS_SERVER_KEY;
+const MIDTRANS_API_URL = process.env.MIDTRANS_API_URL || 'https://api.sandbox.midtrans.com';
+
+// n8n webhook configuration
+const N8N_REGISTRATION_WEBHOOK_URL = process.env.N8N_REGISTRATION_WEBHOOK_URL || 'https://n8n-oo1yqkmi2l7g.blueberry.sumopod.my.id/webhook/f0aae5da-7ca3-4c2c-af78-500367bde5d2';
+const N8N_JERSEY_WEBHOOK_URL = process.env.N8N_JERSEY_WEBHOOK_URL || 'https://n8n-oo1yqkmi2l7g.blueberry.sumopod.my.id/webhook/dc687746-6f94-4467-9d94-f4d0704e4eb6';
+
+// =============================================================================
+// CONSTANTS AND BUSINESS LOGIC
+// =============================================================================
+
+/**
+ * Transaction Status Constants
+ * These represent the possible states a payment can be in according to Midtrans
+ */
+export const TRANSACTION_STATUSES = {
+    PENDING: 'pending',
+    CAPTURE: 'capture',
+    SETTLEMENT: 'settlement',
+    DENY: 'deny',
+    CANCEL: 'cancel',
+    EXPIRE: 'expire',
+    FAILURE: 'failure',
+    REFUND: 'refund',
+    PARTIAL_REFUND: 'partial_refund',
+    CHARGEBACK: 'chargeback',
+    PARTIAL_CHARGEBACK: 'partial_chargeback'
+};
+
+/**
+ * Payment Status Mapping
+ * Maps Midtrans transaction statuses to our internal payment statuses
+ */
+export const PAYMENT_STATUS_MAP = {
+    [TRANSACTION_STATUSES.SETTLEMENT]: 'paid',
+    [TRANSACTION_STATUSES.CAPTURE]: 'paid',
+    [TRANSACTION_STATUSES.PENDING]: 'pending',
+    [TRANSACTION_STATUSES.DENY]: 'failed',
+    [TRANSACTION_STATUSES.CANCEL]: 'cancelled',
+    [TRANSACTION_STATUSES.EXPIRE]: 'expired',
+    [TRANSACTION_STATUSES.FAILURE]: 'failed',
+    [TRANSACTION_STATUSES.REFUND]: 'refunded',
+    [TRANSACTION_STATUSES.PARTIAL_REFUND]: 'partially_refunded',
+    [TRANSACTION_STATUSES.CHARGEBACK]: 'disputed',
+    [TRANSACTION_STATUSES.PARTIAL_CHARGEBACK]: 'disputed'
+};
+
+/**
+ * Payment statuses that reverse an earlier successful payment (refunds and chargebacks)
+ */
+export const REVERSAL_PAYMENT_STATUSES = ['refunded', 'partially_refunded', 'disputed'];
+
+/**
+ * Payment statuses that end an order unpaid; the registration's promo code reservation is given back
+ */
+export const PROMO_RELEASE_PAYMENT_STATUSES = ['expired', 'cancelled', 'failed'];
+
+/**
+ * Participant (registration) status shown for each payment status
+ * - A partial refund keeps the participant active; the reversal notification lets ops decide
+ * - A full refund revokes the participation, a chargeback suspends it while disputed
+ */
+export const DISPLAY_STATUS_MAP = {
+    paid: 'active',
+    partially_refunded: 'active',
+    refunded: 'revoked',
+    disputed: 'suspended'
+};
+
+/**
+ * Business Logic: Payment Attempt Rules
+ *
+ * When a user has multiple payment attempts for the same logical order:
+ * 1. SUCCESSFUL PAYMENTS: Show the LATEST successful payment as the active status
+ * 2. MIXED ATTEMPTS: If there are both successful and failed attempts, show the latest successful one
+ * 3. ALL FAILED: Show the latest failed attempt
+ * 4. PENDING: If there's a pending payment, show it regardless of previous failures
+ * 5. REVERSALS: A refund or chargeback newer than the latest successful payment overrides it
+ *    (applied in applyBusinessLogic)
+ *
+ * This ensures users see their most relevant payment status while maintaining history.
+ */
+const PAYMENT_BUSINESS_RULES = {
+    PRIORITY_ORDER: ['pending', 'paid', 'cancelled', 'expired', 'failed'],
+    SHOW_LATEST_SUCCESSFUL: true,
+    SHOW_ALL_ATTEMPTS_HISTORY: true
+};
+
+/**
+ * Retry Configuration
+ * Exponential backoff settings for API failures
+ */
+const RETRY_CONFIG = {
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 30000,
+    BACKOFF_MULTIPLIER: 2
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Sleep utility for implementing delays
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise} - Promise that resolves after the delay
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calculate exponential backoff delay
+ * @param {number} attempt - Current attempt number (0-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function calculateBackoffDelay(attempt) {
+    const delay = RETRY_CONFIG.BASE_DELAY_MS * Math.pow(RETRY_CONFIG.BACKOFF_MULTIPLIER, attempt);
+    return Math.min(delay, RETRY_CONFIG.MAX_DELAY_MS);
+}
+
+/**
+ * Retry a function with exponential backoff
+ * @param {Function} fn - Function to retry
+ * @param {number} maxRetries - Maximum number of retries
+ * @param {string} operationName - Name of the operation for logging
+ * @returns {Promise} - Result of the function call
+ */
+async function retryWithBackoff(fn, maxRetries = RETRY_CONFIG.MAX_RETRIES, operationName = 'operation') {
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            lastError = error;
+            console.warn(`${operationName} failed (attempt ${attempt + 1}/${maxRetries + 1}):`, error.message);
+
+            if (attempt < maxRetries) {
+                const delay = calculateBackoffDelay(attempt);
+                console.log(`Retrying ${operationName} in ${delay}ms...`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    throw new Error(`${operationName} failed after ${maxRetries + 1} attempts: ${lastError.message}`);
+}
+
+/**
+ * Generate a unique event ID for idempotency
+ * @param {Object} notification - Midtrans notification
+ * @returns {string} - Unique event identifier
+ */
+export function generateEventId(notification) {
+    const { order_id, transaction_status, transaction_time } = notification;
+    const eventId = `${order_id}_${transaction_status}_${transaction_time || new Date().toISOString()}`;
+
+    // Refund and chargeback notifications keep the original transaction_time,
+    // so successive partial refunds are told apart by the latest refund entry
+    const { lastRefund } = getRefundDetails(notification);
+    const refundKey = lastRefund && (lastRefund.refund_chargeback_id || lastRefund.refund_key || lastRefund.created_at);
+    return refundKey ? `${eventId}_${refundKey}` : eventId;
+}
+
+/**
+ * Extract refund/chargeback amounts from a notification
+ * Midtrans sends the cumulative refund_amount and a refunds array (one entry per refund or chargeback)
+ * @param {Object} notification - Midtrans notification
+ * @returns {Object} - { refundedAmount, refunds, lastRefund }
+ */
+export function getRefundDetails(notification) {
+    const refunds = Array.isArray(notification.refunds) ? notification.refunds : [];
+    const refundedAmount = notification.refund_amount !== undefined
+        ? parseFloat(notification.refund_amount) || 0
+        : refunds.reduce((sum, refund) => sum + (parseFloat(refund.refund_amount) || 0), 0);
+
+    return {
+        refundedAmount,
+        refunds,
+        lastRefund: refunds.length > 0 ? refunds[refunds.length - 1] : null
+    };
+}
+
+/**
+ * Get current timestamp in ISO format
+ * @returns {string} - ISO timestamp
+ */
+export function getCurrentTimestamp() {
+    return new Date().toISOString();
+}
+
+// =============================================================================
+// MIDTRANS STATUS API
+// =============================================================================
+
+/**
+ * Get the current status of a transaction from the Midtrans status API
+ * The base URL comes from MIDTRANS_API_URL, so a local stub can stand in for Midtrans.
+ * @param {string} orderId - Midtrans order ID
+ * @returns {Promise<Object|null>} - Status response (same fields as a notification), or null if Midtrans has no such transaction
+ */
+export async function getMidtransTransactionStatus(orderId) {
+    if (!MIDTRANS_SERVER_KEY) {
+        throw new Error('MIDTRANS_SERVER_KEY is not configured');
+    }
+
+    const authString = Buffer.from(`${MIDTRANS_SERVER_KEY}:`).toString('base64');
+    const response = await fetch(`${MIDTRANS_API_URL}/v2/${encodeURIComponent(orderId)}/status`, {
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Basic ${authString}`
+        },
+        signal: AbortSignal.timeout(15000) // 15 second timeout
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    // Midtrans reports unknown orders with status_code 404 in the body, usually on an HTTP 200
+    if (response.status === 404 || String(result.status_code) === '404') {
+        return null;
+    }
+    if (!response.ok || !result.transaction_status) {
+        throw new Error(`Midtrans status API failed for ${orderId}: ${response.status} ${result.status_message || ''}`.trim());
+    }
+
+    return result;
+}
+
+/**
+ * Order IDs of the transactions paid through a Midtrans payment link
+ * A payment made on a link is its own transaction, whose order ID is the link's order ID
+ * with a suffix, so without its webhook it can only be found through the link.
+ * @param {string} orderId - Order ID the payment link was created with
+ * @returns {Promise<Array<string>>} - Empty when Midtrans has no such link or no payment was started on it
+ */
+export async function getMidtransPaymentLinkOrderIds(orderId) {
+    if (!MIDTRANS_SERVER_KEY) {
+        throw new Error('MIDTRANS_SERVER_KEY is not configured');
+    }
+
+    const authString = Buffer.from(`${MIDTRANS_SERVER_KEY}:`).toString('base64');
+    const response = await fetch(`${MIDTRANS_API_URL}/v1/payment-links/${encodeURIComponent(orderId)}`, {
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Basic ${authString}`
+        },
+        signal: AbortSignal.timeout(15000) // 15 second timeout
+    });
+
+    if (response.status === 404) {
+        return [];
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`Midtrans payment link API failed for ${orderId}: ${response.status} ${result.error_messages || ''}`.trim());
+    }
+
+    const purchases = Array.isArray(result.purchases) ? result.purchases : [];
+    return purchases.map(purchase => purchase.order_id).filter(Boolean);
+}
+
+// =============================================================================
+// MIDTRANS PAYMENT LINKS
+// =============================================================================
+
+/**
+ * Creates a dynamic payment link using Midtrans API
+ * @param {Object} registrationData - Registration data
+ * @param {Object} pricing - Catalog pricing from priceRegistration()
+ * @returns {Promise<Object>} - Object containing payment link URL and order ID
+ */
+export async function createMidtransPaymentLink(registrationData, pricing) {
+    if (!MIDTRANS_SERVER_KEY) {
+        console.warn('Midtrans server key not configured, using static payment link');
+        return {
+            paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.midtrans.com/payment-links/ydsf-run',
+            orderId: null
+        };
+    }
+
+    try {
+        console.log('Creating Midtrans payment link for:', {
+            name: registrationData.name,
+            email: registrationData.email,
+            totalAmount: pricing.totalAmount
+        });
+
+        const orderIdPrefix = getEvent(pricing.eventId)?.orderIdPrefix || 'WRP';
+        const orderIdSuffix = Date.now().toString();
+        const paymentLinkId = `${orderIdPrefix.toLowerCase()}-${registrationData.id}-${orderIdSuffix}`;
+        const orderId = `${orderIdPrefix}-${registrationData.id}-${orderIdSuffix}`;
+        
+        // Split name into first and last name
+        const nameParts = registrationData.name.trim().split(' ');
+        const firstName = nameParts[0] || 'Customer';
+        // If only single name provided, duplicate it for last name to comply with Midtrans API
+        const lastName = nameParts.slice(1).join(' ') || firstName;
+
+        // Validate required fields for Midtrans
+        if (!registrationData.email || !registrationData.phone || !registrationData.name) {
+            console.error('Missing required fields for Midtrans payment link');
+            return {
+                paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.midtrans.com/payment-links/ydsf-run',
+                orderId: null
+            };
+        }
+
+        // Ensure phone number is in correct format
+        let phoneNumber = registrationData.phone.replace(/\D/g, ''); // Remove non-digits
+        if (phoneNumber.startsWith('0')) {
+            phoneNumber = '62' + phoneNumber.substring(1); // Convert to international format
+        } else if (!phoneNumber.startsWith('62')) {
+            phoneNumber = '62' + phoneNumber;
+        }
+
+        // Line items come from the catalog; gross_amount is their exact sum
+        const itemDetails = buildItemDetails(pricing);
+        const calculatedGrossAmount = itemDetails.reduce((total, item) => {
+            return total + (item.price * item.quantity);
+        }, 0);
+
+        console.log('Payment data validation:', {
+            packageType: pricing.packageId,
+            packageTotal: pricing.packageTotal,
+            additionalDonation: pricing.additionalDonation,
+            totalAmount: pricing.totalAmount,
+            calculatedTotalFromItems: calculatedGrossAmount,
+            registrationId: registrationData.id,
+            paymentLinkId: paymentLinkId,
+            orderId: orderId,
+            itemDetails: itemDetails
+        });
+
+        // Midtrans Payment Links API format
+        const paymentData = {
+            transaction_details: {
+                order_id: orderId,
+                gross_amount: calculatedGrossAmount
+            },
+            credit_card: {
+                secure: true
+            },
+            customer_details: {
+                first_name: firstName,
+                last_name: lastName,
+                email: registrationData.email,
+                phone: phoneNumber
+            },
+            item_details: itemDetails,
+            callbacks: {
+                finish: process.env.PAYMENT_SUCCESS_URL || `${process.env.NEXT_PUBLIC_BASE_URL || 'https://registrasi.werunpalestina.id'}/success`,
+                error: process.env.PAYMENT_ERROR_URL || 'https://werunpalestina.framer.website/register?error=payment_failed',
+                pending: process.env.PAYMENT_PENDING_URL || 'https://werunpalestina.framer.website/register?status=pending'
+            },
+            expiry: {
+                duration: PAYMENT_CONFIG.LINK_EXPIRY_HOURS,
+                unit: "hours"
+            },
+            page_expiry: {
+                duration: 10,
+                unit: "minutes"
+            }
+        };
+
+        // Final validation before sending to Midtrans
+        if (!paymentData.transaction_details?.gross_amount || !paymentData.transaction_details?.order_id) {
+            console.error('Critical payment data missing:', {
+                gross_amount: paymentData.transaction_details?.gross_amount,
+                order_id: paymentData.transaction_details?.order_id,
+                transaction_details: paymentData.transaction_details
+            });
+            throw new Error('Critical payment data is missing');
+        }
+
+        // Verify gross_amount matches item_details total
+        const itemDetailsTotal = paymentData.item_details.reduce((total, item) => total + (item.price * item.quantity), 0);
+        if (paymentData.transaction_details.gross_amount !== itemDetailsTotal) {
+            console.error('Amount mismatch detected:', {
+                gross_amount: paymentData.transaction_details.gross_amount,
+                item_details_total: itemDetailsTotal,
+                difference: paymentData.transaction_details.gross_amount - itemDetailsTotal
+            });
+            // Fix the gross_amount to match item_details
+            paymentData.transaction_details.gross_amount = itemDetailsTotal;
+        }
+
+        // Create auth header
+        const authString = Buffer.from(`${MIDTRANS_SERVER_KEY}:`).toString('base64');
+        
+        // Use Midtrans Payment Links API
+        console.log('Sending request to Midtrans Payment Links API:', {
+            url: `${MIDTRANS_API_URL}/v1/payment-links`,
+            gross_amount: paymentData.transaction_details.gross_amount,
+            item_details_breakdown: paymentData.item_details.map(item => ({
+                name: item.name,
+                price: item.price,
+                quantity: item.quantity,
+                total: item.price * item.quantity
+            })),
+            item_details_sum: paymentData.item_details.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+        });
+        
+        const response = await fetch(`${MIDTRANS_API_URL}/v1/payment-links`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Authorization': `Basic ${authString}`
+            },
+            body: JSON.stringify(paymentData),
+            signal: AbortSignal.timeout(30000) // 30 second timeout
+        });
+
+        const result = await response.json();
+        
+        console.log('Midtrans API response:', {
+            status: response.status,
+            statusText: response.statusText,
+            result: result
+        });
+
+        if (response.ok && result.payment_url) {
+            console.log('Midtrans payment link created successfully:', result.payment_url);
+            return {
+                paymentUrl: result.payment_url,
+                orderId: orderId
+            };
+        } else {
+            console.error('Failed to create Midtrans payment link:', {
+                status: response.status,
+                statusText: response.statusText,
+                error: result
+            });
+            
+            // Fallback to static link
+            return {
+                paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.sandbox.midtrans.com/payment-links/ydsf-run',
+                orderId: null
+            };
+        }
+
+    } catch (error) {
+        console.error('Error creating Midtrans payment link:', error);
+        
+        // Final fallback - just use static payment link
+        console.log('Using static payment link as final fallback');
+        return {
+            paymentUrl: process.env.MIDTRANS_PAYMENT_LINK || 'https://app.sandbox.midtrans.com/payment-links/ydsf-run',
+            orderId: null
+        };
+    }
+}
+
+/**
+ * Price a stored registration again for a new payment link
+ * Uses the price tier of the registration date and the stored promo discount,
+ * so the new order charges what the participant registered for.
+ * @param {Object} registration - Stored registration
+ * @returns {Object|null} - Pricing like priceRegistration(), or null for an unknown package
+ */
+export function priceStoredRegistration(registration) {
+    const registeredAt = new Date(registration.registrationDate);
+    const promo = registration.promoCode && registration.discountAmount > 0
+        ? { code: registration.promoCode, discountType: 'fixed', discountValue: registration.discountAmount }
+        : null;
+
+    return priceRegistration({
+        packageType: registration.packageType,
+        additionalDonation: registration.additionalDonation,
+        promo,
+        now: isNaN(registeredAt.getTime()) ? new Date() : registeredAt
+    });
+}
+
+/**
+ * When a Midtrans order was issued
+ * Order IDs end with the Date.now() they were created at ("WRP-<registration id>-<ms>").
+ * @param {string} orderId - Midtrans order ID
+ * @param {string} [fallback] - Timestamp to use when the order ID has no creation time
+ * @returns {string} - ISO timestamp
+ */
+function getOrderCreatedAt(orderId, fallback) {
+    const suffix = String(orderId || '').split('-').pop();
+    if (/^\d{13}$/.test(suffix)) {
+        return new Date(parseInt(suffix, 10)).toISOString();
+    }
+    return fallback || getCurrentTimestamp();
+}
+
+// =============================================================================
+// STORAGE INTEGRATION
+// =============================================================================
+
+/**
+ * Log transaction to history
+ * @param {Object} notification - Midtrans notification
+ * @param {Object} metadata - Additional metadata
+ * @returns {Promise<Object>} - Result of the logging operation
+ */
+async function logTransactionToHistory(notification, metadata = {}) {
+    try {
+        const eventId = generateEventId(notification);
+
+        await getTransactionRepository().append({
+            timestamp: getCurrentTimestamp(),
+            eventId,
+            orderId: notification.order_id,
+            transactionStatus: notification.transaction_status,
+            paymentType: notification.payment_type || '',
+            grossAmount: notification.gross_amount,
+            fraudStatus: notification.fraud_status || '',
+            refundAmount: getRefundDetails(notification).refundedAmount || '',
+            userEmail: metadata.userEmail || '',
+            orderType: metadata.orderType || '',          // Order Type (registration/jersey)
+            businessLogic: metadata.businessLogic || '',  // Business Logic Applied
+            notification,
+            metadata
+        });
+
+        console.log('✅ Transaction logged to history:', eventId);
+        return { success: true, eventId };
+
+    } catch (error) {
+        console.error('❌ Error logging transaction to history:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record a Midtrans order issued for a registration in the payment attempt history
+ * @param {Object} registration - Registration the order belongs to
+ * @param {Object} attempt - { orderId, paymentLink, grossAmount, source }
+ * @returns {Promise<Object|null>} - Stored attempt, or null when it could not be stored
+ */
+export async function recordPaymentAttempt(registration, { orderId, paymentLink, grossAmount, source }) {
+    if (!orderId) return null;
+    try {
+        const attempt = await getPaymentAttemptRepository().create({
+            createdAt: getOrderCreatedAt(orderId),
+            registrationId: registration.id,
+            orderId,
+            paymentLink: paymentLink || '',
+            grossAmount,
+            source
+        });
+        console.log(`Payment attempt ${orderId} recorded for registration ${registration.id} (${source})`);
+        return attempt;
+    } catch (error) {
+        // The registration still holds the order ID, so notifications for it are still matched
+        console.error(`Failed to record payment attempt ${orderId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Find the registration a Midtrans order belongs to
+ * Orders of earlier payment attempts are looked up in the attempt history, since
+ * the registration itself only holds the order ID of its latest payment link.
+ * @param {string} orderId - Midtrans order ID
+ * @returns {Promise<Object|null>}
+ */
+export async function findRegistrationByOrderId(orderId) {
+    const repository = getRegistrationRepository();
+    try {
+        const attempt = await getPaymentAttemptRepository().findByOrderId(orderId);
+        if (attempt) {
+            const registration = await repository.findById(attempt.registrationId);
+            if (registration) return registration;
+        }
+    } catch (error) {
+        console.warn('Could not read payment attempts, matching on the registration order ID:', error.message);
+    }
+    return await repository.findByOrderId(orderId);
+}
+
+/**
+ * Apply business logic for payment status determination
+ * @param {Array} paymentAttempts - Array of payment attempts for the same logical order
+ * @returns {Object} - Determined status and reasoning
+ */
+export function applyBusinessLogic(paymentAttempts) {
+    if (!paymentAttempts || paymentAttempts.length === 0) {
+        return { status: 'unknown', reasoning: 'No payment attempts found' };
+    }
+
+    // Sort by timestamp (newest first)
+    const sortedAttempts = paymentAttempts.sort((a, b) =>
+        new Date(b.timestamp) - new Date(a.timestamp)
+    );
+
+    // Check for pending payments first (highest priority)
+    const pendingPayment = sortedAttempts.find(attempt => attempt.status === 'pending');
+    if (pendingPayment) {
+        return {
+            status: 'pending',
+            reasoning: 'Active pending payment found',
+            latestAttempt: pendingPayment
+        };
+    }
+
+    // A refund or chargeback overrides the successful payment it reverses
+    const successfulPayments = sortedAttempts.filter(attempt => attempt.status === 'paid');
+    const latestReversal = sortedAttempts.find(attempt => REVERSAL_PAYMENT_STATUSES.includes(attempt.status));
+    if (latestReversal && (successfulPayments.length === 0 ||
+        new Date(latestReversal.timestamp) >= new Date(successfulPayments[0].timestamp))) {
+        return {
+            status: latestReversal.status,
+            reasoning: 'Latest successful payment was refunded or charged back',
+            latestAttempt: latestReversal
+        };
+    }
+
+    // Check for successful payments
+    if (successfulPayments.length > 0) {
+        return {
+            status: 'paid',
+            reasoning: 'Latest successful payment found',
+            latestAttempt: successfulPayments[0]
+        };
+    }
+
+    // No successful payments, return the latest attempt
+    return {
+        status: sortedAttempts[0].status,
+        reasoning: 'No successful payments, showing latest attempt',
+        latestAttempt: sortedAttempts[0]
+    };
+}
+
+/**
+ * Update registration payment status
+ * @param {string} orderId - Midtrans order ID
+ * @param {string} transactionStatus - Transaction status from Midtrans
+ * @param {string} paymentType - Payment type used
+ * @param {Object} notification - Full notification data
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateRegistrationPayment(orderId, transactionStatus, paymentType, notification) {
+    return await retryWithBackoff(async () => {
+        try {
+            console.log('Updating registration for order:', orderId, 'status:', transactionStatus);
+
+            const repository = getRegistrationRepository();
+            const registration = await findRegistrationByOrderId(orderId);
+
+            if (!registration) {
+                throw new Error(`Order ID not found in registrations: ${orderId}`);
+            }
+
+            // Determine the attempt's status based on transaction status
+            const attemptStatus = PAYMENT_STATUS_MAP[transactionStatus] || 'unknown';
+
+            // Apply business logic for multiple attempts
+            const businessLogicResult = await applyBusinessLogicForUser(registration, {
+                orderId,
+                status: attemptStatus,
+                timestamp: getCurrentTimestamp(),
+                transactionStatus,
+                paymentType,
+                amount: notification.gross_amount
+            });
+
+            console.log('Business logic result:', businessLogicResult);
+
+            const paymentStatus = businessLogicResult.paymentStatus;
+            const patch = {
+                status: businessLogicResult.displayStatus,
+                paymentStatus,
+                totalAmount: notification.gross_amount,
+                donationDate: getCurrentTimestamp() // Last updated
+            };
+
+            if (REVERSAL_PAYMENT_STATUSES.includes(paymentStatus) && REVERSAL_PAYMENT_STATUSES.includes(attemptStatus)) {
+                const { refundedAmount, lastRefund } = getRefundDetails(notification);
+                patch.refundedAmount = refundedAmount;
+                patch.refundDate = lastRefund?.created_at || getCurrentTimestamp();
+            }
+
+            await repository.update(registration.id, patch);
+
+            console.log('✅ Registration updated successfully');
+            return {
+                success: true,
+                message: 'Registration status updated successfully',
+                registrationId: registration.id,
+                paymentStatus,
+                businessLogic: businessLogicResult
+            };
+
+        } catch (error) {
+            console.error('Error updating registration:', error.message);
+            throw error;
+        }
+    }, RETRY_CONFIG.MAX_RETRIES, 'Registration update');
+}
+
+/**
+ * Apply business logic across all payment attempts of a registration
+ * Records the current attempt's status in the attempt history first. Attempts are
+ * ordered by when their order was issued, so a late notification for an older order
+ * (e.g. an expired first link) does not override a newer payment link.
+ * @param {Object} registration - Registration the order belongs to
+ * @param {Object} currentAttempt - Current payment attempt
+ * @returns {Promise<Object>} - Business logic result
+ */
+async function applyBusinessLogicForUser(registration, currentAttempt) {
+    let attempts;
+    try {
+        const repository = getPaymentAttemptRepository();
+        const recorded = await repository.recordStatus(currentAttempt.orderId, {
+            status: currentAttempt.status,
+            transactionStatus: currentAttempt.transactionStatus
+        });
+        if (!recorded) {
+            // Orders created before attempts were recorded join the history on their first notification
+            await repository.create({
+                createdAt: getOrderCreatedAt(currentAttempt.orderId, registration.registrationDate),
+                registrationId: registration.id,
+                orderId: currentAttempt.orderId,
+                grossAmount: currentAttempt.amount,
+                source: 'notification',
+                status: currentAttempt.status,
+                transactionStatus: currentAttempt.transactionStatus,
+                statusUpdatedAt: getCurrentTimestamp()
+            });
+        }
+
+        attempts = (await repository.listByRegistration(registration.id)).map(attempt => ({
+            orderId: attempt.orderId,
+            status: attempt.status,
+            timestamp: attempt.createdAt,
+            transactionStatus: attempt.transactionStatus
+        }));
+    } catch (error) {
+        console.warn('Could not read payment attempt history, using the current attempt only:', error.message);
+        attempts = [{ ...currentAttempt, timestamp: getOrderCreatedAt(currentAttempt.orderId, currentAttempt.timestamp) }];
+    }
+
+    const decision = applyBusinessLogic(attempts);
+    return {
+        paymentStatus: decision.status,
+        displayStatus: DISPLAY_STATUS_MAP[decision.status] || 'pending',
+        reasoning: decision.reasoning,
+        decidingOrderId: decision.latestAttempt?.orderId,
+        attempts: attempts.length,
+        currentAttempt
+    };
+}
+
+/**
+ * Redeem or give back the registration's promo code for its new payment status
+ * @param {Object} registration - Registration as read before this notification
+ * @param {string} paymentStatus - Resolved payment status of the registration
+ * @returns {Promise<void>}
+ */
+async function settlePromoCode(registration, paymentStatus) {
+    try {
+        if (paymentStatus === 'paid') {
+            await redeemPromoCode(registration);
+        } else if (PROMO_RELEASE_PAYMENT_STATUSES.includes(paymentStatus)) {
+            await releasePromoCode(registration);
+        }
+    } catch (error) {
+        // The registration row still records the code, so the ledger can be corrected from it
+        console.error(`Failed to update the redemption of promo code ${registration.promoCode}:`, error.message);
+    }
+}
+
+// =============================================================================
+// EXTERNAL WEBHOOK NOTIFICATIONS
+// =============================================================================
+
+/**
+ * Sends registration payment success notification to n8n webhook
+ * @param {Object} paymentData - Payment data from Midtrans
+ * @param {Object} registrationData - Registration data from local/sheets
+ * @returns {Promise<Object>} - n8n webhook response
+ */
+async function sendRegistrationSuccessToN8n(paymentData, registrationData) {
+    return await retryWithBackoff(async () => {
+        try {
+            console.log('Sending registration payment success notification to n8n...');
+
+            // Rows without stored amounts fall back to the catalog price of their package
+            const storedPackageTotal = (registrationData.baseAmount || 0) + (registrationData.fixedDonation || 0) + (registrationData.jerseyPrice || 0);
+            const amounts = storedPackageTotal > 0
+                ? registrationData
+                : (priceRegistration({ packageType: registrationData.packageType }) || registrationData);
+
+            const webhookPayload = {
+                event: 'registration_payment_success',
+                timestamp: getCurrentTimestamp(),
+                payment: {
+                    order_id: paymentData.order_id,
+                    transaction_status: paymentData.transaction_status,
+                    payment_type: paymentData.payment_type,
+                    gross_amount: paymentData.gross_amount,
+                    fraud_status: paymentData.fraud_status
+                },
+                registration: {
+                    id: registrationData.id,
+                    name: registrationData.name,
+                    email: registrationData.email,
+                    phone: registrationData.phone,
+                    stravaName: registrationData.stravaName,
+                    packageType: registrationData.packageType || 'basic',
+                    jerseySize: registrationData.jerseySize || '',
+                    baseAmount: amounts.baseAmount || 0,
+                    fixedDonation: amounts.fixedDonation || 0,
+                    jerseyPrice: amounts.jerseyPrice || 0,
+                    promoCode: registrationData.promoCode || '',
+                    discountAmount: registrationData.discountAmount || 0,
+                    additionalDonation: registrationData.additionalDonation || 0,
+                    totalAmount: registrationData.totalAmount || parseInt(paymentData.gross_amount),
+                    registrationDate: registrationData.registrationDate
+                }
+            };
+
+            return await sendToN8nWebhook(N8N_REGISTRATION_WEBHOOK_URL, webhookPayload, 'registration');
+
+        } catch (error) {
+            console.error('Error calling registration n8n webhook:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }, RETRY_CONFIG.MAX_RETRIES, 'Registration n8n webhook');
+}
+
+/**
+ * Sends a refund/chargeback notification to the n8n registration webhook
+ * so the jersey order and participant status can be revoked downstream
+ * @param {Object} paymentData - Refund or chargeback notification from Midtrans
+ * @param {Object} registrationData - Registration data from storage
+ * @param {string} paymentStatus - Internal status (refunded, partially_refunded, disputed)
+ * @returns {Promise<Object>} - n8n webhook response
+ */
+async function sendPaymentReversalToN8n(paymentData, registrationData, paymentStatus) {
+    return await retryWithBackoff(async () => {
+        try {
+            console.log('Sending payment reversal notification to n8n...');
+
+            const { refundedAmount, refunds } = getRefundDetails(paymentData);
+            const grossAmount = parseFloat(paymentData.gross_amount) || 0;
+            const fullReversal = paymentStatus === 'refunded' || paymentData.transaction_status === TRANSACTION_STATUSES.CHARGEBACK;
+            const hasJersey = (registrationData.jerseyPrice || 0) > 0 || Boolean(registrationData.jerseySize);
+
+            const webhookPayload = {
+                event: 'registration_payment_reversed',
+                timestamp: getCurrentTimestamp(),
+                reversal: {
+                    type: paymentData.transaction_status,
+                    paymentStatus,
+                    refundedAmount,
+                    remainingAmount: Math.max(grossAmount - refundedAmount, 0),
+                    refunds
+                },
+                actions: {
+                    revokeParticipant: fullReversal,
+                    revokeJersey: fullReversal && hasJersey
+                },
+                payment: {
+                    order_id: paymentData.order_id,
+                    transaction_status: paymentData.transaction_status,
+                    payment_type: paymentData.payment_type,
+                    gross_amount: paymentData.gross_amount
+                },
+                registration: {
+                    id: registrationData.id,
+                    name: registrationData.name,
+                    email: registrationData.email,
+                    phone: registrationData.phone,
+                    stravaName: registrationData.stravaName,
+                    packageType: registrationData.packageType || 'basic',
+                    jerseySize: registrationData.jerseySize || '',
+                    totalAmount: registrationData.totalAmount || grossAmount
+                }
+            };
+
+            return await sendToN8nWebhook(N8N_REGISTRATION_WEBHOOK_URL, webhookPayload, 'registration');
+
+        } catch (error) {
+            console.error('Error calling registration reversal n8n webhook:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }, RETRY_CONFIG.MAX_RETRIES, 'Registration reversal n8n webhook');
+}
+
+/**
+ * Send the participant notification for a payment outcome
+ * Only the status the registration ended up in is notified, so a late expire of an
+ * older payment link does not reach a participant who already paid.
+ * @param {Object} paymentData - Payment data from Midtrans
+ * @param {Object} registrationData - Registration data
+ * @param {string} paymentStatus - Resolved payment status of the registration
+ */
+async function notifyParticipantOfPayment(paymentData, registrationData, paymentStatus) {
+    const { transaction_status } = paymentData;
+    const recipient = { to: registrationData.email, locale: registrationData.locale };
+
+    if (paymentStatus === 'paid' && (transaction_status === 'capture' || transaction_status === 'settlement')) {
+        await notify(NOTIFICATION_EVENTS.PAYMENT_SUCCESS, {
+            ...recipient,
+            data: {
+                name: registrationData.name,
+                registrationId: registrationData.id,
+                orderId: paymentData.order_id,
+                amount: parseFloat(paymentData.gross_amount) || 0
+            }
+        });
+    } else if (paymentStatus === 'expired' && transaction_status === 'expire') {
+        await notify(NOTIFICATION_EVENTS.PAYMENT_EXPIRED, {
+            ...recipient,
+            data: {
+                name: registrationData.name,
+                registrationId: registrationData.id,
+                orderId: paymentData.order_id
+            }
+        });
+    }
+}
+
+/**
+ * Generic function to send data to n8n webhook
+ * @param {string} webhookUrl - n8n webhook URL
+ * @param {Object} payload - Data to send
+ * @param {string} type - Type of webhook (registration/jersey)
+ * @returns {Promise<Object>} - Webhook response
+ */
+async function sendToN8nWebhook(webhookUrl, payload, type) {
+    try {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': `WRP-${type}-Webhook/1.0`
+        };
+
+        console.log(`Sending to ${type} n8n webhook:`, {
+            url: webhookUrl,
+            payloadSize: JSON.stringify(payload).length
+        });
+
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(10000) // 10 second timeout
+        });
+
+        const responseText = await response.text();
+
+        if (response.ok) {
+            console.log(`✅ ${type} n8n webhook called successfully:`, response.status);
+            return {
+                success: true,
+                status: response.status,
+                response: responseText
+            };
+        } else {
+            console.error(`❌ ${type} n8n webhook failed:`, response.status, responseText);
+            throw new Error(`${type} n8n webhook failed: ${response.status} ${responseText}`);
+        }
+
+    } catch (error) {
+        console.error(`Error calling ${type} n8n webhook:`, error.message);
+        throw error;
+    }
+}
+
+// =============================================================================
+// MAIN PAYMENT PROCESSING
+// =============================================================================
+
+/**
+ * Process a Midtrans transaction (webhook notification or status API response)
+ * @param {Object} notification - Midtrans notification
+ * @param {string} eventId - Unique event identifier
+ * @param {Object} [options]
+ * @param {string} [options.source] - Where the transaction came from ('webhook' or 'reconcile')
+ * @returns {Promise<Object>} - Processing result
+ */
+export async function processPaymentNotification(notification, eventId, { source = 'webhook' } = {}) {
+    try {
+        console.log('🔄 Starting asynchronous webhook processing for event:', eventId);
+
+        const {
+            order_id,
+            transaction_status,
+            fraud_status,
+            payment_type,
+            gross_amount
+        } = notification;
+
+        // Log transaction to history first
+        await logTransactionToHistory(notification, {
+            processingStage: 'started',
+            eventId,
+            source
+        });
+
+        // Determine order type and process accordingly
+        let isRegistrationOrder = false;
+        let isJerseyOrder = false;
+        let registrationData = null;
+        let jerseyOrderData = null;
+
+        // Check if this is a registration order
+        console.log('🔍 Checking registration database...');
+        try {
+            registrationData = await findRegistrationByOrderId(order_id);
+            isRegistrationOrder = registrationData !== null;
+        } catch (error) {
+            console.warn('Error checking registration database:', error.message);
+        }
+
+        // Process based on order type
+        let sheetsResult = { success: false };
+        let n8nResult = { success: false };
+
+        if (isRegistrationOrder && registrationData) {
+            console.log('📝 Processing as registration order...');
+
+            // Update registration
+            try {
+                sheetsResult = await updateRegistrationPayment(
+                    order_id,
+                    transaction_status,
+                    payment_type,
+                    notification
+                );
+                console.log('✅ Registration sheets update result:', sheetsResult);
+            } catch (error) {
+                console.error('❌ Registration sheets update failed:', error.message);
+                sheetsResult = { success: false, error: error.message };
+            }
+
+            // Send n8n notification for successful payments
+            if ((transaction_status === 'capture' || transaction_status === 'settlement') && sheetsResult.success) {
+                try {
+                    n8nResult = await sendRegistrationSuccessToN8n(notification, registrationData);
+                    console.log('✅ Registration n8n notification result:', n8nResult);
+                } catch (error) {
+                    console.warn('⚠️ Registration n8n notification failed, but continuing...');
+                    n8nResult = { success: false, error: error.message };
+                }
+            }
+
+            if (sheetsResult.success && registrationData.promoCode) {
+                await settlePromoCode(registrationData, sheetsResult.paymentStatus);
+            }
+
+            // Email the participant about a completed or expired payment
+            if (sheetsResult.success) {
+                await notifyParticipantOfPayment(notification, registrationData, sheetsResult.paymentStatus);
+            }
+
+            // Send n8n notification for refunds and chargebacks
+            if (REVERSAL_PAYMENT_STATUSES.includes(sheetsResult.paymentStatus) && sheetsResult.success) {
+                try {
+                    n8nResult = await sendPaymentReversalToN8n(notification, registrationData, sheetsResult.paymentStatus);
+                    console.log('✅ Registration reversal n8n notification result:', n8nResult);
+                } catch (error) {
+                    console.warn('⚠️ Registration reversal n8n notification failed, but continuing...');
+                    n8nResult = { success: false, error: error.message };
+                }
+            }
+        }
+
+        // Log final processing result
+        await logTransactionToHistory(notification, {
+            processingStage: 'completed',
+            eventId,
+            source,
+            results: {
+                sheets: sheetsResult,
+                n8n: n8nResult,
+                orderType: isRegistrationOrder ? 'registration' : 'unknown'
+            }
+        });
+
+        const finalResult = {
+            success: sheetsResult.success,
+            eventId,
+            orderId: order_id,
+            transactionStatus: transaction_status,
+            sheetsUpdated: sheetsResult.success,
+            n8nNotified: n8nResult.success
+        };
+
+        console.log('✅ Webhook processing completed:', finalResult);
+        return finalResult;
+
+    } catch (error) {
+        console.error('❌ Webhook processing failed:', error);
+
+        // Log error to history
+        try {
+            await logTransactionToHistory(notification, {
+                processingStage: 'failed',
+                eventId,
+                source,
+                error: error.message
+            });
+        } catch (logError) {
+            console.error('Failed to log error to history:', logError.message);
+        }
+
+        return {
+            success: false,
+            eventId,
+            error: error.message
+        };
+    }
+}
+
+export default {
+    TRANSACTION_STATUSES,
+    PAYMENT_STATUS_MAP,
+    generateEventId,
+    getMidtransTransactionStatus,
+    getMidtransPaymentLinkOrderIds,
+    createMidtransPaymentLink,
+    priceStoredRegistration,
+    recordPaymentAttempt,
+    findRegistrationByOrderId,
+    applyBusinessLogic,
+    processPaymentNotification
+};
@@ -0,0 +1,395 @@
+/**
+ * Calendar periods in the club's timezone
+ *
+ * Weeks, months, years and custom date ranges are counted in DATE_CONFIG.TIMEZONE (an
+ * IANA zone) with weeks starting on DATE_CONFIG.WEEK_START_DAY, whatever the
+ * server's own timezone is. Ranges are { start, end } Dates: the first and the
+ * last millisecond of the period.
+ */
+
+import { DATE_CONFIG } from './config';
+
+export const PERIOD_TYPES = {
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+  // From/to dates given by the caller
+  CUSTOM: 'custom'
+};
+
+export const COMPARE_TYPES = {
+  PREVIOUS: 'previous',
+  SAME_PERIOD_LAST_YEAR: 'same-period-last-year'
+};
+
+// Response keys and display labels: [current, previous, same period last year]
+const PERIOD_NAMES = {
+  [PERIOD_TYPES.WEEK]: [['this_week', 'This Week'], ['last_week', 'Last Week'], ['same_week_last_year', 'Same Week Last Year']],
+  [PERIOD_TYPES.MONTH]: [['this_month', 'This Month'], ['last_month', 'Last Month'], ['same_month_last_year', 'Same Month Last Year']],
+  [PERIOD_TYPES.YEAR]: [['this_year', 'This Year'], ['last_year', 'Last Year'], ['last_year', 'Last Year']],
+  [PERIOD_TYPES.CUSTOM]: [['period', 'Selected Period'], ['previous_period', 'Previous Period'], ['same_period_last_year', 'Same Period Last Year']]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatters = new Map();
+
+function createPeriodError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Formatter for the calendar fields of an instant in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Throws a RangeError for an unknown timezone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a timezone name is a known IANA timezone
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar fields of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.findIndex(day => day.startsWith(parts.weekday.toLowerCase()))
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * The instant a calendar day starts in a timezone. Out-of-range days and months
+ * roll over like Date.UTC, so day 0 is the last day of the previous month.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function getStartOfDay(year, month, day, timeZone) {
+  const localMidnight = Date.UTC(year, month - 1, day);
+  let timestamp = localMidnight - getTimeZoneOffset(localMidnight, timeZone);
+
+  // The offset at midnight differs from the guess when a DST change lies in between
+  const offset = getTimeZoneOffset(timestamp, timeZone);
+  if (localMidnight - offset !== timestamp) {
+    timestamp = localMidnight - offset;
+  }
+  return new Date(timestamp);
+}
+
+/**
+ * Parse a week start day: 0-6 (0 = Sunday) or a day name such as "monday" or "mon"
+ * @param {string|number} value
+ * @returns {number|null} null when the value is not a day
+ */
+export function parseWeekStartDay(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (/^[0-6]$/.test(text)) return Number(text);
+  if (text.length < 3) return null;
+  const index = WEEKDAYS.findIndex(day => day.startsWith(text));
+  return index === -1 ? null : index;
+}
+
+/**
+ * Timezone and week start to compute periods with, defaulting to DATE_CONFIG
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA timezone
+ * @param {string|number} [options.weekStartDay] - 0-6 or a day name
+ * @returns {Object} { timeZone, weekStartDay }; throws an Error with status 400 for invalid values
+ */
+export function resolvePeriodOptions({ timeZone, weekStartDay } = {}) {
+  const resolvedTimeZone = timeZone || DATE_CONFIG.TIMEZONE;
+  if (!isValidTimeZone(resolvedTimeZone)) {
+    throw createPeriodError(`Unknown timezone: ${resolvedTimeZone}`);
+  }
+
+  const resolvedWeekStartDay = parseWeekStartDay(weekStartDay ?? DATE_CONFIG.WEEK_START_DAY);
+  if (resolvedWeekStartDay === null) {
+    throw createPeriodError(`Invalid week start day: ${weekStartDay}`);
+  }
+
+  return { timeZone: resolvedTimeZone, weekStartDay: resolvedWeekStartDay };
+}
+
+/**
+ * Period options of a request: the tz and weekStart query parameters override DATE_CONFIG
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} { timeZone, weekStartDay }; throws an Error with status 400 for invalid values
+ */
+export function getPeriodOptionsFromParams(searchParams) {
+  return resolvePeriodOptions({
+    timeZone: searchParams.get('tz') || undefined,
+    weekStartDay: searchParams.get('weekStart') || undefined
+  });
+}
+
+/**
+ * Range of the week containing now, or offsetWeeks before/after it
+ * @param {number} [offsetWeeks] - 0 = this week, -1 = last week
+ * @param {Object} [options] - { timeZone, weekStartDay }, see resolvePeriodOptions
+ * @param {Date} [now]
+ * @returns {Object} { start, end }
+ */
+export function getWeekRange(offsetWeeks = 0, options = {}, now = new Date()) {
+  const { timeZone, weekStartDay } = resolvePeriodOptions(options);
+  const today = getZonedParts(now, timeZone);
+  const firstDay = today.day - ((today.weekday - weekStartDay + 7) % 7) + offsetWeeks * 7;
+
+  return {
+    start: getStartOfDay(today.year, today.month, firstDay, timeZone),
+    end: new Date(getStartOfDay(today.year, today.month, firstDay + 7, timeZone).getTime() - 1)
+  };
+}
+
+/**
+ * Range of the calendar month containing now, or offsetMonths before/after it
+ * @param {number} [offsetMonths] - 0 = this month, -1 = last month
+ * @param {Object} [options] - { timeZone }, see resolvePeriodOptions
+ * @param {Date} [now]
+ * @returns {Object} { start, end }
+ */
+export function getMonthRange(offsetMonths = 0, options = {}, now = new Date()) {
+  const { timeZone } = resolvePeriodOptions(options);
+  const today = getZonedParts(now, timeZone);
+
+  return {
+    start: getStartOfDay(today.year, today.month + offsetMonths, 1, timeZone),
+    end: new Date(getStartOfDay(today.year, today.month + offsetMonths + 1, 1, timeZone).getTime() - 1)
+  };
+}
+
+/**
+ * Range of the calendar year containing now, or offsetYears before/after it
+ * @param {number} [offsetYears] - 0 = this year, -1 = last year
+ * @param {Object} [options] - { timeZone }, see resolvePeriodOptions
+ * @param {Date} [now]
+ * @returns {Object} { start, end }
+ */
+export function getYearRange(offsetYears = 0, options = {}, now = new Date()) {
+  const { timeZone } = resolvePeriodOptions(options);
+  const today = getZonedParts(now, timeZone);
+
+  return {
+    start: getStartOfDay(today.year + offsetYears, 1, 1, timeZone),
+    end: new Date(getStartOfDay(today.year + offsetYears + 1, 1, 1, timeZone).getTime() - 1)
+  };
+}
+
+/**
+ * Range from the start of one calendar day to the end of another, both included
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Object} [options] - { timeZone }, see resolvePeriodOptions
+ * @returns {Object} { start, end }; throws an Error with status 400 for invalid dates
+ */
+export function getCustomRange(from, to, options = {}) {
+  const { timeZone } = resolvePeriodOptions(options);
+  const parse = (value, name) => {
+    const match = DATE_PATTERN.exec(String(value || ''));
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!date || date.getUTCDate() !== Number(match[3])) {
+      throw createPeriodError(`Invalid ${name} date: ${value} (expected YYYY-MM-DD)`);
+    }
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  };
+
+  const first = parse(from, 'from');
+  const last = parse(to, 'to');
+  const start = getStartOfDay(first.year, first.month, first.day, timeZone);
+  const end = new Date(getStartOfDay(last.year, last.month, last.day + 1, timeZone).getTime() - 1);
+  if (end < start) {
+    throw createPeriodError(`from (${from}) is after to (${to})`);
+  }
+  return { start, end };
+}
+
+/**
+ * The same calendar days a number of years earlier or later
+ * @param {Object} range - { start, end }
+ * @param {number} years
+ * @param {string} timeZone
+ * @returns {Object} { start, end }
+ */
+function shiftRangeByYears(range, years, timeZone) {
+  const first = getZonedParts(range.start, timeZone);
+  const next = getZonedParts(new Date(range.end.getTime() + 1), timeZone);
+  // February 29 becomes February 28 in other years
+  const daysInMonth = new Date(Date.UTC(first.year + years, first.month, 0)).getUTCDate();
+  return {
+    start: getStartOfDay(first.year + years, first.month, Math.min(first.day, daysInMonth), timeZone),
+    end: new Date(getStartOfDay(next.year + years, next.month, next.day, timeZone).getTime() - 1)
+  };
+}
+
+/**
+ * The same number of calendar days right before a range
+ * @param {Object} range - { start, end }
+ * @param {string} timeZone
+ * @returns {Object} { start, end }
+ */
+function getPrecedingRange(range, timeZone) {
+  // Rounded, as a DST change makes one of the days an hour shorter or longer
+  const days = Math.round((range.end.getTime() + 1 - range.start.getTime()) / DAY_MS);
+  const first = getZonedParts(range.start, timeZone);
+  return {
+    start: getStartOfDay(first.year, first.month, first.day - days, timeZone),
+    end: new Date(range.start.getTime() - 1)
+  };
+}
+
+/**
+ * Range of a calendar period type containing now, or offset periods before/after it
+ * @param {string} type - PERIOD_TYPES.WEEK, MONTH or YEAR
+ * @param {number} offset
+ * @param {Object} options - Resolved period options
+ * @param {Date} now
+ * @returns {Object} { start, end }
+ */
+function getCalendarRange(type, offset, options, now) {
+  if (type === PERIOD_TYPES.MONTH) return getMonthRange(offset, options, now);
+  if (type === PERIOD_TYPES.YEAR) return getYearRange(offset, options, now);
+  return getWeekRange(offset, options, now);
+}
+
+/**
+ * Periods a club report asks for with the from/to, period and compare query parameters.
+ * Without any of them this is this week compared with last week.
+ * @param {URLSearchParams} searchParams
+ * @param {Object} [options] - { timeZone, weekStartDay }, see resolvePeriodOptions
+ * @param {Date} [now]
+ * @returns {Object} { type, compare, periods: [{ key, label, start, end }] } with the requested
+ *   period first; throws an Error with status 400 for invalid parameters
+ */
+export function getRequestedPeriods(searchParams, options = {}, now = new Date()) {
+  const resolved = resolvePeriodOptions(options);
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  const period = searchParams.get('period');
+  let compare = searchParams.get('compare');
+
+  const calendarTypes = [PERIOD_TYPES.WEEK, PERIOD_TYPES.MONTH, PERIOD_TYPES.YEAR];
+  if (period && !calendarTypes.includes(period)) {
+    throw createPeriodError(`Invalid period: ${period} (expected ${calendarTypes.join(', ')})`);
+  }
+  if (compare && !Object.values(COMPARE_TYPES).includes(compare)) {
+    throw createPeriodError(`Invalid compare: ${compare} (expected ${Object.values(COMPARE_TYPES).join(', ')})`);
+  }
+  if ((from || to) && period) {
+    throw createPeriodError('Use either from/to or period, not both');
+  }
+  if (to && !from) {
+    throw createPeriodError('to requires from');
+  }
+
+  let type;
+  let current;
+  if (from) {
+    type = PERIOD_TYPES.CUSTOM;
+    // An open-ended range runs until today
+    current = getCustomRange(from, to || formatDateInTimeZone(now, resolved.timeZone), resolved);
+  } else {
+    type = period || PERIOD_TYPES.WEEK;
+    current = getCalendarRange(type, 0, resolved, now);
+    // The weekly report the endpoints always had
+    if (!period && !compare) compare = COMPARE_TYPES.PREVIOUS;
+  }
+
+  const [currentName, previousName, lastYearName] = PERIOD_NAMES[type];
+  const periods = [{ key: currentName[0], label: currentName[1], ...current }];
+
+  if (compare === COMPARE_TYPES.PREVIOUS) {
+    const previous = type === PERIOD_TYPES.CUSTOM
+      ? getPrecedingRange(current, resolved.timeZone)
+      : getCalendarRange(type, -1, resolved, now);
+    periods.push({ key: previousName[0], label: previousName[1], ...previous });
+  } else if (compare === COMPARE_TYPES.SAME_PERIOD_LAST_YEAR) {
+    periods.push({ key: lastYearName[0], label: lastYearName[1], ...shiftRangeByYears(current, -1, resolved.timeZone) });
+  }
+
+  return { type, compare: compare || null, periods };
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} YYYY-MM-DD
+ */
+export function formatDateInTimeZone(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export default {
+  PERIOD_TYPES,
+  COMPARE_TYPES,
+  isValidTimeZone,
+  getStartOfDay,
+  parseWeekStartDay,
+  resolvePeriodOptions,
+  getPeriodOptionsFromParams,
+  getWeekRange,
+  getMonthRange,
+  getYearRange,
+  getCustomRange,
+  getRequestedPeriods,
+  formatDateInTimeZone
+};
@@ -0,0 +1,124 @@
+/**
+ * Promo code redemptions over the life of a registration
+ *
+ * A code is reserved when the registration is created, so unpaid orders can't
+ * hold more redemptions than the code has. The reservation becomes a redemption
+ * when the payment settles and is given back when the payment expires, fails or
+ * is cancelled. Rows live in the Promo_Redemptions ledger, which decides; the
+ * code's Redemption Count is rewritten from it after every change.
+ */
+
+import { getPromoCodeRepository, getPromoRedemptionRepository } from './storage';
+import { REDEMPTION_STATUSES } from './storage/promo-redemption-repository';
+
+function createPromoError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function syncRedemptionCount(code) {
+  try {
+    const count = await getPromoRedemptionRepository().countLive(code);
+    await getPromoCodeRepository().updateRedemptionCount(code, count);
+  } catch (error) {
+    console.warn(`Could not update the redemption count of promo code ${code}:`, error.message);
+  }
+}
+
+/**
+ * Reserve a redemption of a promo code for a registration
+ * @param {Object} promo - Validated promo code from PromoCodeRepository
+ * @param {string} registrationId
+ * @returns {Promise<Object>} The reservation. Throws an Error with status 409 when the
+ *   code has no redemption left
+ */
+export async function reservePromoCode(promo, registrationId) {
+  const { reserved, redemption } = await getPromoRedemptionRepository()
+    .reserve(promo.code, registrationId, promo.maxRedemptions);
+  await syncRedemptionCount(promo.code);
+  if (!reserved) {
+    throw createPromoError('Promo code has been fully redeemed', 409);
+  }
+  console.log(`Promo code ${promo.code} reserved for registration ${registrationId}`);
+  return redemption;
+}
+
+/**
+ * Make sure a registration holds a redemption of its promo code before it gets a new
+ * payment link: a reservation released when its earlier payment lapsed is taken again
+ * @param {Object} registration
+ * @returns {Promise<Object|null>} The reservation, or null when the registration has no promo code.
+ *   Throws an Error with status 409 when the code has no redemption left
+ */
+export async function ensurePromoReservation(registration) {
+  if (!registration.promoCode) return null;
+  const held = await getPromoRedemptionRepository().findLiveByRegistration(registration.id);
+  if (held) return held;
+
+  // A code removed since registering no longer has a limit to hold to
+  const promo = await getPromoCodeRepository().findByCode(registration.promoCode);
+  return reservePromoCode(promo || { code: registration.promoCode, maxRedemptions: null }, registration.id);
+}
+
+/**
+ * Turn a registration's reservation into a redemption once its payment has settled.
+ * A registration whose reservation was released (its payment lapsed before it paid)
+ * takes a redemption now; when none is left the payment can't be refused any more,
+ * so the row is marked over_limit for the committee to review.
+ * @param {Object} registration
+ * @returns {Promise<Object|null>} The redemption, or null when the registration has no promo code
+ */
+export async function redeemPromoCode(registration) {
+  if (!registration.promoCode) return null;
+  const repository = getPromoRedemptionRepository();
+
+  let redemption = await repository.findLiveByRegistration(registration.id);
+  if (redemption && redemption.status !== REDEMPTION_STATUSES.RESERVED) {
+    return redemption; // Already counted by an earlier notification
+  }
+
+  if (redemption) {
+    redemption = await repository.updateStatus(redemption, REDEMPTION_STATUSES.REDEEMED);
+    console.log(`Promo code ${registration.promoCode} redeemed by registration ${registration.id}`);
+  } else {
+    const promo = await getPromoCodeRepository().findByCode(registration.promoCode);
+    const result = await repository.reserve(registration.promoCode, registration.id, promo?.maxRedemptions || null);
+    if (result.reserved) {
+      redemption = await repository.updateStatus(result.redemption, REDEMPTION_STATUSES.REDEEMED);
+      console.log(`Promo code ${registration.promoCode} redeemed by registration ${registration.id}`);
+    } else {
+      redemption = await repository.updateStatus(result.redemption, REDEMPTION_STATUSES.OVER_LIMIT);
+      console.error(`Promo code ${registration.promoCode} is over its redemption limit: registration ${registration.id} paid without a reservation`);
+    }
+  }
+
+  await syncRedemptionCount(registration.promoCode);
+  return redemption;
+}
+
+/**
+ * Give back the redemption a registration reserved, when its payment expired,
+ * failed or was cancelled. Redemptions of paid registrations are kept.
+ * @param {Object} registration
+ * @returns {Promise<boolean>} Whether a reservation was released
+ */
+export async function releasePromoCode(registration) {
+  if (!registration.promoCode) return false;
+  const repository = getPromoRedemptionRepository();
+
+  const redemption = await repository.findLiveByRegistration(registration.id);
+  if (!redemption || redemption.status !== REDEMPTION_STATUSES.RESERVED) return false;
+
+  await repository.updateStatus(redemption, REDEMPTION_STATUSES.RELEASED);
+  await syncRedemptionCount(registration.promoCode);
+  console.log(`Promo code ${registration.promoCode} released by registration ${registration.id}`);
+  return true;
+}
+
+export default {
+  reservePromoCode,
+  ensurePromoReservation,
+  redeemPromoCode,
+  releasePromoCode
+};
@@ -0,0 +1,192 @@
+/**
+ * Sports of club activities and the metrics each is measured by
+ *
+ * Strava's sport types are grouped into runs, walks, rides and swims. Runs and
+ * walks are paced per kilometre, rides by speed and swims per 100 metres; a
+ * ride's "pace" or a swim's per-kilometre pace tells an athlete nothing.
+ */
+
+import { getAthleteKey } from './strava';
+import { UNIT_SYSTEMS, getPaceSeconds, getSpeed, getSwimPace, getUnitLabels } from './units';
+
+export const SPORTS = {
+  RUN: 'run',
+  WALK: 'walk',
+  RIDE: 'ride',
+  SWIM: 'swim',
+  OTHER: 'other'
+};
+
+export const SPORT_METRICS = {
+  PACE_PER_KM: 'pace_per_km',
+  SPEED_KMH: 'speed_kmh',
+  PACE_PER_100M: 'pace_per_100m',
+  // The same metrics in imperial units
+  PACE_PER_MILE: 'pace_per_mile',
+  SPEED_MPH: 'speed_mph',
+  PACE_PER_100YD: 'pace_per_100yd'
+};
+
+const IMPERIAL_METRICS = {
+  [SPORT_METRICS.PACE_PER_KM]: SPORT_METRICS.PACE_PER_MILE,
+  [SPORT_METRICS.SPEED_KMH]: SPORT_METRICS.SPEED_MPH,
+  [SPORT_METRICS.PACE_PER_100M]: SPORT_METRICS.PACE_PER_100YD
+};
+
+// Strava sport types (and the older activity types) of each sport; everything else is "other"
+const SPORT_TYPES = {
+  [SPORTS.RUN]: ['Run', 'TrailRun', 'VirtualRun'],
+  [SPORTS.WALK]: ['Walk', 'Hike'],
+  [SPORTS.RIDE]: ['Ride', 'VirtualRide', 'GravelRide', 'MountainBikeRide', 'EBikeRide', 'EMountainBikeRide', 'Handcycle', 'Velomobile'],
+  [SPORTS.SWIM]: ['Swim']
+};
+
+const SPORT_DETAILS = {
+  [SPORTS.RUN]: { label: 'Runs', icon: '🏃', metric: SPORT_METRICS.PACE_PER_KM },
+  [SPORTS.WALK]: { label: 'Walks', icon: '🚶', metric: SPORT_METRICS.PACE_PER_KM },
+  [SPORTS.RIDE]: { label: 'Rides', icon: '🚴', metric: SPORT_METRICS.SPEED_KMH },
+  [SPORTS.SWIM]: { label: 'Swims', icon: '🏊', metric: SPORT_METRICS.PACE_PER_100M },
+  [SPORTS.OTHER]: { label: 'Other', icon: '💪', metric: null }
+};
+
+const SPORT_BY_TYPE = new Map(Object.entries(SPORT_TYPES)
+  .flatMap(([sport, types]) => types.map(type => [type.toLowerCase(), sport])));
+
+/**
+ * Sport of an activity, by sport_type and then type
+ * @param {Object} activity
+ * @returns {string} One of SPORTS
+ */
+export function getActivitySport(activity) {
+  for (const type of [activity?.sport_type, activity?.type]) {
+    const sport = type && SPORT_BY_TYPE.get(String(type).toLowerCase());
+    if (sport) return sport;
+  }
+  return SPORTS.OTHER;
+}
+
+/**
+ * Label, icon and metric of a sport
+ * @param {string} sport - One of SPORTS
+ * @returns {Object} { label, icon, metric }
+ */
+export function getSportDetails(sport) {
+  return SPORT_DETAILS[sport] || SPORT_DETAILS[SPORTS.OTHER];
+}
+
+function formatMinutes(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * The metric a sport is measured by, for a distance covered in a time
+ * @param {string} sport - One of SPORTS
+ * @param {number} distance - Meters
+ * @param {number} time - Seconds
+ * @param {string} [units] - One of UNIT_SYSTEMS, default metric
+ * @returns {Object|null} { metric, value, formatted }: value is seconds per km, mile, 100m
+ *   or 100yd for paces and km/h or mph for speed; null for other sports or without distance or time
+ */
+export function getSportMetric(sport, distance, time, units = UNIT_SYSTEMS.METRIC) {
+  const baseMetric = getSportDetails(sport).metric;
+  if (!baseMetric || !distance || !time) return null;
+
+  const metric = units === UNIT_SYSTEMS.IMPERIAL ? IMPERIAL_METRICS[baseMetric] : baseMetric;
+  const labels = getUnitLabels(units);
+
+  if (baseMetric === SPORT_METRICS.SPEED_KMH) {
+    const speed = getSpeed(distance, time, units);
+    return { metric, value: speed, formatted: `${speed.toFixed(1)} ${labels.speed}` };
+  }
+
+  if (baseMetric === SPORT_METRICS.PACE_PER_100M) {
+    const pace = getSwimPace(distance, time, units);
+    return { metric, value: Math.round(pace.seconds), formatted: `${formatMinutes(pace.seconds)} /${pace.unit}` };
+  }
+
+  const pace = getPaceSeconds(distance, time, units);
+  return { metric, value: Math.round(pace), formatted: `${formatMinutes(pace)} ${labels.pace}` };
+}
+
+/**
+ * Sports a report asks for: sportTypes (comma separated), each a sport (run, walk,
+ * ride, swim, other) or a Strava sport type (TrailRun, VirtualRide, ...)
+ * @param {URLSearchParams} searchParams
+ * @returns {Array<string>|null} Requested values, or null for every sport; throws an
+ *   Error with status 400 for values that are neither
+ */
+export function getRequestedSportTypes(searchParams) {
+  const values = searchParams.getAll('sportTypes')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (values.length === 0) return null;
+
+  const sports = Object.values(SPORTS);
+  const invalid = values.filter(value => !sports.includes(value.toLowerCase()) && !SPORT_BY_TYPE.has(value.toLowerCase()));
+  if (invalid.length > 0) {
+    const error = new Error(`Invalid sportTypes: ${invalid.join(', ')} (expected ${sports.join(', ')} or a Strava sport type)`);
+    error.status = 400;
+    throw error;
+  }
+  return [...new Set(values)];
+}
+
+/**
+ * Activities of the requested sports
+ * @param {Array<Object>} activities
+ * @param {Array<string>|null} sportTypes - From getRequestedSportTypes; null keeps every activity
+ * @returns {Array<Object>}
+ */
+export function filterActivitiesBySportTypes(activities, sportTypes) {
+  if (!sportTypes) return activities;
+
+  const requested = new Set(sportTypes.map(value => value.toLowerCase()));
+  return activities.filter(activity => {
+    if (requested.has(getActivitySport(activity))) return true;
+    return [activity.sport_type, activity.type].some(type => type && requested.has(String(type).toLowerCase()));
+  });
+}
+
+/**
+ * Totals of each sport, with the sport's metric over the total distance and time
+ * @param {Array<Object>} activities
+ * @param {string} [units] - Units of the metric, one of UNIT_SYSTEMS; totals stay meters and seconds
+ * @returns {Object} By sport, only sports with activities, in the order of SPORTS:
+ *   { activities, distance_meters, moving_time_seconds, elevation_gain, unique_athletes, metric }
+ */
+export function summarizeBySport(activities, units = UNIT_SYSTEMS.METRIC) {
+  const groups = new Map(Object.values(SPORTS).map(sport => [sport, []]));
+  for (const activity of activities) {
+    groups.get(getActivitySport(activity)).push(activity);
+  }
+
+  const summary = {};
+  for (const [sport, sportActivities] of groups) {
+    if (sportActivities.length === 0) continue;
+    const distance = sportActivities.reduce((sum, activity) => sum + (Number(activity.distance) || 0), 0);
+    const movingTime = sportActivities.reduce((sum, activity) => sum + (Number(activity.moving_time) || 0), 0);
+    summary[sport] = {
+      activities: sportActivities.length,
+      distance_meters: distance,
+      moving_time_seconds: movingTime,
+      elevation_gain: sportActivities.reduce((sum, activity) => sum + (Number(activity.total_elevation_gain) || 0), 0),
+      unique_athletes: new Set(sportActivities.map(getAthleteKey).filter(Boolean)).size,
+      metric: getSportMetric(sport, distance, movingTime, units)
+    };
+  }
+  return summary;
+}
+
+export default {
+  SPORTS,
+  SPORT_METRICS,
+  getActivitySport,
+  getSportDetails,
+  getSportMetric,
+  getRequestedSportTypes,
+  filterActivitiesBySportTypes,
+  summarizeBySport
+};
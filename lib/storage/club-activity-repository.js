@@ -0,0 +1,70 @@
+/**
+ * Club activity repository
+ *
+ * Append-only store of the activities seen in a club's Strava feed (see
+ * CLUB_ACTIVITIES_TABLE). The feed has no IDs or dates, so rows are keyed by
+ * fingerprint and dated by when the sync job first saw them.
+ */
+
+import { CLUB_ACTIVITIES_TABLE } from './schema';
+
+function parseBoolean(value) {
+  return value === true || String(value).toUpperCase() === 'TRUE';
+}
+
+export class ClubActivityRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = CLUB_ACTIVITIES_TABLE;
+  }
+
+  /**
+   * Build a stored activity from a record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      clubId: String(record.clubId || ''),
+      distance: parseFloat(record.distance) || 0,
+      movingTime: parseInt(record.movingTime, 10) || 0,
+      elapsedTime: parseInt(record.elapsedTime, 10) || 0,
+      totalElevationGain: parseFloat(record.totalElevationGain) || 0,
+      baseline: parseBoolean(record.baseline),
+    };
+  }
+
+  /**
+   * Stored activities of a club, in the order they were first seen
+   * @param {string} clubId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listByClub(clubId) {
+    let rows;
+    try {
+      rows = await this.adapter.readAll(this.table);
+    } catch (error) {
+      // The sheet tab does not exist until the first sync
+      console.warn('Could not read club activities:', error.message);
+      return [];
+    }
+    return rows
+      .map(({ record }) => ClubActivityRepository.fromRecord(record))
+      .filter(activity => activity.fingerprint && activity.clubId === String(clubId));
+  }
+
+  /**
+   * Store newly seen activities
+   * @param {Array<Object>} activities
+   */
+  async appendMany(activities) {
+    if (activities.length === 0) return;
+    await this.adapter.appendMany(this.table, activities);
+  }
+}
+
+export default ClubActivityRepository;
@@ -0,0 +1,102 @@
+/**
+ * Storage layer entry point
+ *
+ * Routes get repositories from here instead of talking to Google Sheets directly.
+ * The backend is selected by STORAGE_CONFIG.DRIVER ('sheets' or 'json').
+ */
+
+import { STORAGE_CONFIG } from '../config';
+import { createSheetsAdapter } from './sheets-adapter';
+import { createJsonAdapter } from './json-adapter';
+import { RegistrationRepository } from './registration-repository';
+import { SubmissionRepository } from './submission-repository';
+import { TransactionRepository } from './transaction-repository';
+import { PromoCodeRepository } from './promo-code-repository';
+import { PromoRedemptionRepository } from './promo-redemption-repository';
+import { PaymentAttemptRepository } from './payment-attempt-repository';
+import { ParticipantLoginRepository } from './participant-login-repository';
+import { RegistrationAuditRepository } from './registration-audit-repository';
+import { NotificationOutboxRepository } from './notification-outbox-repository';
+import { StravaTokenRepository } from './strava-token-repository';
+import { ClubActivityRepository } from './club-activity-repository';
+
+let adapter = null;
+
+/**
+ * Get the storage adapter for the configured driver (created once per process)
+ * @returns {Object}
+ */
+export function getStorageAdapter() {
+  if (adapter) return adapter;
+
+  switch (STORAGE_CONFIG.DRIVER) {
+    case 'json':
+      adapter = createJsonAdapter({ dataDir: STORAGE_CONFIG.LOCAL_DATA_DIR });
+      break;
+    case 'sheets':
+      adapter = createSheetsAdapter({ spreadsheetId: STORAGE_CONFIG.SPREADSHEET_ID });
+      break;
+    default:
+      throw new Error(`Unknown storage driver: ${STORAGE_CONFIG.DRIVER}`);
+  }
+
+  return adapter;
+}
+
+export function getRegistrationRepository() {
+  return new RegistrationRepository(getStorageAdapter());
+}
+
+export function getSubmissionRepository() {
+  return new SubmissionRepository(getStorageAdapter());
+}
+
+export function getTransactionRepository() {
+  return new TransactionRepository(getStorageAdapter());
+}
+
+export function getPromoCodeRepository() {
+  return new PromoCodeRepository(getStorageAdapter());
+}
+
+export function getPromoRedemptionRepository() {
+  return new PromoRedemptionRepository(getStorageAdapter());
+}
+
+export function getPaymentAttemptRepository() {
+  return new PaymentAttemptRepository(getStorageAdapter());
+}
+
+export function getParticipantLoginRepository() {
+  return new ParticipantLoginRepository(getStorageAdapter());
+}
+
+export function getRegistrationAuditRepository() {
+  return new RegistrationAuditRepository(getStorageAdapter());
+}
+
+export function getNotificationOutboxRepository() {
+  return new NotificationOutboxRepository(getStorageAdapter());
+}
+
+export function getStravaTokenRepository() {
+  return new StravaTokenRepository(getStorageAdapter());
+}
+
+export function getClubActivityRepository() {
+  return new ClubActivityRepository(getStorageAdapter());
+}
+
+export {
+  RegistrationRepository,
+  SubmissionRepository,
+  TransactionRepository,
+  PromoCodeRepository,
+  PromoRedemptionRepository,
+  PaymentAttemptRepository,
+  ParticipantLoginRepository,
+  RegistrationAuditRepository,
+  NotificationOutboxRepository,
+  StravaTokenRepository,
+  ClubActivityRepository
+};
@@ -0,0 +1,86 @@
+/**
+ * Local JSON file storage adapter
+ *
+ * Stores each table as an array of flat records in `<dataDir>/<table>.json`.
+ * Intended for offline development and tests; row references are array indexes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { rowToRecord, recordToRow } from './schema';
+
+export function createJsonAdapter({ dataDir }) {
+  const baseDir = path.resolve(process.cwd(), dataDir);
+
+  function filePath(table) {
+    return path.join(baseDir, `${table.name}.json`);
+  }
+
+  function load(table) {
+    const file = filePath(table);
+    if (!fs.existsSync(file)) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.error(`Failed to read ${file}:`, error.message);
+      throw error;
+    }
+  }
+
+  function save(table, records) {
+    fs.mkdirSync(baseDir, { recursive: true });
+    // Write to a temp file first so a crash never leaves a half-written table behind
+    const file = filePath(table);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Round-trip through the column layout so unknown keys are dropped, like a sheet would
+  function normalize(table, record) {
+    return rowToRecord(table, recordToRow(table, record));
+  }
+
+  return {
+    driver: 'json',
+
+    async readAll(table) {
+      return load(table).map((record, i) => ({ ref: i, record: normalize(table, record) }));
+    },
+
+    async append(table, record) {
+      const records = load(table);
+      records.push(normalize(table, record));
+      save(table, records);
+      return { ref: records.length - 1 };
+    },
+
+    async appendMany(table, newRecords) {
+      const records = load(table);
+      records.push(...newRecords.map(record => normalize(table, record)));
+      save(table, records);
+      return { count: newRecords.length };
+    },
+
+    async update(table, ref, patch) {
+      const records = load(table);
+      if (!records[ref]) {
+        throw new Error(`Row ${ref} not found in ${table.name}`);
+      }
+      records[ref] = normalize(table, { ...records[ref], ...patch });
+      save(table, records);
+      return { ref };
+    },
+
+    async deleteRows(table, refs) {
+      const doomed = new Set(refs);
+      const records = load(table);
+      const kept = records.filter((record, i) => !doomed.has(i));
+      save(table, kept);
+      return { count: records.length - kept.length };
+    }
+  };
+}
+
+export default { createJsonAdapter };
@@ -0,0 +1,107 @@
+/**
+ * Notification outbox repository
+ *
+ * One row per message and channel (see NOTIFICATION_OUTBOX_TABLE). Rows stay
+ * 'pending' until delivered ('sent') or given up on ('failed').
+ */
+
+import { NOTIFICATION_OUTBOX_TABLE } from './schema';
+
+function parseJson(value) {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+export class NotificationOutboxRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = NOTIFICATION_OUTBOX_TABLE;
+  }
+
+  /**
+   * Build an outbox entry from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      data: parseJson(record.data) || {},
+      attempts: parseInt(record.attempts, 10) || 0,
+      lastError: record.lastError || null,
+      sentAt: record.sentAt || null,
+    };
+  }
+
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, entry: NotificationOutboxRepository.fromRecord(record) }))
+      .filter(({ entry }) => entry.id);
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} [options] - { status, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ status, limit } = {}) {
+    const entries = (await this.entries())
+      .map(({ entry }) => entry)
+      .filter(entry => !status || entry.status === status)
+      .reverse();
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Pending entries whose next attempt is due, oldest first
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDue(now, limit) {
+    return (await this.entries())
+      .map(({ entry }) => entry)
+      .filter(entry => entry.status === 'pending' && new Date(entry.nextAttemptAt) <= now)
+      .slice(0, limit);
+  }
+
+  /**
+   * Store a new entry
+   * @param {Object} entry
+   * @returns {Promise<Object>}
+   */
+  async create(entry) {
+    const record = {
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      ...entry,
+      data: JSON.stringify(entry.data || {}),
+    };
+    await this.adapter.append(this.table, record);
+    return NotificationOutboxRepository.fromRecord(record);
+  }
+
+  /**
+   * Update fields of an entry
+   * @param {string} id - Notification ID
+   * @param {Object} patch
+   */
+  async update(id, patch) {
+    const found = (await this.entries()).find(({ entry }) => entry.id === id);
+    if (!found) {
+      throw new Error(`Notification not found: ${id}`);
+    }
+    await this.adapter.update(this.table, found.ref, patch);
+    return { ...found.entry, ...patch };
+  }
+}
+
+export default NotificationOutboxRepository;
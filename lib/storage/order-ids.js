@@ -0,0 +1,33 @@
+/**
+ * Matching Midtrans order IDs to stored orders
+ *
+ * A payment made on a Midtrans payment link is its own transaction, whose order ID
+ * is the link's order ID with a suffix. Notifications for it carry that longer ID,
+ * so stored orders match it as a prefix as well as exactly.
+ */
+
+/**
+ * Whether a notified order ID belongs to a stored order ID
+ * @param {string} storedOrderId - Order ID (or payment link) kept in storage
+ * @param {string} orderId - Order ID from Midtrans
+ * @returns {boolean}
+ */
+export function matchesOrderId(storedOrderId, orderId) {
+  if (!storedOrderId || !orderId) return false;
+  return orderId === storedOrderId || orderId.startsWith(storedOrderId);
+}
+
+/**
+ * The entry an order ID belongs to: an exact match first, else the longest stored prefix
+ * @param {Array<Object>} entries
+ * @param {string} orderId - Order ID from Midtrans
+ * @param {Function} getOrderId - Stored order ID of an entry
+ * @returns {Object|null}
+ */
+export function findOrderEntry(entries, orderId, getOrderId) {
+  const exact = entries.find(entry => getOrderId(entry) === orderId);
+  if (exact) return exact;
+  return entries
+    .filter(entry => matchesOrderId(getOrderId(entry), orderId))
+    .sort((a, b) => getOrderId(b).length - getOrderId(a).length)[0] || null;
+}
@@ -0,0 +1,91 @@
+/**
+ * Participant login repository
+ *
+ * One-time login codes and magic link tokens issued to participants (see
+ * PARTICIPANT_LOGINS_TABLE). Only hashes of the code and token are stored.
+ */
+
+import { PARTICIPANT_LOGINS_TABLE } from './schema';
+
+export class ParticipantLoginRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = PARTICIPANT_LOGINS_TABLE;
+  }
+
+  /**
+   * Build a login from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      registrationId: record.registrationId ? String(record.registrationId) : '',
+      failedAttempts: parseInt(record.failedAttempts, 10) || 0,
+      usedAt: record.usedAt || null,
+    };
+  }
+
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, login: ParticipantLoginRepository.fromRecord(record) }))
+      .filter(entry => entry.login.loginId);
+  }
+
+  /**
+   * Logins requested for a registration since a given time
+   * @param {string} registrationId
+   * @param {Date} since
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSince(registrationId, since) {
+    return (await this.entries())
+      .map(entry => entry.login)
+      .filter(login => login.registrationId === String(registrationId) && new Date(login.createdAt) >= since);
+  }
+
+  async findByTokenHash(tokenHash) {
+    const entry = (await this.entries()).find(e => e.login.tokenHash === tokenHash);
+    return entry ? entry.login : null;
+  }
+
+  /**
+   * Most recent login of an email address
+   * @param {string} email
+   * @returns {Promise<Object|null>}
+   */
+  async findLatestByEmail(email) {
+    const emailLower = String(email || '').toLowerCase();
+    const matches = (await this.entries())
+      .map(entry => entry.login)
+      .filter(login => String(login.email || '').toLowerCase() === emailLower);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  async create(login) {
+    const record = { createdAt: new Date().toISOString(), failedAttempts: 0, ...login };
+    await this.adapter.append(this.table, record);
+    return ParticipantLoginRepository.fromRecord(record);
+  }
+
+  /**
+   * Update fields of a login
+   * @param {string} loginId
+   * @param {Object} patch
+   */
+  async update(loginId, patch) {
+    const entry = (await this.entries()).find(e => e.login.loginId === loginId);
+    if (!entry) {
+      throw new Error(`Participant login not found: ${loginId}`);
+    }
+    await this.adapter.update(this.table, entry.ref, patch);
+    return { ...entry.login, ...patch };
+  }
+}
+
+export default ParticipantLoginRepository;
@@ -0,0 +1,116 @@
+/**
+ * Payment attempt repository
+ *
+ * One row per Midtrans order issued for a registration (the first payment link
+ * and every retry), with the latest status seen for that order (see PAYMENT_ATTEMPTS_TABLE).
+ */
+
+import { PAYMENT_ATTEMPTS_TABLE } from './schema';
+import { findOrderEntry } from './order-ids';
+
+function attemptOrderId(entry) {
+  return entry.attempt.orderId;
+}
+
+export class PaymentAttemptRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = PAYMENT_ATTEMPTS_TABLE;
+  }
+
+  /**
+   * Build a payment attempt from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      registrationId: record.registrationId ? String(record.registrationId) : '',
+      grossAmount: parseFloat(record.grossAmount) || 0,
+      status: record.status || 'unpaid',
+    };
+  }
+
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, attempt: PaymentAttemptRepository.fromRecord(record) }))
+      .filter(entry => entry.attempt.orderId);
+  }
+
+  async list() {
+    return (await this.entries()).map(entry => entry.attempt);
+  }
+
+  /**
+   * Attempts of a registration, oldest first
+   * @param {string} registrationId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listByRegistration(registrationId) {
+    return (await this.list())
+      .filter(attempt => attempt.registrationId === String(registrationId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * The attempt an order belongs to, matched like RegistrationRepository.findByOrderId:
+   * a transaction made on an attempt's payment link belongs to that attempt
+   * @param {string} orderId - Midtrans order ID
+   * @returns {Promise<Object|null>}
+   */
+  async findByOrderId(orderId) {
+    const entry = findOrderEntry(await this.entries(), orderId, attemptOrderId);
+    return entry ? entry.attempt : null;
+  }
+
+  /**
+   * Store a new attempt
+   * @param {Object} attempt
+   * @returns {Promise<Object>}
+   */
+  async create(attempt) {
+    const record = {
+      createdAt: new Date().toISOString(),
+      status: 'unpaid',
+      ...attempt,
+    };
+    await this.adapter.append(this.table, record);
+    return PaymentAttemptRepository.fromRecord(record);
+  }
+
+  /**
+   * Record the latest status of an order. A transaction made on an attempt's payment
+   * link gets a row of its own next to the attempt, so an expired transaction on the
+   * link can't overwrite another one that was paid.
+   * @param {string} orderId
+   * @param {Object} status - { status, transactionStatus }
+   * @returns {Promise<Object|null>} The updated attempt, or null when the order has no attempt
+   */
+  async recordStatus(orderId, { status, transactionStatus }) {
+    const entry = findOrderEntry(await this.entries(), orderId, attemptOrderId);
+    if (!entry) return null;
+    const patch = { status, transactionStatus, statusUpdatedAt: new Date().toISOString() };
+
+    if (entry.attempt.orderId !== orderId) {
+      return this.create({
+        createdAt: entry.attempt.createdAt,
+        registrationId: entry.attempt.registrationId,
+        orderId,
+        paymentLink: entry.attempt.paymentLink,
+        grossAmount: entry.attempt.grossAmount,
+        source: 'payment_link',
+        ...patch
+      });
+    }
+
+    await this.adapter.update(this.table, entry.ref, patch);
+    return { ...entry.attempt, ...patch };
+  }
+}
+
+export default PaymentAttemptRepository;
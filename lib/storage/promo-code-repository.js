@@ -0,0 +1,93 @@
+/**
+ * Promo code repository
+ *
+ * Campaign discount codes and their redemption counts (see PROMO_CODES_TABLE).
+ * Codes are matched case-insensitively and stored upper-case.
+ */
+
+import { PROMO_CODES_TABLE } from './schema';
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+export class PromoCodeRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = PROMO_CODES_TABLE;
+  }
+
+  /**
+   * Build a promo code object from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      code: normalizeCode(record.code),
+      description: record.description || '',
+      discountType: String(record.discountType || 'percent').toLowerCase(),
+      discountValue: parseFloat(record.discountValue) || 0,
+      maxRedemptions: parseInt(record.maxRedemptions, 10) || null, // empty = unlimited
+      redemptionCount: parseInt(record.redemptionCount, 10) || 0,
+      validFrom: record.validFrom || null,
+      validUntil: record.validUntil || null,
+      packages: String(record.packages || '').split(',').map(p => p.trim()).filter(Boolean),
+      active: String(record.active).toUpperCase() !== 'FALSE',
+    };
+  }
+
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, promo: PromoCodeRepository.fromRecord(record) }))
+      .filter(entry => entry.promo.code);
+  }
+
+  async list() {
+    return (await this.entries()).map(entry => entry.promo);
+  }
+
+  async findByCode(code) {
+    const wanted = normalizeCode(code);
+    const entry = (await this.entries()).find(e => e.promo.code === wanted);
+    return entry ? entry.promo : null;
+  }
+
+  /**
+   * Store a new promo code
+   * @param {Object} promo
+   * @returns {Promise<Object>}
+   */
+  async create(promo) {
+    const record = {
+      ...promo,
+      code: normalizeCode(promo.code),
+      redemptionCount: promo.redemptionCount || 0,
+      packages: Array.isArray(promo.packages) ? promo.packages.join(',') : (promo.packages || ''),
+      active: promo.active === false ? 'FALSE' : 'TRUE',
+    };
+    await this.adapter.append(this.table, record);
+    return PromoCodeRepository.fromRecord(record);
+  }
+
+  /**
+   * Store the number of redemptions a code has in use, as counted from the
+   * Promo_Redemptions ledger (the ledger decides; this column is for display and pricing)
+   * @param {string} code
+   * @param {number} redemptionCount
+   * @returns {Promise<Object|null>} The updated promo code, or null when it does not exist
+   */
+  async updateRedemptionCount(code, redemptionCount) {
+    const wanted = normalizeCode(code);
+    const entry = (await this.entries()).find(e => e.promo.code === wanted);
+    if (!entry) return null;
+    await this.adapter.update(this.table, entry.ref, { redemptionCount });
+    return { ...entry.promo, redemptionCount };
+  }
+}
+
+export default PromoCodeRepository;
@@ -0,0 +1,153 @@
+/**
+ * Promo redemption repository
+ *
+ * Ledger of promo code use, one row per registration that entered a code
+ * (see PROMO_REDEMPTIONS_TABLE). A row is 'reserved' when the registration is
+ * created, 'redeemed' once its payment settles and 'released' when the payment
+ * expires, fails or is cancelled.
+ *
+ * Storage has no transactions, so a reservation is append-then-read: every
+ * reservation appends its own row and then re-reads the ledger. Appends are
+ * serialized by the store, so all readers agree on the order of the rows, and a
+ * row only holds a redemption when fewer than Max Redemptions live rows of the
+ * code come before it. Rows that lose are marked 'rejected' straight away.
+ */
+
+import crypto from 'crypto';
+import { PROMO_REDEMPTIONS_TABLE } from './schema';
+
+export const REDEMPTION_STATUSES = {
+  RESERVED: 'reserved',
+  REDEEMED: 'redeemed',
+  // Paid without a redemption left; counted, and kept for the committee to review
+  OVER_LIMIT: 'over_limit',
+  RELEASED: 'released',
+  REJECTED: 'rejected',
+};
+
+// Rows that use up one of the code's redemptions
+const LIVE_STATUSES = [REDEMPTION_STATUSES.RESERVED, REDEMPTION_STATUSES.REDEEMED, REDEMPTION_STATUSES.OVER_LIMIT];
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+export class PromoRedemptionRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = PROMO_REDEMPTIONS_TABLE;
+  }
+
+  /**
+   * Build a redemption from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      code: normalizeCode(record.code),
+      registrationId: record.registrationId ? String(record.registrationId) : '',
+      status: record.status || REDEMPTION_STATUSES.RESERVED,
+    };
+  }
+
+  static isLive(redemption) {
+    return LIVE_STATUSES.includes(redemption.status);
+  }
+
+  // Rows in append order
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, redemption: PromoRedemptionRepository.fromRecord(record) }))
+      .filter(entry => entry.redemption.id)
+      .sort((a, b) => a.ref - b.ref);
+  }
+
+  async listByCode(code) {
+    const wanted = normalizeCode(code);
+    return (await this.entries())
+      .map(entry => entry.redemption)
+      .filter(redemption => redemption.code === wanted);
+  }
+
+  /**
+   * Number of redemptions a code has in use (reserved or paid)
+   * @param {string} code
+   * @returns {Promise<number>}
+   */
+  async countLive(code) {
+    return (await this.listByCode(code)).filter(PromoRedemptionRepository.isLive).length;
+  }
+
+  /**
+   * The redemption a registration holds, if any
+   * @param {string} registrationId
+   * @returns {Promise<Object|null>}
+   */
+  async findLiveByRegistration(registrationId) {
+    const entry = (await this.entries()).find(e =>
+      e.redemption.registrationId === String(registrationId) && PromoRedemptionRepository.isLive(e.redemption)
+    );
+    return entry ? entry.redemption : null;
+  }
+
+  /**
+   * Reserve one redemption of a code for a registration
+   * @param {string} code
+   * @param {string} registrationId
+   * @param {number|null} maxRedemptions - Limit of the code, null for unlimited
+   * @returns {Promise<Object>} { reserved, redemption }: a rejected row when the code has no redemption left
+   */
+  async reserve(code, registrationId, maxRedemptions) {
+    const now = new Date().toISOString();
+    const record = {
+      createdAt: now,
+      id: crypto.randomUUID(),
+      code: normalizeCode(code),
+      registrationId: String(registrationId),
+      status: REDEMPTION_STATUSES.RESERVED,
+      updatedAt: now,
+    };
+    await this.adapter.append(this.table, record);
+
+    const live = (await this.entries()).filter(e =>
+      e.redemption.code === record.code && PromoRedemptionRepository.isLive(e.redemption)
+    );
+    const position = live.findIndex(e => e.redemption.id === record.id);
+    const ours = live[position];
+    if (!ours) {
+      throw new Error(`Promo redemption ${record.id} not found after reserving`);
+    }
+
+    if (maxRedemptions && position >= maxRedemptions) {
+      const rejected = await this.updateStatus(ours, REDEMPTION_STATUSES.REJECTED);
+      return { reserved: false, redemption: rejected };
+    }
+    return { reserved: true, redemption: ours.redemption };
+  }
+
+  /**
+   * Change the status of a redemption
+   * @param {Object} target - Entry from entries() or a redemption with its id
+   * @param {string} status
+   * @returns {Promise<Object>} The updated redemption
+   */
+  async updateStatus(target, status) {
+    const entry = target.ref !== undefined
+      ? target
+      : (await this.entries()).find(e => e.redemption.id === target.id);
+    if (!entry) {
+      throw new Error(`Promo redemption not found: ${target.id}`);
+    }
+    const patch = { status, updatedAt: new Date().toISOString() };
+    await this.adapter.update(this.table, entry.ref, patch);
+    return { ...entry.redemption, ...patch };
+  }
+}
+
+export default PromoRedemptionRepository;
@@ -0,0 +1,53 @@
+/**
+ * Registration audit log repository
+ *
+ * Append-only log of changes made to registrations, one row per changed field
+ * (see REGISTRATION_AUDIT_TABLE).
+ */
+
+import { REGISTRATION_AUDIT_TABLE } from './schema';
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+export class RegistrationAuditRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = REGISTRATION_AUDIT_TABLE;
+  }
+
+  async listByRegistration(registrationId) {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ record }) => record)
+      .filter(record => record.timestamp && String(record.registrationId) === String(registrationId));
+  }
+
+  /**
+   * Log the changes of one edit
+   * @param {string} registrationId
+   * @param {Array<{field: string, oldValue: *, newValue: *}>} changes
+   * @param {Object} context - { actor, source }
+   */
+  async logChanges(registrationId, changes, { actor, source }) {
+    const timestamp = new Date().toISOString();
+    for (const change of changes) {
+      await this.adapter.append(this.table, {
+        timestamp,
+        registrationId,
+        actor,
+        source,
+        field: change.field,
+        oldValue: stringify(change.oldValue),
+        newValue: stringify(change.newValue),
+      });
+    }
+  }
+}
+
+export default RegistrationAuditRepository;
@@ -0,0 +1,185 @@
+/**
+ * Registration repository
+ *
+ * Translates between registration objects used by the API routes and the flat
+ * records stored by the configured adapter (see REGISTRATIONS_TABLE).
+ */
+
+import { REGISTRATIONS_TABLE } from './schema';
+import { matchesOrderId } from './order-ids';
+
+const ADDRESS_FIELDS = {
+  street: 'fullAddressStreet',
+  rtRw: 'fullAddressRtRw',
+  district: 'fullAddressDistrict',
+  city: 'fullAddressCity',
+  province: 'fullAddressProvince',
+  postcode: 'fullAddressPostcode',
+};
+
+const NUMERIC_FIELDS = ['baseAmount', 'fixedDonation', 'jerseyPrice', 'additionalDonation', 'totalAmount', 'discountAmount', 'refundedAmount'];
+
+/**
+ * Combine address fields into a single complete address
+ * @param {Object} registration
+ * @returns {string}
+ */
+function composeCompleteAddress(registration) {
+  if (registration.simpleAddress) {
+    return registration.simpleAddress;
+  }
+  if (registration.fullAddress) {
+    return Object.keys(ADDRESS_FIELDS)
+      .map(part => registration.fullAddress[part])
+      .filter(part => part && String(part).trim() !== '')
+      .join(', ');
+  }
+  return '';
+}
+
+export class RegistrationRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = REGISTRATIONS_TABLE;
+  }
+
+  /**
+   * Build a registration object from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    const registration = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (Object.values(ADDRESS_FIELDS).includes(key)) continue;
+      registration[key] = NUMERIC_FIELDS.includes(key) ? parseFloat(value) || 0 : value;
+    }
+
+    registration.fullAddress = {};
+    for (const [part, key] of Object.entries(ADDRESS_FIELDS)) {
+      registration.fullAddress[part] = record[key] || '';
+    }
+
+    registration.id = registration.id ? String(registration.id) : '';
+    registration.stravaAthleteId = registration.stravaAthleteId ? String(registration.stravaAthleteId) : '';
+    registration.packageType = registration.packageType || 'basic';
+    registration.status = registration.status || 'pending';
+    registration.paymentStatus = registration.paymentStatus || 'unpaid';
+    registration.donationDate = registration.donationDate || null;
+    return registration;
+  }
+
+  /**
+   * Flatten a (possibly partial) registration object into a stored record
+   * @param {Object} registration
+   * @returns {Object}
+   */
+  static toRecord(registration) {
+    const record = {};
+    for (const [key, value] of Object.entries(registration)) {
+      if (key === 'fullAddress') continue;
+      record[key] = value;
+    }
+
+    if (registration.fullAddress) {
+      for (const [part, key] of Object.entries(ADDRESS_FIELDS)) {
+        record[key] = registration.fullAddress[part] || '';
+      }
+    }
+
+    if ('simpleAddress' in registration || 'fullAddress' in registration) {
+      record.completeAddress = composeCompleteAddress(registration);
+    }
+
+    return record;
+  }
+
+  /**
+   * Read all stored registrations together with their storage reference
+   * @returns {Promise<Array<{ref: *, registration: Object}>>}
+   */
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, registration: RegistrationRepository.fromRecord(record) }))
+      .filter(entry => entry.registration.id); // Skip empty rows
+  }
+
+  async list() {
+    return (await this.entries()).map(entry => entry.registration);
+  }
+
+  async findById(id) {
+    const entry = (await this.entries()).find(e => e.registration.id === String(id));
+    return entry ? entry.registration : null;
+  }
+
+  async findByEmail(email) {
+    const emailLower = String(email || '').toLowerCase();
+    const entry = (await this.entries()).find(e => String(e.registration.email || '').toLowerCase() === emailLower);
+    return entry ? entry.registration : null;
+  }
+
+  /**
+   * Find the registration a Strava athlete is connected to
+   * @param {string|number} athleteId
+   * @returns {Promise<Object|null>}
+   */
+  async findByStravaAthleteId(athleteId) {
+    if (!athleteId) return null;
+    const entry = (await this.entries()).find(e => e.registration.stravaAthleteId === String(athleteId));
+    return entry ? entry.registration : null;
+  }
+
+  async emailExists(email) {
+    return (await this.findByEmail(email)) !== null;
+  }
+
+  /**
+   * Find the registration a Midtrans order belongs to.
+   * Matches the stored order ID or payment link exactly or as a prefix of the order ID (see matchesOrderId).
+   * @param {string} orderId - Midtrans order ID
+   * @returns {Promise<Object|null>}
+   */
+  async findByOrderId(orderId) {
+    if (!orderId) return null;
+    const entry = (await this.entries()).find(({ registration }) =>
+      matchesOrderId(registration.midtransOrderId, orderId) || matchesOrderId(registration.paymentLink, orderId)
+    );
+    return entry ? entry.registration : null;
+  }
+
+  /**
+   * Store a new registration
+   * @param {Object} registration
+   * @returns {Promise<Object>} The stored registration
+   */
+  async create(registration) {
+    const record = RegistrationRepository.toRecord({
+      timestamp: new Date().toISOString(),
+      ...registration
+    });
+    await this.adapter.append(this.table, record);
+    return registration;
+  }
+
+  /**
+   * Update fields of an existing registration
+   * @param {string} id - Registration ID
+   * @param {Object} patch - Fields to change
+   * @returns {Promise<Object>} The updated registration
+   */
+  async update(id, patch) {
+    const entry = (await this.entries()).find(e => e.registration.id === String(id));
+    if (!entry) {
+      throw new Error(`Registration not found: ${id}`);
+    }
+    await this.adapter.update(this.table, entry.ref, RegistrationRepository.toRecord(patch));
+    return { ...entry.registration, ...patch };
+  }
+}
+
+export default RegistrationRepository;
@@ -0,0 +1,288 @@
+/**
+ * Table definitions shared by every storage adapter.
+ *
+ * Each table lists its columns in sheet order. Adapters map rows to flat
+ * records keyed by `key`, so adding a column only means adding an entry here.
+ * New columns go at the end: rows already in a sheet keep their positions.
+ */
+
+import { STORAGE_CONFIG } from '../config';
+
+export const REGISTRATIONS_TABLE = {
+  name: 'registrations',
+  sheetName: STORAGE_CONFIG.REGISTRATIONS_SHEET,
+  columns: [
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'id', header: 'Registration ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'email', header: 'Email' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'stravaName', header: 'Strava Name' },
+    { key: 'packageType', header: 'Package Type' },
+    { key: 'jerseySize', header: 'Jersey Size' },
+    { key: 'gender', header: 'Gender' },
+    { key: 'completeAddress', header: 'Complete Address' },
+    { key: 'simpleAddress', header: 'Simple Address' },
+    { key: 'fullAddressStreet', header: 'Full Address Street' },
+    { key: 'fullAddressRtRw', header: 'Full Address RT/RW' },
+    { key: 'fullAddressDistrict', header: 'Full Address District' },
+    { key: 'fullAddressCity', header: 'Full Address City' },
+    { key: 'fullAddressProvince', header: 'Full Address Province' },
+    { key: 'fullAddressPostcode', header: 'Full Address Postcode' },
+    { key: 'baseAmount', header: 'Base Amount' },
+    { key: 'fixedDonation', header: 'Fixed Donation' },
+    { key: 'jerseyPrice', header: 'Jersey Price' },
+    { key: 'additionalDonation', header: 'Additional Donation' },
+    { key: 'registrationDate', header: 'Registration Date' },
+    { key: 'status', header: 'Status' },
+    { key: 'paymentStatus', header: 'Payment Status' },
+    { key: 'totalAmount', header: 'Total Amount' },
+    { key: 'donationDate', header: 'Donation Date' },
+    { key: 'paymentLink', header: 'Payment Link' },
+    { key: 'midtransOrderId', header: 'Midtrans Order ID' },
+    { key: 'pricingTier', header: 'Pricing Tier' },
+    { key: 'promoCode', header: 'Promo Code' },
+    { key: 'discountAmount', header: 'Discount Amount' },
+    { key: 'refundedAmount', header: 'Refunded Amount' },
+    { key: 'refundDate', header: 'Refund Date' },
+    { key: 'locale', header: 'Locale' },
+    { key: 'stravaAthleteId', header: 'Strava Athlete ID' },
+    { key: 'stravaConnectedAt', header: 'Strava Connected At' },
+  ],
+};
+
+export const SUBMISSIONS_TABLE = {
+  name: 'submissions',
+  sheetName: STORAGE_CONFIG.SUBMISSIONS_SHEET,
+  columns: [
+    { key: 'timestamp', header: 'Date Submit' },
+    { key: 'name', header: 'Nama Lengkap' },
+    { key: 'email', header: 'Email' },
+    { key: 'phone', header: 'Handphone' },
+    { key: 'stravaActivity', header: 'Link Aktivitas Strava' },
+    { key: 'distance', header: 'Jarak (km)' },
+    { key: 'duration', header: 'Durasi (HH:MM:SS)' },
+    { key: 'proofFileName', header: 'Foto' },
+    { key: 'activity_name', header: 'Activity Name' },
+    { key: 'location', header: 'Location' },
+    { key: 'activity_date', header: 'Activity Date' },
+    { key: 'pace', header: 'Pace' },
+    { key: 'authenticated', header: 'Authenticated' },
+    { key: 'auth_valid', header: 'Auth Valid' },
+    { key: 'verificationStatus', header: 'Verification Status' },
+    { key: 'id', header: 'Submission ID' },
+    { key: 'notes', header: 'Notes' },
+    { key: 'verificationMethod', header: 'Verification Method' },
+    { key: 'stravaActivityId', header: 'Strava Activity ID' },
+    { key: 'stravaAthleteId', header: 'Strava Athlete ID' },
+    { key: 'distanceMeters', header: 'Distance (m)' },
+    { key: 'durationSeconds', header: 'Duration (s)' },
+  ],
+};
+
+export const TRANSACTIONS_TABLE = {
+  name: 'transactions',
+  sheetName: STORAGE_CONFIG.TRANSACTION_HISTORY_SHEET,
+  columns: [
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'eventId', header: 'Event ID' },
+    { key: 'orderId', header: 'Order ID' },
+    { key: 'transactionStatus', header: 'Transaction Status' },
+    { key: 'paymentType', header: 'Payment Type' },
+    { key: 'grossAmount', header: 'Gross Amount' },
+    { key: 'fraudStatus', header: 'Fraud Status' },
+    { key: 'userEmail', header: 'User Email' },
+    { key: 'orderType', header: 'Order Type' },
+    { key: 'businessLogic', header: 'Business Logic' },
+    { key: 'notification', header: 'Full Notification' },
+    { key: 'metadata', header: 'Metadata' },
+    { key: 'refundAmount', header: 'Refund Amount' },
+  ],
+};
+
+export const PROMO_CODES_TABLE = {
+  name: 'promo_codes',
+  sheetName: STORAGE_CONFIG.PROMO_CODES_SHEET,
+  columns: [
+    { key: 'code', header: 'Code' },
+    { key: 'description', header: 'Description' },
+    { key: 'discountType', header: 'Discount Type' },
+    { key: 'discountValue', header: 'Discount Value' },
+    { key: 'maxRedemptions', header: 'Max Redemptions' },
+    { key: 'redemptionCount', header: 'Redemption Count' },
+    { key: 'validFrom', header: 'Valid From' },
+    { key: 'validUntil', header: 'Valid Until' },
+    { key: 'packages', header: 'Packages' },
+    { key: 'active', header: 'Active' },
+  ],
+};
+
+export const PROMO_REDEMPTIONS_TABLE = {
+  name: 'promo_redemptions',
+  sheetName: STORAGE_CONFIG.PROMO_REDEMPTIONS_SHEET,
+  columns: [
+    { key: 'createdAt', header: 'Created At' },
+    { key: 'id', header: 'Redemption ID' },
+    { key: 'code', header: 'Code' },
+    { key: 'registrationId', header: 'Registration ID' },
+    { key: 'status', header: 'Status' },
+    { key: 'updatedAt', header: 'Updated At' },
+  ],
+};
+
+export const PAYMENT_ATTEMPTS_TABLE = {
+  name: 'payment_attempts',
+  sheetName: STORAGE_CONFIG.PAYMENT_ATTEMPTS_SHEET,
+  columns: [
+    { key: 'createdAt', header: 'Created At' },
+    { key: 'registrationId', header: 'Registration ID' },
+    { key: 'orderId', header: 'Order ID' },
+    { key: 'paymentLink', header: 'Payment Link' },
+    { key: 'grossAmount', header: 'Gross Amount' },
+    { key: 'source', header: 'Source' },
+    { key: 'status', header: 'Payment Status' },
+    { key: 'transactionStatus', header: 'Transaction Status' },
+    { key: 'statusUpdatedAt', header: 'Status Updated At' },
+  ],
+};
+
+export const PARTICIPANT_LOGINS_TABLE = {
+  name: 'participant_logins',
+  sheetName: STORAGE_CONFIG.PARTICIPANT_LOGINS_SHEET,
+  columns: [
+    { key: 'createdAt', header: 'Created At' },
+    { key: 'loginId', header: 'Login ID' },
+    { key: 'registrationId', header: 'Registration ID' },
+    { key: 'email', header: 'Email' },
+    { key: 'codeHash', header: 'Code Hash' },
+    { key: 'tokenHash', header: 'Token Hash' },
+    { key: 'expiresAt', header: 'Expires At' },
+    { key: 'failedAttempts', header: 'Failed Attempts' },
+    { key: 'usedAt', header: 'Used At' },
+  ],
+};
+
+export const REGISTRATION_AUDIT_TABLE = {
+  name: 'registration_audit',
+  sheetName: STORAGE_CONFIG.REGISTRATION_AUDIT_SHEET,
+  columns: [
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'registrationId', header: 'Registration ID' },
+    { key: 'actor', header: 'Actor' },
+    { key: 'source', header: 'Source' },
+    { key: 'field', header: 'Field' },
+    { key: 'oldValue', header: 'Old Value' },
+    { key: 'newValue', header: 'New Value' },
+  ],
+};
+
+export const NOTIFICATION_OUTBOX_TABLE = {
+  name: 'notification_outbox',
+  sheetName: STORAGE_CONFIG.NOTIFICATION_OUTBOX_SHEET,
+  columns: [
+    { key: 'createdAt', header: 'Created At' },
+    { key: 'id', header: 'Notification ID' },
+    { key: 'event', header: 'Event' },
+    { key: 'channel', header: 'Channel' },
+    { key: 'recipient', header: 'Recipient' },
+    { key: 'locale', header: 'Locale' },
+    { key: 'subject', header: 'Subject' },
+    { key: 'body', header: 'Body' },
+    { key: 'data', header: 'Data' },
+    { key: 'status', header: 'Status' },
+    { key: 'attempts', header: 'Attempts' },
+    { key: 'nextAttemptAt', header: 'Next Attempt At' },
+    { key: 'lastError', header: 'Last Error' },
+    { key: 'sentAt', header: 'Sent At' },
+  ],
+};
+
+export const STRAVA_TOKENS_TABLE = {
+  name: 'strava_tokens',
+  sheetName: STORAGE_CONFIG.STRAVA_TOKENS_SHEET,
+  columns: [
+    { key: 'key', header: 'Key' },
+    { key: 'athleteId', header: 'Athlete ID' },
+    { key: 'accessToken', header: 'Access Token' },
+    { key: 'refreshToken', header: 'Refresh Token' },
+    { key: 'expiresAt', header: 'Expires At' },
+    { key: 'seedRefreshToken', header: 'Seed Refresh Token' },
+    { key: 'updatedAt', header: 'Updated At' },
+    { key: 'scope', header: 'Scope' },
+  ],
+};
+
+export const CLUB_ACTIVITIES_TABLE = {
+  name: 'club_activities',
+  sheetName: STORAGE_CONFIG.CLUB_ACTIVITIES_SHEET,
+  columns: [
+    { key: 'fingerprint', header: 'Fingerprint' },
+    { key: 'clubId', header: 'Club ID' },
+    { key: 'athleteFirstname', header: 'Athlete First Name' },
+    { key: 'athleteLastname', header: 'Athlete Last Name' },
+    { key: 'name', header: 'Activity Name' },
+    { key: 'distance', header: 'Distance (m)' },
+    { key: 'movingTime', header: 'Moving Time (s)' },
+    { key: 'elapsedTime', header: 'Elapsed Time (s)' },
+    { key: 'totalElevationGain', header: 'Elevation Gain (m)' },
+    { key: 'type', header: 'Type' },
+    { key: 'sportType', header: 'Sport Type' },
+    { key: 'workoutType', header: 'Workout Type' },
+    { key: 'startDate', header: 'Start Date' },
+    { key: 'firstSeenAt', header: 'First Seen At' },
+    { key: 'baseline', header: 'Baseline' },
+  ],
+};
+
+/**
+ * Convert a 0-based column index to A1 column letters (0 -> A, 27 -> AB)
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnLetter(index) {
+  let n = index + 1;
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Find the 0-based column index of a key in a table
+ * @param {Object} table - Table definition
+ * @param {string} key - Column key
+ * @returns {number} Index or -1 when the table has no such column
+ */
+export function columnIndex(table, key) {
+  return table.columns.findIndex(col => col.key === key);
+}
+
+/**
+ * Convert a positional row into a flat record keyed by column key
+ * @param {Object} table - Table definition
+ * @param {Array} row - Raw row values
+ * @returns {Object}
+ */
+export function rowToRecord(table, row = []) {
+  const record = {};
+  table.columns.forEach((col, i) => {
+    record[col.key] = row[i] !== undefined ? row[i] : '';
+  });
+  return record;
+}
+
+/**
+ * Convert a flat record into a positional row in column order
+ * @param {Object} table - Table definition
+ * @param {Object} record - Flat record
+ * @returns {Array}
+ */
+export function recordToRow(table, record = {}) {
+  return table.columns.map(col => {
+    const value = record[col.key];
+    return value !== undefined && value !== null ? value : '';
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * Google Sheets storage adapter
+ *
+ * Every table maps to one sheet tab with a header row in row 1 and data from row 2.
+ * Row references returned by readAll() are 1-based sheet row numbers.
+ */
+
+import { getGoogleSheetsClientFromEnv } from '../sheets-client';
+import { columnLetter, columnIndex, recordToRow, rowToRecord } from './schema';
+
+export function createSheetsAdapter({ spreadsheetId }) {
+  let sheetsClient = null;
+  const headersChecked = new Set();
+
+  async function getSheets() {
+    if (!sheetsClient) {
+      const { sheets } = await getGoogleSheetsClientFromEnv();
+      sheetsClient = sheets;
+    }
+    return sheetsClient;
+  }
+
+  function lastColumn(table) {
+    return columnLetter(table.columns.length - 1);
+  }
+
+  /**
+   * Create the sheet tab for a table and write its header row
+   */
+  async function createSheet(table) {
+    const sheets = await getSheets();
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{ addSheet: { properties: { title: table.sheetName } } }]
+      }
+    });
+    await writeHeaders(table);
+  }
+
+  async function writeHeaders(table) {
+    const sheets = await getSheets();
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${table.sheetName}!A1:${lastColumn(table)}1`,
+      valueInputOption: 'USER_ENTERED',
+      resource: { values: [table.columns.map(col => col.header)] }
+    });
+  }
+
+  /**
+   * Write the header row if the sheet is still empty or is missing columns added
+   * to the table since it was created (checked once per table per instance)
+   */
+  async function ensureHeaders(table) {
+    if (headersChecked.has(table.name)) return;
+    try {
+      const sheets = await getSheets();
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${table.sheetName}!A1:${lastColumn(table)}1`,
+      });
+      const existing = response.data.values?.[0] || [];
+      if (existing.length < table.columns.length) {
+        console.log(`Adding headers to sheet ${table.sheetName}`);
+        await writeHeaders(table);
+      }
+      headersChecked.add(table.name);
+    } catch (error) {
+      console.log(`Header check failed for ${table.sheetName}, continuing:`, error.message);
+    }
+  }
+
+  async function appendRows(table, records) {
+    const sheets = await getSheets();
+    const request = {
+      spreadsheetId,
+      range: `${table.sheetName}!A2`,
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: records.map(record => recordToRow(table, record)) }
+    };
+
+    try {
+      await ensureHeaders(table);
+      const result = await sheets.spreadsheets.values.append(request);
+      return result.data;
+    } catch (error) {
+      if (error.code !== 404) throw error;
+      console.log(`Creating sheet ${table.sheetName}...`);
+      await createSheet(table);
+      headersChecked.add(table.name);
+      const result = await sheets.spreadsheets.values.append(request);
+      return result.data;
+    }
+  }
+
+  async function getSheetId(table) {
+    const sheets = await getSheets();
+    const response = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties' });
+    const sheet = (response.data.sheets || []).find(s => s.properties.title === table.sheetName);
+    if (!sheet) {
+      throw new Error(`Sheet not found: ${table.sheetName}`);
+    }
+    return sheet.properties.sheetId;
+  }
+
+  return {
+    driver: 'sheets',
+
+    /**
+     * Read every data row of a table
+     * @returns {Promise<Array<{ref: number, record: Object}>>}
+     */
+    async readAll(table) {
+      const sheets = await getSheets();
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${table.sheetName}!A2:${lastColumn(table)}`,
+      });
+      const rows = response.data.values || [];
+      return rows.map((row, i) => ({ ref: i + 2, record: rowToRecord(table, row) }));
+    },
+
+    /**
+     * Append a record as a new row, creating the sheet on first use
+     */
+    async append(table, record) {
+      return await appendRows(table, [record]);
+    },
+
+    /**
+     * Append several records in one request
+     */
+    async appendMany(table, records) {
+      if (records.length === 0) return null;
+      return await appendRows(table, records);
+    },
+
+    /**
+     * Update individual columns of an existing row
+     * @param {Object} table - Table definition
+     * @param {number} ref - Sheet row number from readAll()
+     * @param {Object} patch - Flat record with the columns to change
+     */
+    async update(table, ref, patch) {
+      const data = Object.entries(patch)
+        .filter(([key]) => columnIndex(table, key) !== -1)
+        .map(([key, value]) => ({
+          range: `${table.sheetName}!${columnLetter(columnIndex(table, key))}${ref}`,
+          values: [[value !== undefined && value !== null ? value : '']]
+        }));
+
+      if (data.length === 0) return null;
+
+      const sheets = await getSheets();
+      const result = await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: {
+          valueInputOption: 'USER_ENTERED',
+          data
+        }
+      });
+      return result.data;
+    },
+
+    /**
+     * Delete rows in one request. Rows below the deleted ones move up, so row
+     * references read before the call no longer hold afterwards.
+     * @param {Object} table - Table definition
+     * @param {Array<number>} refs - Sheet row numbers from readAll()
+     */
+    async deleteRows(table, refs) {
+      if (refs.length === 0) return null;
+      const sheetId = await getSheetId(table);
+
+      // Bottom-up, so each deletion leaves the rows still to delete in place
+      const requests = [...new Set(refs)].sort((a, b) => b - a).map(ref => ({
+        deleteDimension: {
+          range: { sheetId, dimension: 'ROWS', startIndex: ref - 1, endIndex: ref }
+        }
+      }));
+
+      const sheets = await getSheets();
+      const result = await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests }
+      });
+      return result.data;
+    }
+  };
+}
+
+export default { createSheetsAdapter };
@@ -0,0 +1,76 @@
+/**
+ * Strava token repository
+ *
+ * The current OAuth token pair per key (see STRAVA_TOKENS_TABLE). 'club' is the
+ * account that reads the club feed; participants who connected Strava are stored
+ * as 'registration:<id>'. Strava rotates refresh tokens, so the pair must be
+ * written back after every refresh.
+ */
+
+import { STRAVA_TOKENS_TABLE } from './schema';
+
+export class StravaTokenRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = STRAVA_TOKENS_TABLE;
+  }
+
+  /**
+   * Build a token pair from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      athleteId: record.athleteId ? String(record.athleteId) : '',
+      expiresAt: parseInt(record.expiresAt, 10) || 0,
+    };
+  }
+
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, tokens: StravaTokenRepository.fromRecord(record) }))
+      .filter(entry => entry.tokens.key);
+  }
+
+  async find(key) {
+    const entry = (await this.entries()).find(e => e.tokens.key === key);
+    return entry ? entry.tokens : null;
+  }
+
+  /**
+   * Store the token pair of a key, replacing the previous one
+   * @param {string} key
+   * @param {Object} tokens - { accessToken, refreshToken, expiresAt, athleteId, seedRefreshToken }
+   * @returns {Promise<Object>}
+   */
+  async save(key, tokens) {
+    const record = { ...tokens, key, updatedAt: new Date().toISOString() };
+    const entry = (await this.entries()).find(e => e.tokens.key === key);
+    if (entry) {
+      await this.adapter.update(this.table, entry.ref, record);
+    } else {
+      await this.adapter.append(this.table, record);
+    }
+    return StravaTokenRepository.fromRecord(record);
+  }
+
+  /**
+   * Delete the token pair of a key
+   * @param {string} key
+   * @returns {Promise<boolean>} Whether a pair was stored
+   */
+  async remove(key) {
+    const refs = (await this.entries()).filter(e => e.tokens.key === key).map(e => e.ref);
+    if (refs.length === 0) return false;
+    await this.adapter.deleteRows(this.table, refs);
+    return true;
+  }
+}
+
+export default StravaTokenRepository;
@@ -0,0 +1,142 @@
+/**
+ * Run submission repository
+ *
+ * Distances are stored in meters and durations in seconds. The older Jarak (km) and
+ * Durasi (HH:MM:SS) columns are still written, derived from them, for the people who
+ * read the sheet; rows from before the meters and seconds columns are read from the
+ * older columns.
+ */
+
+import { SUBMISSIONS_TABLE } from './schema';
+
+function parseBoolean(value) {
+  return value === true || String(value).toUpperCase() === 'TRUE';
+}
+
+// Durasi is HH:MM:SS (or MM:SS in older rows)
+function parseDurationSeconds(value) {
+  const parts = String(value || '').split(':').map(part => parseInt(part || '0', 10) || 0);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+// Jarak (km) and Durasi (HH:MM:SS) of the meters and seconds in a record or patch
+function deriveLegacyUnits(fields) {
+  const derived = { ...fields };
+  if (fields.distanceMeters !== undefined && fields.distanceMeters !== '') {
+    derived.distanceMeters = Math.round(Number(fields.distanceMeters) || 0);
+    derived.distance = Number((derived.distanceMeters / 1000).toFixed(3));
+  }
+  if (fields.durationSeconds !== undefined && fields.durationSeconds !== '') {
+    derived.durationSeconds = Math.round(Number(fields.durationSeconds) || 0);
+    derived.duration = formatDuration(derived.durationSeconds);
+  }
+  return derived;
+}
+
+export class SubmissionRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = SUBMISSIONS_TABLE;
+  }
+
+  /**
+   * Build a submission object from a stored record
+   * distanceMeters and durationSeconds are the values to compute with; distance (km) and
+   * duration (HH:MM:SS) are the same values as the sheet shows them.
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    const distanceMeters = parseInt(record.distanceMeters, 10) || Math.round((parseFloat(record.distance) || 0) * 1000);
+    const durationSeconds = parseInt(record.durationSeconds, 10) || parseDurationSeconds(record.duration);
+    return {
+      ...record,
+      ...deriveLegacyUnits({ distanceMeters, durationSeconds }),
+      email: String(record.email || ''),
+      authenticated: parseBoolean(record.authenticated),
+      auth_valid: parseBoolean(record.auth_valid),
+    };
+  }
+
+  async entries() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ ref, record }) => ({ ref, submission: SubmissionRepository.fromRecord(record) }))
+      .filter(entry => entry.submission.timestamp); // Filter out empty rows by timestamp
+  }
+
+  async list() {
+    return (await this.entries()).map(entry => entry.submission);
+  }
+
+  async listByEmail(email) {
+    const emailLower = String(email || '').toLowerCase();
+    return (await this.list()).filter(s => s.email.toLowerCase() === emailLower);
+  }
+
+  async findById(id) {
+    const entry = (await this.entries()).find(e => e.submission.id && String(e.submission.id) === String(id));
+    return entry ? entry.submission : null;
+  }
+
+  /**
+   * Submissions of a Strava activity, in the order they were stored
+   * @param {string|number} activityId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listByStravaActivityId(activityId) {
+    return (await this.list()).filter(s => s.stravaActivityId && String(s.stravaActivityId) === String(activityId));
+  }
+
+  /**
+   * Most recent submission of a Strava activity
+   * @param {string|number} activityId
+   * @returns {Promise<Object|null>}
+   */
+  async findByStravaActivityId(activityId) {
+    const matches = await this.listByStravaActivityId(activityId);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  /**
+   * Store a new submission
+   * @param {Object} submission - With distanceMeters and durationSeconds
+   * @returns {Promise<Object>} The stored submission, including distance (km) and duration (HH:MM:SS)
+   */
+  async create(submission) {
+    const record = deriveLegacyUnits({
+      timestamp: new Date().toISOString(),
+      ...submission
+    });
+    await this.adapter.append(this.table, record);
+    return record;
+  }
+
+  /**
+   * Update fields of a submission
+   * @param {string} id - Submission ID
+   * @param {Object} patch
+   * @returns {Promise<Object>} The updated submission
+   */
+  async update(id, patch) {
+    const entry = (await this.entries()).find(e => e.submission.id && String(e.submission.id) === String(id));
+    if (!entry) {
+      throw new Error(`Submission not found: ${id}`);
+    }
+    const derived = deriveLegacyUnits(patch);
+    await this.adapter.update(this.table, entry.ref, derived);
+    return { ...entry.submission, ...derived };
+  }
+}
+
+export default SubmissionRepository;
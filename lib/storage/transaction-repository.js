@@ -0,0 +1,67 @@
+/**
+ * Payment transaction history repository
+ *
+ * Append-only log of Midtrans notifications and processing stages.
+ */
+
+import { TRANSACTIONS_TABLE } from './schema';
+
+function parseJson(value) {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+export class TransactionRepository {
+  /**
+   * @param {Object} adapter - Storage adapter (sheets or json)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.table = TRANSACTIONS_TABLE;
+  }
+
+  /**
+   * Build a transaction entry from a stored record
+   * @param {Object} record - Flat record
+   * @returns {Object}
+   */
+  static fromRecord(record) {
+    return {
+      ...record,
+      notification: parseJson(record.notification),
+      metadata: parseJson(record.metadata),
+    };
+  }
+
+  async list() {
+    const rows = await this.adapter.readAll(this.table);
+    return rows
+      .map(({ record }) => TransactionRepository.fromRecord(record))
+      .filter(entry => entry.timestamp);
+  }
+
+  async listByOrderId(orderId) {
+    return (await this.list()).filter(entry => entry.orderId === orderId);
+  }
+
+  /**
+   * Append a history entry. Object-valued notification/metadata are stored as JSON.
+   * @param {Object} entry
+   */
+  async append(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      ...entry,
+      notification: typeof entry.notification === 'string' ? entry.notification : JSON.stringify(entry.notification || {}),
+      metadata: typeof entry.metadata === 'string' ? entry.metadata : JSON.stringify(entry.metadata || {}),
+    };
+    await this.adapter.append(this.table, record);
+    return record;
+  }
+}
+
+export default TransactionRepository;
@@ -0,0 +1,131 @@
+/**
+ * Strava activity URLs as participants paste them
+ *
+ * Links copied from the app or the website come in many shapes: mobile-share
+ * short links (strava.app.link/...), share_sig and utm_* tracking parameters,
+ * and activity subpages such as /analysis or /segments. All of them are brought
+ * back to one canonical URL per activity, so an activity is the same submission
+ * whichever link was pasted.
+ */
+
+import { STRAVA_CONFIG } from './config';
+
+// Hosts of Strava's mobile-share short links; they redirect to the activity
+const SHORT_LINK_HOSTS = ['strava.app.link'];
+
+const ACTIVITY_HOSTS = ['strava.com', 'www.strava.com', 'm.strava.com'];
+
+const ACTIVITY_PATH = /^\/activities\/(\d+)(?:\/|$)/;
+
+// An activity URL anywhere in a page, for short links that redirect with JavaScript
+const ACTIVITY_URL_IN_TEXT = /https?:(?:\/|\\\/){2}(?:www\.|m\.)?strava\.com(?:\/|\\\/)activities(?:\/|\\\/)(\d+)/;
+
+function createStravaUrlError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Pasted text as a URL: surrounding whitespace and a missing scheme are tolerated
+function parseUrl(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Canonical public URL of a Strava activity, the form stored for submissions
+ * @param {string|number} activityId
+ * @returns {string}
+ */
+export function buildStravaActivityUrl(activityId) {
+  return `https://www.strava.com/activities/${activityId}/overview`;
+}
+
+/**
+ * Whether a URL is a Strava mobile-share short link
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isStravaShortLink(url) {
+  const parsed = parseUrl(url);
+  return Boolean(parsed) && SHORT_LINK_HOSTS.includes(parsed.hostname.toLowerCase());
+}
+
+/**
+ * Activity ID of a Strava activity URL, whatever its subpage or query parameters,
+ * e.g. https://www.strava.com/activities/123/analysis?share_sig=abc -> "123"
+ * @param {string} url
+ * @returns {string|null} null for short links and URLs that are not a Strava activity
+ */
+export function extractStravaActivityId(url) {
+  const parsed = parseUrl(url);
+  if (!parsed || !ACTIVITY_HOSTS.includes(parsed.hostname.toLowerCase())) return null;
+  const match = parsed.pathname.match(ACTIVITY_PATH);
+  return match ? match[1] : null;
+}
+
+/**
+ * Follow a short link to the activity it points at
+ * @param {string} url
+ * @returns {Promise<string>} The activity ID; throws an Error with status 400 when the link
+ *   leads elsewhere, 502 when it can't be followed
+ */
+async function resolveShortLink(url) {
+  let response;
+  try {
+    response = await fetch(parseUrl(url).href, {
+      redirect: 'follow',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      },
+      signal: AbortSignal.timeout(STRAVA_CONFIG.TIMEOUT)
+    });
+  } catch (error) {
+    console.error('Failed to resolve Strava short link:', url, error.message);
+    throw createStravaUrlError('Failed to resolve Strava short link', 502);
+  }
+
+  const activityId = extractStravaActivityId(response.url);
+  if (activityId) return activityId;
+
+  // Some short links answer with a page that redirects in the browser
+  const body = await response.text().catch(() => '');
+  const match = body.match(ACTIVITY_URL_IN_TEXT);
+  if (match) return match[1];
+
+  throw createStravaUrlError('Strava short link does not point to an activity');
+}
+
+/**
+ * Canonical form of a pasted Strava activity link: short links are followed, tracking
+ * parameters and subpages are dropped
+ * @param {string} url
+ * @returns {Promise<Object>} { url, activityId, originalUrl, resolved }: resolved says whether
+ *   a short link was followed. Throws an Error with status 400 for links that are not a Strava
+ *   activity, 502 when a short link can't be followed
+ */
+export async function canonicalizeStravaUrl(url) {
+  const originalUrl = String(url || '').trim();
+  if (!originalUrl) throw createStravaUrlError('Strava activity URL is required');
+
+  let activityId = extractStravaActivityId(originalUrl);
+  const resolved = !activityId && isStravaShortLink(originalUrl);
+  if (resolved) activityId = await resolveShortLink(originalUrl);
+  if (!activityId) {
+    throw createStravaUrlError('Invalid Strava activity URL: expected https://www.strava.com/activities/{id} or a strava.app.link share link');
+  }
+
+  return { url: buildStravaActivityUrl(activityId), activityId, originalUrl, resolved };
+}
+
+export default {
+  buildStravaActivityUrl,
+  isStravaShortLink,
+  extractStravaActivityId,
+  canonicalizeStravaUrl
+};
@@ -0,0 +1,380 @@
+/**
+ * Strava push subscription events
+ *
+ * Runs of participants who connected Strava become submissions automatically:
+ * a created activity is submitted under the same rules as POST /api/run/submit,
+ * an update revises that submission and a delete withdraws it. Athletes who
+ * revoke our access on Strava are disconnected from their registration.
+ *
+ * Events share the idempotency store with Midtrans notifications; their IDs start
+ * with 'strava_'. Events that failed, e.g. while Strava was rate limiting us, are
+ * processed again by retryFailedStravaEvents from a cron job.
+ */
+
+import { STRAVA_CONFIG, SUBMISSION_CONFIG } from './config';
+import { EVENT_STATUSES, getEventTtlSeconds, getIdempotencyStore } from './idempotency';
+import { getRegistrationRepository, getSubmissionRepository } from './storage';
+import { NOTIFICATION_EVENTS, notify } from './notifications';
+import { clearParticipantStrava, verifyParticipantActivity } from './participant-strava';
+import {
+  VERIFICATION_STATUSES,
+  buildStravaActivityUrl,
+  checkDuplicateSubmission,
+  isActiveSubmission,
+  isSubmissionLimitReached
+} from './submissions';
+
+export const STRAVA_ASPECT_TYPES = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+// Prefix of Strava event IDs in the idempotency store
+export const STRAVA_EVENT_PREFIX = 'strava_';
+
+// Tail of the events being handled per activity ID in this instance
+const activityQueues = new Map();
+
+/**
+ * Build the idempotency key of an event
+ * Strava retries an event it got no 200 for, with the same fields.
+ * @param {Object} event - Strava event body
+ * @returns {string}
+ */
+export function generateStravaEventId(event) {
+  return `${STRAVA_EVENT_PREFIX}${event.subscription_id}_${event.object_type}_${event.object_id}_${event.aspect_type}_${event.event_time}`;
+}
+
+/**
+ * Whether an idempotency store event is a Strava event
+ * @param {string} eventId
+ * @returns {boolean}
+ */
+export function isStravaEventId(eventId) {
+  return String(eventId || '').startsWith(STRAVA_EVENT_PREFIX);
+}
+
+/**
+ * Why an activity does not count as a run for the event, if it doesn't
+ * @param {Object} verification - Result of verifyParticipantActivity
+ * @returns {string|null}
+ */
+function getDisqualification(verification) {
+  if (!SUBMISSION_CONFIG.AUTO_SUBMIT_SPORT_TYPES.includes(verification.sportType)) {
+    return `sport type ${verification.sportType} does not count`;
+  }
+  if (verification.distance < SUBMISSION_CONFIG.AUTO_SUBMIT_MIN_DISTANCE_KM) {
+    return `distance ${verification.distance} km is below ${SUBMISSION_CONFIG.AUTO_SUBMIT_MIN_DISTANCE_KM} km`;
+  }
+  if (SUBMISSION_CONFIG.AUTO_SUBMIT_FROM && verification.startDate
+    && new Date(verification.startDate) < new Date(SUBMISSION_CONFIG.AUTO_SUBMIT_FROM)) {
+    return `started before ${SUBMISSION_CONFIG.AUTO_SUBMIT_FROM}`;
+  }
+  return null;
+}
+
+/**
+ * Submission fields read from the activity
+ * @param {Object} verification - Result of verifyParticipantActivity
+ * @param {Object} [existing] - Submission being revised
+ * @returns {Object}
+ */
+function getActivityFields(verification, existing = null) {
+  // A committee rejection stands until the committee reviews the submission again
+  let verificationStatus = verification.manual ? VERIFICATION_STATUSES.PENDING : VERIFICATION_STATUSES.VERIFIED;
+  if (existing && existing.verificationStatus === VERIFICATION_STATUSES.REJECTED) {
+    verificationStatus = VERIFICATION_STATUSES.REJECTED;
+  }
+
+  return {
+    distanceMeters: verification.distanceMeters,
+    durationSeconds: verification.durationSeconds,
+    activity_name: verification.meta.activity_name,
+    location: verification.meta.location,
+    activity_date: verification.meta.date,
+    pace: verification.meta.pace,
+    authenticated: true,
+    auth_valid: true,
+    verificationStatus
+  };
+}
+
+/**
+ * Withdraw a submission whose activity was deleted or no longer qualifies
+ * @param {Object} submission
+ * @param {string} reason
+ * @returns {Promise<Object>}
+ */
+async function withdrawSubmission(submission, reason) {
+  if (submission.verificationStatus === VERIFICATION_STATUSES.WITHDRAWN) {
+    return { success: true, action: 'none', submissionId: submission.id, reason: 'already withdrawn' };
+  }
+
+  await getSubmissionRepository().update(submission.id, {
+    verificationStatus: VERIFICATION_STATUSES.WITHDRAWN,
+    notes: `Withdrawn: ${reason}`
+  });
+  console.log(`Submission ${submission.id} for Strava activity ${submission.stravaActivityId} withdrawn: ${reason}`);
+  return { success: true, action: 'withdrawn', submissionId: submission.id, reason };
+}
+
+/**
+ * Submit a new activity for the registration
+ * @param {Object} registration
+ * @param {Object} verification - Result of verifyParticipantActivity
+ * @returns {Promise<Object>}
+ */
+async function createSubmission(registration, verification) {
+  const stravaActivity = buildStravaActivityUrl(verification.activityId);
+  const { isStravaDuplicate, emailCount } = await checkDuplicateSubmission(registration.email, stravaActivity, verification.activityId);
+  if (isStravaDuplicate) {
+    return { success: true, action: 'skipped', reason: 'activity already submitted' };
+  }
+  if (isSubmissionLimitReached(emailCount)) {
+    console.log(`Email ${registration.email} has already submitted ${emailCount} times; not submitting activity ${verification.activityId}`);
+    return { success: true, action: 'skipped', reason: 'submission limit reached' };
+  }
+
+  const fields = getActivityFields(verification);
+  const submission = {
+    id: Date.now().toString(),
+    name: String(registration.name || '').trim(),
+    email: String(registration.email || '').trim().toLowerCase(),
+    phone: String(registration.phone || '').trim(),
+    stravaActivity,
+    ...fields,
+    submissionDate: new Date().toISOString(),
+    status: 'submitted',
+    proofFileName: '',
+    notes: fields.verificationStatus === VERIFICATION_STATUSES.VERIFIED
+      ? 'Submitted automatically from Strava'
+      : 'Submitted automatically from Strava, awaiting verification of a manual entry',
+    verificationMethod: 'strava_webhook',
+    stravaActivityId: verification.activityId,
+    stravaAthleteId: verification.athleteId
+  };
+
+  const repository = getSubmissionRepository();
+  const stored = await repository.create(submission);
+
+  // Another instance may have stored the activity at the same time: the first submission keeps it
+  const holder = (await repository.listByStravaActivityId(verification.activityId)).find(isActiveSubmission);
+  if (holder && holder.id !== submission.id) {
+    await repository.update(submission.id, {
+      verificationStatus: VERIFICATION_STATUSES.WITHDRAWN,
+      notes: `Withdrawn: duplicate of submission ${holder.id}`
+    });
+    console.log(`Strava activity ${verification.activityId} was submitted concurrently; keeping submission ${holder.id}`);
+    return { success: true, action: 'skipped', reason: 'activity already submitted', submissionId: holder.id };
+  }
+  console.log(`Strava activity ${verification.activityId} submitted automatically for ${submission.email}`);
+
+  const verified = submission.verificationStatus === VERIFICATION_STATUSES.VERIFIED;
+  await notify(verified ? NOTIFICATION_EVENTS.SUBMISSION_VERIFIED : NOTIFICATION_EVENTS.SUBMISSION_RECEIVED, {
+    to: submission.email,
+    locale: registration.locale,
+    data: {
+      name: submission.name,
+      submissionId: submission.id,
+      distance: stored.distance,
+      duration: stored.duration,
+      stravaActivity
+    }
+  });
+
+  return { success: true, action: 'created', submissionId: submission.id };
+}
+
+/**
+ * Run the events of one activity one at a time, so a create and its retry by
+ * Strava (or an update right behind it) can't both submit the activity
+ * @param {string} activityId
+ * @param {Function} task
+ * @returns {Promise<*>}
+ */
+function withActivityQueue(activityId, task) {
+  const previous = activityQueues.get(activityId) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  activityQueues.set(activityId, tail);
+  tail.then(() => {
+    if (activityQueues.get(activityId) === tail) activityQueues.delete(activityId);
+  });
+  return run;
+}
+
+/**
+ * Handle an activity event of a connected athlete
+ * @param {Object} event
+ * @param {Object} registration
+ * @returns {Promise<Object>}
+ */
+function processActivityEvent(event, registration) {
+  const activityId = String(event.object_id);
+  return withActivityQueue(activityId, () => processActivity(event, registration, activityId));
+}
+
+async function processActivity(event, registration, activityId) {
+  const existing = await getSubmissionRepository().findByStravaActivityId(activityId);
+
+  if (event.aspect_type === STRAVA_ASPECT_TYPES.DELETE) {
+    if (!existing) return { success: true, action: 'none', reason: 'activity was not submitted' };
+    return await withdrawSubmission(existing, 'activity deleted on Strava');
+  }
+
+  const verification = await verifyParticipantActivity(registration, buildStravaActivityUrl(activityId));
+  if (!verification.verified) {
+    // Made private or otherwise hidden from us since it was submitted
+    if (existing && verification.status === 404) {
+      return await withdrawSubmission(existing, 'activity no longer visible on Strava');
+    }
+    return { success: !(verification.reconnect || verification.rateLimited), action: 'skipped', reason: verification.error };
+  }
+
+  const disqualification = getDisqualification(verification);
+
+  if (existing && existing.verificationMethod === 'strava_webhook') {
+    if (disqualification) {
+      return await withdrawSubmission(existing, disqualification);
+    }
+    const fields = getActivityFields(verification, existing);
+    await getSubmissionRepository().update(existing.id, {
+      ...fields,
+      notes: existing.verificationStatus === VERIFICATION_STATUSES.WITHDRAWN
+        ? 'Reinstated after the activity was updated on Strava'
+        : 'Updated from Strava'
+    });
+    console.log(`Submission ${existing.id} revised from Strava activity ${activityId}`);
+    return { success: true, action: 'updated', submissionId: existing.id };
+  }
+
+  // Submitted through the form: the participant's own values and proof stand
+  if (existing) {
+    return { success: true, action: 'none', reason: 'activity was submitted manually' };
+  }
+
+  if (disqualification) {
+    return { success: true, action: 'skipped', reason: disqualification };
+  }
+
+  // An update can make an activity qualify, e.g. a walk changed to a run
+  return await createSubmission(registration, verification);
+}
+
+/**
+ * Process one Strava push event
+ * @param {Object} event - { object_type, object_id, aspect_type, owner_id, subscription_id, event_time, updates }
+ * @returns {Promise<Object>} - { success, action, ... }
+ */
+export async function processStravaEvent(event) {
+  try {
+    const registration = await getRegistrationRepository().findByStravaAthleteId(event.owner_id);
+    if (!registration) {
+      return { success: true, action: 'skipped', reason: 'athlete is not connected to a registration' };
+    }
+
+    if (event.object_type === 'athlete') {
+      // Strava sends { authorized: 'false' } when the athlete revokes our access
+      if (event.updates?.authorized === 'false') {
+        await clearParticipantStrava(registration);
+        console.log(`Strava athlete ${event.owner_id} revoked access; registration ${registration.id} disconnected`);
+        return { success: true, action: 'disconnected', registrationId: registration.id };
+      }
+      return { success: true, action: 'none' };
+    }
+
+    if (event.object_type !== 'activity') {
+      return { success: true, action: 'none', reason: `unsupported object type ${event.object_type}` };
+    }
+
+    return await processActivityEvent(event, registration);
+  } catch (error) {
+    console.error('Error processing Strava event:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Process a claimed event and record the outcome in the idempotency store
+ * @param {string} eventId
+ * @param {Object} event - Strava event body
+ * @param {number} [attempts] - How many times the event has been processed, this time included
+ * @returns {Promise<Object>} The processing result
+ */
+export async function runStravaEvent(eventId, event, attempts = 1) {
+  let result;
+  try {
+    result = await processStravaEvent(event);
+  } catch (error) {
+    console.error('Strava event processing failed:', error);
+    result = { success: false, error: error.message };
+  }
+  console.log(`Strava event ${eventId}:`, result);
+
+  try {
+    const status = result.success ? EVENT_STATUSES.COMPLETED : EVENT_STATUSES.FAILED;
+    await getIdempotencyStore().finish(eventId, status, { ...result, attempts });
+  } catch (error) {
+    console.error('Failed to record Strava event result:', error.message);
+  }
+  return result;
+}
+
+/**
+ * Process a stored event again
+ * @param {Object} record - Idempotency store record of a Strava event
+ * @returns {Promise<Object>} { replayed, result } or { replayed: false, reason } when another
+ *   instance claimed the event first
+ */
+export async function replayStravaEvent(record) {
+  const store = getIdempotencyStore();
+  await store.release(record.eventId);
+  const claim = await store.claim(record.eventId, {
+    ttlSeconds: getEventTtlSeconds(),
+    payload: record.payload
+  });
+  if (!claim.claimed) {
+    return { replayed: false, reason: 'event is being processed elsewhere' };
+  }
+
+  const attempts = (Number(record.result?.attempts) || 1) + 1;
+  return { replayed: true, result: await runStravaEvent(record.eventId, record.payload, attempts) };
+}
+
+/**
+ * Process failed events again, until they succeed or reach STRAVA_CONFIG.WEBHOOK_RETRY_MAX_ATTEMPTS
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum events to retry
+ * @returns {Promise<Object>} { retried, succeeded, failed, exhausted }
+ */
+export async function retryFailedStravaEvents({ limit = 20 } = {}) {
+  const failedEvents = await getIdempotencyStore().list({ status: EVENT_STATUSES.FAILED, prefix: STRAVA_EVENT_PREFIX });
+  const summary = { retried: 0, succeeded: 0, failed: 0, exhausted: 0 };
+
+  for (const record of failedEvents) {
+    if (summary.retried >= limit) break;
+    if (!record.payload || (Number(record.result?.attempts) || 1) >= STRAVA_CONFIG.WEBHOOK_RETRY_MAX_ATTEMPTS) {
+      summary.exhausted++;
+      continue;
+    }
+
+    const { replayed, result } = await replayStravaEvent(record);
+    if (!replayed) continue;
+    summary.retried++;
+    if (result.success) summary.succeeded++;
+    else summary.failed++;
+  }
+  return summary;
+}
+
+export default {
+  STRAVA_ASPECT_TYPES,
+  STRAVA_EVENT_PREFIX,
+  generateStravaEventId,
+  isStravaEventId,
+  processStravaEvent,
+  runStravaEvent,
+  replayStravaEvent,
+  retryFailedStravaEvents
+};
@@ -4,46 +4,698 @@
 
 import fs from 'fs';
 import path from 'path';
+import { CLUB_CONFIG, STRAVA_CONFIG } from './config';
+import { getStravaTokenRepository } from './storage';
+import { getWeekRange } from './periods';
+import { UNIT_SYSTEMS, formatDistanceInUnits, formatPace } from './units';
 
 const STRAVA_BASE_URL = 'https://www.strava.com/api/v3';
 
+/**
+ * POST to the Strava OAuth token endpoint
+ * @param {Object} params - Grant parameters (grant_type, refresh_token or code)
+ * @returns {Promise<Object>} Strava token response ({ access_token, refresh_token, expires_at, athlete?, ... })
+ */
+async function requestStravaToken(params) {
+  if (!STRAVA_CONFIG.CLIENT_ID || !STRAVA_CONFIG.CLIENT_SECRET) {
+    throw new Error('STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET are required for Strava OAuth');
+  }
+
+  const response = await fetch(STRAVA_CONFIG.TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      client_id: STRAVA_CONFIG.CLIENT_ID,
+      client_secret: STRAVA_CONFIG.CLIENT_SECRET,
+      ...params
+    })
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Strava OAuth error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @param {string} refreshToken
+ * @returns {Promise<Object>} Strava token response
+ */
+export async function refreshStravaToken(refreshToken) {
+  return await requestStravaToken({ refresh_token: refreshToken, grant_type: 'refresh_token' });
+}
+
+/**
+ * Exchange the code from the OAuth redirect for the athlete's token pair
+ * @param {string} code
+ * @returns {Promise<Object>} Strava token response, including the athlete summary
+ */
+export async function exchangeStravaAuthorizationCode(code) {
+  return await requestStravaToken({ code, grant_type: 'authorization_code' });
+}
+
+/**
+ * Revoke our app's access to an athlete's account
+ * @param {string} accessToken
+ */
+export async function deauthorizeStrava(accessToken) {
+  const response = await fetch(STRAVA_CONFIG.DEAUTHORIZE_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Strava deauthorize error: ${response.status}`);
+  }
+}
+
+/**
+ * Call the push subscription API, which authenticates with the app's client ID and secret
+ * @param {string} method
+ * @param {string} [path] - Appended to the push_subscriptions URL
+ * @param {Object} [fields] - Form fields besides the client credentials
+ * @returns {Promise<Object|null>} Parsed response body
+ */
+async function requestPushSubscriptions(method, path = '', fields = {}) {
+  if (!STRAVA_CONFIG.CLIENT_ID || !STRAVA_CONFIG.CLIENT_SECRET) {
+    throw new Error('STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET are required for Strava push subscriptions');
+  }
+
+  const params = new URLSearchParams({
+    client_id: STRAVA_CONFIG.CLIENT_ID,
+    client_secret: STRAVA_CONFIG.CLIENT_SECRET,
+    ...fields
+  });
+  const url = `${STRAVA_BASE_URL}/push_subscriptions${path}`;
+  const response = await getStravaRateLimiter().schedule(method, () => (method === 'POST'
+    ? fetch(url, { method, headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: params })
+    : fetch(`${url}?${params}`, { method })));
+
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (e) {
+    body = { message: text };
+  }
+
+  if (!response.ok) {
+    // Strava explains rejected callbacks in errors[], e.g. "callback url not verifiable"
+    const error = new Error(`Strava push subscription error: ${response.status} ${body?.message || ''}`.trim());
+    error.status = response.status;
+    error.details = body?.errors || null;
+    throw error;
+  }
+
+  return body;
+}
+
+/**
+ * List the app's push subscriptions (Strava allows one per app)
+ * @returns {Promise<Array>} [{ id, callback_url, created_at, updated_at, ... }]
+ */
+export async function listPushSubscriptions() {
+  return (await requestPushSubscriptions('GET')) || [];
+}
+
+/**
+ * Create the app's push subscription
+ * Strava validates the callback synchronously with a GET carrying hub.challenge.
+ * @param {string} callbackUrl
+ * @param {string} verifyToken
+ * @returns {Promise<Object>} { id }
+ */
+export async function createPushSubscription(callbackUrl, verifyToken) {
+  return await requestPushSubscriptions('POST', '', { callback_url: callbackUrl, verify_token: verifyToken });
+}
+
+/**
+ * Delete a push subscription
+ * @param {string|number} subscriptionId
+ */
+export async function deletePushSubscription(subscriptionId) {
+  await requestPushSubscriptions('DELETE', `/${encodeURIComponent(subscriptionId)}`);
+}
+
+/**
+ * Keeps a Strava access token valid
+ *
+ * The token pair is loaded from a store (falling back to the seed from the
+ * environment), refreshed shortly before expires_at or after Strava rejected it,
+ * and written back to the store because Strava rotates refresh tokens.
+ * Concurrent callers share one refresh.
+ */
+export class StravaTokenManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - { load(): Promise<Object|null>, save(tokens): Promise }
+   * @param {Object} [options.seed] - { accessToken, refreshToken, expiresAt } configured in the environment
+   * @param {number} [options.refreshMarginSeconds] - Refresh this long before expires_at
+   */
+  constructor({ store, seed = {}, refreshMarginSeconds = STRAVA_CONFIG.TOKEN_REFRESH_MARGIN_SECONDS }) {
+    this.store = store;
+    this.seed = seed;
+    this.refreshMarginSeconds = refreshMarginSeconds;
+    this.tokens = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Whether a stored pair may be used; a new refresh token in the environment
+   * means the account was authorized again and replaces the stored pair
+   */
+  isUsableStoredPair(stored) {
+    if (!stored || !stored.refreshToken) return false;
+    return !this.seed.refreshToken || stored.seedRefreshToken === this.seed.refreshToken;
+  }
+
+  isExpiring(tokens) {
+    return !tokens.accessToken || tokens.expiresAt * 1000 - this.refreshMarginSeconds * 1000 <= Date.now();
+  }
+
+  async loadStored() {
+    try {
+      const stored = await this.store.load();
+      return this.isUsableStoredPair(stored) ? stored : null;
+    } catch (error) {
+      console.warn('Could not read stored Strava tokens:', error.message);
+      return null;
+    }
+  }
+
+  async load() {
+    if (this.tokens) return this.tokens;
+
+    this.tokens = await this.loadStored() || {
+      athleteId: '',
+      accessToken: this.seed.accessToken || '',
+      refreshToken: this.seed.refreshToken || '',
+      expiresAt: this.seed.expiresAt || 0,
+    };
+    return this.tokens;
+  }
+
+  /**
+   * Whether an access token is configured or can be obtained
+   * @returns {Promise<boolean>}
+   */
+  async hasToken() {
+    const tokens = await this.load();
+    return Boolean(tokens.accessToken || tokens.refreshToken);
+  }
+
+  /**
+   * Get a valid access token, refreshing it when it is about to expire
+   * @param {Object} [options]
+   * @param {string} [options.rejectedToken] - Token Strava just answered 401 for; forces a refresh unless it was already replaced
+   * @returns {Promise<string>}
+   */
+  async getAccessToken({ rejectedToken } = {}) {
+    const tokens = await this.load();
+    const stale = rejectedToken ? tokens.accessToken === rejectedToken : this.isExpiring(tokens);
+    if (!stale) return tokens.accessToken;
+
+    if (!tokens.refreshToken) {
+      // Without a refresh token the configured access token is used until Strava rejects it
+      if (tokens.accessToken && !rejectedToken) return tokens.accessToken;
+      throw new Error('Strava access token is missing or expired and no refresh token is configured (STRAVA_REFRESH_TOKEN)');
+    }
+
+    return (await this.refresh(tokens.accessToken)).accessToken;
+  }
+
+  /**
+   * Refresh the token pair (one refresh at a time)
+   * @param {string} staleAccessToken - The access token being replaced
+   * @returns {Promise<Object>} The new token pair
+   */
+  refresh(staleAccessToken) {
+    if (!this.refreshing) {
+      this.refreshing = this.performRefresh(staleAccessToken).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async performRefresh(staleAccessToken) {
+    // Another instance may have refreshed already; its refresh token replaced ours
+    const stored = await this.loadStored();
+    if (stored && stored.accessToken !== staleAccessToken && !this.isExpiring(stored)) {
+      console.log('Using Strava access token refreshed by another instance');
+      this.tokens = stored;
+      return stored;
+    }
+
+    const current = stored || this.tokens;
+    const data = await refreshStravaToken(current.refreshToken);
+    const tokens = {
+      athleteId: data.athlete?.id ? String(data.athlete.id) : current.athleteId || '',
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || current.refreshToken,
+      expiresAt: Number(data.expires_at) || 0,
+      seedRefreshToken: this.seed.refreshToken || '',
+    };
+    this.tokens = tokens;
+    console.log(`Strava access token refreshed, expires at ${new Date(tokens.expiresAt * 1000).toISOString()}`);
+
+    try {
+      await this.store.save(tokens);
+    } catch (error) {
+      console.error('Could not store refreshed Strava tokens:', error.message);
+    }
+    return tokens;
+  }
+
+  /**
+   * Token state for debug output (never includes the tokens themselves)
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const tokens = await this.load();
+    return {
+      has_access_token: Boolean(tokens.accessToken),
+      has_refresh_token: Boolean(tokens.refreshToken),
+      expires_at: tokens.expiresAt ? new Date(tokens.expiresAt * 1000).toISOString() : null,
+      expiring: this.isExpiring(tokens),
+    };
+  }
+}
+
+let clubTokenManager = null;
+
+/**
+ * Get the token manager of the account that reads the club (shared by every route)
+ * @returns {StravaTokenManager}
+ */
+export function getStravaTokenManager() {
+  if (!clubTokenManager) {
+    clubTokenManager = new StravaTokenManager({
+      store: {
+        load: () => getStravaTokenRepository().find('club'),
+        save: tokens => getStravaTokenRepository().save('club', tokens),
+      },
+      seed: {
+        accessToken: STRAVA_CONFIG.ACCESS_TOKEN,
+        refreshToken: STRAVA_CONFIG.REFRESH_TOKEN,
+        expiresAt: STRAVA_CONFIG.TOKEN_EXPIRES_AT,
+      },
+    });
+  }
+  return clubTokenManager;
+}
+
+const SHORT_TERM_WINDOW_MS = 15 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse an "X-RateLimit-*" header value ("<15-minute>,<daily>")
+ * @param {string|null} value
+ * @returns {Array<number>|null}
+ */
+function parseRateLimitHeader(value) {
+  const parts = String(value || '').split(',').map(part => parseInt(part, 10));
+  return parts.length >= 2 && parts.every(Number.isFinite) ? parts.slice(0, 2) : null;
+}
+
+/**
+ * Error thrown when Strava's rate limit leaves no budget for a request
+ * @param {number} retryAfterMs - Time until the limiting window resets
+ * @returns {Error} with status 429, rateLimited and retryAfter (seconds)
+ */
+function createRateLimitError(retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const error = new Error(`Strava rate limit reached, retry in ${retryAfter}s`);
+  error.status = 429;
+  error.rateLimited = true;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Budgets Strava API calls against the app's rate limits
+ *
+ * Strava counts requests in 15-minute windows (starting at :00, :15, :30, :45)
+ * and per UTC day, for all requests and separately for reads. Usage is taken
+ * from the response headers and counted locally in between. Requests run a few
+ * at a time; when a budget is used up they wait for the window to reset, or fail
+ * with a 429 error when that is more than RATE_LIMIT_MAX_WAIT_MS away.
+ * Low-priority requests already stop at the reserve. A 429 answer backs off and
+ * retries up to MAX_RATE_LIMIT_RETRIES times.
+ */
+export class StravaRateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - { overall: { shortTerm, daily }, read: { shortTerm, daily } }
+   * @param {number} [options.reserve] - Share of each budget low-priority requests leave unused
+   * @param {number} [options.maxWaitMs] - Longest a request waits for budget
+   * @param {number} [options.maxConcurrent] - Requests in flight at a time
+   * @param {number} [options.maxRetries] - Retries after a 429 answer
+   */
+  constructor({
+    limits = STRAVA_CONFIG.RATE_LIMITS,
+    reserve = STRAVA_CONFIG.RATE_LIMIT_RESERVE,
+    maxWaitMs = STRAVA_CONFIG.RATE_LIMIT_MAX_WAIT_MS,
+    maxConcurrent = STRAVA_CONFIG.MAX_CONCURRENT_REQUESTS,
+    maxRetries = STRAVA_CONFIG.MAX_RATE_LIMIT_RETRIES,
+  } = {}) {
+    this.reserve = reserve;
+    this.maxWaitMs = maxWaitMs;
+    this.maxConcurrent = maxConcurrent;
+    this.maxRetries = maxRetries;
+    this.budgets = {};
+    for (const [name, limit] of Object.entries(limits)) {
+      this.budgets[name] = {
+        shortTerm: { limit: limit.shortTerm, usage: 0 },
+        daily: { limit: limit.daily, usage: 0 },
+      };
+    }
+    this.windows = this.currentWindows(Date.now());
+    this.throttledUntil = 0;
+    this.active = 0;
+    this.queue = [];
+    this.updatedAt = null;
+    this.counters = { requests: 0, waited: 0, deferred: 0, throttled: 0 };
+  }
+
+  currentWindows(now) {
+    const day = new Date(now);
+    return {
+      shortTerm: Math.floor(now / SHORT_TERM_WINDOW_MS) * SHORT_TERM_WINDOW_MS,
+      daily: Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()),
+    };
+  }
+
+  resetsAt(window) {
+    return window === 'shortTerm'
+      ? this.windows.shortTerm + SHORT_TERM_WINDOW_MS
+      : this.windows.daily + 24 * 60 * 60 * 1000;
+  }
+
+  /** Start counting from zero when a window has passed */
+  rollWindows(now = Date.now()) {
+    const current = this.currentWindows(now);
+    for (const window of ['shortTerm', 'daily']) {
+      if (current[window] > this.windows[window]) {
+        Object.values(this.budgets).forEach(budget => { budget[window].usage = 0; });
+        this.windows[window] = current[window];
+      }
+    }
+  }
+
+  budgetsFor(method) {
+    return method === 'GET' ? ['overall', 'read'] : ['overall'];
+  }
+
+  /**
+   * How long a request has to wait for budget
+   * @param {string} method
+   * @param {string} priority - 'normal' or 'low'
+   * @returns {number} Milliseconds, 0 when it may go now
+   */
+  getWaitMs(method, priority) {
+    const now = Date.now();
+    this.rollWindows(now);
+    let wait = Math.max(0, this.throttledUntil - now);
+
+    for (const name of this.budgetsFor(method)) {
+      const budget = this.budgets[name];
+      if (!budget) continue;
+      for (const window of ['shortTerm', 'daily']) {
+        const { limit, usage } = budget[window];
+        const allowed = priority === 'low' ? Math.floor(limit * (1 - this.reserve)) : limit;
+        if (usage >= allowed) {
+          wait = Math.max(wait, this.resetsAt(window) - now);
+        }
+      }
+    }
+    return wait;
+  }
+
+  async waitForBudget(method, priority) {
+    let wait = this.getWaitMs(method, priority);
+    if (wait === 0) return;
+
+    if (wait > this.maxWaitMs) {
+      this.counters.deferred++;
+      console.warn(`Strava ${priority} ${method} deferred: rate limit budget used up for ${Math.ceil(wait / 1000)}s`);
+      throw createRateLimitError(wait);
+    }
+
+    this.counters.waited++;
+    while (wait > 0) {
+      await sleep(wait);
+      wait = this.getWaitMs(method, priority);
+      if (wait > this.maxWaitMs) throw createRateLimitError(wait);
+    }
+  }
+
+  /** Count a request before Strava reports it */
+  record(method) {
+    this.counters.requests++;
+    for (const name of this.budgetsFor(method)) {
+      if (!this.budgets[name]) continue;
+      this.budgets[name].shortTerm.usage++;
+      this.budgets[name].daily.usage++;
+    }
+  }
+
+  /**
+   * Take limits and usage from a Strava response
+   * @param {Headers} headers
+   */
+  update(headers) {
+    if (!headers || typeof headers.get !== 'function') return;
+    this.rollWindows();
+
+    const sources = { overall: 'X-RateLimit', read: 'X-ReadRateLimit' };
+    for (const [name, prefix] of Object.entries(sources)) {
+      const limit = parseRateLimitHeader(headers.get(`${prefix}-Limit`));
+      const usage = parseRateLimitHeader(headers.get(`${prefix}-Usage`));
+      if (!limit || !usage) continue;
+
+      this.budgets[name] = {
+        shortTerm: { limit: limit[0], usage: usage[0] },
+        daily: { limit: limit[1], usage: usage[1] },
+      };
+      this.updatedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Back off after a 429: until the exhausted window resets, or exponentially
+   * when the headers show budget left
+   * @param {number} attempt - Retries so far
+   * @returns {number} Milliseconds until the next attempt
+   */
+  throttle(attempt) {
+    this.counters.throttled++;
+    const now = Date.now();
+    const exhausted = window => Object.values(this.budgets).some(budget => budget[window].usage >= budget[window].limit);
+
+    let until = now + 1000 * 2 ** attempt;
+    if (exhausted('daily')) {
+      until = this.resetsAt('daily');
+    } else if (exhausted('shortTerm')) {
+      until = this.resetsAt('shortTerm');
+    }
+    this.throttledUntil = Math.max(this.throttledUntil, until);
+    return this.throttledUntil - now;
+  }
+
+  async acquireSlot() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.queue.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      next(); // hand the slot over
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Send a request within the budget
+   * @param {string} method - HTTP method
+   * @param {Function} send - () => Promise<Response>
+   * @param {Object} [options]
+   * @param {string} [options.priority] - 'normal' (default) or 'low' for background work
+   * @returns {Promise<Response>} Any response but a 429
+   */
+  async schedule(method, send, { priority = 'normal' } = {}) {
+    await this.acquireSlot();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this.waitForBudget(method, priority);
+        this.record(method);
+
+        const response = await send();
+        this.update(response.headers);
+        if (response.status !== 429) return response;
+
+        const backoff = this.throttle(attempt);
+        console.warn(`Strava answered 429, backing off ${Math.ceil(backoff / 1000)}s (attempt ${attempt + 1})`);
+        if (attempt >= this.maxRetries || backoff > this.maxWaitMs) {
+          throw createRateLimitError(backoff);
+        }
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Current usage for debug and health output
+   * @returns {Object}
+   */
+  getStatus() {
+    this.rollWindows();
+    const budgets = {};
+    for (const [name, budget] of Object.entries(this.budgets)) {
+      budgets[name] = {};
+      for (const window of ['shortTerm', 'daily']) {
+        const { limit, usage } = budget[window];
+        budgets[name][window === 'shortTerm' ? 'short_term' : 'daily'] = {
+          limit,
+          usage,
+          remaining: Math.max(0, limit - usage),
+          resets_at: new Date(this.resetsAt(window)).toISOString(),
+        };
+      }
+    }
+
+    return {
+      budgets,
+      reported_at: this.updatedAt,
+      throttled_until: this.throttledUntil > Date.now() ? new Date(this.throttledUntil).toISOString() : null,
+      in_flight: this.active,
+      queued: this.queue.length,
+      ...this.counters,
+    };
+  }
+}
+
+let rateLimiter = null;
+
+/**
+ * Get the rate limiter shared by every Strava API call of this instance
+ * @returns {StravaRateLimiter}
+ */
+export function getStravaRateLimiter() {
+  if (!rateLimiter) {
+    rateLimiter = new StravaRateLimiter();
+  }
+  return rateLimiter;
+}
+
+/**
+ * GET a Strava API URL, within the rate limit budget
+ * Without an explicit access token the shared token manager supplies one. When
+ * the token comes from a manager, a 401 answer refreshes it and retries once.
+ * @param {string} url
+ * @param {string|StravaTokenManager} [auth] - Caller-provided token (not refreshed) or a token manager
+ * @param {Object} [options]
+ * @param {string} [options.priority] - 'low' for background work that may be deferred
+ * @returns {Promise<Response>}
+ * @throws {Error} with rateLimited and retryAfter when there is no budget
+ */
+export async function fetchStrava(url, auth, { priority } = {}) {
+  const manager = auth instanceof StravaTokenManager ? auth : auth ? null : getStravaTokenManager();
+  const token = manager ? await manager.getAccessToken() : auth;
+  const request = bearer => getStravaRateLimiter().schedule('GET', () => fetch(url, {
+    headers: {
+      'Authorization': `Bearer ${bearer}`,
+      'Content-Type': 'application/json',
+    },
+  }), { priority });
+
+  const response = await request(token);
+  if (response.status !== 401 || !manager) {
+    return response;
+  }
+
+  console.warn('Strava rejected the access token, refreshing and retrying once');
+  return await request(await manager.getAccessToken({ rejectedToken: token }));
+}
+
+// Undated fixture activities are spread over this long before the recording
+const FIXTURE_SPREAD_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Replay a club fixture: a recorded club feed ({ recorded_at, activities }, see
+ * lib/club-fixtures) or a bare array of activities such as club.json
+ *
+ * Activities keep the date captured with them. The feed has no dates, so undated
+ * ones are spread over the two weeks before the recording in feed order, newest
+ * first; every replay of a fixture therefore yields the same dates.
+ *
+ * @param {Object|Array} fixture - Parsed fixture file
+ * @param {Object} [options]
+ * @param {string} [options.dates] - 'captured' (as recorded) or 'shifted' (default): moved so the recording time becomes `now`
+ * @param {Date} [options.now] - Reference time; a bare array counts as recorded at this time
+ * @returns {Array} Normalized activities
+ */
+export function replayClubFixture(fixture, { dates = 'shifted', now = new Date() } = {}) {
+  const bare = Array.isArray(fixture);
+  const recordedAt = !bare && fixture?.recorded_at ? new Date(fixture.recorded_at) : now;
+  const shift = dates === 'captured' ? 0 : now.getTime() - recordedAt.getTime();
+
+  // Filter out incomplete activities
+  const activities = (bare ? fixture : fixture?.activities || []).filter(activity =>
+    activity &&
+    activity.athlete &&
+    activity.name &&
+    activity.distance !== undefined
+  );
+
+  return activities
+    .map((activity, index) => {
+      const { captured_date: capturedDate, ...recorded } = activity;
+      const captured = capturedDate || recorded.start_date;
+      const capturedTime = captured
+        ? new Date(captured).getTime()
+        : recordedAt.getTime() - Math.floor(index * FIXTURE_SPREAD_MS / activities.length);
+      const activityDate = new Date(capturedTime + shift).toISOString();
+
+      return normalizeActivityData({
+        ...recorded,
+        id: recorded.id || `local_${index}`,
+        start_date: activityDate,
+        start_date_local: activityDate,
+      });
+    })
+    .filter(activity => activity !== null);
+}
+
 /**
  * Get club activities from local fallback data
- * @param {string} filePath - Path to the local club.json file
+ * @param {string} filePath - Path to the fixture file (default CLUB_CONFIG.LOCAL_DATA_PATH)
+ * @param {Object} [options] - { dates, now }, see replayClubFixture; now defaults to CLUB_CONFIG.FIXTURE_NOW
  * @returns {Promise<Array>} Array of club activities
  */
-export async function getLocalClubActivities(filePath = null) {
+export async function getLocalClubActivities(filePath = null, options = {}) {
   try {
-    const dataPath = filePath || path.join(process.cwd(), 'club.json');
+    const dataPath = filePath || path.resolve(process.cwd(), CLUB_CONFIG.LOCAL_DATA_PATH);
     const data = fs.readFileSync(dataPath, 'utf8');
-    const activities = JSON.parse(data);
-    
-    // Filter out incomplete activities and add mock dates for demo
-    return activities
-      .filter(activity => 
-        activity && 
-        activity.athlete && 
-        activity.name && 
-        activity.distance !== undefined
-      )
-      .map((activity, index) => {
-        // Add mock start dates for demo purposes
-        // Distribute activities across the last 2 weeks for demonstration
-        const now = new Date();
-        const daysAgo = Math.floor(Math.random() * 14); // 0-14 days ago
-        const activityDate = new Date(now.getTime() - (daysAgo * 24 * 60 * 60 * 1000));
-        
-        // Normalize the local data to match Strava API format
-        const activityWithDates = {
-          ...activity,
-          id: activity.id || `local_${index}`,
-          start_date: activityDate.toISOString(),
-          start_date_local: activityDate.toISOString(),
-        };
-        
-        return normalizeActivityData(activityWithDates);
-      })
-      .filter(activity => activity !== null);
+    return replayClubFixture(JSON.parse(data), {
+      now: CLUB_CONFIG.FIXTURE_NOW ? new Date(CLUB_CONFIG.FIXTURE_NOW) : new Date(),
+      ...options
+    });
   } catch (error) {
     console.error('Error reading local club activities:', error);
     return [];
@@ -51,105 +703,184 @@ export async function getLocalClubActivities(filePath = null) {
 }
 
 /**
- * Get club activities with fallback to local data
+ * Date of an activity, when the source provides one (the club feed does not)
+ * @param {Object} activity
+ * @returns {Date|null}
+ */
+function getActivityDate(activity) {
+  const date = new Date(activity?.start_date || activity?.start_date_local || NaN);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Page through a club's activity feed (newest first) until it covers a window
+ *
+ * Paging stops at the first page holding an activity older than `since`, at the
+ * end of the feed, or after CLUB_CONFIG.MAX_PAGES_TO_FETCH pages. Strava's club
+ * feed carries no dates, so with live data the window counts as covered only
+ * once the whole feed was read.
+ *
  * @param {string} clubId - The Strava club ID
- * @param {string} accessToken - The access token for Strava API
- * @param {boolean} useLocal - Whether to use local data as fallback
- * @returns {Promise<Array>} Array of club activities
+ * @param {string} [accessToken] - Access token for Strava API (default: the shared token manager)
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Start of the oldest window the caller needs
+ * @param {boolean} [options.useLocal] - Fall back to local data when the API fails or no token is configured
+ * @param {boolean} [options.forceLocal] - Skip the API and read local data (CLUB_CONFIG.FORCE_LOCAL_DATA)
+ * @param {Function} [options.isCaughtUp] - (page) => boolean; stops paging, e.g. at activities already stored
+ * @param {boolean} [options.normalize] - Pass activities through normalizeActivityData (default true)
+ * @param {number} [options.maxPages] - Page cap (default CLUB_CONFIG.MAX_PAGES_TO_FETCH)
+ * @param {number} [options.perPage] - Page size (default CLUB_CONFIG.ACTIVITIES_PER_PAGE)
+ * @returns {Promise<Object>} { activities, coverage }
  */
-export async function getClubActivitiesWithFallback(clubId, accessToken, useLocal = true) {
+export async function getClubActivityWindow(clubId, accessToken, {
+  since = null,
+  useLocal = true,
+  forceLocal = false,
+  isCaughtUp = null,
+  normalize = true,
+  maxPages = CLUB_CONFIG.MAX_PAGES_TO_FETCH,
+  perPage = CLUB_CONFIG.ACTIVITIES_PER_PAGE,
+} = {}) {
+  const coverage = {
+    source: 'strava',
+    window_start: since ? since.toISOString() : null,
+    complete: false,
+    truncated: false,
+    reason: null,
+    pages_fetched: 0,
+    per_page: perPage,
+    max_pages: maxPages,
+    activities_fetched: 0,
+    oldest_activity_date: null,
+  };
+
+  const localWindow = async (reason) => {
+    const activities = await getLocalClubActivities();
+    return {
+      activities,
+      coverage: { ...coverage, source: 'local', complete: true, reason, activities_fetched: activities.length },
+    };
+  };
+
+  if (forceLocal) {
+    return await localWindow('local_data');
+  }
+
+  const hasToken = Boolean(accessToken) || await getStravaTokenManager().hasToken();
+
   // If no access token and local fallback is enabled, skip API call
-  if (!accessToken && useLocal) {
-    console.log('No access token provided, using local club data directly...');
-    return await getLocalClubActivities();
+  if (!hasToken) {
+    if (useLocal) {
+      console.log('No access token provided, using local club data directly...');
+      return await localWindow('no_token');
+    }
+    return { activities: [], coverage: { ...coverage, truncated: true, reason: 'no_token' } };
   }
 
-  // If we have a token, try the API first
-  if (accessToken) {
+  let allActivities = [];
+  for (let page = 1; page <= maxPages; page++) {
+    let activities;
     try {
-      let allActivities = [];
-      let page = 1;
-      const perPage = 10;
-      let hasMoreActivities = true;
-
-      while (hasMoreActivities && page <= 3) {
-        try {
-          const activities = await getClubActivities(clubId, accessToken, page, perPage);
-          
-          if (activities.length === 0) {
-            hasMoreActivities = false;
-          } else {
-            allActivities = [...allActivities, ...activities];
-            page++;
-            
-            if (activities.length < perPage) {
-              hasMoreActivities = false;
-            }
-          }
-        } catch (error) {
-          console.error(`Error fetching page ${page} from Strava:`, error.message);
-          hasMoreActivities = false;
-          
-          // If this is the first page and failed, try local fallback
-          if (page === 1 && useLocal) {
-            console.log('API failed, falling back to local club data...');
-            return await getLocalClubActivities();
-          }
-        }
+      activities = await getClubActivities(clubId, accessToken, page, perPage);
+    } catch (error) {
+      console.error(`Error fetching page ${page} from Strava:`, error.message);
+
+      // If this is the first page and failed, try local fallback
+      if (page === 1 && useLocal) {
+        console.log('API failed, falling back to local club data...');
+        return await localWindow('api_error');
       }
+      coverage.reason = error.rateLimited ? 'rate_limited' : 'api_error';
+      break;
+    }
 
-      // If we got some activities from API, return them
-      if (allActivities.length > 0) {
-        console.log('=== STRAVA API DATA STRUCTURE ===');
-        console.log('Total activities:', allActivities.length);
-        console.log('First activity structure:', JSON.stringify(allActivities[0], null, 2));
-        console.log('=== END STRAVA DATA ===');
-        console.log(`Successfully fetched ${allActivities.length} activities from Strava API`);
-        
-        // Normalize all activities to ensure consistent data structure
-        const normalizedActivities = allActivities
-          .map(normalizeActivityData)
-          .filter(activity => activity !== null);
-          
-        console.log('Normalized', normalizedActivities.length, 'activities');
-        return normalizedActivities;
+    coverage.pages_fetched = page;
+    allActivities = [...allActivities, ...activities];
+
+    const dates = activities.map(getActivityDate).filter(Boolean);
+    if (dates.length > 0) {
+      const oldest = new Date(Math.min(...dates));
+      if (!coverage.oldest_activity_date || oldest < new Date(coverage.oldest_activity_date)) {
+        coverage.oldest_activity_date = oldest.toISOString();
       }
-    } catch (error) {
-      console.error('Error in Strava API call:', error.message);
+    }
+
+    if (since && dates.some(date => date < since)) {
+      coverage.reason = 'reached_window_start';
+      break;
+    }
+    if (isCaughtUp && isCaughtUp(activities)) {
+      coverage.reason = 'reached_known_activities';
+      break;
+    }
+    if (activities.length < perPage) {
+      coverage.reason = 'end_of_feed';
+      break;
+    }
+    if (page === maxPages) {
+      coverage.reason = 'page_limit';
+      console.warn(`Club ${clubId}: stopped after ${maxPages} pages of ${perPage}; older activities were not fetched`);
     }
   }
 
-  // If API failed or no token, and we want to use local fallback
-  if (useLocal) {
+  coverage.complete = ['reached_window_start', 'reached_known_activities', 'end_of_feed'].includes(coverage.reason);
+  coverage.truncated = !coverage.complete;
+  coverage.activities_fetched = allActivities.length;
+
+  if (allActivities.length === 0 && useLocal) {
     console.log('Using local club data as fallback...');
-    return await getLocalClubActivities();
+    return await localWindow(coverage.reason === 'end_of_feed' ? 'empty_feed' : 'api_error');
+  }
+
+  console.log(`Successfully fetched ${allActivities.length} activities from Strava API in ${coverage.pages_fetched} page(s) (${coverage.reason})`);
+
+  if (!normalize) {
+    return { activities: allActivities, coverage };
   }
 
-  return [];
+  // Normalize all activities to ensure consistent data structure
+  const normalizedActivities = allActivities
+    .map(normalizeActivityData)
+    .filter(activity => activity !== null);
+
+  return { activities: normalizedActivities, coverage };
+}
+
+/**
+ * Get club activities with fallback to local data
+ * @param {string} clubId - The Strava club ID
+ * @param {string} [accessToken] - Access token for Strava API (default: the shared token manager)
+ * @param {boolean} useLocal - Whether to use local data as fallback
+ * @returns {Promise<Array>} Array of club activities
+ */
+export async function getClubActivitiesWithFallback(clubId, accessToken, useLocal = true) {
+  try {
+    return (await getClubActivityWindow(clubId, accessToken, { useLocal })).activities;
+  } catch (error) {
+    console.error('Error in Strava API call:', error.message);
+    return useLocal ? await getLocalClubActivities() : [];
+  }
 }
 
 /**
  * Get club activities from Strava API
  * @param {string} clubId - The Strava club ID
- * @param {string} accessToken - The access token for Strava API
+ * @param {string} [accessToken] - Access token for Strava API (default: the shared token manager)
  * @param {number} page - Page number for pagination
  * @param {number} perPage - Number of items per page
  * @returns {Promise<Array>} Array of club activities
  */
 export async function getClubActivities(clubId, accessToken, page = 1, perPage = 30) {
   try {
-    const response = await fetch(
+    const response = await fetchStrava(
       `${STRAVA_BASE_URL}/clubs/${clubId}/activities?page=${page}&per_page=${perPage}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
+      accessToken
     );
 
     if (!response.ok) {
-      throw new Error(`Strava API error: ${response.status} ${response.statusText}`);
+      const error = new Error(`Strava API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
     }
 
     return await response.json();
@@ -162,19 +893,17 @@ export async function getClubActivities(clubId, accessToken, page = 1, perPage =
 /**
  * Fetch a single activity by id from Strava API
  * @param {string|number} activityId
- * @param {string} accessToken
+ * @param {string|StravaTokenManager} [accessToken] - Token or token manager (default: the shared token manager)
+ * @param {Object} [options] - { priority } (see fetchStrava)
  */
-export async function getActivityById(activityId, accessToken) {
+export async function getActivityById(activityId, accessToken, options = {}) {
   try {
-    const response = await fetch(`${STRAVA_BASE_URL}/activities/${activityId}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const response = await fetchStrava(`${STRAVA_BASE_URL}/activities/${activityId}`, accessToken, options);
 
     if (!response.ok) {
-      throw new Error(`Strava activity ${activityId} error: ${response.status} ${response.statusText}`);
+      const error = new Error(`Strava activity ${activityId} error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
     }
 
     return await response.json();
@@ -187,10 +916,11 @@ export async function getActivityById(activityId, accessToken) {
 /**
  * Enrich activities that are missing date fields by fetching full activity details from Strava
  * - Limits concurrency to avoid bursting the API
+ * - Runs at low priority: stops once the rate limit reserve is reached
  * - Merges normalized data back into the original array positions
  */
 export async function enrichActivities(activities, accessToken, concurrency = 3) {
-  if (!accessToken) {
+  if (!accessToken && !(await getStravaTokenManager().hasToken())) {
     console.log('enrichActivities: no access token provided, skipping enrichment');
     return activities;
   }
@@ -207,7 +937,7 @@ export async function enrichActivities(activities, accessToken, concurrency = 3)
       if (i >= toEnrich.length) break;
       const act = toEnrich[i];
       try {
-        const full = await getActivityById(act.id, accessToken);
+        const full = await getActivityById(act.id, accessToken, { priority: 'low' });
         // Normalize the full object and replace the original in-place if possible
         const norm = normalizeActivityData(full) || null;
         const origIndex = activities.findIndex(x => x === act || (x && x.id && x.id === act.id));
@@ -215,6 +945,11 @@ export async function enrichActivities(activities, accessToken, concurrency = 3)
           activities[origIndex] = norm || activities[origIndex];
         }
       } catch (err) {
+        if (err.rateLimited) {
+          console.warn('enrichActivities: rate limit budget used up, leaving the remaining activities as they are');
+          idx = toEnrich.length; // stop the other workers too
+          break;
+        }
         console.warn('enrichActivities: failed to enrich', act && act.id, err.message || err);
       }
     }
@@ -227,53 +962,20 @@ export async function enrichActivities(activities, accessToken, concurrency = 3)
 
 /**
  * Get date range for last week
+ * @param {Object} [options] - { timeZone, weekStartDay }, default DATE_CONFIG (see lib/periods)
  * @returns {Object} Object with start and end dates for last week
  */
-export function getLastWeekRange() {
-  const now = new Date();
-  const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-  
-  // Calculate start of current week (Sunday)
-  const startOfCurrentWeek = new Date(now);
-  startOfCurrentWeek.setDate(now.getDate() - currentDay);
-  startOfCurrentWeek.setHours(0, 0, 0, 0);
-  
-  // Calculate start of last week
-  const startOfLastWeek = new Date(startOfCurrentWeek);
-  startOfLastWeek.setDate(startOfCurrentWeek.getDate() - 7);
-  
-  // Calculate end of last week
-  const endOfLastWeek = new Date(startOfCurrentWeek);
-  endOfLastWeek.setTime(endOfLastWeek.getTime() - 1);
-  
-  return {
-    start: startOfLastWeek,
-    end: endOfLastWeek
-  };
+export function getLastWeekRange(options = {}) {
+  return getWeekRange(-1, options);
 }
 
 /**
  * Get date range for this week
+ * @param {Object} [options] - { timeZone, weekStartDay }, default DATE_CONFIG (see lib/periods)
  * @returns {Object} Object with start and end dates for this week
  */
-export function getThisWeekRange() {
-  const now = new Date();
-  const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-  
-  // Calculate start of current week (Sunday)
-  const startOfThisWeek = new Date(now);
-  startOfThisWeek.setDate(now.getDate() - currentDay);
-  startOfThisWeek.setHours(0, 0, 0, 0);
-  
-  // Calculate end of current week
-  const endOfThisWeek = new Date(startOfThisWeek);
-  endOfThisWeek.setDate(startOfThisWeek.getDate() + 6);
-  endOfThisWeek.setHours(23, 59, 59, 999);
-  
-  return {
-    start: startOfThisWeek,
-    end: endOfThisWeek
-  };
+export function getThisWeekRange(options = {}) {
+  return getWeekRange(0, options);
 }
 
 /**
@@ -324,13 +1026,13 @@ export function filterActivitiesByDateRange(activities, startDate, endDate) {
 }
 
 /**
- * Format distance from meters to kilometers
+ * Format distance from meters to kilometers or miles
  * @param {number} distance - Distance in meters
+ * @param {string} [units] - One of UNIT_SYSTEMS, default metric
  * @returns {string} Formatted distance string
  */
-export function formatDistance(distance) {
-  if (!distance) return '0.00 km';
-  return `${(distance / 1000).toFixed(2)} km`;
+export function formatDistance(distance, units = UNIT_SYSTEMS.METRIC) {
+  return formatDistanceInUnits(distance, units);
 }
 
 /**
@@ -397,22 +1099,39 @@ export function normalizeActivityData(activity) {
  * Calculate pace from distance and time
  * @param {number} distance - Distance in meters
  * @param {number} time - Time in seconds
- * @returns {string} Pace in min/km format
+ * @param {string} [units] - One of UNIT_SYSTEMS, default metric
+ * @returns {string} Pace in min/km (or min/mi) format
  */
-export function calculatePace(distance, time) {
-  if (!distance || !time) return '00:00';
-  
-  const distanceInKm = distance / 1000;
-  const paceInSeconds = time / distanceInKm;
-  
-  const minutes = Math.floor(paceInSeconds / 60);
-  const seconds = Math.floor(paceInSeconds % 60);
-  
-  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+export function calculatePace(distance, time, units = UNIT_SYSTEMS.METRIC) {
+  return formatPace(distance, time, units);
+}
+
+/**
+ * Identify an athlete across clubs and data sources
+ * The club feed only has first name and last initial, so the name is the key.
+ * @param {Object} activity
+ * @returns {string}
+ */
+export function getAthleteKey(activity) {
+  return `${(activity.athlete?.firstname || '').trim()} ${(activity.athlete?.lastname || '').trim()}`.trim();
+}
+
+/**
+ * Stable key of a club feed activity, which has no ID: athlete name, activity name,
+ * distance (km rounded to 2 decimals) and elapsed time
+ * @param {Object} activity
+ * @returns {string}
+ */
+export function getActivityFingerprint(activity) {
+  const athlete = getAthleteKey(activity);
+  const name = (activity.name || '').trim();
+  const distKm = ((Number(activity.distance) || 0) / 1000).toFixed(2);
+  const elapsed = Number(activity.elapsed_time) || Number(activity.moving_time) || 0;
+  return `${athlete}||${name}||${distKm}||${elapsed}`;
 }
 
 /**
- * Remove duplicate activities based on combination of name, distance (km rounded to 2 decimals), elapsed_time, and pace
+ * Remove duplicate activities based on their fingerprint (see getActivityFingerprint)
  * Keeps the first occurrence of each unique key
  * @param {Array} activities
  * @returns {Array} deduplicated activities
@@ -424,16 +1143,7 @@ export function dedupeActivities(activities) {
 
   for (const a of activities) {
     if (!a) continue;
-    const name = (a.name || '').trim();
-    const distKm = ((Number(a.distance) || 0) / 1000).toFixed(2);
-    const elapsed = Number(a.elapsed_time) || Number(a.moving_time) || 0;
-    const pace = (() => {
-      const dkm = (Number(a.distance) || 0) / 1000;
-      if (!dkm || !elapsed) return '00:00';
-      const paceSec = elapsed / dkm; const m = Math.floor(paceSec/60); const s = Math.floor(paceSec%60); return `${m}:${s.toString().padStart(2,'0')}`;
-    })();
-
-    const key = `${name}||${distKm}||${elapsed}||${pace}`;
+    const key = getActivityFingerprint(a);
     if (seen.has(key)) continue;
     seen.add(key);
     out.push(a);
@@ -0,0 +1,92 @@
+/**
+ * Run submission rules
+ *
+ * Shared by POST /api/run/submit and the automatic submissions from the Strava
+ * webhook, so both enforce the same duplicate and per-email limits.
+ */
+
+import { SUBMISSION_CONFIG } from './config';
+import { getSubmissionRepository } from './storage';
+import { buildStravaActivityUrl, extractStravaActivityId } from './strava-urls';
+
+export { buildStravaActivityUrl };
+
+export const VERIFICATION_STATUSES = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected',
+  // The activity was deleted or no longer qualifies; kept for the audit trail but not counted
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Whether a submission counts towards the leaderboard and the per-email limit
+ * @param {Object} submission
+ * @returns {boolean}
+ */
+export function isActiveSubmission(submission) {
+  return submission.verificationStatus !== VERIFICATION_STATUSES.WITHDRAWN;
+}
+
+// Activity of a stored submission: its ID column, or the ID in its link for older rows
+function getSubmissionActivityId(submission) {
+  return submission.stravaActivityId
+    ? String(submission.stravaActivityId)
+    : extractStravaActivityId(submission.stravaActivity);
+}
+
+/**
+ * Checks duplicate submissions and counts submissions per email.
+ * Activities are compared by ID, so share links, tracking parameters and subpages of
+ * the same activity are duplicates; links without an activity ID are compared as text.
+ * Returns an object { isStravaDuplicate: boolean, emailCount: number }
+ * @param {string} email
+ * @param {string} stravaActivity - Submitted activity URL
+ * @param {string} [stravaActivityId] - Activity ID, default the one in stravaActivity
+ */
+export async function checkDuplicateSubmission(email, stravaActivity, stravaActivityId = '') {
+  try {
+    const submissions = (await getSubmissionRepository().list()).filter(isActiveSubmission);
+    let emailCount = 0;
+    let stravaSubmittedByDifferentEmail = false;
+    const emailLower = email.toLowerCase();
+    const activityId = stravaActivityId ? String(stravaActivityId) : extractStravaActivityId(stravaActivity);
+
+    for (const submission of submissions) {
+      if (submission.email.toLowerCase() === emailLower) {
+        emailCount++;
+      }
+
+      // Treat any identical Strava activity as a duplicate regardless of submitting email
+      const sameActivity = activityId
+        ? getSubmissionActivityId(submission) === activityId
+        : Boolean(submission.stravaActivity) && String(submission.stravaActivity).trim() === String(stravaActivity).trim();
+      if (sameActivity) {
+        stravaSubmittedByDifferentEmail = true;
+        break; // no need to keep scanning
+      }
+    }
+
+    return { isStravaDuplicate: stravaSubmittedByDifferentEmail, emailCount };
+  } catch (error) {
+    console.error('Error checking duplicate submission:', error);
+    return { isStravaDuplicate: false, emailCount: 0 }; // If check fails, allow submission to proceed
+  }
+}
+
+/**
+ * Whether an email has used up its submissions
+ * @param {number} emailCount - From checkDuplicateSubmission
+ * @returns {boolean}
+ */
+export function isSubmissionLimitReached(emailCount) {
+  return emailCount >= SUBMISSION_CONFIG.MAX_PER_EMAIL;
+}
+
+export default {
+  VERIFICATION_STATUSES,
+  isActiveSubmission,
+  buildStravaActivityUrl,
+  checkDuplicateSubmission,
+  isSubmissionLimitReached
+};
@@ -0,0 +1,242 @@
+/**
+ * Metric and imperial units
+ *
+ * Distances are kept in meters and times in seconds everywhere they are stored
+ * or computed; a unit system only changes how they are shown. Values read from
+ * Strava pages in miles are converted back to meters when they are parsed.
+ */
+
+import { UNITS_CONFIG } from './config';
+
+export const UNIT_SYSTEMS = {
+  METRIC: 'metric',
+  IMPERIAL: 'imperial'
+};
+
+export const METERS_PER_KILOMETER = 1000;
+export const METERS_PER_MILE = 1609.344;
+export const METERS_PER_FOOT = 0.3048;
+export const METERS_PER_YARD = 0.9144;
+
+const UNIT_DETAILS = {
+  [UNIT_SYSTEMS.METRIC]: {
+    distance: { unit: 'km', meters: METERS_PER_KILOMETER },
+    speed: 'km/h',
+    elevation: { unit: 'm', meters: 1 },
+    // Swims are paced per 100 m or per 100 yd
+    swim: { unit: '100m', meters: 100 }
+  },
+  [UNIT_SYSTEMS.IMPERIAL]: {
+    distance: { unit: 'mi', meters: METERS_PER_MILE },
+    speed: 'mph',
+    elevation: { unit: 'ft', meters: METERS_PER_FOOT },
+    swim: { unit: '100yd', meters: 100 * METERS_PER_YARD }
+  }
+};
+
+// Units that may follow a number in Strava's pages, in meters
+const PARSED_DISTANCE_UNITS = {
+  km: METERS_PER_KILOMETER,
+  m: 1,
+  mi: METERS_PER_MILE,
+  ft: METERS_PER_FOOT,
+  yd: METERS_PER_YARD
+};
+
+function createUnitsError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Unit system a request asks for: the units query parameter, default UNITS_CONFIG.DEFAULT
+ * @param {URLSearchParams} searchParams
+ * @returns {string} One of UNIT_SYSTEMS; throws an Error with status 400 for other values
+ */
+export function getRequestedUnits(searchParams) {
+  const units = (searchParams.get('units') || UNITS_CONFIG.DEFAULT).trim().toLowerCase();
+  if (!Object.values(UNIT_SYSTEMS).includes(units)) {
+    throw createUnitsError(`Invalid units: ${units} (expected ${Object.values(UNIT_SYSTEMS).join(' or ')})`);
+  }
+  return units;
+}
+
+function getUnitDetails(units) {
+  return UNIT_DETAILS[units] || UNIT_DETAILS[UNIT_SYSTEMS.METRIC];
+}
+
+/**
+ * Unit labels of a unit system
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {Object} { distance, pace, speed, elevation }, e.g. 'km', '/km', 'km/h', 'm'
+ */
+export function getUnitLabels(units = UNIT_SYSTEMS.METRIC) {
+  const details = getUnitDetails(units);
+  return {
+    distance: details.distance.unit,
+    pace: `/${details.distance.unit}`,
+    speed: details.speed,
+    elevation: details.elevation.unit
+  };
+}
+
+/**
+ * Distance in kilometers or miles
+ * @param {number} meters
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {number} Rounded to 2 decimals
+ */
+export function convertDistance(meters, units = UNIT_SYSTEMS.METRIC) {
+  return Number(((Number(meters) || 0) / getUnitDetails(units).distance.meters).toFixed(2));
+}
+
+/**
+ * Elevation in meters or feet
+ * @param {number} meters
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {number} Rounded to 1 decimal
+ */
+export function convertElevation(meters, units = UNIT_SYSTEMS.METRIC) {
+  return Number(((Number(meters) || 0) / getUnitDetails(units).elevation.meters).toFixed(1));
+}
+
+/**
+ * Format a distance, e.g. "5.00 km" or "3.11 mi"
+ * @param {number} meters
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {string}
+ */
+export function formatDistanceInUnits(meters, units = UNIT_SYSTEMS.METRIC) {
+  const details = getUnitDetails(units);
+  return `${((Number(meters) || 0) / details.distance.meters).toFixed(2)} ${details.distance.unit}`;
+}
+
+/**
+ * Format an elevation, e.g. "120 m" or "394 ft"
+ * @param {number} meters
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {string}
+ */
+export function formatElevation(meters, units = UNIT_SYSTEMS.METRIC) {
+  const details = getUnitDetails(units);
+  return `${Math.round((Number(meters) || 0) / details.elevation.meters)} ${details.elevation.unit}`;
+}
+
+function formatMinutes(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Pace per kilometer or per mile
+ * @param {number} meters
+ * @param {number} seconds
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {number|null} Seconds per unit of distance, null without distance or time
+ */
+export function getPaceSeconds(meters, seconds, units = UNIT_SYSTEMS.METRIC) {
+  if (!meters || !seconds) return null;
+  return seconds / (meters / getUnitDetails(units).distance.meters);
+}
+
+/**
+ * Format a pace without its unit, e.g. "5:30" (per km) or "8:51" (per mile)
+ * @param {number} meters
+ * @param {number} seconds
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {string} '00:00' without distance or time
+ */
+export function formatPace(meters, seconds, units = UNIT_SYSTEMS.METRIC) {
+  const pace = getPaceSeconds(meters, seconds, units);
+  return pace === null ? '00:00' : formatMinutes(pace);
+}
+
+/**
+ * Speed in km/h or mph
+ * @param {number} meters
+ * @param {number} seconds
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {number|null} Rounded to 1 decimal, null without distance or time
+ */
+export function getSpeed(meters, seconds, units = UNIT_SYSTEMS.METRIC) {
+  if (!meters || !seconds) return null;
+  return Number(((meters / getUnitDetails(units).distance.meters) / (seconds / 3600)).toFixed(1));
+}
+
+/**
+ * Swim pace per 100 m or per 100 yd
+ * @param {number} meters
+ * @param {number} seconds
+ * @param {string} [units] - One of UNIT_SYSTEMS
+ * @returns {Object|null} { seconds, unit }, null without distance or time
+ */
+export function getSwimPace(meters, seconds, units = UNIT_SYSTEMS.METRIC) {
+  if (!meters || !seconds) return null;
+  const swim = getUnitDetails(units).swim;
+  return { seconds: seconds / (meters / swim.meters), unit: swim.unit };
+}
+
+// A number as written on a Strava page: "1,500" and "1.500" are thousands unless the
+// page's language writes decimals with a comma; "5,02" and "1.500,5" read the same everywhere
+function parseNumberText(text, decimalComma) {
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let decimal = '.';
+  if (lastComma >= 0 && lastDot >= 0) decimal = lastComma > lastDot ? ',' : '.';
+  else if (lastComma >= 0) decimal = decimalComma || !/,\d{3}$/.test(text) ? ',' : '.';
+  else if (lastDot >= 0 && decimalComma && /^\d{1,3}(?:\.\d{3})+$/.test(text)) decimal = ',';
+
+  const thousands = decimal === '.' ? ',' : '.';
+  return parseFloat(text.split(thousands).join('').replace(decimal, '.'));
+}
+
+/**
+ * Read a distance shown on a Strava page, e.g. "1.51 km", "0.94 mi", "1,500 m" or "5,02 km"
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.decimalComma] - The page writes decimals with a comma, so "1,500 km" is 1.5 km
+ * @returns {number|null} Meters, null when the text has no distance with a unit
+ */
+export function parseDistance(text, { decimalComma = false } = {}) {
+  const match = String(text || '').match(/([0-9][0-9.,]*)\s*(km|mi|yd|ft|m)\b/i);
+  if (!match) return null;
+  const value = parseNumberText(match[1].replace(/[.,]$/, ''), decimalComma);
+  if (isNaN(value)) return null;
+  return Number((value * PARSED_DISTANCE_UNITS[match[2].toLowerCase()]).toFixed(1));
+}
+
+/**
+ * Read a pace shown on a Strava page, e.g. "5:30 /km", "8:51 /mi" or 6'57"
+ * @param {string} text
+ * @returns {number|null} Seconds per kilometer, whatever unit the page used; null when
+ *   the text has no pace. A pace without a unit is taken as per kilometer.
+ */
+export function parsePace(text) {
+  const match = String(text || '').match(/(\d{1,2})(?::|'\s?)(\d{2})"?\s*(?:(?:\/|per)\s*)?(km|mi)?/i);
+  if (!match) return null;
+  const seconds = Number(match[1]) * 60 + Number(match[2]);
+  const perMile = (match[3] || '').toLowerCase() === 'mi';
+  return perMile ? Math.round(seconds * METERS_PER_KILOMETER / METERS_PER_MILE) : seconds;
+}
+
+export default {
+  UNIT_SYSTEMS,
+  METERS_PER_KILOMETER,
+  METERS_PER_MILE,
+  METERS_PER_FOOT,
+  METERS_PER_YARD,
+  getRequestedUnits,
+  getUnitLabels,
+  convertDistance,
+  convertElevation,
+  formatDistanceInUnits,
+  formatElevation,
+  getPaceSeconds,
+  formatPace,
+  getSpeed,
+  getSwimPace,
+  parseDistance,
+  parsePace
+};
@@ -0,0 +1,36 @@
+/**
+ * Parse the saved Strava activity pages in fixtures/strava-pages and compare
+ * the result with expected.json. Exits with status 1 on any difference.
+ *
+ * Usage: npm run check:fixtures
+ */
+
+import { readFileSync } from 'node:fs';
+import { register } from 'node:module';
+
+register('./lib-loader.mjs', import.meta.url);
+
+const { parseActivityPage } = await import('../lib/activity-extraction/page-parser.js');
+
+const FIXTURES_URL = new URL('../fixtures/strava-pages/', import.meta.url);
+const expected = JSON.parse(readFileSync(new URL('expected.json', FIXTURES_URL), 'utf8'));
+
+let failures = 0;
+for (const [locale, fields] of Object.entries(expected)) {
+  const page = parseActivityPage(readFileSync(new URL(`${locale}.html`, FIXTURES_URL), 'utf8'));
+  const actual = { locale: page.diagnostics.locale, ...page.fields };
+  const mismatches = Object.keys(fields).filter(field => actual[field] !== fields[field]);
+
+  if (mismatches.length === 0) {
+    console.log(`ok   ${locale}`);
+    continue;
+  }
+  failures++;
+  console.log(`FAIL ${locale}`);
+  for (const field of mismatches) {
+    console.log(`     ${field}: expected ${JSON.stringify(fields[field])}, got ${JSON.stringify(actual[field])}`);
+  }
+}
+
+console.log(`${Object.keys(expected).length - failures}/${Object.keys(expected).length} locales parsed as expected`);
+process.exitCode = failures > 0 ? 1 : 0;
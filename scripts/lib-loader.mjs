@@ -0,0 +1,31 @@
+/**
+ * Module hooks for running lib/ outside Next.js
+ *
+ * lib/ is written for the Next.js bundler: ES modules in .js files, imported
+ * without extensions. These hooks let plain node resolve and load them.
+ */
+
+const LIB_URL = new URL('../lib/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (!specifier.startsWith('.')) throw error;
+    for (const suffix of ['.js', '/index.js']) {
+      try {
+        return await nextResolve(`${specifier}${suffix}`, context);
+      } catch {
+        // try the next suffix
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(LIB_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}